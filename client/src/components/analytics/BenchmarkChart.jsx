@@ -0,0 +1,315 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { Scale, Plus, X } from 'lucide-react';
+import { useCurrency } from '../../context/CurrencyContext.jsx';
+import { useTheme } from '../../context/ThemeContext';
+import { portfolioService } from '../../services/portfolioService';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import { formatCurrency, formatPercentage, convertCurrency } from '../../utils/helpers';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend);
+
+const RANGES = [
+  { value: '30d', label: '30D' },
+  { value: '1y', label: '1Y' },
+  { value: 'all', label: 'All' }
+];
+
+const BENCHMARKS = [
+  { value: 'bitcoin', label: 'Bitcoin' },
+  { value: 'ethereum', label: 'Ethereum' },
+  { value: 'custom', label: 'Custom basket' }
+];
+
+const BASKET_STORAGE_KEY = 'benchmarkBasket';
+
+const DEFAULT_BASKET = [
+  { coinId: 'bitcoin', weight: 60 },
+  { coinId: 'ethereum', weight: 40 }
+];
+
+const loadBasket = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(BASKET_STORAGE_KEY));
+    return Array.isArray(saved) && saved.length > 0 ? saved : DEFAULT_BASKET;
+  } catch {
+    return DEFAULT_BASKET;
+  }
+};
+
+const basketParam = (basket) => basket
+  .filter(entry => entry.coinId.trim() && Number(entry.weight) > 0)
+  .map(entry => `${entry.coinId.trim().toLowerCase()}:${Number(entry.weight)}`)
+  .join(',');
+
+const BenchmarkChart = ({ portfolioId }) => {
+  const { selectedCurrency, exchangeRates } = useCurrency();
+  const { isDarkTheme } = useTheme();
+  const [range, setRange] = useState('1y');
+  const [benchmark, setBenchmark] = useState('bitcoin');
+  const [basket, setBasket] = useState(loadBasket);
+  const [appliedBasket, setAppliedBasket] = useState(() => basketParam(loadBasket()));
+  const [comparison, setComparison] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const benchmarkParam = benchmark === 'custom' ? appliedBasket : benchmark;
+
+  useEffect(() => {
+    const fetchComparison = async () => {
+      if (!benchmarkParam) return;
+
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await portfolioService.getBenchmark({ benchmark: benchmarkParam, range, portfolioId });
+        setComparison(response.data);
+      } catch (err) {
+        console.error('Failed to fetch benchmark comparison:', err);
+        setComparison(null);
+        setError(err.message || 'Failed to load benchmark');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchComparison();
+  }, [benchmarkParam, range, portfolioId]);
+
+  const updateBasketEntry = (index, field, value) => {
+    setBasket(prev => prev.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry)));
+  };
+
+  const applyBasket = () => {
+    const param = basketParam(basket);
+    if (!param) return;
+    localStorage.setItem(BASKET_STORAGE_KEY, JSON.stringify(basket));
+    setAppliedBasket(param);
+  };
+
+  // Values come back in USD like the rest of the portfolio API
+  const toDisplay = (value) => {
+    return selectedCurrency.code === 'USD'
+      ? value
+      : convertCurrency(value, selectedCurrency.code, exchangeRates);
+  };
+
+  const benchmarkLabel = benchmark === 'custom'
+    ? 'Custom basket'
+    : BENCHMARKS.find(option => option.value === benchmark).label;
+
+  const series = comparison?.series || [];
+  const summary = comparison?.summary;
+
+  const gridColor = isDarkTheme() ? 'rgba(75, 85, 99, 0.4)' : 'rgba(229, 231, 235, 0.8)';
+  const textColor = isDarkTheme() ? '#9CA3AF' : '#6B7280';
+
+  const data = {
+    labels: series.map(point => new Date(point.date).toLocaleDateString()),
+    datasets: [
+      {
+        label: 'Portfolio',
+        data: series.map(point => point.portfolio),
+        borderColor: '#3B82F6',
+        tension: 0.3,
+        pointRadius: series.length > 60 ? 0 : 2
+      },
+      {
+        label: benchmarkLabel,
+        data: series.map(point => point.benchmark),
+        borderColor: '#F59E0B',
+        tension: 0.3,
+        pointRadius: series.length > 60 ? 0 : 2
+      }
+    ]
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: { labels: { color: textColor } },
+      tooltip: {
+        callbacks: {
+          label: (context) => `${context.dataset.label}: ${context.parsed.y.toFixed(1)}`
+        }
+      }
+    },
+    scales: {
+      x: {
+        grid: { display: false },
+        ticks: { color: textColor, maxTicksLimit: 8 }
+      },
+      y: {
+        grid: { color: gridColor },
+        ticks: { color: textColor }
+      }
+    }
+  };
+
+  const formatReturn = (value) => {
+    if (value === null || value === undefined) return '—';
+    return `${value >= 0 ? '+' : ''}${formatPercentage(value * 100)}`;
+  };
+
+  return (
+    <div className="crypto-card p-6 mb-8">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+        <div>
+          <h2 className="section-header">
+            Benchmark Comparison
+          </h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Your portfolio against the same deposits and withdrawals held in {benchmarkLabel.toLowerCase()} (both start at 100)
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <select
+            value={benchmark}
+            onChange={(e) => setBenchmark(e.target.value)}
+            className="premium-input bg-white dark:bg-gray-700 text-sm"
+            aria-label="Benchmark"
+          >
+            {BENCHMARKS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <div className="flex space-x-1">
+            {RANGES.map(option => (
+              <button
+                key={option.value}
+                onClick={() => setRange(option.value)}
+                className={`px-3 py-1 text-sm rounded-lg transition-colors ${range === option.value
+                  ? 'bg-primary-600 text-white'
+                  : 'text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+                  }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {benchmark === 'custom' && (
+        <div className="mb-6 p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+          <p className="text-sm text-gray-600 dark:text-gray-300 mb-3">
+            Basket weights (CoinGecko coin IDs, weights are normalized)
+          </p>
+          <div className="space-y-2">
+            {basket.map((entry, index) => (
+              <div key={index} className="flex items-center space-x-2">
+                <input
+                  type="text"
+                  value={entry.coinId}
+                  onChange={(e) => updateBasketEntry(index, 'coinId', e.target.value)}
+                  placeholder="coin id"
+                  className="premium-input bg-white dark:bg-gray-700 text-sm flex-1"
+                />
+                <input
+                  type="number"
+                  min="0"
+                  value={entry.weight}
+                  onChange={(e) => updateBasketEntry(index, 'weight', e.target.value)}
+                  className="premium-input bg-white dark:bg-gray-700 text-sm w-24"
+                />
+                <button
+                  onClick={() => setBasket(prev => prev.filter((_, i) => i !== index))}
+                  disabled={basket.length === 1}
+                  className="p-2 text-gray-400 hover:text-red-600 disabled:opacity-50"
+                  aria-label="Remove coin"
+                >
+                  <X className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="flex items-center justify-between mt-3">
+            <button
+              onClick={() => setBasket(prev => [...prev, { coinId: '', weight: 10 }])}
+              disabled={basket.length >= 10}
+              className="flex items-center text-sm text-primary-600 hover:text-primary-700 disabled:opacity-50"
+            >
+              <Plus className="h-4 w-4 mr-1" />
+              Add coin
+            </button>
+            <button onClick={applyBasket} className="btn-primary text-sm">
+              Apply
+            </button>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center h-72">
+          <LoadingSpinner />
+        </div>
+      ) : error ? (
+        <div className="flex items-center justify-center h-72 text-center">
+          <p className="text-red-600 dark:text-red-400">{error}</p>
+        </div>
+      ) : series.length === 0 ? (
+        <div className="flex flex-col items-center justify-center h-72 text-center">
+          <Scale className="h-12 w-12 text-gray-400 mb-3" />
+          <p className="text-gray-600 dark:text-gray-300">
+            Not enough history to compare yet. Rebuild history under Settings → Data.
+          </p>
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+            <div className="p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+              <p className="text-sm text-gray-600 dark:text-gray-300">Portfolio (TWR)</p>
+              <p className="text-2xl font-bold text-gray-900 dark:text-white">{formatReturn(summary.portfolio.twr)}</p>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                Worth {formatCurrency(toDisplay(summary.portfolio.endValue), selectedCurrency.code)}
+              </p>
+            </div>
+            <div className="p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+              <p className="text-sm text-gray-600 dark:text-gray-300">{benchmarkLabel} (TWR)</p>
+              <p className="text-2xl font-bold text-gray-900 dark:text-white">{formatReturn(summary.benchmark.twr)}</p>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                Would be worth {formatCurrency(toDisplay(summary.benchmark.endValue), selectedCurrency.code)}
+              </p>
+            </div>
+            <div className="p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+              <p className="text-sm text-gray-600 dark:text-gray-300">Outperformance</p>
+              <p className={`text-2xl font-bold ${summary.outperformance >= 0
+                ? 'text-green-600 dark:text-green-400'
+                : 'text-red-600 dark:text-red-400'
+                }`}>
+                {formatReturn(summary.outperformance)}
+              </p>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                {summary.valueDifference >= 0 ? 'Ahead by ' : 'Behind by '}
+                {formatCurrency(toDisplay(Math.abs(summary.valueDifference)), selectedCurrency.code)}
+              </p>
+            </div>
+          </div>
+
+          <div className="h-72">
+            <Line data={data} options={options} />
+          </div>
+
+          {comparison.approximate && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-4">
+              No daily history for this range yet, so the portfolio line only links the start and end values.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BenchmarkChart;
\ No newline at end of file
@@ -0,0 +1,124 @@
+import React from 'react';
+import { Grid3x3 } from 'lucide-react';
+
+const WINDOWS = [
+  { value: '30d', label: '30D' },
+  { value: '90d', label: '90D' },
+  { value: '1y', label: '1Y' }
+];
+
+// Red for assets that move together, blue for ones that move apart
+const cellColor = (value) => {
+  if (value === null || value === undefined) return 'transparent';
+  return value >= 0
+    ? `rgba(239, 68, 68, ${value.toFixed(2)})`
+    : `rgba(59, 130, 246, ${Math.abs(value).toFixed(2)})`;
+};
+
+const CorrelationHeatmap = ({ diversification, selectedWindow, onWindowChange }) => {
+  if (!diversification) return null;
+
+  const { coins, matrix, herfindahl, effectiveAssets } = diversification;
+
+  return (
+    <div className="crypto-card p-6 mb-8">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+        <div>
+          <h2 className="section-header">
+            Diversification
+          </h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Correlation of daily returns between your holdings
+          </p>
+        </div>
+        <div className="flex space-x-1">
+          {WINDOWS.map(option => (
+            <button
+              key={option.value}
+              onClick={() => onWindowChange(option.value)}
+              className={`px-3 py-1 text-sm rounded-lg transition-colors ${selectedWindow === option.value
+                ? 'bg-primary-600 text-white'
+                : 'text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+                }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+        <div className="p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+          <p className="text-sm text-gray-600 dark:text-gray-300">Concentration (Herfindahl)</p>
+          <p className="text-2xl font-bold text-gray-900 dark:text-white">
+            {herfindahl === null ? '—' : herfindahl.toFixed(3)}
+          </p>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">1 means everything is in a single asset</p>
+        </div>
+        <div className="p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+          <p className="text-sm text-gray-600 dark:text-gray-300">Effective Number of Assets</p>
+          <p className="text-2xl font-bold text-gray-900 dark:text-white">
+            {effectiveAssets === null ? '—' : effectiveAssets.toFixed(1)}
+            <span className="text-sm font-normal text-gray-500 dark:text-gray-400"> of {coins.length}</span>
+          </p>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Equally weighted assets with the same concentration</p>
+        </div>
+      </div>
+
+      {coins.length < 2 ? (
+        <div className="flex flex-col items-center justify-center py-8 text-center">
+          <Grid3x3 className="h-12 w-12 text-gray-400 mb-3" />
+          <p className="text-gray-600 dark:text-gray-300">
+            Hold at least two coins to see how they move together.
+          </p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="mx-auto border-separate" style={{ borderSpacing: '2px' }}>
+            <thead>
+              <tr>
+                <th />
+                {coins.map(coin => (
+                  <th key={coin.coinId} className="px-2 py-1 text-xs font-medium text-gray-600 dark:text-gray-300 uppercase">
+                    {coin.symbol}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {coins.map((coin, i) => (
+                <tr key={coin.coinId}>
+                  <th className="px-2 py-1 text-xs font-medium text-gray-600 dark:text-gray-300 uppercase text-right">
+                    {coin.symbol}
+                  </th>
+                  {matrix[i].map((value, j) => (
+                    <td
+                      key={coins[j].coinId}
+                      title={`${coin.symbol.toUpperCase()} / ${coins[j].symbol.toUpperCase()}`}
+                      className="w-14 h-10 text-center text-xs rounded text-gray-900 dark:text-white"
+                      style={{ backgroundColor: cellColor(value) }}
+                    >
+                      {value === null ? '—' : value.toFixed(2)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="flex items-center justify-center space-x-4 mt-4 text-xs text-gray-500 dark:text-gray-400">
+            <span className="flex items-center">
+              <span className="inline-block w-3 h-3 rounded mr-1" style={{ backgroundColor: cellColor(-1) }} />
+              Move apart
+            </span>
+            <span className="flex items-center">
+              <span className="inline-block w-3 h-3 rounded mr-1" style={{ backgroundColor: cellColor(1) }} />
+              Move together
+            </span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CorrelationHeatmap;
\ No newline at end of file
@@ -0,0 +1,164 @@
+import React from 'react';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { Bar } from 'react-chartjs-2';
+import { Coins } from 'lucide-react';
+import { useCurrency } from '../../context/CurrencyContext.jsx';
+import { useTheme } from '../../context/ThemeContext';
+import { formatCurrency, convertCurrency } from '../../utils/helpers';
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, Tooltip, Legend);
+
+const INCOME_TYPES = [
+  { value: 'staking', label: 'Staking', color: '#3B82F6' },
+  { value: 'airdrop', label: 'Airdrops', color: '#8B5CF6' },
+  { value: 'interest', label: 'Interest', color: '#10B981' },
+  { value: 'mining', label: 'Mining', color: '#F59E0B' }
+];
+
+// Income received over the analytics date range, valued when it was received
+const IncomeChart = ({ income }) => {
+  const { selectedCurrency, exchangeRates } = useCurrency();
+  const { isDarkTheme } = useTheme();
+
+  const toDisplay = (value) => {
+    return selectedCurrency.code === 'USD'
+      ? value
+      : convertCurrency(value, selectedCurrency.code, exchangeRates);
+  };
+
+  const formatValue = (value) => formatCurrency(toDisplay(value), selectedCurrency.code);
+
+  const gridColor = isDarkTheme() ? 'rgba(75, 85, 99, 0.4)' : 'rgba(229, 231, 235, 0.8)';
+  const textColor = isDarkTheme() ? '#9CA3AF' : '#6B7280';
+
+  const monthly = income?.monthly || [];
+
+  const data = {
+    labels: monthly.map(entry => {
+      const [year, month] = entry.month.split('-');
+      return new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString(undefined, { month: 'short', year: 'numeric', timeZone: 'UTC' });
+    }),
+    datasets: INCOME_TYPES.map(type => ({
+      label: type.label,
+      data: monthly.map(entry => toDisplay(entry[type.value])),
+      backgroundColor: type.color,
+      stack: 'income'
+    }))
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: {
+        position: 'bottom',
+        labels: { color: textColor }
+      },
+      tooltip: {
+        filter: (item) => item.parsed.y > 0,
+        callbacks: {
+          label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y, selectedCurrency.code)}`
+        }
+      }
+    },
+    scales: {
+      x: {
+        stacked: true,
+        grid: { display: false },
+        ticks: { color: textColor }
+      },
+      y: {
+        stacked: true,
+        grid: { color: gridColor },
+        ticks: { color: textColor }
+      }
+    }
+  };
+
+  return (
+    <div className="crypto-card p-6 mb-8">
+      <div className="mb-6">
+        <h2 className="section-header">
+          Income
+        </h2>
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Staking, airdrops, interest and mining at their value when received, kept apart from capital gains
+        </p>
+      </div>
+
+      {!income || income.count === 0 ? (
+        <div className="text-center py-8">
+          <Coins className="h-12 w-12 text-gray-400 mx-auto mb-3" />
+          <p className="text-gray-600 dark:text-gray-300">
+            No income in this period. Record staking rewards, airdrops, interest or mining payouts as Income transactions.
+          </p>
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 lg:grid-cols-5 gap-6 mb-6">
+            <div className="p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+              <p className="text-sm text-gray-600 dark:text-gray-300">Total Income</p>
+              <p className="text-2xl font-bold text-green-600 dark:text-green-400">{formatValue(income.total)}</p>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{income.count} payments</p>
+            </div>
+            {INCOME_TYPES.map(type => (
+              <div key={type.value} className="p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+                <p className="text-sm text-gray-600 dark:text-gray-300">{type.label}</p>
+                <p className="text-2xl font-bold text-gray-900 dark:text-white">{formatValue(income.byType[type.value].value)}</p>
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{income.byType[type.value].count} payments</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="h-72">
+            <Bar data={data} options={options} />
+          </div>
+
+          {income.byCoin.length > 0 && (
+            <div className="overflow-x-auto mt-6">
+              <table className="premium-table">
+                <thead>
+                  <tr>
+                    <th className="text-left">Asset</th>
+                    <th className="text-right">Received</th>
+                    <th className="text-right">Value When Received</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {income.byCoin.map(coin => (
+                    <tr key={coin.coinId}>
+                      <td className="py-3">
+                        <div className="font-medium text-gray-900 dark:text-white">
+                          {coin.coinName}
+                        </div>
+                        <div className="text-gray-500 dark:text-gray-400 uppercase text-xs">
+                          {coin.symbol}
+                        </div>
+                      </td>
+                      <td className="text-right py-3 text-gray-900 dark:text-white">
+                        {coin.amount.toLocaleString(undefined, { maximumFractionDigits: 8 })}
+                      </td>
+                      <td className="text-right py-3 text-gray-900 dark:text-white">
+                        {formatValue(coin.value)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default IncomeChart;
\ No newline at end of file
@@ -0,0 +1,309 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Filler,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { Dices, Target } from 'lucide-react';
+import { useCurrency } from '../../context/CurrencyContext.jsx';
+import { useTheme } from '../../context/ThemeContext';
+import { portfolioService } from '../../services/portfolioService';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import { formatCurrency, formatPercentage, convertCurrency } from '../../utils/helpers';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Filler, Tooltip, Legend);
+
+const HORIZONS = [
+  { value: 30, label: '30D' },
+  { value: 90, label: '90D' },
+  { value: 365, label: '1Y' }
+];
+
+const METHODS = [
+  { value: 'bootstrap', label: 'Historical bootstrap' },
+  { value: 'gbm', label: 'Geometric Brownian motion' }
+];
+
+// A fixed starting seed keeps the chart steady between visits
+const DEFAULT_SEED = 42;
+
+const MonteCarloChart = ({ portfolioId }) => {
+  const { selectedCurrency, exchangeRates } = useCurrency();
+  const { isDarkTheme } = useTheme();
+  const [horizon, setHorizon] = useState(90);
+  const [method, setMethod] = useState('bootstrap');
+  const [seed, setSeed] = useState(DEFAULT_SEED);
+  const [goalInput, setGoalInput] = useState('');
+  const [goal, setGoal] = useState('');
+  const [projection, setProjection] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  // Values come back in USD like the rest of the portfolio API
+  const toDisplay = (value) => {
+    return selectedCurrency.code === 'USD'
+      ? value
+      : convertCurrency(value, selectedCurrency.code, exchangeRates);
+  };
+
+  // The goal is typed in the display currency
+  const toUsd = (value) => {
+    const rate = exchangeRates?.[selectedCurrency.code];
+    return selectedCurrency.code === 'USD' || !rate ? value : value / rate;
+  };
+
+  useEffect(() => {
+    const fetchProjection = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const params = { portfolioId, horizon, method, seed };
+        if (goal) params.goal = goal;
+
+        const response = await portfolioService.getProjection(params);
+        setProjection(response.data);
+      } catch (err) {
+        console.error('Failed to fetch projection:', err);
+        setProjection(null);
+        setError(err.message || 'Failed to run projection');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchProjection();
+  }, [portfolioId, horizon, method, seed, goal]);
+
+  const applyGoal = (e) => {
+    e.preventDefault();
+    const value = parseFloat(goalInput);
+    setGoal(value > 0 ? String(toUsd(value)) : '');
+  };
+
+  const formatValue = (value) => formatCurrency(toDisplay(value), selectedCurrency.code);
+
+  const gridColor = isDarkTheme() ? 'rgba(75, 85, 99, 0.4)' : 'rgba(229, 231, 235, 0.8)';
+  const textColor = isDarkTheme() ? '#9CA3AF' : '#6B7280';
+
+  const bands = projection?.bands || [];
+  const band = (key) => bands.map(point => toDisplay(point[key]));
+
+  const data = {
+    labels: bands.map(point => new Date(point.date).toLocaleDateString()),
+    datasets: [
+      {
+        label: '95th percentile',
+        data: band('p95'),
+        borderColor: 'rgba(59, 130, 246, 0.3)',
+        borderWidth: 1,
+        pointRadius: 0,
+        fill: false
+      },
+      {
+        label: '5th percentile',
+        data: band('p5'),
+        borderColor: 'rgba(59, 130, 246, 0.3)',
+        backgroundColor: 'rgba(59, 130, 246, 0.1)',
+        borderWidth: 1,
+        pointRadius: 0,
+        fill: '-1'
+      },
+      {
+        label: '75th percentile',
+        data: band('p75'),
+        borderColor: 'rgba(59, 130, 246, 0.5)',
+        borderWidth: 1,
+        pointRadius: 0,
+        fill: false
+      },
+      {
+        label: '25th percentile',
+        data: band('p25'),
+        borderColor: 'rgba(59, 130, 246, 0.5)',
+        backgroundColor: 'rgba(59, 130, 246, 0.2)',
+        borderWidth: 1,
+        pointRadius: 0,
+        fill: '-1'
+      },
+      {
+        label: 'Median',
+        data: band('p50'),
+        borderColor: '#3B82F6',
+        borderWidth: 2,
+        pointRadius: 0,
+        fill: false
+      },
+      ...(projection?.goal ? [{
+        label: 'Goal',
+        data: bands.map(() => toDisplay(projection.goal.value)),
+        borderColor: '#10B981',
+        borderDash: [6, 4],
+        borderWidth: 1,
+        pointRadius: 0,
+        fill: false
+      }] : [])
+    ]
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        callbacks: {
+          label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y, selectedCurrency.code)}`
+        }
+      }
+    },
+    scales: {
+      x: {
+        grid: { display: false },
+        ticks: { color: textColor, maxTicksLimit: 8 }
+      },
+      y: {
+        grid: { color: gridColor },
+        ticks: { color: textColor }
+      }
+    }
+  };
+
+  const final = projection?.final;
+  const changeFromStart = (value) => {
+    if (!projection?.startValue) return '';
+    const change = ((value - projection.startValue) / projection.startValue) * 100;
+    return `${change >= 0 ? '+' : ''}${formatPercentage(change)}`;
+  };
+
+  return (
+    <div className="crypto-card p-6 mb-8">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+        <div>
+          <h2 className="section-header">
+            Monte Carlo Projection
+          </h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Possible values of current holdings, simulated from the last year of daily returns
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <select
+            value={method}
+            onChange={(e) => setMethod(e.target.value)}
+            className="premium-input bg-white dark:bg-gray-700 text-sm"
+            aria-label="Simulation method"
+          >
+            {METHODS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <div className="flex space-x-1">
+            {HORIZONS.map(option => (
+              <button
+                key={option.value}
+                onClick={() => setHorizon(option.value)}
+                className={`px-3 py-1 text-sm rounded-lg transition-colors ${horizon === option.value
+                  ? 'bg-primary-600 text-white'
+                  : 'text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+                  }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <form onSubmit={applyGoal} className="flex flex-col md:flex-row md:items-center gap-2 mb-6">
+        <label className="text-sm text-gray-600 dark:text-gray-300">
+          Goal value ({selectedCurrency.code})
+        </label>
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={goalInput}
+          onChange={(e) => setGoalInput(e.target.value)}
+          placeholder="e.g. 50000"
+          className="premium-input bg-white dark:bg-gray-700 text-sm w-40"
+        />
+        <button type="submit" className="btn-primary text-sm">
+          Apply
+        </button>
+        <button
+          type="button"
+          onClick={() => setSeed(Math.floor(Math.random() * 2147483647))}
+          className="flex items-center text-sm text-primary-600 hover:text-primary-700 md:ml-auto"
+        >
+          <Dices className="h-4 w-4 mr-1" />
+          New run
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-72">
+          <LoadingSpinner />
+        </div>
+      ) : error ? (
+        <div className="flex items-center justify-center h-72 text-center">
+          <p className="text-red-600 dark:text-red-400">{error}</p>
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-6">
+            <div className="p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+              <p className="text-sm text-gray-600 dark:text-gray-300">Median</p>
+              <p className="text-2xl font-bold text-gray-900 dark:text-white">{formatValue(final.p50)}</p>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{changeFromStart(final.p50)} from today</p>
+            </div>
+            <div className="p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+              <p className="text-sm text-gray-600 dark:text-gray-300">Bad Case (5th)</p>
+              <p className="text-2xl font-bold text-red-600 dark:text-red-400">{formatValue(final.p5)}</p>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{changeFromStart(final.p5)} from today</p>
+            </div>
+            <div className="p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+              <p className="text-sm text-gray-600 dark:text-gray-300">Good Case (95th)</p>
+              <p className="text-2xl font-bold text-green-600 dark:text-green-400">{formatValue(final.p95)}</p>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{changeFromStart(final.p95)} from today</p>
+            </div>
+            <div className="p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+              <div className="flex items-center justify-between">
+                <p className="text-sm text-gray-600 dark:text-gray-300">Goal Probability</p>
+                <Target className="h-5 w-5 text-primary-600 dark:text-primary-400" />
+              </div>
+              <p className="text-2xl font-bold text-gray-900 dark:text-white">
+                {projection.goal ? formatPercentage(projection.goal.probability * 100) : '—'}
+              </p>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                {projection.goal
+                  ? `Above ${formatValue(projection.goal.value)} at the end; reached at some point in ${formatPercentage(projection.goal.probabilityTouched * 100)}`
+                  : 'Set a goal value above'}
+              </p>
+            </div>
+          </div>
+
+          <div className="h-72">
+            <Line data={data} options={options} />
+          </div>
+
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-4">
+            {projection.paths.toLocaleString()} paths, seed {projection.seed}, {projection.lookback.observations} days of history.
+            Shaded bands cover the 5th–95th and 25th–75th percentiles.
+            {projection.excluded.length > 0 && (
+              ` ${projection.excluded.map(coin => coin.symbol.toUpperCase()).join(', ')} held flat for lack of history.`
+            )}
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MonteCarloChart;
\ No newline at end of file
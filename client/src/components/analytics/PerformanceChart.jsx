@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Filler,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { LineChart } from 'lucide-react';
+import { useCurrency } from '../../context/CurrencyContext.jsx';
+import { useTheme } from '../../context/ThemeContext';
+import { portfolioService } from '../../services/portfolioService';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import { formatCurrency, convertCurrency } from '../../utils/helpers';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Filler, Tooltip, Legend);
+
+const RANGES = [
+  { value: '7d', label: '7D' },
+  { value: '30d', label: '30D' },
+  { value: '1y', label: '1Y' },
+  { value: 'all', label: 'All' }
+];
+
+const PerformanceChart = ({ portfolioId }) => {
+  const { selectedCurrency, exchangeRates } = useCurrency();
+  const { isDarkTheme } = useTheme();
+  const [range, setRange] = useState('30d');
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        setLoading(true);
+        const response = await portfolioService.getPortfolioHistory(range, portfolioId);
+        setHistory(response.data?.history || []);
+      } catch (error) {
+        console.error('Failed to fetch portfolio history:', error);
+        setHistory([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [range, portfolioId]);
+
+  // Snapshot values come back in USD like the rest of the portfolio API
+  const toDisplay = (value) => {
+    return selectedCurrency.code === 'USD'
+      ? value
+      : convertCurrency(value, selectedCurrency.code, exchangeRates);
+  };
+
+  const gridColor = isDarkTheme() ? 'rgba(75, 85, 99, 0.4)' : 'rgba(229, 231, 235, 0.8)';
+  const textColor = isDarkTheme() ? '#9CA3AF' : '#6B7280';
+
+  const data = {
+    labels: history.map(point => new Date(point.date).toLocaleDateString()),
+    datasets: [
+      {
+        label: 'Portfolio Value',
+        data: history.map(point => toDisplay(point.totalValue)),
+        borderColor: '#3B82F6',
+        backgroundColor: 'rgba(59, 130, 246, 0.1)',
+        fill: true,
+        tension: 0.3,
+        pointRadius: history.length > 60 ? 0 : 2
+      },
+      {
+        label: 'Invested',
+        data: history.map(point => toDisplay(point.totalInvestment)),
+        borderColor: '#9CA3AF',
+        borderDash: [6, 4],
+        fill: false,
+        tension: 0.3,
+        pointRadius: 0
+      }
+    ]
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: { labels: { color: textColor } },
+      tooltip: {
+        callbacks: {
+          label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y, selectedCurrency.code)}`
+        }
+      }
+    },
+    scales: {
+      x: {
+        grid: { display: false },
+        ticks: { color: textColor, maxTicksLimit: 8 }
+      },
+      y: {
+        grid: { color: gridColor },
+        ticks: {
+          color: textColor,
+          callback: (value) => formatCurrency(value, selectedCurrency.code)
+        }
+      }
+    }
+  };
+
+  return (
+    <div className="crypto-card p-6 mb-8">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="section-header">
+          Performance History
+        </h2>
+        <div className="flex space-x-1">
+          {RANGES.map(option => (
+            <button
+              key={option.value}
+              onClick={() => setRange(option.value)}
+              className={`px-3 py-1 text-sm rounded-lg transition-colors ${range === option.value
+                ? 'bg-primary-600 text-white'
+                : 'text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+                }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-72">
+          <LoadingSpinner />
+        </div>
+      ) : history.length === 0 ? (
+        <div className="flex flex-col items-center justify-center h-72 text-center">
+          <LineChart className="h-12 w-12 text-gray-400 mb-3" />
+          <p className="text-gray-600 dark:text-gray-300">
+            No history yet. A snapshot of your portfolio is recorded every day.
+          </p>
+        </div>
+      ) : (
+        <div className="h-72">
+          <Line data={data} options={options} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PerformanceChart;
\ No newline at end of file
@@ -0,0 +1,118 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { Activity, TrendingDown, Gauge, Bitcoin } from 'lucide-react';
+import { formatPercentage } from '../../utils/helpers';
+
+// Risk figures are fractions (0.5 = 50%); ratios are shown as plain numbers
+const formatFraction = (value) => (value === null || value === undefined ? '—' : formatPercentage(value * 100));
+const formatRatio = (value) => (value === null || value === undefined ? '—' : value.toFixed(2));
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '—');
+
+const RiskMetrics = ({ risk }) => {
+  if (!risk) return null;
+
+  const { portfolio, holdings } = risk;
+  const holdingsWithData = holdings.filter(h => h.observations);
+
+  const cards = portfolio ? [
+    {
+      label: 'Volatility (annualized)',
+      value: formatFraction(portfolio.volatility),
+      hint: `${portfolio.observations} daily returns`,
+      icon: Activity
+    },
+    {
+      label: 'Max Drawdown',
+      value: formatFraction(portfolio.maxDrawdown.value),
+      hint: portfolio.maxDrawdown.peakDate
+        ? `${formatDate(portfolio.maxDrawdown.peakDate)} → ${formatDate(portfolio.maxDrawdown.troughDate)}${portfolio.maxDrawdown.recoveryDate ? `, recovered ${formatDate(portfolio.maxDrawdown.recoveryDate)}` : ', not yet recovered'}`
+        : 'No drawdown in this range',
+      icon: TrendingDown
+    },
+    {
+      label: 'Sharpe / Sortino',
+      value: `${formatRatio(portfolio.sharpe)} / ${formatRatio(portfolio.sortino)}`,
+      hint: `Risk-free rate ${formatPercentage(risk.riskFreeRate * 100)}`,
+      icon: Gauge
+    },
+    {
+      label: 'Beta / Correlation to BTC',
+      value: `${formatRatio(portfolio.beta)} / ${formatRatio(portfolio.correlation)}`,
+      hint: 'From daily returns on the same days',
+      icon: Bitcoin
+    }
+  ] : [];
+
+  return (
+    <div className="crypto-card p-6 mb-8">
+      <div className="mb-6">
+        <h2 className="section-header">
+          Risk
+        </h2>
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          {formatDate(risk.from)} – {formatDate(risk.to)} · risk-free rate can be changed in{' '}
+          <Link to="/settings" className="text-primary-600 hover:text-primary-700">Settings</Link>
+        </p>
+      </div>
+
+      {portfolio ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-6">
+          {cards.map(card => (
+            <div key={card.label} className="p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+              <div className="flex items-center justify-between mb-2">
+                <p className="text-sm text-gray-600 dark:text-gray-300">{card.label}</p>
+                <card.icon className="h-5 w-5 text-primary-600 dark:text-primary-400" />
+              </div>
+              <p className="text-2xl font-bold text-gray-900 dark:text-white">{card.value}</p>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{card.hint}</p>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-gray-600 dark:text-gray-300 mb-6">
+          Portfolio risk needs at least a few days of history. Rebuild history under Settings → Data to see it now.
+        </p>
+      )}
+
+      {holdingsWithData.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="premium-table">
+            <thead>
+              <tr>
+                <th className="text-left">Asset</th>
+                <th className="text-right">Volatility</th>
+                <th className="text-right">Max Drawdown</th>
+                <th className="text-right">Sharpe</th>
+                <th className="text-right">Sortino</th>
+                <th className="text-right">Beta</th>
+                <th className="text-right">Correlation</th>
+              </tr>
+            </thead>
+            <tbody>
+              {holdingsWithData.map(holding => (
+                <tr key={holding.coinId}>
+                  <td className="py-3">
+                    <div className="font-medium text-gray-900 dark:text-white">
+                      {holding.coinName}
+                    </div>
+                    <div className="text-gray-500 dark:text-gray-400 uppercase text-xs">
+                      {holding.symbol}
+                    </div>
+                  </td>
+                  <td className="text-right py-3 text-gray-900 dark:text-white">{formatFraction(holding.volatility)}</td>
+                  <td className="text-right py-3 text-red-600 dark:text-red-400">{formatFraction(holding.maxDrawdown.value)}</td>
+                  <td className="text-right py-3 text-gray-900 dark:text-white">{formatRatio(holding.sharpe)}</td>
+                  <td className="text-right py-3 text-gray-900 dark:text-white">{formatRatio(holding.sortino)}</td>
+                  <td className="text-right py-3 text-gray-900 dark:text-white">{formatRatio(holding.beta)}</td>
+                  <td className="text-right py-3 text-gray-900 dark:text-white">{formatRatio(holding.correlation)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RiskMetrics;
\ No newline at end of file
@@ -0,0 +1,269 @@
+import React, { useState, useEffect } from 'react';
+import { RotateCcw } from 'lucide-react';
+import { useCurrency } from '../../context/CurrencyContext.jsx';
+import { portfolioService } from '../../services/portfolioService';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import { formatCurrency, formatPercentage, convertCurrency } from '../../utils/helpers';
+
+const PRESETS = [
+  { label: 'Market -50%', market: -50, shocks: {} },
+  { label: 'Market -20%', market: -20, shocks: {} },
+  { label: 'BTC -30%', market: 0, shocks: { bitcoin: -30 } },
+  { label: 'Market +50%', market: 50, shocks: {} }
+];
+
+// Wait for the sliders to settle before asking the server
+const DEBOUNCE_MS = 300;
+
+const formatChange = (value) => `${value >= 0 ? '+' : ''}${formatPercentage(value)}`;
+
+const ScenarioSimulator = ({ portfolioId, holdings }) => {
+  const { selectedCurrency, exchangeRates } = useCurrency();
+  const [marketChange, setMarketChange] = useState(0);
+  const [betaScaled, setBetaScaled] = useState(true);
+  const [shocks, setShocks] = useState({});
+  const [scenario, setScenario] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const timer = setTimeout(async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await portfolioService.runScenario(portfolioId, {
+          shocks: Object.entries(shocks).map(([coinId, change]) => ({ coinId, change })),
+          market: { change: marketChange, betaScaled }
+        });
+        setScenario(response.data);
+      } catch (err) {
+        console.error('Failed to project scenario:', err);
+        setError(err.message || 'Failed to project scenario');
+      } finally {
+        setLoading(false);
+      }
+    }, DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [portfolioId, marketChange, betaScaled, shocks]);
+
+  const formatValue = (value) => {
+    return selectedCurrency.code === 'USD'
+      ? formatCurrency(value, selectedCurrency.code)
+      : formatCurrency(convertCurrency(value, selectedCurrency.code, exchangeRates), selectedCurrency.code);
+  };
+
+  const setShock = (coinId, change) => {
+    setShocks(prev => ({ ...prev, [coinId]: change }));
+  };
+
+  const clearShock = (coinId) => {
+    setShocks(prev => {
+      const next = { ...prev };
+      delete next[coinId];
+      return next;
+    });
+  };
+
+  const applyPreset = (preset) => {
+    setMarketChange(preset.market);
+    setShocks(preset.shocks);
+  };
+
+  const reset = () => {
+    setMarketChange(0);
+    setShocks({});
+  };
+
+  const projectedByCoin = new Map((scenario?.holdings || []).map(h => [h.coinId, h]));
+  const projected = scenario?.projected;
+
+  return (
+    <div className="crypto-card p-6 mb-8">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+        <div>
+          <h2 className="section-header">
+            What-if Scenarios
+          </h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Stress-test current holdings against hypothetical price moves
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          {PRESETS.map(preset => (
+            <button
+              key={preset.label}
+              onClick={() => applyPreset(preset)}
+              className="px-3 py-1 text-sm rounded-lg transition-colors text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+            >
+              {preset.label}
+            </button>
+          ))}
+          <button
+            onClick={reset}
+            className="flex items-center px-3 py-1 text-sm rounded-lg text-primary-600 hover:text-primary-700"
+          >
+            <RotateCcw className="h-4 w-4 mr-1" />
+            Reset
+          </button>
+        </div>
+      </div>
+
+      {/* Market Shock */}
+      <div className="p-4 border border-gray-200 dark:border-gray-700 rounded-lg mb-6">
+        <div className="flex flex-col md:flex-row md:items-center gap-4">
+          <label className="text-sm font-medium text-gray-700 dark:text-gray-300 md:w-40">
+            Market move
+          </label>
+          <input
+            type="range"
+            min="-90"
+            max="200"
+            step="5"
+            value={marketChange}
+            onChange={(e) => setMarketChange(Number(e.target.value))}
+            className="flex-1"
+            aria-label="Market move"
+          />
+          <span className="text-sm font-medium text-gray-900 dark:text-white w-20 text-right">
+            {formatChange(marketChange)}
+          </span>
+          <label className="flex items-center space-x-2 text-sm text-gray-600 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={betaScaled}
+              onChange={(e) => setBetaScaled(e.target.checked)}
+            />
+            <span>Scale by beta to BTC</span>
+          </label>
+        </div>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+          Applies to every coin without its own move below. With beta scaling, a coin with a beta of 1.5 moves 1.5× the market (90-day history).
+        </p>
+      </div>
+
+      {/* Projected Totals */}
+      {error ? (
+        <p className="text-red-600 dark:text-red-400 mb-6">{error}</p>
+      ) : !projected ? (
+        <div className="flex items-center justify-center h-24 mb-6">
+          <LoadingSpinner />
+        </div>
+      ) : (
+        <div className={`grid grid-cols-1 md:grid-cols-3 gap-6 mb-6 ${loading ? 'opacity-60' : ''}`}>
+          <div className="p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+            <p className="text-sm text-gray-600 dark:text-gray-300">Projected Value</p>
+            <p className="text-2xl font-bold text-gray-900 dark:text-white">{formatValue(projected.totalValue)}</p>
+            <p className={`text-xs mt-1 ${projected.valueChange >= 0
+              ? 'text-green-600 dark:text-green-400'
+              : 'text-red-600 dark:text-red-400'
+              }`}>
+              {projected.valueChange >= 0 ? '+' : '-'}{formatValue(Math.abs(projected.valueChange))} ({formatChange(projected.valueChangePercentage)})
+            </p>
+          </div>
+          <div className="p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+            <p className="text-sm text-gray-600 dark:text-gray-300">Unrealized P&L</p>
+            <p className={`text-2xl font-bold ${projected.unrealizedProfitLoss >= 0
+              ? 'text-green-600 dark:text-green-400'
+              : 'text-red-600 dark:text-red-400'
+              }`}>
+              {formatValue(projected.unrealizedProfitLoss)}
+            </p>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              {formatChange(projected.unrealizedProfitLossPercentage)} on cost, now {formatValue(scenario.current.unrealizedProfitLoss)}
+            </p>
+          </div>
+          <div className="p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+            <p className="text-sm text-gray-600 dark:text-gray-300">Total P&L</p>
+            <p className={`text-2xl font-bold ${projected.totalProfitLoss >= 0
+              ? 'text-green-600 dark:text-green-400'
+              : 'text-red-600 dark:text-red-400'
+              }`}>
+              {formatValue(projected.totalProfitLoss)}
+            </p>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              Including realized gains, now {formatValue(scenario.current.totalProfitLoss)}
+            </p>
+          </div>
+        </div>
+      )}
+
+      {/* Per-coin Moves */}
+      <div className="overflow-x-auto">
+        <table className="premium-table">
+          <thead>
+            <tr>
+              <th className="text-left">Asset</th>
+              <th className="text-left">Price Move</th>
+              <th className="text-right">Projected Price</th>
+              <th className="text-right">Projected Value</th>
+              <th className="text-right">Allocation</th>
+            </tr>
+          </thead>
+          <tbody>
+            {holdings.map(holding => {
+              const result = projectedByCoin.get(holding.coinId);
+              const hasOwnMove = shocks[holding.coinId] !== undefined;
+              const change = hasOwnMove ? shocks[holding.coinId] : (result?.change ?? 0);
+
+              return (
+                <tr key={holding.coinId}>
+                  <td className="py-3">
+                    <div className="font-medium text-gray-900 dark:text-white">
+                      {holding.coinName}
+                    </div>
+                    <div className="text-gray-500 dark:text-gray-400 uppercase text-xs">
+                      {holding.symbol}
+                    </div>
+                  </td>
+                  <td className="py-3">
+                    <div className="flex items-center space-x-2">
+                      <input
+                        type="range"
+                        min="-100"
+                        max="200"
+                        step="5"
+                        value={Math.round(change / 5) * 5}
+                        onChange={(e) => setShock(holding.coinId, Number(e.target.value))}
+                        className="w-32"
+                        aria-label={`${holding.coinName} price move`}
+                      />
+                      <span className="text-sm text-gray-900 dark:text-white w-16 text-right">
+                        {formatChange(change)}
+                      </span>
+                      {hasOwnMove ? (
+                        <button
+                          onClick={() => clearShock(holding.coinId)}
+                          className="text-xs text-primary-600 hover:text-primary-700"
+                        >
+                          follow market
+                        </button>
+                      ) : (
+                        <span className="text-xs text-gray-500 dark:text-gray-400">
+                          {result?.beta !== null && result?.beta !== undefined ? `β ${result.beta.toFixed(2)}` : 'market'}
+                        </span>
+                      )}
+                    </div>
+                  </td>
+                  <td className="text-right py-3 text-gray-900 dark:text-white">
+                    {result ? formatValue(result.projectedPrice) : '—'}
+                  </td>
+                  <td className="text-right py-3 text-gray-900 dark:text-white">
+                    {result ? formatValue(result.projectedValue) : '—'}
+                  </td>
+                  <td className="text-right py-3 text-gray-900 dark:text-white">
+                    {result
+                      ? `${result.currentAllocation.toFixed(1)}% → ${result.projectedAllocation.toFixed(1)}%`
+                      : '—'}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ScenarioSimulator;
\ No newline at end of file
@@ -3,6 +3,7 @@ import { Search, TrendingUp, TrendingDown, Star, Eye } from 'lucide-react';
 import { useCurrency } from '../../context/CurrencyContext.jsx';
 import { formatCurrency, formatPercentage, convertCurrency } from '../../utils/helpers';
 import LoadingSpinner from '../ui/LoadingSpinner';
+import { flashClass } from '../../hooks/useLivePrices';
 
 const CryptoTable = ({ 
   data = [], 
@@ -10,7 +11,8 @@ const CryptoTable = ({
   onAddToWatchlist, 
   onViewDetails,
   watchlist = [],
-  showWatchlistColumn = true 
+  showWatchlistColumn = true,
+  flashes = {}
 }) => {
   const { selectedCurrency, exchangeRates } = useCurrency();
   const [search, setSearch] = useState('');
@@ -163,7 +165,7 @@ const CryptoTable = ({
                     </div>
                   </div>
                 </td>
-                <td className="px-6 py-4 font-medium text-gray-900 dark:text-white">
+                <td className={`px-6 py-4 font-medium text-gray-900 dark:text-white ${flashClass(flashes, coin.id)}`}>
                   {selectedCurrency.code === 'USD' 
                     ? formatCurrency(coin.current_price, selectedCurrency.code)
                     : formatCurrency(
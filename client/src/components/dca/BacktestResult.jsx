@@ -0,0 +1,129 @@
+import React from 'react';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Filler,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { useTheme } from '../../context/ThemeContext';
+import { formatCurrency, formatPercentage } from '../../utils/helpers';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Filler, Tooltip, Legend);
+
+const BacktestResult = ({ result }) => {
+  const { isDarkTheme } = useTheme();
+
+  if (!result) return null;
+
+  // Backtests are priced in the currency the plan buys with
+  const currencyCode = result.currency.toUpperCase();
+  const formatValue = (value) => formatCurrency(value, currencyCode);
+  const formatReturn = (value) => `${value >= 0 ? '+' : ''}${formatPercentage(value)}`;
+
+  const gridColor = isDarkTheme() ? 'rgba(75, 85, 99, 0.4)' : 'rgba(229, 231, 235, 0.8)';
+  const textColor = isDarkTheme() ? '#9CA3AF' : '#6B7280';
+
+  const data = {
+    labels: result.purchases.map(purchase => new Date(purchase.date).toLocaleDateString()),
+    datasets: [
+      {
+        label: 'Value',
+        data: result.purchases.map(purchase => purchase.value),
+        borderColor: '#3B82F6',
+        backgroundColor: 'rgba(59, 130, 246, 0.1)',
+        fill: true,
+        tension: 0.3,
+        pointRadius: result.purchases.length > 60 ? 0 : 2
+      },
+      {
+        label: 'Invested',
+        data: result.purchases.map(purchase => purchase.invested),
+        borderColor: '#9CA3AF',
+        borderDash: [4, 4],
+        stepped: true,
+        pointRadius: 0
+      }
+    ]
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: { labels: { color: textColor } },
+      tooltip: {
+        callbacks: {
+          label: (context) => `${context.dataset.label}: ${formatValue(context.parsed.y)}`
+        }
+      }
+    },
+    scales: {
+      x: {
+        grid: { display: false },
+        ticks: { color: textColor, maxTicksLimit: 8 }
+      },
+      y: {
+        grid: { color: gridColor },
+        ticks: { color: textColor }
+      }
+    }
+  };
+
+  const cards = [
+    {
+      label: 'Invested',
+      value: formatValue(result.totalInvested),
+      hint: `${result.purchases.length} purchases of ${formatValue(result.amount)}`
+    },
+    {
+      label: 'Final Value',
+      value: formatValue(result.finalValue),
+      hint: `${result.totalUnits.toLocaleString(undefined, { maximumFractionDigits: 8 })} coins at ${formatValue(result.finalPrice)}`
+    },
+    {
+      label: 'DCA Return',
+      value: formatReturn(result.profitLossPercentage),
+      hint: `Average cost ${formatValue(result.averageCost)}`,
+      positive: result.profitLoss >= 0
+    },
+    {
+      label: 'Lump Sum Return',
+      value: formatReturn(result.lumpSum.profitLossPercentage),
+      hint: `Everything on ${new Date(result.purchases[0].date).toLocaleDateString()}: ${formatValue(result.lumpSum.finalValue)}`,
+      positive: result.lumpSum.profitLoss >= 0
+    }
+  ];
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-6">
+        {cards.map(card => (
+          <div key={card.label} className="p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+            <p className="text-sm text-gray-600 dark:text-gray-300">{card.label}</p>
+            <p className={`text-2xl font-bold ${card.positive === undefined
+              ? 'text-gray-900 dark:text-white'
+              : card.positive
+                ? 'text-green-600 dark:text-green-400'
+                : 'text-red-600 dark:text-red-400'
+              }`}>
+              {card.value}
+            </p>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{card.hint}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="h-72">
+        <Line data={data} options={options} />
+      </div>
+    </div>
+  );
+};
+
+export default BacktestResult;
\ No newline at end of file
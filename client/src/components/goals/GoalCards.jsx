@@ -0,0 +1,277 @@
+import React, { useState } from 'react';
+import { Target, Plus, Trash2, CheckCircle, AlertTriangle } from 'lucide-react';
+import { usePortfolios } from '../../context/PortfolioContext';
+import { goalService } from '../../services/goalService';
+import Modal from '../ui/Modal';
+import { formatCurrency, formatPercentage } from '../../utils/helpers';
+import toast from 'react-hot-toast';
+
+const getEmptyGoal = () => ({
+  name: '',
+  type: 'value',
+  targetValue: '',
+  coinId: '',
+  portfolioId: '',
+  targetDate: ''
+});
+
+// Goals are stored in the currency they were created with
+const formatGoalValue = (value, goal) => formatCurrency(value, goal.currency.toUpperCase());
+const formatUnits = (value, goal) => `${value.toLocaleString(undefined, { maximumFractionDigits: 8 })} ${goal.symbol}`;
+const formatTarget = (value, goal) => (goal.type === 'amount' ? formatUnits(value, goal) : formatGoalValue(value, goal));
+
+const GoalCard = ({ goal, portfolioName, onDelete }) => {
+  const { progress } = goal;
+
+  return (
+    <div className="crypto-card p-6">
+      <div className="flex items-start justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+            {goal.name}
+          </h3>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {portfolioName}
+            {goal.targetDate && ` · by ${new Date(goal.targetDate).toLocaleDateString()}`}
+          </p>
+        </div>
+        <button
+          onClick={() => onDelete(goal)}
+          className="p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+          aria-label="Delete goal"
+        >
+          <Trash2 className="h-4 w-4" />
+        </button>
+      </div>
+
+      <div className="flex items-baseline justify-between mb-2">
+        <span className="text-2xl font-bold text-gray-900 dark:text-white">
+          {formatPercentage(progress.percentage, 0)}
+        </span>
+        <span className="text-sm text-gray-500 dark:text-gray-400">
+          {formatTarget(progress.current, goal)} of {formatTarget(progress.target, goal)}
+        </span>
+      </div>
+      <div className="w-full h-2 bg-gray-200 dark:bg-gray-700 rounded-full mb-4">
+        <div
+          className={`h-2 rounded-full ${progress.status === 'achieved' ? 'bg-green-500' : 'bg-primary-600'}`}
+          style={{ width: `${progress.percentage}%` }}
+        />
+      </div>
+
+      {progress.status === 'achieved' ? (
+        <p className="flex items-center text-sm text-green-600 dark:text-green-400">
+          <CheckCircle className="h-4 w-4 mr-1" />
+          Goal reached
+        </p>
+      ) : progress.status === 'overdue' ? (
+        <p className="flex items-center text-sm text-yellow-600 dark:text-yellow-400">
+          <AlertTriangle className="h-4 w-4 mr-1" />
+          Target date passed, {formatTarget(progress.remaining, goal)} to go
+        </p>
+      ) : progress.requiredMonthly !== null || progress.requiredMonthlyAmount !== null ? (
+        <p className="text-sm text-gray-600 dark:text-gray-300">
+          Add{' '}
+          <span className="font-medium text-gray-900 dark:text-white">
+            {progress.requiredMonthlyAmount !== null
+              ? formatUnits(progress.requiredMonthlyAmount, goal)
+              : formatGoalValue(progress.requiredMonthly, goal)}
+          </span>
+          {progress.requiredMonthlyAmount !== null && progress.requiredMonthly !== null && (
+            <> (~{formatGoalValue(progress.requiredMonthly, goal)})</>
+          )}
+          {' '}a month to get there at today's prices
+        </p>
+      ) : (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          {formatTarget(progress.remaining, goal)} to go. Set a target date to see the monthly contribution.
+        </p>
+      )}
+    </div>
+  );
+};
+
+const GoalCards = ({ goals, onGoalsChange }) => {
+  const { portfolios } = usePortfolios();
+  const [showModal, setShowModal] = useState(false);
+  const [form, setForm] = useState(getEmptyGoal);
+  const [saving, setSaving] = useState(false);
+
+  const portfolioName = (portfolioId) => {
+    if (!portfolioId) return 'All portfolios';
+    return portfolios.find(p => p._id === portfolioId)?.name || 'Portfolio';
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      await goalService.createGoal({
+        name: form.name,
+        type: form.type,
+        targetValue: form.targetValue,
+        coinId: form.type === 'amount' ? form.coinId.trim().toLowerCase() : undefined,
+        portfolioId: form.portfolioId || undefined,
+        targetDate: form.targetDate || undefined
+      });
+      toast.success('Goal created');
+      setShowModal(false);
+      setForm(getEmptyGoal());
+      await onGoalsChange();
+    } catch (error) {
+      console.error('Failed to create goal:', error);
+      toast.error(error.message || 'Failed to create goal');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (goal) => {
+    if (!window.confirm(`Delete the goal "${goal.name}"?`)) return;
+
+    try {
+      await goalService.deleteGoal(goal._id);
+      toast.success('Goal deleted');
+      await onGoalsChange();
+    } catch (error) {
+      console.error('Failed to delete goal:', error);
+      toast.error(error.message || 'Failed to delete goal');
+    }
+  };
+
+  const inputClass = 'premium-input bg-white dark:bg-gray-700 w-full';
+  const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2';
+
+  return (
+    <div className="mb-8">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="section-header">
+          Goals
+        </h2>
+        <button
+          onClick={() => setShowModal(true)}
+          className="flex items-center text-sm text-primary-600 hover:text-primary-700"
+        >
+          <Plus className="h-4 w-4 mr-1" />
+          Add goal
+        </button>
+      </div>
+
+      {goals.length === 0 ? (
+        <div className="crypto-card p-8 text-center">
+          <Target className="h-12 w-12 text-gray-400 mx-auto mb-3" />
+          <p className="text-gray-600 dark:text-gray-300">
+            Set a goal like "portfolio reaches $50k by 2027" or "accumulate 1 BTC" to track your progress here.
+          </p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {goals.map(goal => (
+            <GoalCard
+              key={goal._id}
+              goal={goal}
+              portfolioName={portfolioName(goal.portfolioId)}
+              onDelete={handleDelete}
+            />
+          ))}
+        </div>
+      )}
+
+      <Modal isOpen={showModal} onClose={() => setShowModal(false)} title="New Goal" size="sm">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className={labelClass}>Name</label>
+            <input
+              type="text"
+              name="name"
+              value={form.name}
+              onChange={handleChange}
+              placeholder="Retirement fund"
+              maxLength={100}
+              required
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Goal</label>
+            <select name="type" value={form.type} onChange={handleChange} className={inputClass}>
+              <option value="value">Portfolio reaches a value</option>
+              <option value="amount">Accumulate an amount of a coin</option>
+            </select>
+          </div>
+          {form.type === 'amount' && (
+            <div>
+              <label className={labelClass}>Coin (CoinGecko ID)</label>
+              <input
+                type="text"
+                name="coinId"
+                value={form.coinId}
+                onChange={handleChange}
+                placeholder="bitcoin"
+                required
+                className={inputClass}
+              />
+            </div>
+          )}
+          <div>
+            <label className={labelClass}>
+              {form.type === 'amount' ? 'Target amount (coins)' : 'Target value'}
+            </label>
+            <input
+              type="number"
+              name="targetValue"
+              value={form.targetValue}
+              onChange={handleChange}
+              step="any"
+              min="0"
+              required
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Target date (optional)</label>
+            <input
+              type="date"
+              name="targetDate"
+              value={form.targetDate}
+              min={new Date().toISOString().split('T')[0]}
+              onChange={handleChange}
+              className={inputClass}
+            />
+          </div>
+          {portfolios.length > 1 && (
+            <div>
+              <label className={labelClass}>Track</label>
+              <select name="portfolioId" value={form.portfolioId} onChange={handleChange} className={inputClass}>
+                <option value="">All portfolios</option>
+                {portfolios.map(portfolio => (
+                  <option key={portfolio._id} value={portfolio._id}>{portfolio.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div className="flex justify-end space-x-2">
+            <button
+              type="button"
+              onClick={() => setShowModal(false)}
+              className="px-4 py-2 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg"
+            >
+              Cancel
+            </button>
+            <button type="submit" disabled={saving} className="btn-primary disabled:opacity-50">
+              {saving ? 'Saving...' : 'Create Goal'}
+            </button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+export default GoalCards;
\ No newline at end of file
@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import { useTheme } from '../../context/ThemeContext';
+import { usePortfolios, ALL_PORTFOLIOS } from '../../context/PortfolioContext';
 import { 
   TrendingUp, 
   Sun, 
@@ -11,17 +12,68 @@ import {
   Settings,
   ChevronDown,
   Menu,
-  X
+  X,
+  Briefcase,
+  Layers,
+  Check,
+  Plus,
+  Edit2,
+  Star,
+  Trash2
 } from 'lucide-react';
 
 const Header = () => {
   const [isProfileMenuOpen, setIsProfileMenuOpen] = useState(false);
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
+  const [isPortfolioMenuOpen, setIsPortfolioMenuOpen] = useState(false);
   
   const { user, isAuthenticated, logout } = useAuth();
   const { isDarkTheme, toggleTheme } = useTheme();
+  const {
+    portfolios,
+    activePortfolioId,
+    activePortfolio,
+    setActivePortfolioId,
+    createPortfolio,
+    updatePortfolio,
+    deletePortfolio
+  } = usePortfolios();
   const navigate = useNavigate();
 
+  const selectPortfolio = (portfolioId) => {
+    setActivePortfolioId(portfolioId);
+    setIsPortfolioMenuOpen(false);
+  };
+
+  const handleCreatePortfolio = async () => {
+    setIsPortfolioMenuOpen(false);
+    const name = window.prompt('Name for the new portfolio');
+    if (name && name.trim()) {
+      await createPortfolio({ name: name.trim() });
+    }
+  };
+
+  const handleRenamePortfolio = async () => {
+    setIsPortfolioMenuOpen(false);
+    const name = window.prompt('Rename portfolio', activePortfolio.name);
+    if (name && name.trim() && name.trim() !== activePortfolio.name) {
+      await updatePortfolio(activePortfolio._id, { name: name.trim() });
+    }
+  };
+
+  const handleMakeDefault = async () => {
+    setIsPortfolioMenuOpen(false);
+    await updatePortfolio(activePortfolio._id, { isDefault: true });
+  };
+
+  const handleDeletePortfolio = async () => {
+    setIsPortfolioMenuOpen(false);
+    if (!window.confirm(`Delete "${activePortfolio.name}"? Its transactions will be moved to your default portfolio.`)) {
+      return;
+    }
+    await deletePortfolio(activePortfolio._id);
+  };
+
   const handleLogout = async () => {
     await logout();
     navigate('/');
@@ -57,6 +109,90 @@ const Header = () => {
 
           {/* Right side actions */}
           <div className="flex items-center space-x-2">
+            {/* Portfolio Switcher */}
+            {isAuthenticated && (
+              <div className="relative">
+                <button
+                  onClick={() => setIsPortfolioMenuOpen(!isPortfolioMenuOpen)}
+                  className="flex items-center space-x-2 p-2 text-gray-500 dark:text-gray-300 hover:text-primary-600 dark:hover:text-primary-400 hover:bg-primary-50 dark:hover:bg-gray-700 rounded-lg transition-all duration-200"
+                >
+                  {activePortfolio ? <Briefcase className="h-5 w-5" /> : <Layers className="h-5 w-5" />}
+                  <span className="hidden sm:block text-sm font-medium max-w-[10rem] truncate">
+                    {activePortfolio ? activePortfolio.name : 'All portfolios'}
+                  </span>
+                  <ChevronDown className="h-4 w-4" />
+                </button>
+
+                {isPortfolioMenuOpen && (
+                  <div className="absolute right-0 mt-2 w-64 bg-white dark:bg-gray-800 rounded-xl shadow-xl border border-gray-200 dark:border-gray-700 z-50 overflow-hidden">
+                    <div className="py-2">
+                      <button
+                        onClick={() => selectPortfolio(ALL_PORTFOLIOS)}
+                        className="flex items-center w-full px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                      >
+                        <Layers className="h-4 w-4 mr-3" />
+                        <span className="flex-1 text-left">All portfolios</span>
+                        {activePortfolioId === ALL_PORTFOLIOS && <Check className="h-4 w-4 text-primary-600" />}
+                      </button>
+                      {portfolios.map(portfolio => (
+                        <button
+                          key={portfolio._id}
+                          onClick={() => selectPortfolio(portfolio._id)}
+                          className="flex items-center w-full px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                        >
+                          <Briefcase className="h-4 w-4 mr-3" />
+                          <span className="flex-1 text-left truncate">
+                            {portfolio.name}
+                            {portfolio.isDefault && (
+                              <span className="ml-2 text-xs text-gray-400">default</span>
+                            )}
+                          </span>
+                          {activePortfolioId === portfolio._id && <Check className="h-4 w-4 text-primary-600" />}
+                        </button>
+                      ))}
+                      <div className="border-t border-gray-200 dark:border-gray-700 my-2"></div>
+                      <button
+                        onClick={handleCreatePortfolio}
+                        className="flex items-center w-full px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                      >
+                        <Plus className="h-4 w-4 mr-3" />
+                        New portfolio
+                      </button>
+                      {activePortfolio && (
+                        <>
+                          <button
+                            onClick={handleRenamePortfolio}
+                            className="flex items-center w-full px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                          >
+                            <Edit2 className="h-4 w-4 mr-3" />
+                            Rename "{activePortfolio.name}"
+                          </button>
+                          {!activePortfolio.isDefault && (
+                            <>
+                              <button
+                                onClick={handleMakeDefault}
+                                className="flex items-center w-full px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                              >
+                                <Star className="h-4 w-4 mr-3" />
+                                Make default
+                              </button>
+                              <button
+                                onClick={handleDeletePortfolio}
+                                className="flex items-center w-full px-4 py-2 text-sm text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors"
+                              >
+                                <Trash2 className="h-4 w-4 mr-3" />
+                                Delete portfolio
+                              </button>
+                            </>
+                          )}
+                        </>
+                      )}
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
             {/* Theme Toggle */}
             <button
               onClick={toggleTheme}
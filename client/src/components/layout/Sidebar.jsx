@@ -6,7 +6,8 @@ import {
   Wallet, 
   Star, 
   Settings,
-  BarChart3
+  BarChart3,
+  Repeat
 } from 'lucide-react';
 
 const Sidebar = () => {
@@ -43,6 +44,12 @@ const Sidebar = () => {
       icon: BarChart3,
       current: location.pathname === '/analytics',
     },
+    {
+      name: 'Recurring Buys',
+      href: '/dca',
+      icon: Repeat,
+      current: location.pathname === '/dca',
+    },
     {
       name: 'Settings',
       href: '/settings',
@@ -3,16 +3,45 @@ import { X, Plus, Search } from 'lucide-react';
 import { formatCurrency } from '../../utils/helpers';
 import LoadingSpinner from '../ui/LoadingSpinner';
 
-const AddHoldingModal = ({ isOpen, onClose, onSubmit, coins = [] }) => {
-  const [formData, setFormData] = useState({
-    coinId: '',
-    coinName: '',
-    symbol: '',
-    amount: '',
-    buyPrice: '',
-    purchaseDate: new Date().toISOString().split('T')[0],
-    notes: ''
-  });
+const TRANSACTION_TYPES = [
+  { value: 'buy', label: 'Buy', priceLabel: 'Buy Price (USD)' },
+  { value: 'sell', label: 'Sell', priceLabel: 'Sell Price (USD)' },
+  { value: 'transfer_in', label: 'Transfer In', priceLabel: 'Cost Basis per Coin (USD)' },
+  { value: 'transfer_out', label: 'Transfer Out', priceLabel: null },
+  // Left blank, income is valued at the coin's market price on the date received
+  { value: 'income', label: 'Income', priceLabel: 'Fair Market Value per Coin (USD)', optionalPrice: true },
+  // Moves coins between the user's locations; needs at least one location
+  { value: 'move', label: 'Move', priceLabel: null, needsLocations: true }
+];
+
+const INCOME_TYPES = [
+  { value: 'staking', label: 'Staking' },
+  { value: 'airdrop', label: 'Airdrop' },
+  { value: 'interest', label: 'Interest' },
+  { value: 'mining', label: 'Mining' }
+];
+
+const getEmptyForm = (initialValues = {}) => ({
+  type: 'buy',
+  coinId: '',
+  coinName: '',
+  symbol: '',
+  amount: '',
+  price: '',
+  date: new Date().toISOString().split('T')[0],
+  notes: '',
+  incomeType: 'staking',
+  fee: '',
+  feeCurrency: 'usd',
+  customFeeCurrency: '',
+  portfolioId: '',
+  locationId: '',
+  toLocationId: '',
+  ...initialValues
+});
+
+const AddHoldingModal = ({ isOpen, onClose, onSubmit, coins = [], portfolios = [], locations = [], initialValues }) => {
+  const [formData, setFormData] = useState(() => getEmptyForm(initialValues));
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [errors, setErrors] = useState({});
   const [searchTerm, setSearchTerm] = useState('');
@@ -52,7 +81,8 @@ const AddHoldingModal = ({ isOpen, onClose, onSubmit, coins = [] }) => {
       coinId: coin.id,
       coinName: coin.name,
       symbol: coin.symbol,
-      buyPrice: currentPrice.toString()
+      // Today's price would be the wrong value for income received earlier
+      price: prev.type === 'income' ? '' : currentPrice.toString()
     }));
     setSearchTerm('');
     setShowDropdown(false);
@@ -79,10 +109,19 @@ const AddHoldingModal = ({ isOpen, onClose, onSubmit, coins = [] }) => {
     if (!formData.amount || parseFloat(formData.amount) <= 0) {
       newErrors.amount = 'Amount must be greater than 0';
     }
-    if (!formData.buyPrice || isNaN(parseFloat(formData.buyPrice)) || parseFloat(formData.buyPrice) < 0) {
-      newErrors.buyPrice = 'Buy price must be 0 or greater';
+    if (typeConfig.priceLabel && !(typeConfig.optionalPrice && formData.price === '') && (formData.price === '' || isNaN(parseFloat(formData.price)) || parseFloat(formData.price) < 0)) {
+      newErrors.price = 'Price must be 0 or greater';
+    }
+    if (!formData.date) newErrors.date = 'Date is required';
+    if (formData.type === 'move' && formData.locationId === formData.toLocationId) {
+      newErrors.toLocationId = 'Choose a different location to move to';
+    }
+    if (formData.fee !== '' && (isNaN(parseFloat(formData.fee)) || parseFloat(formData.fee) < 0)) {
+      newErrors.fee = 'Fee must be 0 or greater';
+    }
+    if (formData.fee && formData.feeCurrency === 'other' && !formData.customFeeCurrency.trim()) {
+      newErrors.fee = 'Enter the CoinGecko ID of the fee coin';
     }
-    if (!formData.purchaseDate) newErrors.purchaseDate = 'Purchase date is required';
 
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -95,24 +134,31 @@ const AddHoldingModal = ({ isOpen, onClose, onSubmit, coins = [] }) => {
 
     setIsSubmitting(true);
     try {
-      await onSubmit(formData);
-      setFormData({
-        coinId: '',
-        coinName: '',
-        symbol: '',
-        amount: '',
-        buyPrice: '',
-        purchaseDate: new Date().toISOString().split('T')[0],
-        notes: ''
+      const { customFeeCurrency, incomeType, ...transaction } = formData;
+      await onSubmit({
+        ...transaction,
+        // Left unset, the server files the transaction under the default portfolio
+        portfolioId: transaction.portfolioId || undefined,
+        price: typeConfig.priceLabel ? (formData.price === '' ? undefined : formData.price) : 0,
+        incomeType: formData.type === 'income' ? incomeType : undefined,
+        locationId: formData.locationId || null,
+        toLocationId: formData.type === 'move' ? formData.toLocationId || null : undefined,
+        fee: formData.fee || 0,
+        feeCurrency: formData.feeCurrency === 'other'
+          ? customFeeCurrency.trim().toLowerCase()
+          : formData.feeCurrency
       });
+      setFormData(getEmptyForm());
       onClose();
     } catch (error) {
-      console.error('Failed to add holding:', error);
+      console.error('Failed to record transaction:', error);
     } finally {
       setIsSubmitting(false);
     }
   };
 
+  const typeConfig = TRANSACTION_TYPES.find(t => t.value === formData.type) || TRANSACTION_TYPES[0];
+
   // Define selectedCoin using useMemo for better performance
   const selectedCoin = useMemo(() => {
     return coins.find(coin => coin.id === formData.coinId);
@@ -123,17 +169,17 @@ const AddHoldingModal = ({ isOpen, onClose, onSubmit, coins = [] }) => {
     return selectedCoin ? formatCurrency(selectedCoin.current_price) : '';
   }, [selectedCoin]);
 
-  // Memoize the total investment calculation
-  const totalInvestment = useMemo(() => {
-    if (formData.amount && formData.buyPrice) {
+  // Memoize the transaction total calculation
+  const transactionTotal = useMemo(() => {
+    if (formData.amount && formData.price) {
       const amount = parseFloat(formData.amount);
-      const buyPrice = parseFloat(formData.buyPrice);
-      if (!isNaN(amount) && !isNaN(buyPrice)) {
-        return formatCurrency(amount * buyPrice);
+      const price = parseFloat(formData.price);
+      if (!isNaN(amount) && !isNaN(price)) {
+        return formatCurrency(amount * price);
       }
     }
     return '';
-  }, [formData.amount, formData.buyPrice]);
+  }, [formData.amount, formData.price]);
 
   if (!isOpen) return null;
 
@@ -146,7 +192,7 @@ const AddHoldingModal = ({ isOpen, onClose, onSubmit, coins = [] }) => {
           {/* Header */}
           <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700">
             <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
-              Add New Holding
+              Record Transaction
             </h3>
             <button
               onClick={onClose}
@@ -158,6 +204,117 @@ const AddHoldingModal = ({ isOpen, onClose, onSubmit, coins = [] }) => {
           
           {/* Form */}
           <form onSubmit={handleSubmit} className="p-6 space-y-4">
+            {/* Transaction Type */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Type
+              </label>
+              <div className="grid grid-cols-3 gap-2">
+                {TRANSACTION_TYPES.filter(type => !type.needsLocations || locations.length > 0).map(type => (
+                  <button
+                    key={type.value}
+                    type="button"
+                    onClick={() => setFormData(prev => ({
+                      ...prev,
+                      type: type.value,
+                      price: type.value === 'income' && prev.type !== 'income' ? '' : prev.price
+                    }))}
+                    className={`px-2 py-2 text-sm rounded-lg border transition-colors ${formData.type === type.value
+                      ? 'bg-primary-600 border-primary-600 text-white'
+                      : 'border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+                      }`}
+                  >
+                    {type.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {/* Income Type */}
+            {formData.type === 'income' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Income Type
+                </label>
+                <select
+                  name="incomeType"
+                  value={formData.incomeType}
+                  onChange={handleChange}
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+                >
+                  {INCOME_TYPES.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {/* Location */}
+            {locations.length > 0 && (
+              <div className={formData.type === 'move' ? 'grid grid-cols-2 gap-2' : ''}>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    {formData.type === 'move' ? 'From' : 'Location'}
+                  </label>
+                  <select
+                    name="locationId"
+                    value={formData.locationId}
+                    onChange={handleChange}
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  >
+                    <option value="">Unassigned</option>
+                    {locations.map(location => (
+                      <option key={location._id} value={location._id}>{location.name}</option>
+                    ))}
+                  </select>
+                </div>
+                {formData.type === 'move' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                      To
+                    </label>
+                    <select
+                      name="toLocationId"
+                      value={formData.toLocationId}
+                      onChange={handleChange}
+                      className={`w-full px-3 py-2 border rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white ${
+                        errors.toLocationId ? 'border-red-300' : 'border-gray-300 dark:border-gray-600'
+                      } focus:outline-none focus:ring-2 focus:ring-primary-500`}
+                    >
+                      <option value="">Unassigned</option>
+                      {locations.map(location => (
+                        <option key={location._id} value={location._id}>{location.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                {errors.toLocationId && (
+                  <p className="mt-1 text-sm text-red-600 col-span-2">{errors.toLocationId}</p>
+                )}
+              </div>
+            )}
+
+            {/* Portfolio */}
+            {portfolios.length > 1 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Portfolio
+                </label>
+                <select
+                  name="portfolioId"
+                  value={formData.portfolioId}
+                  onChange={handleChange}
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+                >
+                  {portfolios.map(portfolio => (
+                    <option key={portfolio._id} value={portfolio._id}>
+                      {portfolio.name}{portfolio.isDefault ? ' (default)' : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             {/* Coin Selection */}
             <div className="relative" ref={dropdownRef}>
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
@@ -166,7 +323,9 @@ const AddHoldingModal = ({ isOpen, onClose, onSubmit, coins = [] }) => {
               <div className="relative">
                 <input
                   type="text"
-                  value={searchTerm || (selectedCoin ? `${selectedCoin.name} (${selectedCoin.symbol.toUpperCase()})` : '')}
+                  value={searchTerm || (selectedCoin
+                    ? `${selectedCoin.name} (${selectedCoin.symbol.toUpperCase()})`
+                    : formData.coinName ? `${formData.coinName} (${formData.symbol.toUpperCase()})` : '')}
                   onChange={handleSearchChange}
                   onFocus={() => searchTerm && setShowDropdown(true)}
                   placeholder="Search for a cryptocurrency..."
@@ -245,44 +404,93 @@ const AddHoldingModal = ({ isOpen, onClose, onSubmit, coins = [] }) => {
               )}
             </div>
 
-            {/* Buy Price */}
+            {/* Price */}
+            {typeConfig.priceLabel && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  {typeConfig.priceLabel}
+                </label>
+                <input
+                  type="number"
+                  name="price"
+                  value={formData.price}
+                  onChange={handleChange}
+                  step="any"
+                  min="0"
+                  placeholder={typeConfig.optionalPrice ? 'Market price on the date' : '0.00'}
+                  className={`w-full px-3 py-2 border rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white ${
+                    errors.price ? 'border-red-300' : 'border-gray-300 dark:border-gray-600'
+                  } focus:outline-none focus:ring-2 focus:ring-primary-500`}
+                />
+                {errors.price && (
+                  <p className="mt-1 text-sm text-red-600">{errors.price}</p>
+                )}
+              </div>
+            )}
+
+            {/* Date */}
             <div>
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                Buy Price (USD)
+                Date
               </label>
               <input
-                type="number"
-                name="buyPrice"
-                value={formData.buyPrice}
+                type="date"
+                name="date"
+                value={formData.date}
                 onChange={handleChange}
-                step="any"
-                min="0"
-                placeholder="0.00"
                 className={`w-full px-3 py-2 border rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white ${
-                  errors.buyPrice ? 'border-red-300' : 'border-gray-300 dark:border-gray-600'
+                  errors.date ? 'border-red-300' : 'border-gray-300 dark:border-gray-600'
                 } focus:outline-none focus:ring-2 focus:ring-primary-500`}
               />
-              {errors.buyPrice && (
-                <p className="mt-1 text-sm text-red-600">{errors.buyPrice}</p>
+              {errors.date && (
+                <p className="mt-1 text-sm text-red-600">{errors.date}</p>
               )}
             </div>
 
-            {/* Purchase Date */}
+            {/* Fee */}
             <div>
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                Purchase Date
+                Fee / Gas (Optional)
               </label>
-              <input
-                type="date"
-                name="purchaseDate"
-                value={formData.purchaseDate}
-                onChange={handleChange}
-                className={`w-full px-3 py-2 border rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white ${
-                  errors.purchaseDate ? 'border-red-300' : 'border-gray-300 dark:border-gray-600'
-                } focus:outline-none focus:ring-2 focus:ring-primary-500`}
-              />
-              {errors.purchaseDate && (
-                <p className="mt-1 text-sm text-red-600">{errors.purchaseDate}</p>
+              <div className="flex space-x-2">
+                <input
+                  type="number"
+                  name="fee"
+                  value={formData.fee}
+                  onChange={handleChange}
+                  step="any"
+                  min="0"
+                  placeholder="0.00"
+                  className={`flex-1 px-3 py-2 border rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white ${
+                    errors.fee ? 'border-red-300' : 'border-gray-300 dark:border-gray-600'
+                  } focus:outline-none focus:ring-2 focus:ring-primary-500`}
+                />
+                <select
+                  name="feeCurrency"
+                  value={formData.feeCurrency}
+                  onChange={handleChange}
+                  className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+                >
+                  <option value="usd">USD</option>
+                  {formData.coinId && formData.coinId !== 'ethereum' && (
+                    <option value={formData.coinId}>{formData.symbol.toUpperCase()}</option>
+                  )}
+                  <option value="ethereum">ETH (gas)</option>
+                  <option value="other">Other coin...</option>
+                </select>
+              </div>
+              {formData.feeCurrency === 'other' && (
+                <input
+                  type="text"
+                  name="customFeeCurrency"
+                  value={formData.customFeeCurrency}
+                  onChange={handleChange}
+                  placeholder="CoinGecko coin ID, e.g. binancecoin"
+                  className="mt-2 w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
+              )}
+              {errors.fee && (
+                <p className="mt-1 text-sm text-red-600">{errors.fee}</p>
               )}
             </div>
 
@@ -301,13 +509,15 @@ const AddHoldingModal = ({ isOpen, onClose, onSubmit, coins = [] }) => {
               />
             </div>
 
-            {/* Total Investment Display */}
-            {formData.amount && formData.buyPrice && totalInvestment && (
+            {/* Transaction Total Display */}
+            {typeConfig.priceLabel && formData.amount && formData.price && transactionTotal && (
               <div className="bg-primary-50 dark:bg-primary-900/20 p-3 rounded-lg">
                 <div className="flex items-center justify-between">
-                  <span className="text-sm text-primary-700 dark:text-primary-300">Total Investment:</span>
+                  <span className="text-sm text-primary-700 dark:text-primary-300">
+                    {formData.type === 'sell' ? 'Total Proceeds:' : formData.type === 'income' ? 'Total Income:' : 'Total Cost:'}
+                  </span>
                   <span className="font-medium text-primary-900 dark:text-primary-100">
-                    {totalInvestment}
+                    {transactionTotal}
                   </span>
                 </div>
               </div>
@@ -332,7 +542,7 @@ const AddHoldingModal = ({ isOpen, onClose, onSubmit, coins = [] }) => {
                 ) : (
                   <>
                     <Plus className="h-4 w-4 mr-2" />
-                    Add Holding
+                    Record {typeConfig.label}
                   </>
                 )}
               </button>
@@ -0,0 +1,377 @@
+import React, { useState } from 'react';
+import { Upload, FileText, AlertTriangle, CheckCircle, Columns } from 'lucide-react';
+import Modal from '../ui/Modal';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import { portfolioService } from '../../services/portfolioService';
+import toast from 'react-hot-toast';
+
+const FORMATS = [
+  { value: 'auto', label: 'Detect automatically' },
+  { value: 'binance', label: 'Binance trade history' },
+  { value: 'coinbase', label: 'Coinbase transaction report' },
+  { value: 'kraken', label: 'Kraken trades' },
+  { value: 'generic', label: 'Other (map columns)' }
+];
+
+// Columns the generic format reads, in the order they are offered for mapping
+const FIELDS = [
+  { value: 'date', label: 'Date', required: true },
+  { value: 'type', label: 'Type (buy, sell, deposit...)', required: true },
+  { value: 'symbol', label: 'Asset symbol', required: true },
+  { value: 'amount', label: 'Amount', required: true },
+  { value: 'price', label: 'Price per unit' },
+  { value: 'quote', label: 'Price currency' },
+  { value: 'fee', label: 'Fee' },
+  { value: 'feeSymbol', label: 'Fee currency' },
+  { value: 'notes', label: 'Notes' },
+  { value: 'id', label: 'Transaction ID' }
+];
+
+const STATUS_STYLES = {
+  ready: 'bg-green-100 text-green-800 dark:bg-green-900/20 dark:text-green-400',
+  duplicate: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300',
+  skipped: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300',
+  error: 'bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-400'
+};
+
+const selectClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+// Imports an exchange CSV export in three steps: pick the file, map its
+// columns when the format is not recognised, then review a dry run before
+// recording anything. Prices are shown in the user's base currency.
+const ImportWizard = ({ isOpen, onClose, onImported, portfolios = [], locations = [], defaultPortfolioId }) => {
+  const [step, setStep] = useState('upload');
+  const [file, setFile] = useState(null);
+  const [settings, setSettings] = useState({ format: 'auto', portfolioId: defaultPortfolioId || '', locationId: '' });
+  const [headers, setHeaders] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [symbolMap, setSymbolMap] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleFile = (e) => {
+    const selected = e.target.files[0];
+    if (!selected) return;
+
+    const reader = new FileReader();
+    reader.onload = () => setFile({ name: selected.name, text: reader.result });
+    reader.onerror = () => toast.error('Could not read that file');
+    reader.readAsText(selected);
+  };
+
+  const buildRequest = (overrides = {}) => {
+    const format = overrides.format || settings.format;
+    return {
+      csv: file.text,
+      format,
+      mapping: format === 'generic' && Object.keys(mapping).length > 0 ? mapping : undefined,
+      symbolMap,
+      portfolioId: settings.portfolioId || undefined,
+      locationId: settings.locationId || null,
+      dryRun: true,
+      ...overrides
+    };
+  };
+
+  const runPreview = async (overrides) => {
+    try {
+      setLoading(true);
+      const response = await portfolioService.importTransactions(buildRequest(overrides));
+      const { data } = response;
+
+      if (data.needsMapping) {
+        setHeaders(data.headers);
+        setMapping(data.mapping || {});
+        setSettings(prev => ({ ...prev, format: 'generic' }));
+        setStep('map');
+        return;
+      }
+
+      setHeaders(data.headers);
+      if (data.mapping) setMapping(data.mapping);
+      setPreview(data);
+      setStep('preview');
+    } catch (error) {
+      console.error('Failed to preview import:', error);
+      toast.error(error.message || 'Failed to read the file');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      setLoading(true);
+      const response = await portfolioService.importTransactions(buildRequest({ format: preview.format, dryRun: false }));
+      toast.success(response.message);
+      await onImported();
+      onClose();
+    } catch (error) {
+      console.error('Failed to import transactions:', error);
+      toast.error(error.message || 'Failed to import transactions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const mappingComplete = FIELDS.filter(field => field.required).every(field => mapping[field.value]);
+
+  const formatPrice = (value) => {
+    return value === undefined ? '—' : value.toLocaleString(undefined, { maximumFractionDigits: 6 });
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Import Transactions" size="xl">
+      {step === 'upload' && (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            Upload a trade history export. Nothing is recorded until you have reviewed a preview of every row.
+          </p>
+
+          <label className="flex flex-col items-center justify-center p-8 border-2 border-dashed border-gray-300 dark:border-gray-600 rounded-lg cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors">
+            {file ? (
+              <FileText className="h-10 w-10 text-primary-600 dark:text-primary-400 mb-2" />
+            ) : (
+              <Upload className="h-10 w-10 text-gray-400 mb-2" />
+            )}
+            <span className="text-sm text-gray-700 dark:text-gray-300">
+              {file ? file.name : 'Choose a CSV file'}
+            </span>
+            <input type="file" accept=".csv,text/csv" onChange={handleFile} className="hidden" />
+          </label>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Format
+              </label>
+              <select
+                value={settings.format}
+                onChange={(e) => setSettings(prev => ({ ...prev, format: e.target.value }))}
+                className={selectClass}
+              >
+                {FORMATS.map(format => (
+                  <option key={format.value} value={format.value}>{format.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Portfolio
+              </label>
+              <select
+                value={settings.portfolioId}
+                onChange={(e) => setSettings(prev => ({ ...prev, portfolioId: e.target.value }))}
+                className={selectClass}
+              >
+                {portfolios.map(portfolio => (
+                  <option key={portfolio._id} value={portfolio._id}>{portfolio.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Location
+              </label>
+              <select
+                value={settings.locationId}
+                onChange={(e) => setSettings(prev => ({ ...prev, locationId: e.target.value }))}
+                className={selectClass}
+              >
+                <option value="">Unassigned</option>
+                {locations.map(location => (
+                  <option key={location._id} value={location._id}>{location.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="flex justify-end">
+            <button
+              onClick={() => runPreview()}
+              disabled={!file || loading}
+              className="flex items-center btn-primary disabled:opacity-50"
+            >
+              {loading ? <LoadingSpinner size="small" className="text-white" /> : 'Continue'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {step === 'map' && (
+        <div className="space-y-4">
+          <div className="flex items-start space-x-3 p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+            <Columns className="h-5 w-5 text-primary-600 dark:text-primary-400 mt-0.5" />
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              Tell us which column holds each field. Rows without a price are valued at the market price on their date.
+            </p>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {FIELDS.map(field => (
+              <div key={field.value}>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  {field.label}{field.required && ' *'}
+                </label>
+                <select
+                  value={mapping[field.value] || ''}
+                  onChange={(e) => setMapping(prev => ({ ...prev, [field.value]: e.target.value || undefined }))}
+                  className={selectClass}
+                >
+                  <option value="">Not in this file</option>
+                  {headers.map(header => (
+                    <option key={header} value={header}>{header}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex justify-between">
+            <button
+              onClick={() => setStep('upload')}
+              className="px-4 py-2 text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-lg transition-colors"
+            >
+              Back
+            </button>
+            <button
+              onClick={() => runPreview({ format: 'generic' })}
+              disabled={!mappingComplete || loading}
+              className="flex items-center btn-primary disabled:opacity-50"
+            >
+              {loading ? <LoadingSpinner size="small" className="text-white" /> : 'Preview'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {step === 'preview' && preview && (
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {[
+              { label: 'Ready', value: preview.summary.ready, className: 'text-green-600 dark:text-green-400' },
+              { label: 'Duplicates', value: preview.summary.duplicates, className: 'text-gray-900 dark:text-white' },
+              { label: 'Errors', value: preview.summary.errors, className: 'text-red-600 dark:text-red-400' },
+              { label: 'Skipped', value: preview.summary.skipped, className: 'text-gray-900 dark:text-white' }
+            ].map(card => (
+              <div key={card.label} className="p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+                <p className="text-sm text-gray-600 dark:text-gray-300">{card.label}</p>
+                <p className={`text-2xl font-bold ${card.className}`}>{card.value}</p>
+              </div>
+            ))}
+          </div>
+
+          {preview.unresolved.length > 0 && (
+            <div className="p-4 border border-yellow-300 dark:border-yellow-700 rounded-lg space-y-3">
+              <div className="flex items-center space-x-2 text-yellow-700 dark:text-yellow-400">
+                <AlertTriangle className="h-4 w-4" />
+                <p className="text-sm font-medium">Pick the coin these symbols refer to, then check again</p>
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {preview.unresolved.map(({ symbol, candidates }) => (
+                  <div key={symbol} className="flex items-center space-x-2">
+                    <span className="w-20 text-sm font-medium text-gray-900 dark:text-white">{symbol}</span>
+                    {candidates.length > 0 ? (
+                      <select
+                        value={symbolMap[symbol] || ''}
+                        onChange={(e) => setSymbolMap(prev => ({ ...prev, [symbol]: e.target.value }))}
+                        className={selectClass}
+                      >
+                        <option value="">Choose a coin</option>
+                        {candidates.map(coinId => (
+                          <option key={coinId} value={coinId}>{coinId}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <input
+                        type="text"
+                        value={symbolMap[symbol] || ''}
+                        onChange={(e) => setSymbolMap(prev => ({ ...prev, [symbol]: e.target.value.trim() }))}
+                        placeholder="CoinGecko coin ID"
+                        className="premium-input bg-white dark:bg-gray-700 w-full text-sm"
+                      />
+                    )}
+                  </div>
+                ))}
+              </div>
+              <button
+                onClick={() => runPreview({ format: preview.format })}
+                disabled={loading}
+                className="btn-primary text-sm disabled:opacity-50"
+              >
+                Check Again
+              </button>
+            </div>
+          )}
+
+          <div className="overflow-x-auto max-h-96">
+            <table className="premium-table">
+              <thead>
+                <tr>
+                  <th className="text-left">Row</th>
+                  <th className="text-left">Date</th>
+                  <th className="text-left">Type</th>
+                  <th className="text-left">Asset</th>
+                  <th className="text-right">Amount</th>
+                  <th className="text-right">Price</th>
+                  <th className="text-left">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.rows.map((row, index) => (
+                  <tr key={`${row.row}-${index}`}>
+                    <td className="py-2 text-gray-500 dark:text-gray-400">{row.row}</td>
+                    <td className="py-2 text-gray-900 dark:text-white">
+                      {row.date ? new Date(row.date).toLocaleString() : '—'}
+                    </td>
+                    <td className="py-2 text-gray-900 dark:text-white capitalize">
+                      {row.type ? (row.incomeType || row.type.replace('_', ' ')) : '—'}
+                    </td>
+                    <td className="py-2 text-gray-900 dark:text-white">{row.symbol || '—'}</td>
+                    <td className="text-right py-2 text-gray-900 dark:text-white">
+                      {row.amount !== undefined ? row.amount.toLocaleString(undefined, { maximumFractionDigits: 8 }) : '—'}
+                    </td>
+                    <td className="text-right py-2 text-gray-900 dark:text-white">{formatPrice(row.price)}</td>
+                    <td className="py-2">
+                      <span className={`px-2 py-1 text-xs rounded-full capitalize ${STATUS_STYLES[row.status]}`}>
+                        {row.status}
+                      </span>
+                      {row.message && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{row.message}</p>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex justify-between">
+            <button
+              onClick={() => setStep(preview.format === 'generic' ? 'map' : 'upload')}
+              className="px-4 py-2 text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-lg transition-colors"
+            >
+              Back
+            </button>
+            <button
+              onClick={handleImport}
+              disabled={preview.summary.transactions === 0 || loading}
+              className="flex items-center btn-primary disabled:opacity-50"
+            >
+              {loading ? (
+                <LoadingSpinner size="small" className="text-white" />
+              ) : (
+                <>
+                  <CheckCircle className="h-4 w-4 mr-2" />
+                  Import {preview.summary.ready} Rows
+                </>
+              )}
+            </button>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default ImportWizard;
\ No newline at end of file
@@ -0,0 +1,228 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Plus, Trash2, Building2, Wallet, Landmark, MapPin, ArrowRightLeft } from 'lucide-react';
+import { useCurrency } from '../../context/CurrencyContext.jsx';
+import { portfolioService } from '../../services/portfolioService';
+import { locationService } from '../../services/locationService';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import { formatCurrency, convertCurrency } from '../../utils/helpers';
+import toast from 'react-hot-toast';
+
+const LOCATION_TYPES = [
+  { value: 'exchange', label: 'Exchange', icon: Building2 },
+  { value: 'wallet', label: 'Wallet', icon: Wallet },
+  { value: 'custodian', label: 'Custodian', icon: Landmark }
+];
+
+const LocationIcon = ({ type, className }) => {
+  const Icon = LOCATION_TYPES.find(t => t.value === type)?.icon || MapPin;
+  return <Icon className={className} />;
+};
+
+// Holdings grouped by where they are held. Changes to the ledger bump
+// refreshKey so the breakdown is fetched again.
+const LocationBreakdown = ({ portfolioId, refreshKey, onLocationsChange, onMove }) => {
+  const { selectedCurrency, exchangeRates } = useCurrency();
+  const [breakdown, setBreakdown] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState({ name: '', type: 'exchange' });
+  const [saving, setSaving] = useState(false);
+
+  const fetchBreakdown = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await portfolioService.getLocationBreakdown(portfolioId);
+      setBreakdown(response.data.locations);
+    } catch (error) {
+      console.error('Failed to fetch location breakdown:', error);
+      toast.error(error.message || 'Failed to load locations');
+    } finally {
+      setLoading(false);
+    }
+  }, [portfolioId]);
+
+  useEffect(() => {
+    fetchBreakdown();
+  }, [fetchBreakdown, refreshKey]);
+
+  const formatValue = (value) => {
+    return selectedCurrency.code === 'USD'
+      ? formatCurrency(value, selectedCurrency.code)
+      : formatCurrency(convertCurrency(value, selectedCurrency.code, exchangeRates), selectedCurrency.code);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      await locationService.createLocation({ name: form.name.trim(), type: form.type });
+      toast.success('Location added');
+      setForm({ name: '', type: form.type });
+      await Promise.all([fetchBreakdown(), onLocationsChange()]);
+    } catch (error) {
+      console.error('Failed to create location:', error);
+      toast.error(error.message || 'Failed to add location');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (location) => {
+    if (!window.confirm(`Delete ${location.name}? Its transactions will become unassigned.`)) return;
+
+    try {
+      await locationService.deleteLocation(location._id);
+      toast.success('Location deleted');
+      await Promise.all([fetchBreakdown(), onLocationsChange()]);
+    } catch (error) {
+      console.error('Failed to delete location:', error);
+      toast.error(error.message || 'Failed to delete location');
+    }
+  };
+
+  if (loading && breakdown.length === 0) {
+    return (
+      <div className="crypto-card p-12 flex items-center justify-center">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      {/* New Location */}
+      <div className="crypto-card p-6">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <div>
+            <h2 className="section-header">
+              Locations
+            </h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Tag transactions with the exchange, wallet or custodian holding the coins. Moves between locations are not taxable.
+            </p>
+          </div>
+          <form onSubmit={handleCreate} className="flex items-center space-x-2">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="e.g. Coinbase, Ledger"
+              maxLength={50}
+              required
+              className="premium-input bg-white dark:bg-gray-700 text-sm w-44"
+            />
+            <select
+              value={form.type}
+              onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value }))}
+              className="premium-input bg-white dark:bg-gray-700 text-sm"
+              aria-label="Location type"
+            >
+              {LOCATION_TYPES.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+            <button type="submit" disabled={saving} className="flex items-center btn-primary text-sm disabled:opacity-50">
+              <Plus className="h-4 w-4 mr-1" />
+              Add
+            </button>
+          </form>
+        </div>
+      </div>
+
+      {/* Breakdown */}
+      {breakdown.length === 0 ? (
+        <div className="crypto-card p-12 text-center">
+          <MapPin className="h-12 w-12 text-gray-400 mx-auto mb-3" />
+          <p className="text-gray-600 dark:text-gray-300">
+            No holdings yet. Add a location above, then pick it when recording transactions.
+          </p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {breakdown.map(group => (
+            <div key={group.location?._id || 'unassigned'} className="crypto-card">
+              <div className="p-6 border-b border-gray-200 dark:border-gray-700 flex items-start justify-between">
+                <div className="flex items-center space-x-3">
+                  <div className="p-2 bg-primary-100 dark:bg-primary-900/20 rounded-lg">
+                    <LocationIcon type={group.location?.type} className="h-5 w-5 text-primary-600 dark:text-primary-400" />
+                  </div>
+                  <div>
+                    <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+                      {group.location?.name || 'Unassigned'}
+                    </h3>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 capitalize">
+                      {group.location?.type || 'No location recorded'}
+                    </p>
+                  </div>
+                </div>
+                <div className="flex items-start space-x-2">
+                  <div className="text-right">
+                    <p className="text-lg font-bold text-gray-900 dark:text-white">{formatValue(group.totalValue)}</p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">{group.percentage.toFixed(1)}% of holdings</p>
+                  </div>
+                  {group.location && (
+                    <button
+                      onClick={() => handleDelete(group.location)}
+                      className="p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                      aria-label={`Delete ${group.location.name}`}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {group.holdings.length === 0 ? (
+                <p className="p-6 text-sm text-gray-500 dark:text-gray-400">Nothing held here.</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="premium-table">
+                    <thead>
+                      <tr>
+                        <th className="text-left">Asset</th>
+                        <th className="text-right">Amount</th>
+                        <th className="text-right">Value</th>
+                        <th className="text-right">Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {group.holdings.map(holding => (
+                        <tr key={holding.coinId}>
+                          <td className="py-3">
+                            <div className="font-medium text-gray-900 dark:text-white">
+                              {holding.coinName}
+                            </div>
+                            <div className="text-gray-500 dark:text-gray-400 uppercase text-xs">
+                              {holding.symbol}
+                            </div>
+                          </td>
+                          <td className="text-right py-3 text-gray-900 dark:text-white">
+                            {holding.amount.toLocaleString(undefined, { maximumFractionDigits: 8 })}
+                          </td>
+                          <td className="text-right py-3 text-gray-900 dark:text-white">
+                            {formatValue(holding.value)}
+                          </td>
+                          <td className="text-right py-3">
+                            <button
+                              onClick={() => onMove(holding, group.location)}
+                              className="p-2 text-primary-600 hover:text-primary-700 hover:bg-primary-50 dark:hover:bg-primary-900/20 rounded-lg transition-colors"
+                              title="Move to another location"
+                            >
+                              <ArrowRightLeft className="h-4 w-4" />
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LocationBreakdown;
\ No newline at end of file
@@ -0,0 +1,334 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Plus, X, Save, CheckCircle, AlertTriangle, Scale } from 'lucide-react';
+import { useCurrency } from '../../context/CurrencyContext.jsx';
+import { portfolioService } from '../../services/portfolioService';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import { formatCurrency, convertCurrency } from '../../utils/helpers';
+import toast from 'react-hot-toast';
+
+// Editable rows keep coin IDs as a comma-separated string
+const toRows = (targets = []) => targets.map(target => ({
+  name: target.name,
+  coins: target.coinIds.join(', '),
+  weight: target.weight
+}));
+
+const toTargets = (rows) => rows
+  .filter(row => row.name.trim() && row.coins.trim())
+  .map(row => ({
+    name: row.name.trim(),
+    coinIds: row.coins.split(',').map(id => id.trim().toLowerCase()).filter(Boolean),
+    weight: Number(row.weight) || 0
+  }));
+
+const RebalancePanel = ({ portfolioId, holdings, onTradesRecorded }) => {
+  const { selectedCurrency, exchangeRates } = useCurrency();
+  const [plan, setPlan] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [tolerance, setTolerance] = useState(5);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [recording, setRecording] = useState(false);
+
+  const fetchPlan = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await portfolioService.getRebalancePlan(portfolioId);
+      setPlan(response.data);
+      setRows(toRows(response.data.portfolio?.targets));
+      setTolerance(response.data.portfolio?.rebalanceTolerance ?? 5);
+    } catch (error) {
+      console.error('Failed to fetch rebalance plan:', error);
+      toast.error(error.message || 'Failed to load rebalancing plan');
+    } finally {
+      setLoading(false);
+    }
+  }, [portfolioId]);
+
+  useEffect(() => {
+    fetchPlan();
+  }, [fetchPlan]);
+
+  const formatValue = (value) => {
+    return selectedCurrency.code === 'USD'
+      ? formatCurrency(value, selectedCurrency.code)
+      : formatCurrency(convertCurrency(value, selectedCurrency.code, exchangeRates), selectedCurrency.code);
+  };
+
+  const updateRow = (index, field, value) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  // Start from the current allocation, one target per held coin
+  const fillFromHoldings = () => {
+    const total = holdings.reduce((sum, h) => sum + (h.currentValue || 0), 0);
+    const next = holdings
+      .filter(h => h.currentValue > 0)
+      .map(h => ({
+        name: h.symbol.toUpperCase(),
+        coins: h.coinId,
+        weight: total > 0 ? Math.round((h.currentValue / total) * 1000) / 10 : 0
+      }));
+
+    // Put the rounding remainder on the last row so the weights add up to 100
+    if (next.length > 0) {
+      const others = next.slice(0, -1).reduce((sum, row) => sum + row.weight, 0);
+      next[next.length - 1].weight = Math.round((100 - others) * 10) / 10;
+    }
+    setRows(next);
+  };
+
+  const totalWeight = rows.reduce((sum, row) => sum + (Number(row.weight) || 0), 0);
+
+  const handleSaveTargets = async () => {
+    try {
+      setSaving(true);
+      await portfolioService.updateTargets(portfolioId, { targets: toTargets(rows), tolerance: Number(tolerance) });
+      toast.success('Target allocation saved');
+      await fetchPlan();
+    } catch (error) {
+      console.error('Failed to save targets:', error);
+      toast.error(error.message || 'Failed to save target allocation');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRecordTrades = async () => {
+    if (!window.confirm(`Record ${plan.trades.length} rebalancing trades at current prices?`)) return;
+
+    try {
+      setRecording(true);
+      const trades = plan.trades.map(({ coinId, coinName, symbol, type, amount, price }) => ({
+        coinId, coinName, symbol, type, amount, price
+      }));
+      await portfolioService.recordRebalanceTrades(portfolioId, trades);
+      toast.success('Rebalancing trades recorded');
+      await Promise.all([fetchPlan(), onTradesRecorded()]);
+    } catch (error) {
+      console.error('Failed to record trades:', error);
+      toast.error(error.message || 'Failed to record rebalancing trades');
+    } finally {
+      setRecording(false);
+    }
+  };
+
+  if (loading && !plan) {
+    return (
+      <div className="crypto-card p-12 flex items-center justify-center">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      {/* Target Editor */}
+      <div className="crypto-card p-6">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+          <div>
+            <h2 className="section-header">
+              Target Allocation
+            </h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              One coin per target, or several comma-separated coin IDs to share a weight as a category
+            </p>
+          </div>
+          <button
+            onClick={fillFromHoldings}
+            disabled={holdings.length === 0}
+            className="text-sm text-primary-600 hover:text-primary-700 disabled:opacity-50"
+          >
+            Start from current allocation
+          </button>
+        </div>
+
+        <div className="space-y-2">
+          {rows.map((row, index) => (
+            <div key={index} className="flex items-center space-x-2">
+              <input
+                type="text"
+                value={row.name}
+                onChange={(e) => updateRow(index, 'name', e.target.value)}
+                placeholder="Name"
+                className="premium-input bg-white dark:bg-gray-700 text-sm w-40"
+              />
+              <input
+                type="text"
+                value={row.coins}
+                onChange={(e) => updateRow(index, 'coins', e.target.value)}
+                placeholder="bitcoin or tether, usd-coin"
+                className="premium-input bg-white dark:bg-gray-700 text-sm flex-1"
+              />
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="0.1"
+                value={row.weight}
+                onChange={(e) => updateRow(index, 'weight', e.target.value)}
+                className="premium-input bg-white dark:bg-gray-700 text-sm w-24"
+              />
+              <span className="text-sm text-gray-500 dark:text-gray-400">%</span>
+              <button
+                onClick={() => setRows(prev => prev.filter((_, i) => i !== index))}
+                className="p-2 text-gray-400 hover:text-red-600"
+                aria-label="Remove target"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mt-4">
+          <div className="flex items-center space-x-4">
+            <button
+              onClick={() => setRows(prev => [...prev, { name: '', coins: '', weight: 0 }])}
+              className="flex items-center text-sm text-primary-600 hover:text-primary-700"
+            >
+              <Plus className="h-4 w-4 mr-1" />
+              Add target
+            </button>
+            <span className={`text-sm ${Math.abs(totalWeight - 100) > 0.01 && rows.length > 0
+              ? 'text-red-600 dark:text-red-400'
+              : 'text-gray-500 dark:text-gray-400'
+              }`}>
+              Total {Math.round(totalWeight * 100) / 100}%
+            </span>
+          </div>
+          <div className="flex items-center space-x-2">
+            <label className="text-sm text-gray-600 dark:text-gray-300">Tolerance ±</label>
+            <input
+              type="number"
+              min="0"
+              max="50"
+              step="0.5"
+              value={tolerance}
+              onChange={(e) => setTolerance(e.target.value)}
+              className="premium-input bg-white dark:bg-gray-700 text-sm w-20"
+            />
+            <span className="text-sm text-gray-500 dark:text-gray-400">pts</span>
+            <button
+              onClick={handleSaveTargets}
+              disabled={saving}
+              className="flex items-center space-x-2 btn-primary text-sm disabled:opacity-50"
+            >
+              <Save className="h-4 w-4" />
+              <span>{saving ? 'Saving...' : 'Save Targets'}</span>
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Plan */}
+      {plan?.hasTargets ? (
+        <div className="crypto-card">
+          <div className="p-6 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
+            <h2 className="section-header">
+              Drift
+            </h2>
+            {plan.needsRebalance ? (
+              <span className="flex items-center text-sm text-yellow-600 dark:text-yellow-400">
+                <AlertTriangle className="h-4 w-4 mr-1" />
+                Outside the ±{plan.tolerance} pt band
+              </span>
+            ) : (
+              <span className="flex items-center text-sm text-green-600 dark:text-green-400">
+                <CheckCircle className="h-4 w-4 mr-1" />
+                Within the ±{plan.tolerance} pt band
+              </span>
+            )}
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="premium-table">
+              <thead>
+                <tr>
+                  <th className="text-left">Target</th>
+                  <th className="text-right">Value</th>
+                  <th className="text-right">Current</th>
+                  <th className="text-right">Target</th>
+                  <th className="text-right">Drift</th>
+                  <th className="text-right">After</th>
+                </tr>
+              </thead>
+              <tbody>
+                {plan.groups.map(group => (
+                  <tr key={group.coinIds.join(',')}>
+                    <td className="py-3">
+                      <div className="font-medium text-gray-900 dark:text-white">
+                        {group.name}
+                        {group.untargeted && (
+                          <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">no target</span>
+                        )}
+                      </div>
+                      <div className="text-gray-500 dark:text-gray-400 text-xs">
+                        {group.coinIds.join(', ')}
+                      </div>
+                    </td>
+                    <td className="text-right py-3 text-gray-900 dark:text-white">{formatValue(group.currentValue)}</td>
+                    <td className="text-right py-3 text-gray-900 dark:text-white">{group.currentWeight.toFixed(1)}%</td>
+                    <td className="text-right py-3 text-gray-900 dark:text-white">{group.targetWeight.toFixed(1)}%</td>
+                    <td className={`text-right py-3 font-medium ${group.outOfBand
+                      ? 'text-yellow-600 dark:text-yellow-400'
+                      : 'text-gray-500 dark:text-gray-400'
+                      }`}>
+                      {group.drift >= 0 ? '+' : ''}{group.drift.toFixed(1)} pts
+                    </td>
+                    <td className="text-right py-3 text-gray-900 dark:text-white">{group.afterWeight.toFixed(1)}%</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {plan.trades.length > 0 && (
+            <div className="p-6 border-t border-gray-200 dark:border-gray-700">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+                  Trades
+                </h3>
+                <button
+                  onClick={handleRecordTrades}
+                  disabled={recording}
+                  className="btn-primary text-sm disabled:opacity-50"
+                >
+                  {recording ? 'Recording...' : 'Record these trades'}
+                </button>
+              </div>
+              <ul className="space-y-2">
+                {plan.trades.map(trade => (
+                  <li key={`${trade.type}-${trade.coinId}`} className="flex items-center justify-between text-sm">
+                    <span className="flex items-center space-x-2">
+                      <span className={`px-2 py-1 text-xs font-medium rounded-full ${trade.type === 'buy'
+                        ? 'bg-green-100 text-green-700 dark:bg-green-900/20 dark:text-green-400'
+                        : 'bg-red-100 text-red-700 dark:bg-red-900/20 dark:text-red-400'
+                        }`}>
+                        {trade.type === 'buy' ? 'Buy' : 'Sell'}
+                      </span>
+                      <span className="text-gray-900 dark:text-white">
+                        {trade.amount.toLocaleString(undefined, { maximumFractionDigits: 8 })} {trade.symbol}
+                      </span>
+                      <span className="text-gray-500 dark:text-gray-400">@ {formatValue(trade.price)}</span>
+                    </span>
+                    <span className="font-medium text-gray-900 dark:text-white">{formatValue(trade.value)}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className="crypto-card p-12 text-center">
+          <Scale className="h-12 w-12 text-gray-400 mx-auto mb-3" />
+          <p className="text-gray-600 dark:text-gray-300">
+            Set target weights above to see how far this portfolio has drifted.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RebalancePanel;
\ No newline at end of file
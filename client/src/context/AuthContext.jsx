@@ -120,6 +120,39 @@ export const AuthProvider = ({ children }) => {
     toast.success('Logged out successfully');
   };
 
+  const updatePreferences = async (preferences) => {
+    try {
+      const response = await authService.updatePreferences(preferences);
+      const userData = response.data;
+
+      if (userData) {
+        localStorage.setItem('user', JSON.stringify(userData));
+        setUser(userData);
+      }
+
+      toast.success('Preferences updated');
+      return { success: true };
+    } catch (error) {
+      console.error('Update preferences error:', error);
+      const message = error.response?.data?.message || error.message || 'Failed to update preferences';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  // Reload the user from the server after changes made elsewhere (e.g. a restored backup)
+  const refreshUser = async () => {
+    try {
+      const response = await authService.getCurrentUser();
+      if (response.data) {
+        setUser(response.data);
+        localStorage.setItem('user', JSON.stringify(response.data));
+      }
+    } catch (error) {
+      console.error('Refresh user error:', error);
+    }
+  };
+
   const value = {
     user,
     isAuthenticated,
@@ -127,6 +160,8 @@ export const AuthProvider = ({ children }) => {
     login,
     register,
     logout,
+    updatePreferences,
+    refreshUser,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -0,0 +1,130 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { portfolioService } from '../services/portfolioService';
+import { useAuth } from './AuthContext';
+import toast from 'react-hot-toast';
+
+const PortfolioContext = createContext(null);
+
+// Selecting 'all' combines every portfolio into one view
+export const ALL_PORTFOLIOS = 'all';
+
+// eslint-disable-next-line react-refresh/only-export-components
+export const usePortfolios = () => {
+  const context = useContext(PortfolioContext);
+  if (!context) {
+    throw new Error('usePortfolios must be used within a PortfolioProvider');
+  }
+  return context;
+};
+
+export const PortfolioProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const [portfolios, setPortfolios] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Remember the last selected portfolio across reloads
+  const [activePortfolioId, setActivePortfolioIdState] = useState(() => {
+    return localStorage.getItem('activePortfolioId') || ALL_PORTFOLIOS;
+  });
+
+  const setActivePortfolioId = (portfolioId) => {
+    setActivePortfolioIdState(portfolioId);
+    localStorage.setItem('activePortfolioId', portfolioId);
+  };
+
+  const fetchPortfolios = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await portfolioService.getPortfolios();
+      const list = response.data || [];
+      setPortfolios(list);
+
+      // Fall back to the combined view if the remembered portfolio is gone
+      setActivePortfolioIdState(current => {
+        if (current === ALL_PORTFOLIOS || list.some(p => p._id === current)) return current;
+        localStorage.setItem('activePortfolioId', ALL_PORTFOLIOS);
+        return ALL_PORTFOLIOS;
+      });
+    } catch (error) {
+      console.error('Error fetching portfolios:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      fetchPortfolios();
+    } else {
+      setPortfolios([]);
+    }
+  }, [isAuthenticated, fetchPortfolios]);
+
+  const createPortfolio = async (portfolioData) => {
+    try {
+      const response = await portfolioService.createPortfolio(portfolioData);
+      await fetchPortfolios();
+      setActivePortfolioId(response.data._id);
+      toast.success('Portfolio created');
+      return { success: true, data: response.data };
+    } catch (error) {
+      console.error('Create portfolio error:', error);
+      const message = error.response?.data?.message || error.message || 'Failed to create portfolio';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  const updatePortfolio = async (portfolioId, portfolioData) => {
+    try {
+      const response = await portfolioService.updatePortfolio(portfolioId, portfolioData);
+      await fetchPortfolios();
+      toast.success('Portfolio updated');
+      return { success: true, data: response.data };
+    } catch (error) {
+      console.error('Update portfolio error:', error);
+      const message = error.response?.data?.message || error.message || 'Failed to update portfolio';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  const deletePortfolio = async (portfolioId, options) => {
+    try {
+      await portfolioService.deletePortfolio(portfolioId, options);
+      if (activePortfolioId === portfolioId) {
+        setActivePortfolioId(ALL_PORTFOLIOS);
+      }
+      await fetchPortfolios();
+      toast.success('Portfolio deleted');
+      return { success: true };
+    } catch (error) {
+      console.error('Delete portfolio error:', error);
+      const message = error.response?.data?.message || error.message || 'Failed to delete portfolio';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  const activePortfolio = portfolios.find(p => p._id === activePortfolioId) || null;
+  const defaultPortfolio = portfolios.find(p => p.isDefault) || null;
+
+  const value = {
+    portfolios,
+    activePortfolioId,
+    activePortfolio,
+    defaultPortfolio,
+    isLoading,
+    setActivePortfolioId,
+    fetchPortfolios,
+    createPortfolio,
+    updatePortfolio,
+    deletePortfolio
+  };
+
+  return (
+    <PortfolioContext.Provider value={value}>
+      {children}
+    </PortfolioContext.Provider>
+  );
+};
\ No newline at end of file
@@ -0,0 +1,143 @@
+import { useEffect, useRef, useState } from 'react';
+import { cryptoService } from '../services/cryptoService';
+
+// How long a changed price stays highlighted; matches the CSS animation
+const FLASH_MS = 1200;
+
+// Most coins one stream can carry
+const MAX_STREAM_COINS = 100;
+
+// Subscribe to live prices for a set of coins in one currency.
+// Returns the latest tick per coin, the coins that just moved ('up' or
+// 'down', for flash styling) and whether the stream is connected.
+export const useLivePrices = (coinIds, currency = 'usd') => {
+  const [prices, setPrices] = useState({});
+  const [flashes, setFlashes] = useState({});
+  const [connected, setConnected] = useState(false);
+  const lastPrices = useRef({});
+  const timers = useRef({});
+
+  // Resubscribe only when the set of coins changes, not the array instance.
+  // The server streams at most MAX_STREAM_COINS, so later coins go without.
+  const key = [...new Set((coinIds || []).filter(Boolean))].slice(0, MAX_STREAM_COINS).sort().join(',');
+
+  useEffect(() => {
+    setPrices({});
+    setFlashes({});
+    lastPrices.current = {};
+    if (!key) return undefined;
+
+    const handlePrices = ({ prices: ticks }) => {
+      const moved = {};
+      Object.entries(ticks).forEach(([coinId, tick]) => {
+        const previous = lastPrices.current[coinId];
+        if (previous !== undefined && previous !== tick.price) {
+          moved[coinId] = tick.price > previous ? 'up' : 'down';
+        }
+        lastPrices.current[coinId] = tick.price;
+      });
+
+      setPrices(prev => ({ ...prev, ...ticks }));
+      if (Object.keys(moved).length === 0) return;
+
+      setFlashes(prev => ({ ...prev, ...moved }));
+      Object.keys(moved).forEach(coinId => {
+        clearTimeout(timers.current[coinId]);
+        timers.current[coinId] = setTimeout(() => {
+          setFlashes(prev => {
+            const next = { ...prev };
+            delete next[coinId];
+            return next;
+          });
+        }, FLASH_MS);
+      });
+    };
+
+    const close = cryptoService.streamPrices(key.split(','), currency, handlePrices, setConnected);
+    const pending = timers.current;
+    return () => {
+      close();
+      setConnected(false);
+      Object.values(pending).forEach(clearTimeout);
+    };
+  }, [key, currency]);
+
+  return { prices, flashes, connected };
+};
+
+// Flash class for a single value, such as a portfolio total, while it has
+// just gone up or down
+export const useValueFlash = (value) => {
+  const [flash, setFlash] = useState('');
+  const previous = useRef(value);
+
+  useEffect(() => {
+    const before = previous.current;
+    previous.current = value;
+    if (before === undefined || before === null || value === undefined || value === null || before === value) {
+      return undefined;
+    }
+
+    setFlash(value > before ? 'price-flash-up' : 'price-flash-down');
+    const timer = setTimeout(() => setFlash(''), FLASH_MS);
+    return () => clearTimeout(timer);
+  }, [value]);
+
+  return flash;
+};
+
+// Market rows (CoinGecko market shape) with live prices applied
+export const applyLivePrices = (coins, prices, idKey = 'id') => {
+  if (!coins || Object.keys(prices).length === 0) return coins;
+
+  return coins.map(coin => {
+    const tick = prices[coin[idKey]];
+    if (!tick) return coin;
+    return {
+      ...coin,
+      current_price: tick.price,
+      price_change_percentage_24h: tick.change24h ?? coin.price_change_percentage_24h,
+      market_cap: tick.marketCap ?? coin.market_cap,
+      total_volume: tick.volume24h ?? coin.total_volume
+    };
+  });
+};
+
+// A portfolio summary with holdings and totals revalued at live prices
+export const applyLivePortfolio = (portfolio, prices) => {
+  if (!portfolio?.holdings || Object.keys(prices).length === 0) return portfolio;
+
+  const holdings = portfolio.holdings.map(holding => {
+    const tick = prices[holding.coinId];
+    if (!tick) return holding;
+
+    const currentValue = holding.amount * tick.price;
+    const profitLoss = currentValue - (holding.investment || 0);
+    return {
+      ...holding,
+      currentPrice: tick.price,
+      currentValue,
+      profitLoss,
+      unrealizedProfitLoss: profitLoss,
+      profitLossPercentage: holding.investment > 0 ? (profitLoss / holding.investment) * 100 : 0
+    };
+  });
+
+  const totalCurrentValue = holdings.reduce((sum, holding) => sum + (holding.currentValue || 0), 0);
+  const totalProfitLoss = totalCurrentValue - (portfolio.totalInvestment || 0);
+  return {
+    ...portfolio,
+    holdings,
+    totalCurrentValue,
+    totalProfitLoss,
+    totalUnrealizedProfitLoss: totalProfitLoss,
+    totalProfitLossPercentage: portfolio.totalInvestment > 0 ? (totalProfitLoss / portfolio.totalInvestment) * 100 : 0
+  };
+};
+
+// Class for a value that just changed: briefly tints it green or red
+export const flashClass = (flashes, coinId) => {
+  if (flashes[coinId] === 'up') return 'price-flash-up';
+  if (flashes[coinId] === 'down') return 'price-flash-down';
+  return '';
+};
\ No newline at end of file
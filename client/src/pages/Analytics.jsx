@@ -1,17 +1,44 @@
-import React, { useState, useEffect } from 'react';
-import { TrendingUp, TrendingDown, PieChart, BarChart3, RefreshCw } from 'lucide-react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { TrendingUp, TrendingDown, PieChart, BarChart3, RefreshCw, Receipt, Percent } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { useCurrency } from '../context/CurrencyContext.jsx';
+import { usePortfolios } from '../context/PortfolioContext';
 import { portfolioService } from '../services/portfolioService';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
+import PerformanceChart from '../components/analytics/PerformanceChart';
+import BenchmarkChart from '../components/analytics/BenchmarkChart';
+import RiskMetrics from '../components/analytics/RiskMetrics';
+import CorrelationHeatmap from '../components/analytics/CorrelationHeatmap';
+import ScenarioSimulator from '../components/analytics/ScenarioSimulator';
+import MonteCarloChart from '../components/analytics/MonteCarloChart';
+import IncomeChart from '../components/analytics/IncomeChart';
 import { formatCurrency, formatPercentage, convertCurrency } from '../utils/helpers';
 
 const Analytics = () => {
   const { user, isLoading: authLoading } = useAuth();
   const { selectedCurrency, exchangeRates } = useCurrency();
+  const { activePortfolioId, activePortfolio } = usePortfolios();
   const [portfolio, setPortfolio] = useState(null);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
+  const [analytics, setAnalytics] = useState(null);
+  const [returnsRange, setReturnsRange] = useState({ from: '', to: '' });
+  const [correlationWindow, setCorrelationWindow] = useState('90d');
+
+  const fetchAnalytics = useCallback(async () => {
+    if (!user) return;
+
+    try {
+      const params = { correlationWindow };
+      if (returnsRange.from) params.from = returnsRange.from;
+      if (returnsRange.to) params.to = returnsRange.to;
+
+      const analyticsData = await portfolioService.getPortfolioAnalytics(activePortfolioId, params);
+      setAnalytics(analyticsData.data);
+    } catch (error) {
+      console.error('Failed to fetch analytics:', error);
+    }
+  }, [user, activePortfolioId, returnsRange, correlationWindow]);
 
   const fetchPortfolio = async (isRefresh = false) => {
     if (!user) return;
@@ -23,7 +50,7 @@ const Analytics = () => {
         setLoading(true);
       }
 
-      const portfolioData = await portfolioService.getPortfolio();
+      const portfolioData = await portfolioService.getPortfolio(activePortfolioId);
       setPortfolio(portfolioData.data);
     } catch (error) {
       console.error('Failed to fetch portfolio:', error);
@@ -37,7 +64,11 @@ const Analytics = () => {
     if (user) {
       fetchPortfolio();
     }
-  }, [user]);
+  }, [user, activePortfolioId]);
+
+  useEffect(() => {
+    fetchAnalytics();
+  }, [fetchAnalytics]);
 
   if (authLoading || loading) {
     return (
@@ -95,6 +126,34 @@ const Analytics = () => {
 
   const handleRefresh = () => {
     fetchPortfolio(true);
+    fetchAnalytics();
+  };
+
+  const handleReturnsRangeChange = (e) => {
+    const { name, value } = e.target;
+    setReturnsRange(prev => ({ ...prev, [name]: value }));
+  };
+
+  const returns = analytics?.returns;
+
+  // Returns come back as fractions; null means not enough data for the range
+  const formatReturn = (value) => {
+    if (value === null || value === undefined) return '—';
+    return `${value >= 0 ? '+' : ''}${formatPercentage(value * 100)}`;
+  };
+
+  // Format a USD amount in the selected display currency
+  const formatValue = (value) => {
+    return selectedCurrency.code === 'USD'
+      ? formatCurrency(value || 0, selectedCurrency.code)
+      : formatCurrency(convertCurrency(value || 0, selectedCurrency.code, exchangeRates), selectedCurrency.code);
+  };
+
+  const costBasisLabels = {
+    fifo: 'FIFO',
+    lifo: 'LIFO',
+    hifo: 'HIFO',
+    average: 'Average cost'
   };
 
   return (
@@ -107,7 +166,9 @@ const Analytics = () => {
               Analytics
             </h1>
             <p className="text-gray-600 dark:text-gray-300 mt-2">
-              Detailed insights into your portfolio performance
+              {activePortfolio
+                ? `Detailed insights into ${activePortfolio.name}`
+                : 'Detailed insights across all your portfolios'}
             </p>
           </div>
           <button
@@ -214,6 +275,162 @@ const Analytics = () => {
         </div>
       )}
 
+      {/* Realized vs Unrealized P&L */}
+      {portfolio && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+          {[
+            { label: 'Realized P&L', value: portfolio.totalRealizedProfitLoss || 0, hint: `From sales, ${costBasisLabels[portfolio.costBasisMethod] || 'FIFO'} cost basis` },
+            { label: 'Unrealized P&L', value: portfolio.totalUnrealizedProfitLoss ?? portfolio.totalProfitLoss ?? 0, hint: 'On open positions at current prices' }
+          ].map(item => (
+            <div key={item.label} className="crypto-card p-6">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm text-gray-600 dark:text-gray-300">{item.label}</p>
+                  <p className={`text-2xl font-bold ${item.value >= 0
+                    ? 'text-green-600 dark:text-green-400'
+                    : 'text-red-600 dark:text-red-400'
+                    }`}>
+                    {item.value >= 0 ? '+' : ''}{formatValue(item.value)}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{item.hint}</p>
+                </div>
+                <div className={`p-3 rounded-lg ${item.value >= 0
+                  ? 'bg-green-100 dark:bg-green-900/20'
+                  : 'bg-red-100 dark:bg-red-900/20'
+                  }`}>
+                  {item.value >= 0 ? (
+                    <TrendingUp className="h-6 w-6 text-green-600 dark:text-green-400" />
+                  ) : (
+                    <TrendingDown className="h-6 w-6 text-red-600 dark:text-red-400" />
+                  )}
+                </div>
+              </div>
+            </div>
+          ))}
+
+          <div className="crypto-card p-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm text-gray-600 dark:text-gray-300">Total Fees Paid</p>
+                <p className="text-2xl font-bold text-gray-900 dark:text-white">
+                  {formatValue(portfolio.totalFees)}
+                </p>
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Trading fees and gas, included in cost basis</p>
+              </div>
+              <div className="p-3 bg-orange-100 dark:bg-orange-900/20 rounded-lg">
+                <Receipt className="h-6 w-6 text-orange-600 dark:text-orange-400" />
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Time- and Money-Weighted Returns */}
+      {portfolio && (
+        <div className="crypto-card p-6 mb-8">
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+            <div>
+              <h2 className="section-header">
+                Returns
+              </h2>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                {returns?.from
+                  ? `${new Date(returns.from).toLocaleDateString()} – ${new Date(returns.to).toLocaleDateString()}`
+                  : 'Since your first transaction'}
+              </p>
+            </div>
+            <div className="flex items-center space-x-2">
+              <input
+                type="date"
+                name="from"
+                value={returnsRange.from}
+                onChange={handleReturnsRangeChange}
+                className="premium-input bg-white dark:bg-gray-700 text-sm"
+                aria-label="From date"
+              />
+              <span className="text-gray-500 dark:text-gray-400">to</span>
+              <input
+                type="date"
+                name="to"
+                value={returnsRange.to}
+                onChange={handleReturnsRangeChange}
+                className="premium-input bg-white dark:bg-gray-700 text-sm"
+                aria-label="To date"
+              />
+              {(returnsRange.from || returnsRange.to) && (
+                <button
+                  onClick={() => setReturnsRange({ from: '', to: '' })}
+                  className="text-sm text-primary-600 hover:text-primary-700 whitespace-nowrap"
+                >
+                  All time
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            {[
+              { label: 'Time-Weighted Return', value: returns?.twr, hint: 'Performance of the holdings, ignoring when money was added' },
+              { label: 'TWR (annualized)', value: returns?.twrAnnualized, hint: 'Shown for ranges of a year or more' },
+              { label: 'Money-Weighted Return (XIRR)', value: returns?.xirr, hint: 'Annualized return on your actual cash flows' }
+            ].map(item => (
+              <div key={item.label} className="flex items-center justify-between p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+                <div>
+                  <p className="text-sm text-gray-600 dark:text-gray-300">{item.label}</p>
+                  <p className={`text-2xl font-bold ${item.value === null || item.value === undefined
+                    ? 'text-gray-400'
+                    : item.value >= 0
+                      ? 'text-green-600 dark:text-green-400'
+                      : 'text-red-600 dark:text-red-400'
+                    }`}>
+                    {formatReturn(item.value)}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{item.hint}</p>
+                </div>
+                <div className="p-3 bg-primary-100 dark:bg-primary-900/20 rounded-lg">
+                  <Percent className="h-6 w-6 text-primary-600 dark:text-primary-400" />
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {returns?.approximate && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-4">
+              No daily history for this range yet, so TWR is approximated from the start and end values. Rebuild history under Settings → Data for a precise figure.
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Income */}
+      {portfolio && <IncomeChart income={analytics?.income} />}
+
+      {/* Risk */}
+      {portfolio && <RiskMetrics risk={analytics?.risk} />}
+
+      {/* Diversification */}
+      {portfolio && (
+        <CorrelationHeatmap
+          diversification={analytics?.diversification}
+          selectedWindow={correlationWindow}
+          onWindowChange={setCorrelationWindow}
+        />
+      )}
+
+      {/* What-if Scenarios */}
+      {portfolio?.holdings?.length > 0 && (
+        <ScenarioSimulator portfolioId={activePortfolioId} holdings={portfolio.holdings} />
+      )}
+
+      {/* Monte Carlo Projection */}
+      {portfolio?.holdings?.length > 0 && <MonteCarloChart portfolioId={activePortfolioId} />}
+
+      {/* Performance History */}
+      {portfolio && <PerformanceChart portfolioId={activePortfolioId} />}
+
+      {/* Benchmark Comparison */}
+      {portfolio && <BenchmarkChart portfolioId={activePortfolioId} />}
+
       {/* Portfolio Allocation Chart */}
       {allocationData.length > 0 && (
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
@@ -353,7 +570,7 @@ const Analytics = () => {
             </h2>
             <div className="space-y-4">
               {topPerformers.map((holding) => (
-                <div key={holding._id} className="flex items-center justify-between p-3 border border-gray-200 dark:border-gray-700 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors">
+                <div key={holding.coinId} className="flex items-center justify-between p-3 border border-gray-200 dark:border-gray-700 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors">
                   <div>
                     <div className="font-medium text-gray-900 dark:text-white">
                       {holding.coinName}
@@ -389,7 +606,7 @@ const Analytics = () => {
             </h2>
             <div className="space-y-4">
               {worstPerformers.map((holding) => (
-                <div key={holding._id} className="flex items-center justify-between p-3 border border-gray-200 dark:border-gray-700 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors">
+                <div key={holding.coinId} className="flex items-center justify-between p-3 border border-gray-200 dark:border-gray-700 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors">
                   <div>
                     <div className="font-medium text-gray-900 dark:text-white">
                       {holding.coinName}
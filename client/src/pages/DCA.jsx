@@ -0,0 +1,573 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Repeat, Play, Pause, Trash2, Check, X, FlaskConical, CalendarClock } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { usePortfolios } from '../context/PortfolioContext';
+import { dcaService } from '../services/dcaService';
+import { cryptoService } from '../services/cryptoService';
+import LoadingSpinner from '../components/ui/LoadingSpinner';
+import Modal from '../components/ui/Modal';
+import BacktestResult from '../components/dca/BacktestResult';
+import { formatCurrency } from '../utils/helpers';
+import toast from 'react-hot-toast';
+
+const CADENCES = [
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'biweekly', label: 'Every 2 weeks' },
+  { value: 'monthly', label: 'Monthly' }
+];
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const getEmptyPlan = () => ({
+  coinId: '',
+  amount: '',
+  cadence: 'weekly',
+  startDate: today(),
+  endDate: '',
+  portfolioId: '',
+  notes: ''
+});
+
+// Plans and purchases are priced in the currency they were created with
+const formatAmount = (value, currency) => formatCurrency(value, (currency || 'usd').toUpperCase());
+const formatUnits = (value) => value.toLocaleString(undefined, { maximumFractionDigits: 8 });
+const cadenceLabel = (cadence) => CADENCES.find(option => option.value === cadence)?.label || cadence;
+
+const DCA = () => {
+  const { user, isLoading: authLoading } = useAuth();
+  const { portfolios } = usePortfolios();
+  const [plans, setPlans] = useState([]);
+  const [purchases, setPurchases] = useState([]);
+  const [coins, setCoins] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(getEmptyPlan);
+  const [saving, setSaving] = useState(false);
+  const [backtest, setBacktest] = useState(null);
+  const [backtesting, setBacktesting] = useState(false);
+  const [confirming, setConfirming] = useState(null);
+  const [fill, setFill] = useState({ amount: '', price: '', feeValue: '', date: '' });
+
+  const fetchData = useCallback(async () => {
+    if (!user) return;
+
+    try {
+      const [plansData, purchasesData] = await Promise.all([
+        dcaService.getPlans(),
+        dcaService.getPurchases('pending')
+      ]);
+      setPlans(plansData.data || []);
+      setPurchases(purchasesData.data || []);
+    } catch (error) {
+      console.error('Failed to fetch DCA plans:', error);
+      toast.error(error.message || 'Failed to load DCA plans');
+    } finally {
+      setLoading(false);
+    }
+  }, [user]);
+
+  const fetchCoins = async () => {
+    try {
+      const coinsData = await cryptoService.getCoinMarkets({
+        vs_currency: 'usd',
+        per_page: 250,
+        page: 1
+      });
+      setCoins(coinsData.data || coinsData || []);
+    } catch (error) {
+      console.error('Failed to fetch coins:', error);
+    }
+  };
+
+  useEffect(() => {
+    if (user) {
+      fetchData();
+      fetchCoins();
+    }
+  }, [user, fetchData]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const planDefinition = () => ({
+    coinId: form.coinId,
+    amount: form.amount,
+    cadence: form.cadence,
+    startDate: form.startDate,
+    endDate: form.endDate || undefined
+  });
+
+  const isDefined = form.coinId && parseFloat(form.amount) > 0 && form.startDate;
+
+  const handleBacktest = async () => {
+    try {
+      setBacktesting(true);
+      const response = await dcaService.backtest(planDefinition());
+      setBacktest(response.data);
+    } catch (error) {
+      console.error('Backtest failed:', error);
+      setBacktest(null);
+      toast.error(error.message || 'Failed to run backtest');
+    } finally {
+      setBacktesting(false);
+    }
+  };
+
+  const handleCreatePlan = async (e) => {
+    e.preventDefault();
+    const coin = coins.find(c => c.id === form.coinId);
+    if (!coin) return;
+
+    try {
+      setSaving(true);
+      await dcaService.createPlan({
+        ...planDefinition(),
+        coinName: coin.name,
+        symbol: coin.symbol,
+        // Left unset, the server files purchases under the default portfolio
+        portfolioId: form.portfolioId || undefined,
+        notes: form.notes
+      });
+      toast.success(`DCA plan for ${coin.name} created`);
+      setForm(getEmptyPlan());
+      await fetchData();
+    } catch (error) {
+      console.error('Failed to create DCA plan:', error);
+      toast.error(error.message || 'Failed to create DCA plan');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (plan) => {
+    try {
+      await dcaService.updatePlan(plan._id, { isActive: !plan.isActive });
+      toast.success(plan.isActive ? 'Plan paused' : 'Plan resumed');
+      await fetchData();
+    } catch (error) {
+      console.error('Failed to update DCA plan:', error);
+      toast.error(error.message || 'Failed to update DCA plan');
+    }
+  };
+
+  const handleDeletePlan = async (plan) => {
+    if (!window.confirm(`Delete the ${plan.coinName} plan? Purchases waiting for review are removed too.`)) {
+      return;
+    }
+
+    try {
+      await dcaService.deletePlan(plan._id);
+      toast.success('Plan deleted');
+      await fetchData();
+    } catch (error) {
+      console.error('Failed to delete DCA plan:', error);
+      toast.error(error.message || 'Failed to delete DCA plan');
+    }
+  };
+
+  const openConfirm = (purchase) => {
+    setConfirming(purchase);
+    setFill({
+      amount: purchase.estimatedAmount ? String(purchase.estimatedAmount) : '',
+      price: purchase.scheduledPrice ? String(purchase.scheduledPrice) : '',
+      feeValue: '',
+      date: new Date(purchase.scheduledDate).toISOString().split('T')[0]
+    });
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+
+    try {
+      await dcaService.confirmPurchase(confirming._id, {
+        amount: fill.amount,
+        price: fill.price,
+        feeValue: fill.feeValue || undefined,
+        date: fill.date
+      });
+      toast.success(`${confirming.coinName} purchase recorded`);
+      setConfirming(null);
+      await fetchData();
+    } catch (error) {
+      console.error('Failed to confirm purchase:', error);
+      toast.error(error.message || 'Failed to confirm purchase');
+    }
+  };
+
+  const handleSkip = async (purchase) => {
+    try {
+      await dcaService.skipPurchase(purchase._id);
+      toast.success('Purchase skipped');
+      await fetchData();
+    } catch (error) {
+      console.error('Failed to skip purchase:', error);
+      toast.error(error.message || 'Failed to skip purchase');
+    }
+  };
+
+  const portfolioName = (portfolioId) => portfolios.find(p => p._id === portfolioId)?.name || '—';
+
+  if (authLoading || loading) {
+    return (
+      <div className="flex items-center justify-center min-h-96">
+        <LoadingSpinner size="large" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8 fade-in-up">
+        <h1 className="text-3xl font-bold text-gray-900 dark:text-white">
+          Recurring Buys
+        </h1>
+        <p className="text-gray-600 dark:text-gray-300 mt-2">
+          Schedule dollar-cost averaging plans, review each purchase before it is recorded, and backtest a plan against past prices
+        </p>
+      </div>
+
+      {/* Pending Purchases */}
+      <div className="crypto-card mb-8">
+        <div className="p-6 border-b border-gray-200 dark:border-gray-700">
+          <h2 className="section-header">
+            Waiting for Review
+          </h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Confirm each purchase with the amount and price you actually got, or skip it
+          </p>
+        </div>
+
+        {purchases.length === 0 ? (
+          <div className="p-12 text-center">
+            <CalendarClock className="h-12 w-12 text-gray-400 mx-auto mb-3" />
+            <p className="text-gray-600 dark:text-gray-300">
+              Nothing to review. Scheduled purchases appear here on their due date.
+            </p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="premium-table">
+              <thead>
+                <tr>
+                  <th className="text-left">Date</th>
+                  <th className="text-left">Asset</th>
+                  <th className="text-right">Spend</th>
+                  <th className="text-right">Price</th>
+                  <th className="text-right">Estimated Amount</th>
+                  <th className="text-right">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {purchases.map(purchase => {
+                  const plan = plans.find(p => p._id === purchase.planId);
+                  return (
+                    <tr key={purchase._id}>
+                      <td className="py-3 text-gray-900 dark:text-white">
+                        {new Date(purchase.scheduledDate).toLocaleDateString()}
+                      </td>
+                      <td className="py-3">
+                        <div className="font-medium text-gray-900 dark:text-white">
+                          {purchase.coinName}
+                        </div>
+                        <div className="text-gray-500 dark:text-gray-400 uppercase text-xs">
+                          {purchase.symbol}
+                        </div>
+                      </td>
+                      <td className="text-right py-3 text-gray-900 dark:text-white">
+                        {formatAmount(purchase.fiatAmount, plan?.currency)}
+                      </td>
+                      <td className="text-right py-3 text-gray-900 dark:text-white">
+                        {purchase.scheduledPrice ? formatAmount(purchase.scheduledPrice, plan?.currency) : '—'}
+                      </td>
+                      <td className="text-right py-3 text-gray-900 dark:text-white">
+                        {purchase.estimatedAmount ? formatUnits(purchase.estimatedAmount) : '—'}
+                      </td>
+                      <td className="text-right py-3">
+                        <div className="flex items-center justify-end space-x-2">
+                          <button
+                            onClick={() => openConfirm(purchase)}
+                            className="p-1 text-gray-400 hover:text-green-600 dark:hover:text-green-400"
+                            aria-label="Confirm purchase"
+                          >
+                            <Check className="h-4 w-4" />
+                          </button>
+                          <button
+                            onClick={() => handleSkip(purchase)}
+                            className="p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                            aria-label="Skip purchase"
+                          >
+                            <X className="h-4 w-4" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Plans */}
+      <div className="crypto-card mb-8">
+        <div className="p-6 border-b border-gray-200 dark:border-gray-700">
+          <h2 className="section-header">
+            Plans
+          </h2>
+        </div>
+
+        {plans.length === 0 ? (
+          <div className="p-12 text-center">
+            <Repeat className="h-12 w-12 text-gray-400 mx-auto mb-3" />
+            <p className="text-gray-600 dark:text-gray-300">
+              No plans yet. Create one below.
+            </p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="premium-table">
+              <thead>
+                <tr>
+                  <th className="text-left">Asset</th>
+                  <th className="text-right">Amount</th>
+                  <th className="text-left">Cadence</th>
+                  <th className="text-left">Portfolio</th>
+                  <th className="text-left">Next Purchase</th>
+                  <th className="text-right">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {plans.map(plan => (
+                  <tr key={plan._id} className={plan.isActive ? '' : 'opacity-60'}>
+                    <td className="py-3">
+                      <div className="font-medium text-gray-900 dark:text-white">
+                        {plan.coinName}
+                      </div>
+                      <div className="text-gray-500 dark:text-gray-400 uppercase text-xs">
+                        {plan.symbol}
+                      </div>
+                    </td>
+                    <td className="text-right py-3 text-gray-900 dark:text-white">
+                      {formatAmount(plan.amount, plan.currency)}
+                    </td>
+                    <td className="py-3 text-gray-900 dark:text-white">
+                      {cadenceLabel(plan.cadence)}
+                    </td>
+                    <td className="py-3 text-gray-900 dark:text-white">
+                      {portfolioName(plan.portfolioId)}
+                    </td>
+                    <td className="py-3 text-gray-900 dark:text-white">
+                      {plan.isActive && plan.nextRunDate
+                        ? new Date(plan.nextRunDate).toLocaleDateString()
+                        : plan.isActive ? '—' : 'Paused'}
+                    </td>
+                    <td className="text-right py-3">
+                      <div className="flex items-center justify-end space-x-2">
+                        <button
+                          onClick={() => handleToggleActive(plan)}
+                          className="p-1 text-gray-400 hover:text-primary-600 dark:hover:text-primary-400"
+                          aria-label={plan.isActive ? 'Pause plan' : 'Resume plan'}
+                        >
+                          {plan.isActive ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+                        </button>
+                        <button
+                          onClick={() => handleDeletePlan(plan)}
+                          className="p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                          aria-label="Delete plan"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* New Plan */}
+      <div className="crypto-card p-6">
+        <h2 className="section-header">
+          New Plan
+        </h2>
+
+        <form onSubmit={handleCreatePlan} className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Cryptocurrency
+            </label>
+            <select
+              name="coinId"
+              value={form.coinId}
+              onChange={handleChange}
+              className="premium-input bg-white dark:bg-gray-700 w-full"
+            >
+              <option value="">Select a coin</option>
+              {coins.map(coin => (
+                <option key={coin.id} value={coin.id}>
+                  {coin.name} ({coin.symbol.toUpperCase()})
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Amount per purchase ({(user?.preferences?.currency || 'usd').toUpperCase()})
+            </label>
+            <input
+              type="number"
+              name="amount"
+              value={form.amount}
+              onChange={handleChange}
+              step="any"
+              min="0"
+              placeholder="100"
+              className="premium-input bg-white dark:bg-gray-700 w-full"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Cadence
+            </label>
+            <select
+              name="cadence"
+              value={form.cadence}
+              onChange={handleChange}
+              className="premium-input bg-white dark:bg-gray-700 w-full"
+            >
+              {CADENCES.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Start Date
+            </label>
+            <input
+              type="date"
+              name="startDate"
+              value={form.startDate}
+              onChange={handleChange}
+              className="premium-input bg-white dark:bg-gray-700 w-full"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              End Date (optional)
+            </label>
+            <input
+              type="date"
+              name="endDate"
+              value={form.endDate}
+              min={form.startDate}
+              onChange={handleChange}
+              className="premium-input bg-white dark:bg-gray-700 w-full"
+            />
+          </div>
+          {portfolios.length > 1 ? (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Portfolio
+              </label>
+              <select
+                name="portfolioId"
+                value={form.portfolioId}
+                onChange={handleChange}
+                className="premium-input bg-white dark:bg-gray-700 w-full"
+              >
+                <option value="">Default portfolio</option>
+                {portfolios.map(portfolio => (
+                  <option key={portfolio._id} value={portfolio._id}>{portfolio.name}</option>
+                ))}
+              </select>
+            </div>
+          ) : <div />}
+          <div className="md:col-span-3 flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Purchases are queued from today on. Backtest to see how the plan would have done from an earlier start date.
+            </p>
+            <div className="flex items-center space-x-2">
+              <button
+                type="button"
+                onClick={handleBacktest}
+                disabled={!isDefined || backtesting}
+                className="flex items-center space-x-2 px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 rounded-lg transition-colors disabled:opacity-50"
+              >
+                <FlaskConical className="h-4 w-4" />
+                <span>{backtesting ? 'Running...' : 'Backtest'}</span>
+              </button>
+              <button
+                type="submit"
+                disabled={!isDefined || saving}
+                className="btn-primary disabled:opacity-50"
+              >
+                {saving ? 'Creating...' : 'Create Plan'}
+              </button>
+            </div>
+          </div>
+        </form>
+
+        {backtest && <BacktestResult result={backtest} />}
+      </div>
+
+      {/* Confirm Purchase Modal */}
+      <Modal
+        isOpen={Boolean(confirming)}
+        onClose={() => setConfirming(null)}
+        title={confirming ? `Confirm ${confirming.coinName} purchase` : ''}
+        size="sm"
+      >
+        {confirming && (
+          <form onSubmit={handleConfirm} className="space-y-4">
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              Scheduled {formatAmount(confirming.fiatAmount, plans.find(p => p._id === confirming.planId)?.currency)} on{' '}
+              {new Date(confirming.scheduledDate).toLocaleDateString()}. Adjust to match the actual fill.
+            </p>
+            {[
+              { name: 'amount', label: `Amount (${confirming.symbol.toUpperCase()})`, type: 'number' },
+              { name: 'price', label: 'Price per coin', type: 'number' },
+              { name: 'feeValue', label: 'Fee (optional)', type: 'number' },
+              { name: 'date', label: 'Date', type: 'date' }
+            ].map(field => (
+              <div key={field.name}>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  {field.label}
+                </label>
+                <input
+                  type={field.type}
+                  value={fill[field.name]}
+                  onChange={(e) => setFill(prev => ({ ...prev, [field.name]: e.target.value }))}
+                  step="any"
+                  min={field.type === 'number' ? '0' : undefined}
+                  required={field.name !== 'feeValue'}
+                  className="premium-input bg-white dark:bg-gray-700 w-full"
+                />
+              </div>
+            ))}
+            <div className="flex justify-end space-x-2">
+              <button
+                type="button"
+                onClick={() => setConfirming(null)}
+                className="px-4 py-2 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg"
+              >
+                Cancel
+              </button>
+              <button type="submit" className="btn-primary">
+                Record Purchase
+              </button>
+            </div>
+          </form>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default DCA;
\ No newline at end of file
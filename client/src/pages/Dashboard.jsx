@@ -1,13 +1,17 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { Link } from 'react-router-dom';
 import { TrendingUp, TrendingDown, Plus, BarChart3, Star, DollarSign, Download, RefreshCw, FileText } from 'lucide-react';
 import { useCurrency } from '../context/CurrencyContext.jsx';
 import { useAuth } from '../context/AuthContext';
+import { usePortfolios } from '../context/PortfolioContext';
 import { portfolioService } from '../services/portfolioService';
 import { watchlistService } from '../services/watchlistService';
 import { cryptoService } from '../services/cryptoService';
+import { goalService } from '../services/goalService';
+import { useLivePrices, useValueFlash, applyLivePrices, applyLivePortfolio, flashClass } from '../hooks/useLivePrices';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
 import CurrencyToggle from '../components/ui/CurrencyToggle';
+import GoalCards from '../components/goals/GoalCards';
 import { formatCurrency, formatPercentage, convertCurrency } from '../utils/helpers';
 import { exportToCSV, exportToPDF } from '../utils/exportUtils';
 import toast from 'react-hot-toast';
@@ -15,13 +19,28 @@ import toast from 'react-hot-toast';
 const Dashboard = () => {
   const { user, isLoading: authLoading, isAuthenticated } = useAuth();
   const { selectedCurrency, exchangeRates } = useCurrency();
+  const { activePortfolioId, activePortfolio } = usePortfolios();
   const [portfolio, setPortfolio] = useState(null);
   const [watchlist, setWatchlist] = useState([]);
   const [topCoins, setTopCoins] = useState([]);
   const [globalData, setGlobalData] = useState(null);
+  const [goals, setGoals] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
 
+  // Live prices between refreshes: holdings and watchlist are priced in the
+  // user's currency, the market list in USD
+  const accountCurrency = user?.preferences?.currency || 'usd';
+  const { prices: accountPrices, flashes: accountFlashes } = useLivePrices(
+    [...watchlist.map(item => item.coinId), ...(portfolio?.holdings || []).map(holding => holding.coinId)],
+    accountCurrency
+  );
+  const { prices: marketPrices, flashes: marketFlashes } = useLivePrices(topCoins.map(coin => coin.id), 'usd');
+  const livePortfolio = useMemo(() => applyLivePortfolio(portfolio, accountPrices), [portfolio, accountPrices]);
+  const liveWatchlist = useMemo(() => applyLivePrices(watchlist, accountPrices, 'coinId'), [watchlist, accountPrices]);
+  const liveTopCoins = useMemo(() => applyLivePrices(topCoins, marketPrices), [topCoins, marketPrices]);
+  const totalValueFlash = useValueFlash(livePortfolio?.totalCurrentValue);
+
   const fetchDashboardData = async (isRefresh = false) => {
     if (!user) return;
 
@@ -33,8 +52,8 @@ const Dashboard = () => {
       // Fetch global market data
       const globalDataPromise = cryptoService.getGlobalData().catch(() => null);
 
-      const [portfolioData, watchlistData, coinsData, globalData] = await Promise.all([
-        portfolioService.getPortfolio().catch((error) => {
+      const [portfolioData, watchlistData, coinsData, globalData, goalsData] = await Promise.all([
+        portfolioService.getPortfolio(activePortfolioId).catch((error) => {
           console.error('Portfolio fetch error:', error);
           return { data: null };
         }),
@@ -46,7 +65,11 @@ const Dashboard = () => {
           console.error('Coin markets fetch error:', error);
           return [];
         }),
-        globalDataPromise
+        globalDataPromise,
+        goalService.getGoals().catch((error) => {
+          console.error('Goals fetch error:', error);
+          return { data: [] };
+        })
       ]);
 
       console.log('Dashboard data fetched:', { portfolioData, watchlistData, coinsData, globalData });
@@ -76,6 +99,7 @@ const Dashboard = () => {
 
       setTopCoins(coinsData?.data || coinsData || []);
       setGlobalData(globalData?.data || null);
+      setGoals(goalsData?.data || []);
     } catch (error) {
       console.error('Failed to fetch dashboard data:', error);
       toast.error('Failed to load dashboard data');
@@ -89,10 +113,19 @@ const Dashboard = () => {
     fetchDashboardData(true);
   };
 
+  const fetchGoals = async () => {
+    try {
+      const goalsData = await goalService.getGoals();
+      setGoals(goalsData.data || []);
+    } catch (error) {
+      console.error('Goals fetch error:', error);
+    }
+  };
+
   const handleExportCSV = async () => {
     try {
       // Get portfolio data for export
-      const portfolioData = await portfolioService.getPortfolio();
+      const portfolioData = await portfolioService.getPortfolio(activePortfolioId);
       const portfolio = portfolioData?.data || portfolioData;
 
       if (!portfolio || !portfolio.holdings || portfolio.holdings.length === 0) {
@@ -112,7 +145,7 @@ const Dashboard = () => {
   const handleExportPDF = async () => {
     try {
       // Get portfolio data for export
-      const portfolioData = await portfolioService.getPortfolio();
+      const portfolioData = await portfolioService.getPortfolio(activePortfolioId);
       const portfolio = portfolioData?.data || portfolioData;
 
       if (!portfolio || !portfolio.holdings || portfolio.holdings.length === 0) {
@@ -136,7 +169,7 @@ const Dashboard = () => {
     } else {
       setLoading(false);
     }
-  }, [user, isAuthenticated]);
+  }, [user, isAuthenticated, activePortfolioId]);
 
   // Add a check to ensure we show content when not loading
   if (authLoading) {
@@ -229,37 +262,42 @@ const Dashboard = () => {
           {/* Portfolio Summary Card */}
           <div className="crypto-card p-6">
             <div className="flex items-center justify-between mb-4">
-              <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
-                Portfolio Value
-              </h3>
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+                  Portfolio Value
+                </h3>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {activePortfolio ? activePortfolio.name : 'All portfolios'}
+                </p>
+              </div>
               <div className="p-2 bg-primary-100 dark:bg-primary-900 rounded-lg">
                 <DollarSign className="h-5 w-5 text-primary-600 dark:text-primary-400" />
               </div>
             </div>
             <div className="space-y-3">
-              <div className="text-2xl font-bold text-gray-900 dark:text-white">
+              <div className={`text-2xl font-bold text-gray-900 dark:text-white rounded ${totalValueFlash}`}>
                 {selectedCurrency.code === 'USD'
-                  ? formatCurrency(portfolio?.totalCurrentValue || 0, selectedCurrency.code)
+                  ? formatCurrency(livePortfolio?.totalCurrentValue || 0, selectedCurrency.code)
                   : formatCurrency(
-                    convertCurrency(portfolio?.totalCurrentValue || 0, selectedCurrency.code, exchangeRates),
+                    convertCurrency(livePortfolio?.totalCurrentValue || 0, selectedCurrency.code, exchangeRates),
                     selectedCurrency.code
                   )}
               </div>
-              <div className={`flex items-center space-x-1 ${(portfolio?.totalProfitLoss || 0) >= 0
+              <div className={`flex items-center space-x-1 ${(livePortfolio?.totalProfitLoss || 0) >= 0
                 ? 'text-green-600 dark:text-green-400'
                 : 'text-red-600 dark:text-red-400'
                 }`}>
-                {(portfolio?.totalProfitLoss || 0) >= 0 ? (
+                {(livePortfolio?.totalProfitLoss || 0) >= 0 ? (
                   <TrendingUp className="h-4 w-4" />
                 ) : (
                   <TrendingDown className="h-4 w-4" />
                 )}
                 <span className="font-medium">
-                  {(portfolio?.totalProfitLoss || 0) >= 0 ? '+' : ''}
+                  {(livePortfolio?.totalProfitLoss || 0) >= 0 ? '+' : ''}
                   {selectedCurrency.code === 'USD'
-                    ? formatCurrency(portfolio?.totalProfitLoss || 0, selectedCurrency.code)
+                    ? formatCurrency(livePortfolio?.totalProfitLoss || 0, selectedCurrency.code)
                     : formatCurrency(
-                      convertCurrency(portfolio?.totalProfitLoss || 0, selectedCurrency.code, exchangeRates),
+                      convertCurrency(livePortfolio?.totalProfitLoss || 0, selectedCurrency.code, exchangeRates),
                       selectedCurrency.code
                     )} (24h)
                 </span>
@@ -330,6 +368,9 @@ const Dashboard = () => {
           </div>
         </div>
 
+        {/* Goals */}
+        <GoalCards goals={goals} onGoalsChange={fetchGoals} />
+
         {/* Charts and Data Sections */}
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-8">
           {/* Watchlist Preview */}
@@ -346,7 +387,7 @@ const Dashboard = () => {
               </Link>
             </div>
             <div className="space-y-4">
-              {watchlist.slice(0, 4).map((item) => (
+              {liveWatchlist.slice(0, 4).map((item) => (
                 <div key={item.coinId || item.id} className="flex items-center justify-between p-3 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors">
                   <div className="flex items-center space-x-3">
                     {item.image ? (
@@ -375,7 +416,7 @@ const Dashboard = () => {
                     </div>
                   </div>
                   <div className="text-right">
-                    <div className="font-medium text-gray-900 dark:text-white">
+                    <div className={`font-medium text-gray-900 dark:text-white rounded ${flashClass(accountFlashes, item.coinId)}`}>
                       {selectedCurrency.code === 'USD'
                         ? formatCurrency(item.current_price !== undefined ? item.current_price : item.currentPrice || 0, selectedCurrency.code)
                         : formatCurrency(
@@ -421,7 +462,7 @@ const Dashboard = () => {
               </Link>
             </div>
             <div className="space-y-4">
-              {topCoins
+              {liveTopCoins
                 .filter(coin => coin.price_change_percentage_24h > 0)
                 .slice(0, 4)
                 .map((coin) => (
@@ -453,7 +494,7 @@ const Dashboard = () => {
                       </div>
                     </div>
                     <div className="text-right">
-                      <div className="font-medium text-gray-900 dark:text-white">
+                      <div className={`font-medium text-gray-900 dark:text-white rounded ${flashClass(marketFlashes, coin.id)}`}>
                         {selectedCurrency.code === 'USD'
                           ? formatCurrency(coin.current_price || 0, selectedCurrency.code)
                           : formatCurrency(
@@ -468,7 +509,7 @@ const Dashboard = () => {
                   </div>
                 ))
               }
-              {topCoins.filter(coin => coin.price_change_percentage_24h > 0).length === 0 && (
+              {liveTopCoins.filter(coin => coin.price_change_percentage_24h > 0).length === 0 && (
                 <div className="text-center py-8 text-gray-500 dark:text-gray-400">
                   <TrendingUp className="h-8 w-8 mx-auto mb-2 text-gray-300 dark:text-gray-600" />
                   <p className="text-sm">No top performers available</p>
@@ -479,7 +520,7 @@ const Dashboard = () => {
         </div>
 
         {/* Recent Holdings */}
-        {portfolio?.holdings && portfolio.holdings.length > 0 && (
+        {livePortfolio?.holdings && livePortfolio.holdings.length > 0 && (
           <div className="crypto-card mb-8">
             <div className="p-6 border-b border-gray-200 dark:border-gray-700">
               <div className="flex items-center justify-between">
@@ -506,8 +547,8 @@ const Dashboard = () => {
                     </tr>
                   </thead>
                   <tbody>
-                    {portfolio.holdings.slice(0, 5).map((holding) => (
-                      <tr key={holding._id} className="hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors">
+                    {livePortfolio.holdings.slice(0, 5).map((holding) => (
+                      <tr key={holding.coinId} className="hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors">
                         <td className="py-3">
                           <div>
                             <div className="font-medium text-gray-900 dark:text-white">
@@ -521,7 +562,7 @@ const Dashboard = () => {
                         <td className="text-right py-3 text-gray-900 dark:text-white">
                           {holding.amount?.toLocaleString() || '0'}
                         </td>
-                        <td className="text-right py-3 font-medium text-gray-900 dark:text-white">
+                        <td className={`text-right py-3 font-medium text-gray-900 dark:text-white ${flashClass(accountFlashes, holding.coinId)}`}>
                           {selectedCurrency.code === 'USD'
                             ? formatCurrency(holding.currentValue || 0, selectedCurrency.code)
                             : formatCurrency(
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { TrendingUp, TrendingDown, RefreshCw } from 'lucide-react';
 import CryptoTable from '../components/crypto/CryptoTable';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
@@ -6,6 +6,7 @@ import { cryptoService } from '../services/cryptoService';
 import { watchlistService } from '../services/watchlistService';
 import { useAuth } from '../context/AuthContext';
 import { useCurrency } from '../context/CurrencyContext.jsx';
+import { useLivePrices, applyLivePrices } from '../hooks/useLivePrices';
 import { formatCurrency as formatCurrencyHelper, convertCurrency } from '../utils/helpers';
 import toast from 'react-hot-toast';
 
@@ -22,6 +23,10 @@ const Markets = () => {
     marketCapChange: 0
   });
 
+  // Table rows follow live prices between refreshes
+  const { prices: livePrices, flashes } = useLivePrices(coins.map(coin => coin.id), 'usd');
+  const liveCoins = useMemo(() => applyLivePrices(coins, livePrices), [coins, livePrices]);
+
   const fetchMarketData = async (isRefresh = false) => {
     try {
       if (isRefresh) {
@@ -225,7 +230,8 @@ const Markets = () => {
       {/* Crypto Table */}
       <div className="crypto-card">
         <CryptoTable
-          data={coins}
+          data={liveCoins}
+          flashes={flashes}
           loading={loading}
           onAddToWatchlist={handleAddToWatchlist}
           watchlist={watchlist}
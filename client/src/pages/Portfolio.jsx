@@ -1,25 +1,57 @@
 import React, { useState, useEffect } from 'react';
-import { Plus, TrendingUp, TrendingDown, Edit, Trash2, RefreshCw, Download, FileText } from 'lucide-react';
+import { Plus, TrendingUp, TrendingDown, Edit, Trash2, RefreshCw, Download, Upload, FileText, ArrowUpRight } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { useCurrency } from '../context/CurrencyContext.jsx';
+import { usePortfolios } from '../context/PortfolioContext';
 import { portfolioService } from '../services/portfolioService';
 import { cryptoService } from '../services/cryptoService';
+import { locationService } from '../services/locationService';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
 import AddHoldingModal from '../components/portfolio/AddHoldingModal';
+import RebalancePanel from '../components/portfolio/RebalancePanel';
+import LocationBreakdown from '../components/portfolio/LocationBreakdown';
+import ImportWizard from '../components/portfolio/ImportWizard';
 import { formatCurrency, formatPercentage, convertCurrency } from '../utils/helpers';
-import { exportToCSV, exportToPDF } from '../utils/exportUtils';
+import { exportToCSV, exportToPDF, exportTaxReportToPDF, downloadBlob } from '../utils/exportUtils';
 import toast from 'react-hot-toast';
 
+const transactionTypeLabels = {
+  buy: 'Buy',
+  sell: 'Sell',
+  transfer_in: 'Transfer In',
+  transfer_out: 'Transfer Out',
+  income: 'Income',
+  move: 'Move'
+};
+
+const badgeColors = {
+  inflow: 'bg-green-100 text-green-700 dark:bg-green-900/20 dark:text-green-400',
+  outflow: 'bg-red-100 text-red-700 dark:bg-red-900/20 dark:text-red-400',
+  move: 'bg-blue-100 text-blue-700 dark:bg-blue-900/20 dark:text-blue-400'
+};
+
+const badgeColor = (type) => {
+  if (type === 'move') return badgeColors.move;
+  return type === 'buy' || type === 'transfer_in' || type === 'income' ? badgeColors.inflow : badgeColors.outflow;
+};
+
 const Portfolio = () => {
   const { user, isLoading: authLoading } = useAuth();
   const { selectedCurrency, exchangeRates } = useCurrency();
+  const { portfolios, activePortfolioId, activePortfolio, defaultPortfolio, fetchPortfolios } = usePortfolios();
   const [portfolio, setPortfolio] = useState(null);
   const [holdings, setHoldings] = useState([]);
+  const [transactions, setTransactions] = useState([]);
   const [coins, setCoins] = useState([]);
+  const [locations, setLocations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [showAddModal, setShowAddModal] = useState(false);
+  const [showImportWizard, setShowImportWizard] = useState(false);
+  const [modalInitialValues, setModalInitialValues] = useState(null);
   const [exporting, setExporting] = useState(false);
+  const [taxYear, setTaxYear] = useState(new Date().getFullYear());
+  const [activeTab, setActiveTab] = useState('holdings');
 
   const fetchPortfolio = async (isRefresh = false) => {
     if (!user) return;
@@ -31,11 +63,15 @@ const Portfolio = () => {
         setLoading(true);
       }
 
-      const portfolioData = await portfolioService.getPortfolio();
+      const [portfolioData, transactionsData] = await Promise.all([
+        portfolioService.getPortfolio(activePortfolioId),
+        portfolioService.getTransactions({ portfolioId: activePortfolioId })
+      ]);
       // The response interceptor already returns response.data, so we don't need to access .data again
       const portfolioInfo = portfolioData.data || portfolioData || {};
       setPortfolio(portfolioInfo);
       setHoldings(portfolioInfo.holdings || []);
+      setTransactions(transactionsData.data || []);
     } catch (error) {
       console.error('Failed to fetch portfolio:', error);
       toast.error('Failed to load portfolio');
@@ -59,32 +95,77 @@ const Portfolio = () => {
     }
   };
 
-  const handleAddHolding = async (holdingData) => {
+  const fetchLocations = async () => {
     try {
-      await portfolioService.addHolding(holdingData);
-      await fetchPortfolio();
-      toast.success('Holding added successfully');
+      const locationsData = await locationService.getLocations();
+      setLocations(locationsData.data || []);
     } catch (error) {
-      console.error('Failed to add holding:', error);
-      toast.error('Failed to add holding');
+      console.error('Failed to fetch locations:', error);
     }
   };
 
-  const handleDeleteHolding = async (holdingId, coinName) => {
-    if (!window.confirm(`Are you sure you want to delete ${coinName} from your portfolio?`)) {
+  const handleAddTransaction = async (transactionData) => {
+    try {
+      await portfolioService.addTransaction(transactionData);
+      await Promise.all([fetchPortfolio(), fetchPortfolios()]);
+      toast.success('Transaction recorded successfully');
+    } catch (error) {
+      console.error('Failed to record transaction:', error);
+      toast.error(error.message || 'Failed to record transaction');
+      throw error;
+    }
+  };
+
+  const handleDeleteTransaction = async (transaction) => {
+    if (!window.confirm(`Are you sure you want to delete this ${transactionTypeLabels[transaction.type].toLowerCase()} of ${transaction.coinName}?`)) {
       return;
     }
 
     try {
-      await portfolioService.deleteHolding(holdingId);
-      await fetchPortfolio();
-      toast.success('Holding deleted successfully');
+      await portfolioService.deleteTransaction(transaction._id);
+      await Promise.all([fetchPortfolio(), fetchPortfolios()]);
+      toast.success('Transaction deleted successfully');
     } catch (error) {
-      console.error('Failed to delete holding:', error);
-      toast.error('Failed to delete holding');
+      console.error('Failed to delete transaction:', error);
+      toast.error(error.message || 'Failed to delete transaction');
     }
   };
 
+  // New transactions go to the selected portfolio, or the default one in the combined view
+  const openAddModal = (initialValues = null) => {
+    setModalInitialValues({
+      portfolioId: activePortfolio?._id || defaultPortfolio?._id || '',
+      ...initialValues
+    });
+    setShowAddModal(true);
+  };
+
+  const handleRecordSale = (holding) => {
+    // In the combined view, sell from the portfolio that holds the coin when there is only one
+    const heldIn = holding.portfolioIds?.length === 1 ? holding.portfolioIds[0] : undefined;
+
+    openAddModal({
+      ...(heldIn && !activePortfolio ? { portfolioId: heldIn } : {}),
+      type: 'sell',
+      coinId: holding.coinId,
+      coinName: holding.coinName,
+      symbol: holding.symbol,
+      price: holding.currentPrice ? holding.currentPrice.toString() : ''
+    });
+  };
+
+  // Start a move of a coin out of the location it is listed under
+  const handleMove = (holding, location) => {
+    openAddModal({
+      type: 'move',
+      coinId: holding.coinId,
+      coinName: holding.coinName,
+      symbol: holding.symbol,
+      amount: holding.amount.toString(),
+      locationId: location?._id || ''
+    });
+  };
+
   const handleRefresh = () => {
     fetchPortfolio(true);
   };
@@ -185,10 +266,64 @@ const Portfolio = () => {
     }
   };
 
+  const handleExportTaxCSV = async () => {
+    try {
+      setExporting(true);
+      const blob = await portfolioService.exportCSV({ report: 'tax', year: taxYear, portfolioId: activePortfolioId });
+      downloadBlob(blob, `tax-report-${taxYear}.csv`);
+      toast.success(`Tax report ${taxYear} exported as CSV successfully`);
+    } catch (error) {
+      console.error('Failed to export tax report as CSV:', error);
+      toast.error('Failed to export tax report as CSV');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleExportTaxPDF = async () => {
+    try {
+      setExporting(true);
+      const reportData = await portfolioService.getTaxReport(taxYear, activePortfolioId);
+      const report = reportData.data;
+      exportTaxReportToPDF(report, `tax-report-${taxYear}.pdf`, (report.currency || 'usd').toUpperCase());
+      toast.success(`Tax report ${taxYear} exported as PDF successfully`);
+    } catch (error) {
+      console.error('Failed to export tax report as PDF:', error);
+      toast.error('Failed to export tax report as PDF: ' + error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const portfolioNames = portfolios.reduce((acc, p) => {
+    acc[p._id] = p.name;
+    return acc;
+  }, {});
+
+  const locationNames = locations.reduce((acc, l) => {
+    acc[l._id] = l.name;
+    return acc;
+  }, {});
+
+  // Tax years covered by the ledger, newest first
+  const firstTransactionYear = transactions.length > 0
+    ? Math.min(...transactions.map(t => new Date(t.date).getFullYear()))
+    : new Date().getFullYear();
+  const taxYears = Array.from(
+    { length: new Date().getFullYear() - firstTransactionYear + 1 },
+    (_, i) => new Date().getFullYear() - i
+  );
+
   useEffect(() => {
     if (user) {
       fetchPortfolio();
     }
+  }, [user, activePortfolioId]);
+
+  useEffect(() => {
+    if (user) {
+      fetchLocations();
+    }
   }, [user]);
 
   useEffect(() => {
@@ -233,7 +368,9 @@ const Portfolio = () => {
               Portfolio
             </h1>
             <p className="text-gray-600 dark:text-gray-300 mt-2">
-              Manage your cryptocurrency holdings and track performance
+              {activePortfolio
+                ? `Holdings and transactions in ${activePortfolio.name}`
+                : 'Manage your cryptocurrency holdings and track performance'}
             </p>
           </div>
           <div className="flex items-center space-x-3">
@@ -250,7 +387,7 @@ const Portfolio = () => {
             <div className="relative">
               <button
                 onClick={() => document.getElementById('export-dropdown').classList.toggle('hidden')}
-                disabled={exporting || holdings.length === 0}
+                disabled={exporting || transactions.length === 0}
                 className="flex items-center space-x-2 px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 rounded-lg transition-colors disabled:opacity-50 shadow-sm hover:shadow"
               >
                 <Download className="h-4 w-4" />
@@ -278,15 +415,55 @@ const Portfolio = () => {
                   <FileText className="h-4 w-4" />
                   <span>Export as PDF</span>
                 </button>
+                <div className="border-t border-gray-200 dark:border-gray-700 px-4 py-2">
+                  <label className="block text-xs text-gray-500 dark:text-gray-400 mb-1">Tax report year</label>
+                  <select
+                    value={taxYear}
+                    onChange={(e) => setTaxYear(parseInt(e.target.value))}
+                    className="w-full px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                  >
+                    {taxYears.map(year => (
+                      <option key={year} value={year}>{year}</option>
+                    ))}
+                  </select>
+                </div>
+                <button
+                  onClick={() => {
+                    handleExportTaxCSV();
+                    document.getElementById('export-dropdown').classList.add('hidden');
+                  }}
+                  className="flex items-center space-x-2 w-full px-4 py-2 text-left text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+                >
+                  <Download className="h-4 w-4" />
+                  <span>Tax Report (CSV)</span>
+                </button>
+                <button
+                  onClick={() => {
+                    handleExportTaxPDF();
+                    document.getElementById('export-dropdown').classList.add('hidden');
+                  }}
+                  className="flex items-center space-x-2 w-full px-4 py-2 text-left text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+                >
+                  <FileText className="h-4 w-4" />
+                  <span>Tax Report (PDF)</span>
+                </button>
               </div>
             </div>
 
             <button
-              onClick={() => setShowAddModal(true)}
+              onClick={() => setShowImportWizard(true)}
+              className="flex items-center space-x-2 px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 rounded-lg transition-colors shadow-sm hover:shadow"
+            >
+              <Upload className="h-4 w-4" />
+              <span>Import CSV</span>
+            </button>
+
+            <button
+              onClick={() => openAddModal()}
               className="flex items-center space-x-2 px-4 py-2 bg-gradient-to-r from-primary-500 to-primary-700 hover:from-primary-600 hover:to-primary-800 text-white rounded-lg transition-all duration-300 shadow-md hover:shadow-lg"
             >
               <Plus className="h-4 w-4" />
-              <span>Add Holding</span>
+              <span>Add Transaction</span>
             </button>
           </div>
         </div>
@@ -379,8 +556,54 @@ const Portfolio = () => {
         </div>
       )}
 
+      {/* Tabs */}
+      <div className="flex space-x-1 mb-6 border-b border-gray-200 dark:border-gray-700">
+        {[
+          { id: 'holdings', label: 'Holdings' },
+          { id: 'locations', label: 'Locations' },
+          { id: 'rebalance', label: 'Rebalance' }
+        ].map(tab => (
+          <button
+            key={tab.id}
+            onClick={() => setActiveTab(tab.id)}
+            className={`px-4 py-2 -mb-px text-sm font-medium border-b-2 transition-colors ${activeTab === tab.id
+              ? 'border-primary-600 text-primary-700 dark:text-primary-300'
+              : 'border-transparent text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white'
+              }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Locations */}
+      {activeTab === 'locations' && (
+        <LocationBreakdown
+          portfolioId={activePortfolioId}
+          refreshKey={transactions}
+          onLocationsChange={() => Promise.all([fetchLocations(), fetchPortfolio(true)])}
+          onMove={handleMove}
+        />
+      )}
+
+      {/* Rebalance */}
+      {activeTab === 'rebalance' && (activePortfolio ? (
+        <RebalancePanel
+          key={activePortfolio._id}
+          portfolioId={activePortfolio._id}
+          holdings={holdings}
+          onTradesRecorded={() => Promise.all([fetchPortfolio(true), fetchPortfolios()])}
+        />
+      ) : (
+        <div className="crypto-card p-12 text-center">
+          <p className="text-gray-600 dark:text-gray-300">
+            Targets are set per portfolio. Pick a portfolio in the header to plan a rebalance.
+          </p>
+        </div>
+      ))}
+
       {/* Holdings Table */}
-      {holdings.length > 0 ? (
+      {activeTab === 'holdings' && (holdings.length > 0 ? (
         <div className="crypto-card">
           <div className="p-6 border-b border-gray-200 dark:border-gray-700">
             <h2 className="section-header">
@@ -394,7 +617,7 @@ const Portfolio = () => {
                 <tr>
                   <th className="text-left">Asset</th>
                   <th className="text-right">Amount</th>
-                  <th className="text-right">Buy Price</th>
+                  <th className="text-right">Avg Buy Price</th>
                   <th className="text-right">Current Price</th>
                   <th className="text-right">Current Value</th>
                   <th className="text-right">Profit/Loss</th>
@@ -404,7 +627,7 @@ const Portfolio = () => {
               </thead>
               <tbody>
                 {holdings.map((holding) => (
-                  <tr key={holding._id}>
+                  <tr key={holding.coinId}>
                     <td className="py-3">
                       <div>
                         <div className="font-medium text-gray-900 dark:text-white">
@@ -474,11 +697,11 @@ const Portfolio = () => {
                     <td className="text-right py-3">
                       <div className="flex items-center justify-end space-x-2">
                         <button
-                          onClick={() => handleDeleteHolding(holding._id, holding.coinName)}
-                          className="p-2 text-red-600 hover:text-red-700 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-colors"
-                          title="Delete holding"
+                          onClick={() => handleRecordSale(holding)}
+                          className="p-2 text-primary-600 hover:text-primary-700 hover:bg-primary-50 dark:hover:bg-primary-900/20 rounded-lg transition-colors"
+                          title="Record sale"
                         >
-                          <Trash2 className="h-4 w-4" />
+                          <ArrowUpRight className="h-4 w-4" />
                         </button>
                       </div>
                     </td>
@@ -498,23 +721,155 @@ const Portfolio = () => {
               Add your first cryptocurrency holding to get started
             </p>
             <button
-              onClick={() => setShowAddModal(true)}
+              onClick={() => openAddModal()}
               className="inline-flex items-center space-x-2 px-4 py-2 bg-gradient-to-r from-primary-500 to-primary-700 hover:from-primary-600 hover:to-primary-800 text-white rounded-lg transition-all duration-300 shadow-md hover:shadow-lg"
             >
               <Plus className="h-4 w-4" />
-              <span>Add Your First Holding</span>
+              <span>Add Your First Transaction</span>
             </button>
           </div>
         </div>
+      ))}
+
+      {/* Transaction Ledger */}
+      {activeTab === 'holdings' && transactions.length > 0 && (
+        <div className="crypto-card mt-8">
+          <div className="p-6 border-b border-gray-200 dark:border-gray-700">
+            <h2 className="section-header">
+              Transactions
+            </h2>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="premium-table">
+              <thead>
+                <tr>
+                  <th className="text-left">Date</th>
+                  <th className="text-left">Type</th>
+                  <th className="text-left">Asset</th>
+                  {!activePortfolio && <th className="text-left">Portfolio</th>}
+                  <th className="text-right">Amount</th>
+                  <th className="text-right">Price</th>
+                  <th className="text-right">Fee</th>
+                  <th className="text-right">Total</th>
+                  <th className="text-right">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {transactions.map((transaction) => (
+                  <tr key={transaction._id}>
+                    <td className="py-3 text-gray-900 dark:text-white">
+                      {new Date(transaction.date).toLocaleDateString()}
+                    </td>
+                    <td className="py-3">
+                      <span className={`px-2 py-1 text-xs font-medium rounded-full ${badgeColor(transaction.type)}`}>
+                        {transactionTypeLabels[transaction.type]}
+                      </span>
+                      {transaction.incomeType && (
+                        <span className="ml-1 text-xs text-gray-500 dark:text-gray-400 capitalize">
+                          {transaction.incomeType}
+                        </span>
+                      )}
+                      {locations.length > 0 && (
+                        <div className="text-gray-500 dark:text-gray-400 text-xs mt-1">
+                          {transaction.type === 'move'
+                            ? `${locationNames[transaction.locationId] || 'Unassigned'} → ${locationNames[transaction.toLocationId] || 'Unassigned'}`
+                            : locationNames[transaction.locationId]}
+                        </div>
+                      )}
+                    </td>
+                    <td className="py-3">
+                      <div className="font-medium text-gray-900 dark:text-white">
+                        {transaction.coinName}
+                      </div>
+                      <div className="text-gray-500 dark:text-gray-400 uppercase text-xs">
+                        {transaction.symbol}
+                      </div>
+                    </td>
+                    {!activePortfolio && (
+                      <td className="py-3 text-gray-500 dark:text-gray-400">
+                        {portfolioNames[transaction.portfolioId] || '-'}
+                      </td>
+                    )}
+                    <td className="text-right py-3 text-gray-900 dark:text-white">
+                      {transaction.amount.toLocaleString()}
+                    </td>
+                    <td className="text-right py-3 text-gray-900 dark:text-white">
+                      {transaction.type === 'transfer_out' || transaction.type === 'move' ? '-' : selectedCurrency.code === 'USD'
+                        ? formatCurrency(transaction.price, selectedCurrency.code)
+                        : formatCurrency(
+                          convertCurrency(transaction.price, selectedCurrency.code, exchangeRates),
+                          selectedCurrency.code
+                        )}
+                    </td>
+                    <td className="text-right py-3 text-gray-900 dark:text-white">
+                      {transaction.fee > 0 ? (
+                        <div>
+                          <div>
+                            {selectedCurrency.code === 'USD'
+                              ? formatCurrency(transaction.feeValue || 0, selectedCurrency.code)
+                              : formatCurrency(
+                                convertCurrency(transaction.feeValue || 0, selectedCurrency.code, exchangeRates),
+                                selectedCurrency.code
+                              )}
+                          </div>
+                          {transaction.feeCurrency !== 'usd' && (
+                            <div className="text-gray-500 dark:text-gray-400 text-xs">
+                              {transaction.fee} {transaction.feeCurrency}
+                            </div>
+                          )}
+                        </div>
+                      ) : '-'}
+                    </td>
+                    <td className="text-right py-3 font-medium text-gray-900 dark:text-white">
+                      {transaction.type === 'transfer_out' || transaction.type === 'move' ? '-' : selectedCurrency.code === 'USD'
+                        ? formatCurrency(transaction.netTotal, selectedCurrency.code)
+                        : formatCurrency(
+                          convertCurrency(transaction.netTotal, selectedCurrency.code, exchangeRates),
+                          selectedCurrency.code
+                        )}
+                    </td>
+                    <td className="text-right py-3">
+                      <div className="flex items-center justify-end space-x-2">
+                        <button
+                          onClick={() => handleDeleteTransaction(transaction)}
+                          className="p-2 text-red-600 hover:text-red-700 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-colors"
+                          title="Delete transaction"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
       )}
 
-      {/* Add Holding Modal */}
+      {/* Add Transaction Modal */}
       {showAddModal && (
         <AddHoldingModal
           isOpen={showAddModal}
           onClose={() => setShowAddModal(false)}
-          onSubmit={handleAddHolding}
+          onSubmit={handleAddTransaction}
           coins={coins}
+          portfolios={portfolios}
+          locations={locations}
+          initialValues={modalInitialValues}
+        />
+      )}
+
+      {/* Import Wizard */}
+      {showImportWizard && (
+        <ImportWizard
+          isOpen={showImportWizard}
+          onClose={() => setShowImportWizard(false)}
+          onImported={() => Promise.all([fetchPortfolio(true), fetchPortfolios()])}
+          portfolios={portfolios}
+          locations={locations}
+          defaultPortfolioId={activePortfolio?._id || defaultPortfolio?._id}
         />
       )}
     </div>
@@ -1,12 +1,15 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
-import { User, Mail, Lock, Palette, Globe, Eye, EyeOff, Save } from 'lucide-react';
+import { User, Mail, Lock, Palette, Globe, Eye, EyeOff, Save, Calculator, Database, History, Percent, Download, Upload } from 'lucide-react';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
+import { portfolioService } from '../services/portfolioService';
+import { accountService } from '../services/accountService';
+import { downloadBlob } from '../utils/exportUtils';
 import toast from 'react-hot-toast';
 
 const Settings = () => {
-  const { user, isLoading: authLoading, updateProfile, changePassword } = useAuth();
+  const { user, isLoading: authLoading, updateProfile, changePassword, updatePreferences, refreshUser } = useAuth();
   const { theme, toggleTheme, isDarkTheme } = useTheme();
   const [activeTab, setActiveTab] = useState('profile');
   const [profileForm, setProfileForm] = useState({
@@ -21,6 +24,106 @@ const Settings = () => {
   const [showNewPassword, setShowNewPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
+  const [backfill, setBackfill] = useState(null);
+  const [isStartingBackfill, setIsStartingBackfill] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [restore, setRestore] = useState({ backup: null, fileName: '', mode: 'merge' });
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [restoreErrors, setRestoreErrors] = useState([]);
+
+  const backfillActive = backfill?.status === 'pending' || backfill?.status === 'running';
+
+  // Load backfill progress when the Data tab opens, then poll while it runs
+  useEffect(() => {
+    if (activeTab !== 'data') return;
+
+    let cancelled = false;
+    const fetchProgress = async () => {
+      try {
+        const response = await portfolioService.getBackfillProgress();
+        if (!cancelled) setBackfill(response.data);
+      } catch (error) {
+        console.error('Failed to fetch backfill progress:', error);
+      }
+    };
+
+    fetchProgress();
+    if (!backfillActive) return () => { cancelled = true; };
+
+    const interval = setInterval(fetchProgress, 3000);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [activeTab, backfillActive]);
+
+  const handleStartBackfill = async () => {
+    try {
+      setIsStartingBackfill(true);
+      const response = await portfolioService.startBackfill();
+      setBackfill(response.data);
+      toast.success('Rebuilding portfolio history');
+    } catch (error) {
+      console.error('Failed to start backfill:', error);
+      toast.error(error.message || 'Failed to start history backfill');
+    } finally {
+      setIsStartingBackfill(false);
+    }
+  };
+
+  const handleExportBackup = async () => {
+    try {
+      setIsExporting(true);
+      const blob = await accountService.exportBackup();
+      downloadBlob(blob, `cryptotrack-backup-${new Date().toISOString().split('T')[0]}.json`);
+      toast.success('Backup downloaded');
+    } catch (error) {
+      console.error('Failed to export backup:', error);
+      toast.error('Failed to export backup');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleBackupFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setRestoreErrors([]);
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        setRestore(prev => ({ ...prev, backup: JSON.parse(reader.result), fileName: file.name }));
+      } catch {
+        setRestore(prev => ({ ...prev, backup: null, fileName: '' }));
+        toast.error('That file is not valid JSON');
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const handleRestore = async () => {
+    if (restore.mode === 'replace' &&
+      !window.confirm('Replace all of your portfolios, transactions, goals, DCA plans and watchlist with this backup? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      setIsRestoring(true);
+      setRestoreErrors([]);
+      const response = await accountService.importBackup(restore.backup, restore.mode);
+      const { restored } = response.data;
+      toast.success(`${response.message}: ${restored.transactions} transactions, ${restored.portfolios} portfolios`);
+      setRestore(prev => ({ ...prev, backup: null, fileName: '' }));
+      await refreshUser();
+    } catch (error) {
+      console.error('Failed to restore backup:', error);
+      setRestoreErrors(error.response?.data?.errors || []);
+      toast.error(error.message || 'Failed to restore backup');
+    } finally {
+      setIsRestoring(false);
+    }
+  };
 
   const handleProfileChange = (e) => {
     const { name, value } = e.target;
@@ -84,6 +187,27 @@ const Settings = () => {
     toggleTheme(true); // Update user preference
   };
 
+  const handleCostBasisChange = async (e) => {
+    setIsSaving(true);
+    try {
+      await updatePreferences({ costBasisMethod: e.target.value });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRiskFreeRateChange = async (e) => {
+    const riskFreeRate = parseFloat(e.target.value);
+    if (Number.isNaN(riskFreeRate) || riskFreeRate === (user.preferences?.riskFreeRate || 0)) return;
+
+    setIsSaving(true);
+    try {
+      await updatePreferences({ riskFreeRate });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
   if (authLoading) {
     return (
       <div className="flex items-center justify-center min-h-96">
@@ -155,6 +279,17 @@ const Settings = () => {
                 <Palette className="h-5 w-5" />
                 <span>Preferences</span>
               </button>
+
+              <button
+                onClick={() => setActiveTab('data')}
+                className={`w-full flex items-center space-x-3 px-3 py-2 text-left rounded-lg transition-all duration-200 ${activeTab === 'data'
+                  ? 'bg-gradient-to-r from-primary-500/10 to-primary-700/10 text-primary-700 dark:text-primary-300 shadow-sm'
+                  : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+                  }`}
+              >
+                <Database className="h-5 w-5" />
+                <span>Data</span>
+              </button>
             </nav>
           </div>
         </div>
@@ -364,6 +499,64 @@ const Settings = () => {
                   </div>
                 </div>
 
+                <div>
+                  <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">
+                    Portfolio
+                  </h3>
+
+                  <div className="flex items-center justify-between p-4 border border-gray-200 dark:border-gray-700 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors">
+                    <div className="flex items-center space-x-3">
+                      <Calculator className="h-5 w-5 text-gray-500 dark:text-gray-400" />
+                      <div>
+                        <div className="font-medium text-gray-900 dark:text-white">
+                          Cost Basis Method
+                        </div>
+                        <div className="text-sm text-gray-500 dark:text-gray-400">
+                          How sales are matched against purchases for realized P&L
+                        </div>
+                      </div>
+                    </div>
+
+                    <select
+                      value={user.preferences?.costBasisMethod || 'fifo'}
+                      onChange={handleCostBasisChange}
+                      disabled={isSaving}
+                      className="premium-input bg-white dark:bg-gray-700"
+                    >
+                      <option value="fifo">FIFO (first in, first out)</option>
+                      <option value="lifo">LIFO (last in, first out)</option>
+                      <option value="hifo">HIFO (highest cost first)</option>
+                      <option value="average">Average cost</option>
+                    </select>
+                  </div>
+
+                  <div className="flex items-center justify-between p-4 mt-4 border border-gray-200 dark:border-gray-700 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors">
+                    <div className="flex items-center space-x-3">
+                      <Percent className="h-5 w-5 text-gray-500 dark:text-gray-400" />
+                      <div>
+                        <div className="font-medium text-gray-900 dark:text-white">
+                          Risk-Free Rate
+                        </div>
+                        <div className="text-sm text-gray-500 dark:text-gray-400">
+                          Annual rate (%) used for Sharpe and Sortino ratios
+                        </div>
+                      </div>
+                    </div>
+
+                    <input
+                      key={user.preferences?.riskFreeRate || 0}
+                      type="number"
+                      min="0"
+                      max="100"
+                      step="0.1"
+                      defaultValue={user.preferences?.riskFreeRate || 0}
+                      onBlur={handleRiskFreeRateChange}
+                      disabled={isSaving}
+                      className="premium-input bg-white dark:bg-gray-700 w-28"
+                    />
+                  </div>
+                </div>
+
                 <div>
                   <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">
                     Language
@@ -393,6 +586,147 @@ const Settings = () => {
               </div>
             </div>
           )}
+
+          {/* Data Tab */}
+          {activeTab === 'data' && (
+            <div className="crypto-card p-6">
+              <h2 className="section-header mb-6">
+                Data
+              </h2>
+
+              <div className="p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+                <div className="flex items-center justify-between gap-4">
+                  <div className="flex items-center space-x-3">
+                    <History className="h-5 w-5 text-gray-500 dark:text-gray-400" />
+                    <div>
+                      <div className="font-medium text-gray-900 dark:text-white">
+                        Portfolio History
+                      </div>
+                      <div className="text-sm text-gray-500 dark:text-gray-400">
+                        Rebuild your value history from your first transaction using historical prices
+                      </div>
+                    </div>
+                  </div>
+
+                  <button
+                    onClick={handleStartBackfill}
+                    disabled={isStartingBackfill || backfillActive}
+                    className="flex items-center space-x-2 px-4 py-2 bg-gradient-to-r from-primary-500 to-primary-700 hover:from-primary-600 hover:to-primary-800 text-white rounded-lg transition-all duration-300 shadow-md hover:shadow-lg disabled:opacity-50 whitespace-nowrap"
+                  >
+                    {isStartingBackfill ? <LoadingSpinner size="small" /> : <History className="h-4 w-4" />}
+                    <span>{backfill?.status === 'failed' ? 'Resume' : 'Rebuild History'}</span>
+                  </button>
+                </div>
+
+                {backfill && (
+                  <div className="mt-4">
+                    <div className="flex justify-between text-sm text-gray-600 dark:text-gray-300 mb-1">
+                      <span>
+                        {backfill.status === 'completed' && `Completed ${new Date(backfill.completedAt).toLocaleString()}`}
+                        {backfill.status === 'failed' && 'Stopped before finishing'}
+                        {backfill.status === 'pending' && 'Waiting to start...'}
+                        {backfill.status === 'running' && (backfill.phase === 'prices'
+                          ? `Fetching prices (${backfill.coins.filter(c => c.done).length} of ${backfill.coins.length} coins)`
+                          : `Writing snapshots (${backfill.processedDays} of ${backfill.totalDays} days)`)}
+                      </span>
+                      <span>{backfill.progress}%</span>
+                    </div>
+                    <div className="w-full h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+                      <div
+                        className={`h-2 rounded-full transition-all duration-500 ${backfill.status === 'failed' ? 'bg-red-500' : 'bg-primary-600'}`}
+                        style={{ width: `${backfill.progress}%` }}
+                      />
+                    </div>
+                    {backfill.status === 'failed' && backfill.error && (
+                      <p className="mt-2 text-sm text-red-600 dark:text-red-400">
+                        {backfill.error}. Progress is saved; resume to continue.
+                      </p>
+                    )}
+                    {backfill.skippedCoins?.length > 0 && (
+                      <p className="mt-2 text-sm text-yellow-600 dark:text-yellow-400">
+                        No price history was available for {backfill.skippedCoins.join(', ')}, so they are valued at zero in the rebuilt history.
+                      </p>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              <div className="p-4 mt-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+                <div className="flex items-center justify-between gap-4">
+                  <div className="flex items-center space-x-3">
+                    <Download className="h-5 w-5 text-gray-500 dark:text-gray-400" />
+                    <div>
+                      <div className="font-medium text-gray-900 dark:text-white">
+                        Backup
+                      </div>
+                      <div className="text-sm text-gray-500 dark:text-gray-400">
+                        Download your preferences, portfolios, transactions, locations, goals, DCA plans and watchlist as JSON
+                      </div>
+                    </div>
+                  </div>
+
+                  <button
+                    onClick={handleExportBackup}
+                    disabled={isExporting}
+                    className="flex items-center space-x-2 px-4 py-2 bg-gradient-to-r from-primary-500 to-primary-700 hover:from-primary-600 hover:to-primary-800 text-white rounded-lg transition-all duration-300 shadow-md hover:shadow-lg disabled:opacity-50 whitespace-nowrap"
+                  >
+                    {isExporting ? <LoadingSpinner size="small" /> : <Download className="h-4 w-4" />}
+                    <span>Export Backup</span>
+                  </button>
+                </div>
+              </div>
+
+              <div className="p-4 mt-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+                <div className="flex items-center space-x-3 mb-4">
+                  <Upload className="h-5 w-5 text-gray-500 dark:text-gray-400" />
+                  <div>
+                    <div className="font-medium text-gray-900 dark:text-white">
+                      Restore
+                    </div>
+                    <div className="text-sm text-gray-500 dark:text-gray-400">
+                      Merge adds what is not already in your account. Replace deletes your data first and also restores preferences.
+                    </div>
+                  </div>
+                </div>
+
+                <div className="flex flex-col md:flex-row md:items-center gap-3">
+                  <input
+                    type="file"
+                    accept=".json,application/json"
+                    onChange={handleBackupFile}
+                    className="text-sm text-gray-700 dark:text-gray-300 flex-1"
+                  />
+                  <select
+                    value={restore.mode}
+                    onChange={(e) => setRestore(prev => ({ ...prev, mode: e.target.value }))}
+                    className="premium-input bg-white dark:bg-gray-700"
+                    aria-label="Restore mode"
+                  >
+                    <option value="merge">Merge</option>
+                    <option value="replace">Replace</option>
+                  </select>
+                  <button
+                    onClick={handleRestore}
+                    disabled={!restore.backup || isRestoring}
+                    className="flex items-center space-x-2 px-4 py-2 bg-gradient-to-r from-primary-500 to-primary-700 hover:from-primary-600 hover:to-primary-800 text-white rounded-lg transition-all duration-300 shadow-md hover:shadow-lg disabled:opacity-50 whitespace-nowrap"
+                  >
+                    {isRestoring ? <LoadingSpinner size="small" /> : <Upload className="h-4 w-4" />}
+                    <span>Restore</span>
+                  </button>
+                </div>
+
+                {restoreErrors.length > 0 && (
+                  <ul className="mt-4 space-y-1 text-sm text-red-600 dark:text-red-400">
+                    {restoreErrors.map((error, index) => (
+                      <li key={index}>
+                        <span className="font-mono">{error.field}</span>: {error.message}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+          )}
         </div>
       </div>
     </div>
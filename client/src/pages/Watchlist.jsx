@@ -1,7 +1,8 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { Star, Trash2, Plus, TrendingUp, TrendingDown } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { useCurrency } from '../context/CurrencyContext.jsx';
+import { useLivePrices, applyLivePrices, flashClass } from '../hooks/useLivePrices';
 import { watchlistService } from '../services/watchlistService';
 import { cryptoService } from '../services/cryptoService';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
@@ -19,6 +20,13 @@ const Watchlist = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [filteredCoins, setFilteredCoins] = useState([]);
 
+  // Watchlist prices come in the user's currency, so the stream uses it too
+  const { prices: livePrices, flashes } = useLivePrices(
+    watchlist.map(item => item.coinId),
+    user?.preferences?.currency || 'usd'
+  );
+  const liveWatchlist = useMemo(() => applyLivePrices(watchlist, livePrices, 'coinId'), [watchlist, livePrices]);
+
   const fetchWatchlist = async () => {
     if (!user) return;
 
@@ -258,7 +266,7 @@ const Watchlist = () => {
                 </tr>
               </thead>
               <tbody>
-                {watchlist.map((item) => (
+                {liveWatchlist.map((item) => (
                   <tr key={item.coinId || item.id}>
                     <td className="py-3">
                       <div className="flex items-center space-x-3">
@@ -288,7 +296,7 @@ const Watchlist = () => {
                         </div>
                       </div>
                     </td>
-                    <td className="text-right py-3 font-medium text-gray-900 dark:text-white">
+                    <td className={`text-right py-3 font-medium text-gray-900 dark:text-white ${flashClass(flashes, item.coinId)}`}>
                       {selectedCurrency.code === 'USD' 
                         ? formatCurrency(item.current_price || item.currentPrice || 0, selectedCurrency.code)
                         : formatCurrency(
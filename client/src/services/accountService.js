@@ -0,0 +1,15 @@
+import api from './authService';
+
+export const accountService = {
+  // Download a JSON backup of all account data
+  exportBackup: async () => {
+    return await api.get('/account/export', { responseType: 'blob' });
+  },
+
+  // Restore a backup document; mode is 'merge' or 'replace'
+  importBackup: async (backup, mode) => {
+    return await api.post('/account/import', { backup, mode });
+  },
+};
+
+export default accountService;
\ No newline at end of file
@@ -150,6 +150,11 @@ export const authService = {
     return await api.put('/auth/profile', profileData);
   },
 
+  // Update preferences (currency, theme, cost basis method)
+  updatePreferences: async (preferences) => {
+    return await api.put('/auth/preferences', preferences);
+  },
+
   // Change password
   changePassword: async (currentPassword, newPassword, confirmNewPassword) => {
     return await api.post('/auth/change-password', {
@@ -76,6 +76,22 @@ export const cryptoService = {
     return await api.get('/crypto/global');
   },
 
+  // Subscribe to live price ticks for a set of coins. Calls onPrices with
+  // { currency, timestamp, prices } whenever prices change; returns a
+  // function that closes the stream. EventSource reconnects by itself.
+  streamPrices: (coinIds, vs_currency = 'usd', onPrices, onStatus) => {
+    const params = new URLSearchParams({ ids: coinIds.join(','), vs_currency });
+    const source = new EventSource(`${api.defaults.baseURL}/crypto/stream?${params}`);
+
+    source.addEventListener('prices', (event) => onPrices(JSON.parse(event.data)));
+    if (onStatus) {
+      source.onopen = () => onStatus(true);
+      source.onerror = () => onStatus(false);
+    }
+
+    return () => source.close();
+  },
+
   // Get cache statistics (development only)
   getCacheStats: async () => {
     return await api.get('/crypto/cache/stats');
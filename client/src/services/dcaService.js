@@ -0,0 +1,45 @@
+import api from './authService';
+
+export const dcaService = {
+  // Get user's DCA plans
+  getPlans: async () => {
+    return await api.get('/dca/plans');
+  },
+
+  // Create a DCA plan
+  createPlan: async (planData) => {
+    return await api.post('/dca/plans', planData);
+  },
+
+  // Update a DCA plan (pass { isActive } to pause or resume it)
+  updatePlan: async (planId, planData) => {
+    return await api.put(`/dca/plans/${planId}`, planData);
+  },
+
+  // Delete a DCA plan and its unreviewed purchases
+  deletePlan: async (planId) => {
+    return await api.delete(`/dca/plans/${planId}`);
+  },
+
+  // Simulate a plan over historical prices
+  backtest: async (planData) => {
+    return await api.post('/dca/backtest', planData);
+  },
+
+  // Get scheduled purchases by status (pending by default)
+  getPurchases: async (status = 'pending') => {
+    return await api.get('/dca/purchases', { params: { status } });
+  },
+
+  // Confirm a scheduled purchase with the actual fill
+  confirmPurchase: async (purchaseId, fill) => {
+    return await api.post(`/dca/purchases/${purchaseId}/confirm`, fill);
+  },
+
+  // Skip a scheduled purchase
+  skipPurchase: async (purchaseId) => {
+    return await api.post(`/dca/purchases/${purchaseId}/skip`);
+  },
+};
+
+export default dcaService;
\ No newline at end of file
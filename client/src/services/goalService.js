@@ -0,0 +1,25 @@
+import api from './authService';
+
+export const goalService = {
+  // Get user's goals with progress
+  getGoals: async () => {
+    return await api.get('/goals');
+  },
+
+  // Create a goal (type: value or amount)
+  createGoal: async (goalData) => {
+    return await api.post('/goals', goalData);
+  },
+
+  // Update a goal
+  updateGoal: async (goalId, goalData) => {
+    return await api.put(`/goals/${goalId}`, goalData);
+  },
+
+  // Delete a goal
+  deleteGoal: async (goalId) => {
+    return await api.delete(`/goals/${goalId}`);
+  },
+};
+
+export default goalService;
\ No newline at end of file
@@ -0,0 +1,25 @@
+import api from './authService';
+
+export const locationService = {
+  // Get user's locations (exchanges, wallets, custodians)
+  getLocations: async () => {
+    return await api.get('/locations');
+  },
+
+  // Create a location
+  createLocation: async (locationData) => {
+    return await api.post('/locations', locationData);
+  },
+
+  // Rename or retype a location
+  updateLocation: async (locationId, locationData) => {
+    return await api.put(`/locations/${locationId}`, locationData);
+  },
+
+  // Delete a location; its transactions become unassigned
+  deleteLocation: async (locationId) => {
+    return await api.delete(`/locations/${locationId}`);
+  },
+};
+
+export default locationService;
\ No newline at end of file
@@ -1,49 +1,143 @@
 import api from './authService';
 
+// Query params for a portfolio selection; 'all' (or nothing) combines every portfolio
+const scopeParams = (portfolioId) => (portfolioId && portfolioId !== 'all' ? { portfolioId } : {});
+
 export const portfolioService = {
+  // List user's portfolios
+  getPortfolios: async () => {
+    return await api.get('/portfolios');
+  },
+
+  // Create a portfolio
+  createPortfolio: async (portfolioData) => {
+    return await api.post('/portfolios', portfolioData);
+  },
+
+  // Rename a portfolio, update its description or make it the default
+  updatePortfolio: async (portfolioId, portfolioData) => {
+    return await api.put(`/portfolios/${portfolioId}`, portfolioData);
+  },
+
+  // Delete a portfolio; its transactions move to the default portfolio unless deleteTransactions is set
+  deletePortfolio: async (portfolioId, { deleteTransactions = false } = {}) => {
+    return await api.delete(`/portfolios/${portfolioId}`, { params: { deleteTransactions } });
+  },
+
+  // Set target allocation weights ({ name, coinIds, weight }) and tolerance band
+  updateTargets: async (portfolioId, { targets, tolerance }) => {
+    return await api.put(`/portfolios/${portfolioId}/targets`, { targets, tolerance });
+  },
+
+  // Get the rebalancing plan for a portfolio
+  getRebalancePlan: async (portfolioId) => {
+    return await api.get('/portfolio/rebalance', { params: { portfolioId } });
+  },
+
+  // Record a rebalancing plan's trades
+  recordRebalanceTrades: async (portfolioId, trades) => {
+    return await api.post('/portfolio/rebalance/trades', { portfolioId, trades });
+  },
+
   // Get complete portfolio with current prices
-  getPortfolio: async () => {
-    return await api.get('/portfolio');
+  getPortfolio: async (portfolioId) => {
+    return await api.get('/portfolio', { params: scopeParams(portfolioId) });
   },
 
   // Get portfolio summary (lightweight)
-  getPortfolioSummary: async () => {
-    return await api.get('/portfolio/summary');
+  getPortfolioSummary: async (portfolioId) => {
+    return await api.get('/portfolio/summary', { params: scopeParams(portfolioId) });
+  },
+
+  // Get portfolio analytics (pass { from, to } to narrow the return calculations)
+  getPortfolioAnalytics: async (portfolioId, params = {}) => {
+    return await api.get('/portfolio/analytics', { params: { ...params, ...scopeParams(portfolioId) } });
+  },
+
+  // Get daily value snapshots for a range (7d, 30d, 1y or all)
+  getPortfolioHistory: async (range = '30d', portfolioId) => {
+    return await api.get('/portfolio/history', { params: { range, ...scopeParams(portfolioId) } });
+  },
+
+  // Project value, P&L and allocation under hypothetical price moves
+  // (shocks: [{ coinId, change }]; market: { change, betaScaled }; changes in percent)
+  runScenario: async (portfolioId, { shocks = [], market } = {}) => {
+    return await api.post('/portfolio/scenarios', { shocks, market }, { params: scopeParams(portfolioId) });
+  },
+
+  // Monte Carlo projection of current holdings
+  // (horizon: 30, 90 or 365 days; method: bootstrap or gbm; seed reproduces a run; goal: value to reach)
+  getProjection: async ({ portfolioId, ...params } = {}) => {
+    return await api.get('/portfolio/projection', { params: { ...params, ...scopeParams(portfolioId) } });
+  },
+
+  // Compare against a benchmark holding the same cash flows
+  // (benchmark: a coin ID or "bitcoin:60,ethereum:40"; range: 7d, 30d, 1y or all)
+  getBenchmark: async ({ benchmark = 'bitcoin', range = '1y', portfolioId } = {}) => {
+    return await api.get('/portfolio/benchmark', { params: { benchmark, range, ...scopeParams(portfolioId) } });
+  },
+
+  // Start (or resume) rebuilding history from historical prices
+  startBackfill: async () => {
+    return await api.post('/portfolio/history/backfill');
+  },
+
+  // Get progress of the history backfill
+  getBackfillProgress: async () => {
+    return await api.get('/portfolio/history/backfill');
+  },
+
+  // Get transaction ledger, optionally filtered by coinId, type or portfolioId
+  getTransactions: async ({ portfolioId, ...params } = {}) => {
+    return await api.get('/portfolio/transactions', { params: { ...params, ...scopeParams(portfolioId) } });
+  },
+
+  // Record a buy, sell or transfer
+  addTransaction: async (transactionData) => {
+    return await api.post('/portfolio/transactions', transactionData);
+  },
+
+  // Get specific transaction by ID
+  getTransaction: async (transactionId) => {
+    return await api.get(`/portfolio/transactions/${transactionId}`);
   },
 
-  // Get portfolio analytics
-  getPortfolioAnalytics: async () => {
-    return await api.get('/portfolio/analytics');
+  // Update transaction
+  updateTransaction: async (transactionId, transactionData) => {
+    return await api.put(`/portfolio/transactions/${transactionId}`, transactionData);
   },
 
-  // Add new holding
-  addHolding: async (holdingData) => {
-    return await api.post('/portfolio/holdings', holdingData);
+  // Delete transaction
+  deleteTransaction: async (transactionId) => {
+    return await api.delete(`/portfolio/transactions/${transactionId}`);
   },
 
-  // Get specific holding by ID
-  getHolding: async (holdingId) => {
-    return await api.get(`/portfolio/holdings/${holdingId}`);
+  // Preview (dryRun) or record transactions from an exchange CSV export
+  importTransactions: async (importData) => {
+    return await api.post('/portfolio/import', importData);
   },
 
-  // Update holding
-  updateHolding: async (holdingId, holdingData) => {
-    return await api.put(`/portfolio/holdings/${holdingId}`, holdingData);
+  // Get holdings broken down by location
+  getLocationBreakdown: async (portfolioId) => {
+    return await api.get('/portfolio/locations', { params: scopeParams(portfolioId) });
   },
 
-  // Delete holding
-  deleteHolding: async (holdingId) => {
-    return await api.delete(`/portfolio/holdings/${holdingId}`);
+  // Get capital-gains tax report for a year
+  getTaxReport: async (year, portfolioId) => {
+    return await api.get('/portfolio/reports/tax', { params: { year, ...scopeParams(portfolioId) } });
   },
 
-  // Export portfolio as CSV
-  exportCSV: async () => {
-    return await api.get('/portfolio/export/csv', { responseType: 'blob' });
+  // Export portfolio as CSV (pass { report: 'tax', year } for the tax report)
+  exportCSV: async ({ portfolioId, ...params } = {}) => {
+    return await api.get('/portfolio/export/csv', {
+      params: { ...params, ...scopeParams(portfolioId) },
+      responseType: 'blob'
+    });
   },
 
   // Export portfolio data for PDF
-  exportPDFData: async () => {
-    return await api.get('/portfolio/export/pdf');
+  exportPDFData: async (portfolioId) => {
+    return await api.get('/portfolio/export/pdf', { params: scopeParams(portfolioId) });
   },
 };
 
@@ -2,6 +2,25 @@ import { jsPDF } from 'jspdf';
 import autoTable from 'jspdf-autotable';
 import { formatPercentage } from './helpers';
 
+// Currency symbols map
+const currencySymbols = {
+  'USD': '$',
+  'EUR': '€',
+  'GBP': '£',
+  'JPY': '¥',
+  'CNY': '¥',
+  'INR': '₹',
+  'AUD': 'A$',
+  'CAD': 'C$',
+  'CHF': 'Fr',
+  'KRW': '₩',
+  'RUB': '₽',
+  'BRL': 'R$',
+  'ZAR': 'R',
+  'TRY': '₺',
+  'MXN': 'Mex$'
+};
+
 /**
  * Export portfolio data to CSV
  * @param {Array} holdings - Array of holding objects
@@ -75,25 +94,6 @@ export const exportToPDF = (holdings, summary, filename = 'portfolio.pdf', curre
   try {
     const doc = new jsPDF();
 
-    // Currency symbols map
-    const currencySymbols = {
-      'USD': '$',
-      'EUR': '€',
-      'GBP': '£',
-      'JPY': '¥',
-      'CNY': '¥',
-      'INR': '₹',
-      'AUD': 'A$',
-      'CAD': 'C$',
-      'CHF': 'Fr',
-      'KRW': '₩',
-      'RUB': '₽',
-      'BRL': 'R$',
-      'ZAR': 'R',
-      'TRY': '₺',
-      'MXN': 'Mex$'
-    };
-
     const currencySymbol = currencySymbols[currency] || currency;
 
     // Helper function to format with currency symbol
@@ -175,6 +175,111 @@ export const exportToPDF = (holdings, summary, filename = 'portfolio.pdf', curre
   }
 };
 
+/**
+ * Export capital-gains tax report to PDF
+ * @param {Object} report - Tax report from /portfolio/reports/tax
+ * @param {string} filename - Name of the file to export
+ * @param {string} currency - Currency code for export
+ */
+export const exportTaxReportToPDF = (report, filename = `tax-report-${report.year}.pdf`, currency = 'USD') => {
+  try {
+    const doc = new jsPDF({ orientation: 'landscape' });
+    const currencySymbol = currencySymbols[currency] || currency;
+
+    // Signed amount with currency symbol
+    const formatSigned = (value) => {
+      return `${value < 0 ? '-' : ''}${currencySymbol}${Math.abs(value || 0).toFixed(2)}`;
+    };
+
+    const formatDate = (date) => new Date(date).toISOString().split('T')[0];
+
+    doc.setFontSize(20);
+    doc.text(`CryptoTrack Capital Gains Report ${report.year}`, 14, 22);
+
+    doc.setFontSize(12);
+    doc.setTextColor(100);
+    doc.text(`Generated on: ${new Date().toLocaleDateString()}`, 14, 32);
+    doc.text(`Currency: ${currency}    Cost basis method: ${(report.costBasisMethod || 'fifo').toUpperCase()}`, 14, 38);
+
+    // Summary by holding period
+    doc.setFontSize(14);
+    doc.setTextColor(0);
+    doc.text('Summary', 14, 48);
+
+    autoTable(doc, {
+      startY: 53,
+      head: [['Term', 'Disposals', 'Proceeds', 'Cost Basis', 'Gain/Loss']],
+      body: [
+        ['Short-term', report.summary.shortTerm.count, formatSigned(report.summary.shortTerm.proceeds), formatSigned(report.summary.shortTerm.costBasis), formatSigned(report.summary.shortTerm.gain)],
+        ['Long-term', report.summary.longTerm.count, formatSigned(report.summary.longTerm.proceeds), formatSigned(report.summary.longTerm.costBasis), formatSigned(report.summary.longTerm.gain)],
+        ['Total', report.summary.total.count, formatSigned(report.summary.total.proceeds), formatSigned(report.summary.total.costBasis), formatSigned(report.summary.total.gain)]
+      ],
+      styles: { fontSize: 10 },
+      headStyles: { fillColor: [26, 115, 232] },
+      margin: { left: 14 }
+    });
+
+    // Disposal details
+    if (report.disposals.length > 0) {
+      const startY = doc.lastAutoTable.finalY + 10;
+
+      doc.setFontSize(14);
+      doc.text('Disposals', 14, startY);
+
+      autoTable(doc, {
+        startY: startY + 5,
+        head: [['Coin', 'Symbol', 'Amount', 'Acquired', 'Disposed', 'Days Held', `Proceeds (${currency})`, `Cost Basis (${currency})`, `Gain/Loss (${currency})`, 'Term']],
+        body: report.disposals.map(row => [
+          row.coinName || '',
+          row.symbol || '',
+          row.amount,
+          formatDate(row.acquisitionDate),
+          formatDate(row.disposalDate),
+          row.holdingPeriodDays,
+          formatSigned(row.proceeds),
+          formatSigned(row.costBasis),
+          formatSigned(row.gain),
+          row.term === 'long' ? 'Long' : 'Short'
+        ]),
+        styles: { fontSize: 8 },
+        headStyles: { fillColor: [26, 115, 232] },
+        margin: { left: 14 }
+      });
+    }
+
+    // Income is ordinary income rather than a capital gain
+    if (report.income?.events.length > 0) {
+      const startY = doc.lastAutoTable.finalY + 10;
+      const { summary } = report.income;
+
+      doc.setFontSize(14);
+      doc.text(`Income (total ${formatSigned(summary.total)})`, 14, startY);
+
+      autoTable(doc, {
+        startY: startY + 5,
+        head: [['Coin', 'Symbol', 'Amount', 'Received', 'Type', `Fair Market Value (${currency})`, `Income (${currency})`]],
+        body: report.income.events.map(event => [
+          event.coinName || '',
+          event.symbol || '',
+          event.amount,
+          formatDate(event.date),
+          event.incomeType,
+          formatSigned(event.price),
+          formatSigned(event.value)
+        ]),
+        styles: { fontSize: 8 },
+        headStyles: { fillColor: [26, 115, 232] },
+        margin: { left: 14 }
+      });
+    }
+
+    doc.save(filename);
+  } catch (error) {
+    console.error('Error in exportTaxReportToPDF:', error);
+    throw new Error('Failed to generate tax report PDF: ' + error.message);
+  }
+};
+
 /**
  * Trigger browser download for any blob data
  * @param {Blob} blob - The data to download
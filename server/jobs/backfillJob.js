@@ -0,0 +1,45 @@
+const { BackfillJob } = require('../models');
+const { prepareBackfill, runBackfill } = require('../utils/historyBackfill');
+
+// Backfills share the CoinGecko rate limit, so they run one at a time
+let queue = Promise.resolve();
+const queued = new Set();
+
+const enqueue = (job) => {
+  const key = String(job.userId);
+  if (queued.has(key)) return;
+
+  queued.add(key);
+  queue = queue
+    .then(() => runBackfill(job))
+    .catch(error => console.error('Backfill queue error:', error))
+    .finally(() => queued.delete(key));
+};
+
+// Start (or resume) the backfill for a user and return its job
+const startBackfill = async (userId) => {
+  const job = await prepareBackfill(userId);
+  enqueue(job);
+  return job;
+};
+
+const isBackfillQueued = (userId) => queued.has(String(userId));
+
+// Pick up jobs that were interrupted by a restart
+const resumeBackfills = async () => {
+  try {
+    const jobs = await BackfillJob.find({ status: { $in: ['pending', 'running'] } });
+    jobs.forEach(enqueue);
+    if (jobs.length > 0) {
+      console.log(`✓ Resuming ${jobs.length} history backfill(s)`);
+    }
+  } catch (error) {
+    console.error('Failed to resume history backfills:', error);
+  }
+};
+
+module.exports = {
+  startBackfill,
+  isBackfillQueued,
+  resumeBackfills
+};
\ No newline at end of file
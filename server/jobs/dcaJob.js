@@ -0,0 +1,39 @@
+const cron = require('node-cron');
+const { runDuePlans } = require('../utils/dca');
+
+// Checks for due DCA purchases every hour by default; override with DCA_CRON
+const DEFAULT_SCHEDULE = '15 * * * *';
+
+const runDcaPlans = async () => {
+  try {
+    const { plans, purchases, failures } = await runDuePlans();
+    if (plans > 0) {
+      console.log(`DCA: ${purchases} pending purchases from ${plans} due plans (${failures} failed)`);
+    }
+  } catch (error) {
+    console.error('DCA job error:', error);
+  }
+};
+
+const scheduleDcaJob = () => {
+  const schedule = process.env.DCA_CRON || DEFAULT_SCHEDULE;
+
+  if (!cron.validate(schedule)) {
+    console.error(`✗ Invalid DCA_CRON expression: ${schedule}`);
+    return null;
+  }
+
+  const task = cron.schedule(schedule, runDcaPlans, {
+    name: 'dca-plans',
+    timezone: 'UTC',
+    noOverlap: true
+  });
+
+  console.log(`✓ DCA job scheduled (${schedule} UTC)`);
+  return task;
+};
+
+module.exports = {
+  runDcaPlans,
+  scheduleDcaJob
+};
\ No newline at end of file
@@ -0,0 +1,37 @@
+const cron = require('node-cron');
+const { takeDailySnapshots } = require('../utils/snapshots');
+
+// Runs shortly after midnight UTC by default; override with SNAPSHOT_CRON
+const DEFAULT_SCHEDULE = '5 0 * * *';
+
+const runSnapshots = async () => {
+  try {
+    const { users, snapshots, failures } = await takeDailySnapshots();
+    console.log(`Daily snapshots: ${snapshots} portfolios for ${users} users (${failures} failed)`);
+  } catch (error) {
+    console.error('Daily snapshot job error:', error);
+  }
+};
+
+const scheduleSnapshotJob = () => {
+  const schedule = process.env.SNAPSHOT_CRON || DEFAULT_SCHEDULE;
+
+  if (!cron.validate(schedule)) {
+    console.error(`✗ Invalid SNAPSHOT_CRON expression: ${schedule}`);
+    return null;
+  }
+
+  const task = cron.schedule(schedule, runSnapshots, {
+    name: 'daily-snapshots',
+    timezone: 'UTC',
+    noOverlap: true
+  });
+
+  console.log(`✓ Daily snapshot job scheduled (${schedule} UTC)`);
+  return task;
+};
+
+module.exports = {
+  runSnapshots,
+  scheduleSnapshotJob
+};
\ No newline at end of file
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { Portfolio, Transaction } = require('../models');
+
+// Middleware to make sure the user has a default portfolio and that legacy
+// holdings and unfiled transactions have been moved into it
+const prepareLedger = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const defaultPortfolio = await Portfolio.getOrCreateDefault(userId);
+
+    await Transaction.migrateLegacyHoldings(req.user, defaultPortfolio._id);
+    await Transaction.assignUnfiledToPortfolio(userId, defaultPortfolio._id);
+
+    req.defaultPortfolio = defaultPortfolio;
+    next();
+  } catch (error) {
+    console.error('Prepare ledger error:', error);
+    res.status(500).json({ message: 'Failed to prepare portfolio data' });
+  }
+};
+
+// Middleware to resolve the ?portfolioId= query into a ledger filter.
+// A missing value or "all" selects the combined view across every portfolio.
+const resolvePortfolioScope = async (req, res, next) => {
+  try {
+    const { portfolioId } = req.query;
+
+    if (!portfolioId || portfolioId === 'all') {
+      req.portfolioScope = { all: true, portfolio: null, filter: {} };
+      return next();
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(portfolioId)) {
+      return res.status(400).json({ message: 'Invalid portfolio ID' });
+    }
+
+    const portfolio = await Portfolio.findOne({ _id: portfolioId, userId: req.user._id });
+
+    if (!portfolio) {
+      return res.status(404).json({ message: 'Portfolio not found' });
+    }
+
+    req.portfolioScope = { all: false, portfolio, filter: { portfolioId: portfolio._id } };
+    next();
+  } catch (error) {
+    console.error('Resolve portfolio scope error:', error);
+    res.status(500).json({ message: 'Failed to resolve portfolio' });
+  }
+};
+
+module.exports = {
+  prepareLedger,
+  resolvePortfolioScope
+};
\ No newline at end of file
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const BACKFILL_STATUSES = ['pending', 'running', 'completed', 'failed'];
+
+// Progress of rebuilding a user's portfolio history from historical prices.
+// Work happens in two phases (fetch each coin's prices, then write one
+// snapshot per day) and every step is saved so an interrupted run resumes.
+const backfillJobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: BACKFILL_STATUSES,
+    default: 'pending'
+  },
+  phase: {
+    type: String,
+    enum: ['prices', 'snapshots'],
+    default: 'prices'
+  },
+  currency: {
+    type: String,
+    lowercase: true,
+    default: 'usd'
+  },
+  startDate: Date,
+  endDate: Date,
+  coins: [{
+    _id: false,
+    coinId: String,
+    done: {
+      type: Boolean,
+      default: false
+    },
+    // Set when the coin's prices could not be fetched and it was skipped
+    error: String
+  }],
+  totalDays: {
+    type: Number,
+    default: 0
+  },
+  processedDays: {
+    type: Number,
+    default: 0
+  },
+  // Last day a snapshot was written for; the next run starts the day after
+  lastProcessedDate: Date,
+  snapshotsWritten: {
+    type: Number,
+    default: 0
+  },
+  error: String,
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function (doc, ret) {
+      delete ret.__v;
+      delete ret.id;
+      return ret;
+    }
+  }
+});
+
+backfillJobSchema.index({ userId: 1 }, { unique: true });
+
+// Virtual for overall progress: one step per coin fetched plus one per day written
+backfillJobSchema.virtual('progress').get(function () {
+  const coinsDone = this.coins.filter(c => c.done).length;
+  const total = this.coins.length + this.totalDays;
+  if (this.status === 'completed') return 100;
+  if (total === 0) return 0;
+  return Math.round(((coinsDone + this.processedDays) / total) * 100);
+});
+
+// Virtual for the coins whose prices could not be fetched
+backfillJobSchema.virtual('skippedCoins').get(function () {
+  return this.coins.filter(c => c.error).map(c => c.coinId);
+});
+
+backfillJobSchema.statics.STATUSES = BACKFILL_STATUSES;
+
+module.exports = mongoose.model('BackfillJob', backfillJobSchema);
\ No newline at end of file
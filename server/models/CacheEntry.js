@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// A cached market-data response, shared by every server instance using the
+// Mongo cache store. The value is kept as JSON so provider payloads with
+// arbitrary keys store unchanged.
+const cacheEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: String,
+    required: true
+  },
+  storedAt: {
+    type: Date,
+    required: true
+  },
+  // After this the entry is no longer served, even as stale
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let Mongo delete entries once they can no longer be served
+cacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('CacheEntry', cacheEntrySchema);
\ No newline at end of file
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// How far a coin's stored candles reach, so later requests only fetch what
+// is missing
+const candleSyncSchema = new mongoose.Schema({
+  coinId: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    lowercase: true,
+    default: 'usd'
+  },
+  // Earliest day daily candles have been fetched from
+  historyStart: Date,
+  // Last time recent (hourly) candles were fetched
+  recentSyncedAt: Date
+}, {
+  timestamps: true
+});
+
+candleSyncSchema.index({ coinId: 1, currency: 1 }, { unique: true });
+
+module.exports = mongoose.model('CandleSync', candleSyncSchema);
\ No newline at end of file
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const CADENCES = ['daily', 'weekly', 'biweekly', 'monthly'];
+
+// A recurring purchase of a fixed fiat amount of one coin. The DCA job turns
+// each scheduled date into a pending purchase for the user to confirm.
+const dcaPlanSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  portfolioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Portfolio',
+    required: true
+  },
+  coinId: {
+    type: String,
+    required: [true, 'Coin ID is required'],
+    lowercase: true,
+    trim: true
+  },
+  coinName: {
+    type: String,
+    required: [true, 'Coin name is required'],
+    trim: true
+  },
+  symbol: {
+    type: String,
+    required: [true, 'Coin symbol is required'],
+    uppercase: true,
+    trim: true
+  },
+  // Fiat spent per purchase
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be at least 0.01']
+  },
+  currency: {
+    type: String,
+    lowercase: true,
+    default: 'usd'
+  },
+  cadence: {
+    type: String,
+    required: true,
+    enum: {
+      values: CADENCES,
+      message: 'Cadence must be one of: ' + CADENCES.join(', ')
+    }
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Next scheduled purchase not yet turned into a pending entry
+  nextRunDate: {
+    type: Date,
+    index: true
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+    trim: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function (doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+dcaPlanSchema.statics.CADENCES = CADENCES;
+
+module.exports = mongoose.model('DcaPlan', dcaPlanSchema);
\ No newline at end of file
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const GOAL_TYPES = ['value', 'amount'];
+
+// A savings target: a portfolio value in fiat ("reach $50k") or an amount of
+// one coin ("accumulate 1 BTC"), optionally by a target date
+const goalSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Goal name is required'],
+    trim: true,
+    maxlength: [100, 'Goal name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: {
+      values: GOAL_TYPES,
+      message: 'Goal type must be one of: ' + GOAL_TYPES.join(', ')
+    }
+  },
+  // Fiat value for value goals, coin units for amount goals
+  targetValue: {
+    type: Number,
+    required: [true, 'Target is required'],
+    min: [0, 'Target cannot be negative']
+  },
+  currency: {
+    type: String,
+    lowercase: true,
+    default: 'usd'
+  },
+  coinId: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  coinName: {
+    type: String,
+    trim: true
+  },
+  symbol: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  // Progress is measured on this portfolio, or across all of them when unset
+  portfolioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Portfolio',
+    default: null
+  },
+  targetDate: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function (doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+goalSchema.statics.GOAL_TYPES = GOAL_TYPES;
+
+module.exports = mongoose.model('Goal', goalSchema);
\ No newline at end of file
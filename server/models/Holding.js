@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Legacy single-shot holdings. These are converted into buy transactions
+// (see Transaction.migrateLegacyHoldings) the first time a portfolio route is hit.
+
 const holdingSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
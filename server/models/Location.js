@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const LOCATION_TYPES = ['exchange', 'wallet', 'custodian'];
+
+// Where coins are held: an exchange account, a self-custody wallet or a custodian
+const locationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Location name is required'],
+    trim: true,
+    maxlength: [50, 'Location name cannot exceed 50 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Location type is required'],
+    enum: {
+      values: LOCATION_TYPES,
+      message: 'Location type must be one of: ' + LOCATION_TYPES.join(', ')
+    }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Notes cannot exceed 200 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function (doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+locationSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+locationSchema.statics.LOCATION_TYPES = LOCATION_TYPES;
+
+module.exports = mongoose.model('Location', locationSchema);
\ No newline at end of file
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const PURCHASE_STATUSES = ['pending', 'confirmed', 'skipped'];
+
+// A DCA purchase waiting for review. It is priced at the market when it is
+// scheduled; confirming it records a buy with the actual fill.
+const pendingPurchaseSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  planId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DcaPlan',
+    required: true
+  },
+  portfolioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Portfolio',
+    required: true
+  },
+  coinId: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  coinName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  scheduledDate: {
+    type: Date,
+    required: true
+  },
+  // Fiat amount from the plan and the market price at the scheduled time
+  fiatAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  scheduledPrice: {
+    type: Number,
+    min: 0
+  },
+  estimatedAmount: {
+    type: Number,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: PURCHASE_STATUSES,
+    default: 'pending'
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  resolvedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function (doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// One entry per plan and scheduled date, so a job that runs twice is harmless
+pendingPurchaseSchema.index({ planId: 1, scheduledDate: 1 }, { unique: true });
+pendingPurchaseSchema.index({ userId: 1, status: 1, scheduledDate: -1 });
+
+pendingPurchaseSchema.statics.STATUSES = PURCHASE_STATUSES;
+
+module.exports = mongoose.model('PendingPurchase', pendingPurchaseSchema);
\ No newline at end of file
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Target weight for one coin, or for a category of coins sharing one weight
+const allocationTargetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [50, 'Target name cannot exceed 50 characters']
+  },
+  coinIds: {
+    type: [{ type: String, lowercase: true, trim: true }],
+    validate: [ids => ids.length > 0, 'A target needs at least one coin']
+  },
+  // Percent of portfolio value
+  weight: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  }
+}, { _id: false });
+
+const portfolioSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Portfolio name is required'],
+    trim: true,
+    maxlength: [50, 'Portfolio name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Rebalancing targets; weights add up to 100 when set
+  targets: [allocationTargetSchema],
+  // Allowed drift from a target weight, in percentage points
+  rebalanceTolerance: {
+    type: Number,
+    default: 5,
+    min: 0,
+    max: 50
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function (doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Portfolio names are unique per user
+portfolioSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// Static method to get or create the user's default portfolio
+portfolioSchema.statics.getOrCreateDefault = async function (userId) {
+  let portfolio = await this.findOne({ userId, isDefault: true });
+
+  if (!portfolio) {
+    portfolio = await this.findOne({ userId }).sort({ createdAt: 1 });
+
+    if (portfolio) {
+      portfolio.isDefault = true;
+      await portfolio.save();
+    } else {
+      try {
+        portfolio = await this.create({
+          userId,
+          name: 'Main',
+          isDefault: true
+        });
+      } catch (error) {
+        // A parallel request created it first
+        if (error.code !== 11000) throw error;
+        portfolio = await this.findOne({ userId, isDefault: true });
+        if (!portfolio) throw error;
+      }
+    }
+  }
+
+  return portfolio;
+};
+
+// Static method to make one portfolio the user's default
+portfolioSchema.statics.setDefault = async function (userId, portfolioId) {
+  await this.updateMany({ userId, _id: { $ne: portfolioId } }, { isDefault: false });
+  return this.findOneAndUpdate({ _id: portfolioId, userId }, { isDefault: true }, { new: true });
+};
+
+module.exports = mongoose.model('Portfolio', portfolioSchema);
\ No newline at end of file
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+// Value of one coin in a portfolio at snapshot time
+const snapshotHoldingSchema = new mongoose.Schema({
+  coinId: {
+    type: String,
+    required: true
+  },
+  symbol: {
+    type: String,
+    uppercase: true
+  },
+  amount: {
+    type: Number,
+    default: 0
+  },
+  price: {
+    type: Number,
+    default: 0
+  },
+  value: {
+    type: Number,
+    default: 0
+  },
+  investment: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// One document per portfolio per day. Combined views are built by summing
+// the snapshots of every portfolio for the same date.
+const portfolioSnapshotSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  portfolioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Portfolio',
+    required: true
+  },
+  // Start of the UTC day the snapshot covers
+  date: {
+    type: Date,
+    required: true
+  },
+  currency: {
+    type: String,
+    lowercase: true,
+    default: 'usd'
+  },
+  // Live snapshots come from the daily job; backfilled ones are rebuilt
+  // from historical prices and never replace a live one
+  source: {
+    type: String,
+    enum: ['daily', 'backfill'],
+    default: 'daily'
+  },
+  totalValue: {
+    type: Number,
+    default: 0
+  },
+  totalInvestment: {
+    type: Number,
+    default: 0
+  },
+  holdings: [snapshotHoldingSchema]
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function (doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+portfolioSnapshotSchema.index({ userId: 1, portfolioId: 1, date: 1 }, { unique: true });
+portfolioSnapshotSchema.index({ userId: 1, date: 1 });
+
+// Static method to normalize a date to the start of its UTC day
+portfolioSnapshotSchema.statics.startOfDay = function (date = new Date()) {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Static method to write (or overwrite) the snapshot for a portfolio and day
+portfolioSnapshotSchema.statics.record = async function (snapshot) {
+  const date = this.startOfDay(snapshot.date);
+
+  return this.findOneAndUpdate(
+    { userId: snapshot.userId, portfolioId: snapshot.portfolioId, date },
+    { ...snapshot, date },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Static method to fold one portfolio's snapshots into another's, for when
+// its transactions move there: days both have are summed coin by coin, the
+// rest are reassigned, so combined history is unchanged
+portfolioSnapshotSchema.statics.mergeInto = async function (userId, fromPortfolioId, toPortfolioId) {
+  const snapshots = await this.find({ userId, portfolioId: fromPortfolioId }).lean();
+
+  for (const snapshot of snapshots) {
+    const target = await this.findOne({ userId, portfolioId: toPortfolioId, date: snapshot.date });
+
+    if (!target) {
+      await this.updateOne({ _id: snapshot._id }, { portfolioId: toPortfolioId });
+      continue;
+    }
+
+    snapshot.holdings.forEach(holding => {
+      const existing = target.holdings.find(h => h.coinId === holding.coinId);
+      if (existing) {
+        existing.amount += holding.amount;
+        existing.value += holding.value;
+        existing.investment += holding.investment;
+      } else {
+        target.holdings.push(holding);
+      }
+    });
+    target.totalValue += snapshot.totalValue;
+    target.totalInvestment += snapshot.totalInvestment;
+    await target.save();
+    await this.deleteOne({ _id: snapshot._id });
+  }
+
+  return snapshots.length;
+};
+
+module.exports = mongoose.model('PortfolioSnapshot', portfolioSnapshotSchema);
\ No newline at end of file
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const CANDLE_INTERVALS = ['1d', '1h'];
+
+// One OHLCV candle for a coin: daily candles for all stored history and
+// hourly candles for recent days. A regular collection rather than a Mongo
+// time-series one, since the newest candle is rewritten until it closes.
+const priceCandleSchema = new mongoose.Schema({
+  coinId: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    lowercase: true,
+    default: 'usd'
+  },
+  interval: {
+    type: String,
+    enum: CANDLE_INTERVALS,
+    required: true
+  },
+  // Start of the UTC day or hour
+  time: {
+    type: Date,
+    required: true
+  },
+  open: {
+    type: Number,
+    required: true
+  },
+  high: {
+    type: Number,
+    required: true
+  },
+  low: {
+    type: Number,
+    required: true
+  },
+  close: {
+    type: Number,
+    required: true
+  },
+  // Trading volume over the 24 hours to the close; not available hourly
+  volume: {
+    type: Number,
+    default: null
+  }
+});
+
+priceCandleSchema.index({ coinId: 1, currency: 1, interval: 1, time: 1 }, { unique: true });
+
+// Static method to store candles, replacing any already stored for the same times
+priceCandleSchema.statics.recordCandles = async function (coinId, currency, interval, candles) {
+  if (candles.length === 0) return 0;
+
+  const operations = candles.map(({ time, open, high, low, close, volume }) => ({
+    updateOne: {
+      filter: { coinId, currency, interval, time: new Date(time) },
+      update: { $set: { open, high, low, close, volume } },
+      upsert: true
+    }
+  }));
+
+  await this.bulkWrite(operations, { ordered: false });
+  return operations.length;
+};
+
+// Static method to load candles between two times, oldest first
+priceCandleSchema.statics.getCandles = function (coinId, currency, interval, from, to) {
+  return this.find({
+    coinId,
+    currency,
+    interval,
+    time: { $gte: from, $lte: to }
+  })
+    .select('-_id time open high low close volume')
+    .sort({ time: 1 })
+    .lean();
+};
+
+priceCandleSchema.statics.INTERVALS = CANDLE_INTERVALS;
+
+module.exports = mongoose.model('PriceCandle', priceCandleSchema);
\ No newline at end of file
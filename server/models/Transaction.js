@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+
+const TRANSACTION_TYPES = ['buy', 'sell', 'transfer_in', 'transfer_out', 'income', 'move'];
+const INCOME_TYPES = ['staking', 'airdrop', 'interest', 'mining'];
+
+const transactionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  portfolioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Portfolio',
+    index: true
+  },
+  // Where the coins are held; null when untracked. A move takes coins
+  // from this location to toLocationId within the same portfolio.
+  locationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  toLocationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null,
+    validate: {
+      validator: function(v) {
+        return this.type !== 'move' || String(v) !== String(this.locationId);
+      },
+      message: 'A move needs two different locations'
+    }
+  },
+  type: {
+    type: String,
+    required: [true, 'Transaction type is required'],
+    enum: {
+      values: TRANSACTION_TYPES,
+      message: 'Transaction type must be one of: ' + TRANSACTION_TYPES.join(', ')
+    }
+  },
+  coinId: {
+    type: String,
+    required: [true, 'Coin ID is required'],
+    lowercase: true,
+    trim: true
+  },
+  coinName: {
+    type: String,
+    required: [true, 'Coin name is required'],
+    trim: true
+  },
+  symbol: {
+    type: String,
+    required: [true, 'Coin symbol is required'],
+    uppercase: true,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    validate: {
+      validator: function(v) {
+        return v > 0;
+      },
+      message: 'Amount must be greater than 0'
+    }
+  },
+  // Kind of income, for income transactions only
+  incomeType: {
+    type: String,
+    enum: {
+      values: INCOME_TYPES,
+      message: 'Income type must be one of: ' + INCOME_TYPES.join(', ')
+    },
+    required: [
+      function() { return this.type === 'income'; },
+      'Income type is required for income transactions'
+    ]
+  },
+  // Price per coin: paid for buys, received for sells, carried-over
+  // cost for transfers in, fair-market value at receipt for income
+  // (which also becomes its cost basis). Ignored for transfers out and moves.
+  price: {
+    type: Number,
+    default: 0,
+    min: [0, 'Price cannot be negative']
+  },
+  // Trading fee or network (gas) cost. The fee may be charged in fiat or
+  // in a coin, so its value in the pricing currency is stored alongside.
+  fee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Fee cannot be negative']
+  },
+  feeCurrency: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: 'usd'
+  },
+  feeValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Fee value cannot be negative']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Transaction date is required'],
+    default: Date.now,
+    validate: {
+      validator: function(v) {
+        return v <= new Date();
+      },
+      message: 'Transaction date cannot be in the future'
+    }
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+    trim: true
+  },
+  // Id of the trade at the exchange it was imported from, so importing the
+  // same export twice does not record it twice
+  externalId: {
+    type: String,
+    trim: true
+  },
+  // Legacy holding this buy was converted from, so the conversion never
+  // records the same holding twice
+  legacyHoldingId: {
+    type: mongoose.Schema.Types.ObjectId
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+transactionSchema.index({ userId: 1, coinId: 1, date: 1 });
+transactionSchema.index({ userId: 1, date: -1 });
+transactionSchema.index({ userId: 1, externalId: 1 });
+transactionSchema.index(
+  { legacyHoldingId: 1 },
+  { unique: true, partialFilterExpression: { legacyHoldingId: { $exists: true } } }
+);
+
+// Virtual for the fiat value of the transaction
+transactionSchema.virtual('total').get(function() {
+  return this.amount * this.price;
+});
+
+// Virtual for the cash actually paid (buys) or received (sells) after fees
+transactionSchema.virtual('netTotal').get(function() {
+  const feeValue = this.feeValue || 0;
+  return this.type === 'sell' ? this.total - feeValue : this.total + feeValue;
+});
+
+// Whether the transaction adds to or removes from the position. Moves
+// between locations leave it unchanged.
+transactionSchema.virtual('direction').get(function() {
+  if (this.type === 'move') return 0;
+  return this.type === 'buy' || this.type === 'transfer_in' || this.type === 'income' ? 1 : -1;
+});
+
+// Static method to get a user's ledger in chronological order
+transactionSchema.statics.getLedger = async function(userId, filter = {}) {
+  return this.find({ userId, ...filter }).sort({ date: 1, createdAt: 1 });
+};
+
+// Static method to convert legacy single-shot holdings into buy transactions,
+// once per user. Each buy is written before its holding is deleted and
+// carries the holding's id, so a run that stops in between (or a parallel
+// one) is finished by the next without losing or duplicating the holding.
+transactionSchema.statics.migrateLegacyHoldings = async function(user, portfolioId) {
+  if (user.legacyHoldingsMigrated) return 0;
+
+  const Holding = mongoose.model('Holding');
+  const holdings = await Holding.find({ userId: user._id });
+  let migrated = 0;
+
+  for (const holding of holdings) {
+    try {
+      await this.create({
+        userId: user._id,
+        portfolioId,
+        type: 'buy',
+        coinId: holding.coinId,
+        coinName: holding.coinName,
+        symbol: holding.symbol,
+        amount: holding.amount,
+        price: holding.buyPrice,
+        date: holding.purchaseDate,
+        notes: holding.notes,
+        legacyHoldingId: holding._id
+      });
+      migrated++;
+    } catch (error) {
+      // Already converted by an earlier or parallel run
+      if (error.code !== 11000) throw error;
+    }
+    await holding.deleteOne();
+  }
+
+  await mongoose.model('User').updateOne({ _id: user._id }, { legacyHoldingsMigrated: true });
+  user.legacyHoldingsMigrated = true;
+  return migrated;
+};
+
+// Static method to file transactions recorded before portfolios existed
+// under the given (default) portfolio
+transactionSchema.statics.assignUnfiledToPortfolio = async function(userId, portfolioId) {
+  const result = await this.updateMany({ userId, portfolioId: null }, { portfolioId });
+  return result.modifiedCount;
+};
+
+transactionSchema.statics.TYPES = TRANSACTION_TYPES;
+transactionSchema.statics.INCOME_TYPES = INCOME_TYPES;
+
+module.exports = mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
@@ -29,12 +29,30 @@ const userSchema = new mongoose.Schema({
       type: String,
       default: 'light',
       enum: ['light', 'dark']
+    },
+    // Lot-matching method used for realized P&L and remaining cost basis
+    costBasisMethod: {
+      type: String,
+      default: 'fifo',
+      enum: ['fifo', 'lifo', 'hifo', 'average']
+    },
+    // Annual risk-free rate in percent, used for Sharpe and Sortino ratios
+    riskFreeRate: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
     }
   },
   isEmailVerified: {
     type: Boolean,
     default: false
   },
+  // Set once holdings from before the transaction ledger have been converted
+  legacyHoldingsMigrated: {
+    type: Boolean,
+    default: false
+  },
   lastLogin: {
     type: Date,
     default: Date.now
@@ -1,9 +1,31 @@
 const User = require('./User');
+const BackfillJob = require('./BackfillJob');
+const CacheEntry = require('./CacheEntry');
+const CandleSync = require('./CandleSync');
+const DcaPlan = require('./DcaPlan');
+const Goal = require('./Goal');
 const Holding = require('./Holding');
+const Location = require('./Location');
+const PendingPurchase = require('./PendingPurchase');
+const Portfolio = require('./Portfolio');
+const PortfolioSnapshot = require('./PortfolioSnapshot');
+const PriceCandle = require('./PriceCandle');
+const Transaction = require('./Transaction');
 const Watchlist = require('./Watchlist');
 
 module.exports = {
   User,
+  BackfillJob,
+  CacheEntry,
+  CandleSync,
+  DcaPlan,
+  Goal,
   Holding,
+  Location,
+  PendingPurchase,
+  Portfolio,
+  PortfolioSnapshot,
+  PriceCandle,
+  Transaction,
   Watchlist,
 };
\ No newline at end of file
@@ -0,0 +1,68 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const { RESTORE_MODES, buildBackup, restoreBackup } = require('../utils/backup');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array().map(err => ({
+        field: err.path,
+        message: err.msg
+      }))
+    });
+  }
+  next();
+};
+
+// @route   GET /api/account/export
+// @desc    Download a JSON backup of the account's data
+// @access  Private
+router.get('/export', async (req, res) => {
+  try {
+    const backup = await buildBackup(req.user);
+    const filename = `cryptotrack-backup-${backup.exportedAt.split('T')[0]}.json`;
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(JSON.stringify(backup, null, 2));
+
+  } catch (error) {
+    console.error('Export account error:', error);
+    res.status(500).json({ message: 'Failed to export account data' });
+  }
+});
+
+// @route   POST /api/account/import
+// @desc    Restore a backup, merging it into the account or replacing its data
+// @access  Private
+router.post('/import', [
+  body('mode').isIn(RESTORE_MODES).withMessage('Mode must be merge or replace'),
+  body('backup').isObject().withMessage('Backup must be a backup document')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const result = await restoreBackup(req.user, req.body.backup, req.body.mode);
+
+    res.json({
+      message: req.body.mode === 'replace' ? 'Account restored from backup' : 'Backup merged into account',
+      data: result
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, errors: error.errors });
+    }
+    console.error('Import account error:', error);
+    res.status(500).json({ message: 'Failed to import account data' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
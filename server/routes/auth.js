@@ -154,6 +154,32 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// @route   PUT /api/auth/preferences
+router.put('/preferences', auth, [
+  body('currency').optional().isIn(['usd', 'eur', 'btc', 'eth']).withMessage('Invalid currency'),
+  body('theme').optional().isIn(['light', 'dark']).withMessage('Invalid theme'),
+  body('costBasisMethod').optional().isIn(['fifo', 'lifo', 'hifo', 'average']).withMessage('Cost basis method must be fifo, lifo, hifo or average'),
+  body('riskFreeRate').optional().isFloat({ min: 0, max: 100 }).withMessage('Risk-free rate must be between 0 and 100').toFloat()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    ['currency', 'theme', 'costBasisMethod', 'riskFreeRate'].forEach(key => {
+      if (req.body[key] !== undefined) user.preferences[key] = req.body[key];
+    });
+
+    await user.save();
+
+    res.json({
+      message: 'Preferences updated successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Update preferences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/auth/logout
 router.post('/logout', auth, async (req, res) => {
   res.json({ message: 'Logout successful' });
@@ -1,6 +1,8 @@
 const express = require('express');
 const { query, validationResult } = require('express-validator');
-const coinGeckoService = require('../utils/coinGeckoService');
+const marketDataService = require('../utils/marketDataService');
+const { HOURLY_DAYS, MAX_HISTORY_DAYS, getCandles, getPriceHistory } = require('../utils/ohlcHistory');
+const priceStream = require('../utils/priceStream');
 const { optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
@@ -25,7 +27,7 @@ const handleValidationErrors = (req, res, next) => {
 // @access  Public
 router.get('/coins', async (req, res) => {
   try {
-    const coins = await coinGeckoService.getCoins();
+    const coins = await marketDataService.getCoins();
     
     res.json({
       message: 'Coins list retrieved successfully',
@@ -61,7 +63,7 @@ router.get('/markets', [
       order = 'market_cap_desc'
     } = req.query;
     
-    const markets = await coinGeckoService.getCoinMarkets({
+    const markets = await marketDataService.getCoinMarkets({
       vs_currency,
       page: parseInt(page),
       per_page: parseInt(per_page),
@@ -99,7 +101,7 @@ router.get('/coin/:id', async (req, res) => {
       return res.status(400).json({ message: 'Coin ID is required' });
     }
     
-    const coin = await coinGeckoService.getCoin(id);
+    const coin = await marketDataService.getCoin(id);
     
     res.json({
       message: 'Coin data retrieved successfully',
@@ -132,7 +134,7 @@ router.post('/prices', [
       return res.status(400).json({ message: 'Maximum 100 coins allowed per request' });
     }
     
-    const prices = await coinGeckoService.getSimplePrices(coinIds, [vs_currency]);
+    const prices = await marketDataService.getSimplePrices(coinIds, [vs_currency]);
     
     res.json({
       message: 'Prices retrieved successfully',
@@ -148,6 +150,45 @@ router.post('/prices', [
   }
 });
 
+// @route   GET /api/crypto/stream
+// @desc    Stream live prices for up to 100 coins as Server-Sent Events.
+//          Open streams are limited overall and per client address.
+// @access  Public
+router.get('/stream', [
+  query('ids').notEmpty().withMessage('Coin IDs are required'),
+  query('vs_currency').optional().isIn(['usd', 'eur', 'btc', 'eth']).withMessage('Invalid currency')
+], handleValidationErrors, (req, res) => {
+  const { ids, vs_currency = 'usd' } = req.query;
+  const coinIds = ids.split(',').map(id => id.trim().toLowerCase()).filter(id => id.length > 0);
+
+  if (coinIds.length === 0) {
+    return res.status(400).json({ message: 'At least one valid coin ID is required' });
+  }
+
+  if (coinIds.length > 100) {
+    return res.status(400).json({ message: 'Maximum 100 coins allowed per request' });
+  }
+
+  const refusal = priceStream.refusal(req.ip);
+  if (refusal) {
+    return res.status(429).json({ message: refusal });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Stop nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  // Ask the browser to wait 10s before reconnecting after a drop
+  res.write('retry: 10000\n\n');
+
+  const unsubscribe = priceStream.subscribe(res, coinIds, vs_currency, req.ip);
+  req.on('close', unsubscribe);
+});
+
 // @route   GET /api/crypto/coins/by-ids
 // @desc    Get market data for specific coins by IDs
 // @access  Public
@@ -168,7 +209,7 @@ router.get('/coins/by-ids', [
       return res.status(400).json({ message: 'Maximum 100 coins allowed per request' });
     }
     
-    const coins = await coinGeckoService.getCoinsByIds(coinIds, vs_currency);
+    const coins = await marketDataService.getCoinsByIds(coinIds, vs_currency);
     
     res.json({
       message: 'Coins data retrieved successfully',
@@ -185,11 +226,11 @@ router.get('/coins/by-ids', [
 });
 
 // @route   GET /api/crypto/history/:id
-// @desc    Get price history for a coin
+// @desc    Get price history for a coin from the local candle store
 // @access  Public
 router.get('/history/:id', [
   query('vs_currency').optional().isIn(['usd', 'eur', 'btc', 'eth']).withMessage('Invalid currency'),
-  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365')
+  query('days').optional().isInt({ min: 1, max: MAX_HISTORY_DAYS }).withMessage(`Days must be between 1 and ${MAX_HISTORY_DAYS}`)
 ], handleValidationErrors, async (req, res) => {
   try {
     const { id } = req.params;
@@ -199,7 +240,7 @@ router.get('/history/:id', [
       return res.status(400).json({ message: 'Coin ID is required' });
     }
     
-    const history = await coinGeckoService.getCoinHistory(id, vs_currency, parseInt(days));
+    const history = await getPriceHistory(id.toLowerCase(), vs_currency, parseInt(days));
     
     res.json({
       message: 'Price history retrieved successfully',
@@ -210,6 +251,9 @@ router.get('/history/:id', [
     });
   } catch (error) {
     console.error('Get history error:', error);
+    if (error.status === 404) {
+      return res.status(404).json({ message: 'Coin not found' });
+    }
     res.status(500).json({ 
       message: 'Failed to fetch price history',
       error: error.message 
@@ -217,6 +261,43 @@ router.get('/history/:id', [
   }
 });
 
+// @route   GET /api/crypto/ohlc/:id
+// @desc    Get OHLCV candles for a coin, daily or hourly (recent days only)
+// @access  Public
+router.get('/ohlc/:id', [
+  query('vs_currency').optional().isIn(['usd', 'eur', 'btc', 'eth']).withMessage('Invalid currency'),
+  query('interval').optional().isIn(['1d', '1h']).withMessage('Interval must be 1d or 1h'),
+  query('days').optional().isInt({ min: 1, max: MAX_HISTORY_DAYS }).withMessage(`Days must be between 1 and ${MAX_HISTORY_DAYS}`)
+    .custom((value, { req }) => req.query.interval !== '1h' || parseInt(value) <= HOURLY_DAYS)
+    .withMessage(`Hourly candles cover at most ${HOURLY_DAYS} days`)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const id = req.params.id.toLowerCase();
+    const { vs_currency = 'usd', interval = '1d', days = 30 } = req.query;
+
+    const from = new Date(Date.now() - parseInt(days) * 24 * 60 * 60 * 1000);
+    const candles = await getCandles(id, vs_currency, interval, from);
+
+    res.json({
+      message: 'Candles retrieved successfully',
+      data: candles.map(candle => ({ ...candle, time: candle.time.getTime() })),
+      coin: id,
+      currency: vs_currency,
+      interval,
+      days: parseInt(days)
+    });
+  } catch (error) {
+    console.error('Get OHLC error:', error);
+    if (error.status === 404) {
+      return res.status(404).json({ message: 'Coin not found' });
+    }
+    res.status(500).json({
+      message: 'Failed to fetch candles',
+      error: error.message
+    });
+  }
+});
+
 // @route   GET /api/crypto/search
 // @desc    Search for coins
 // @access  Public
@@ -226,7 +307,7 @@ router.get('/search', [
   try {
     const { q } = req.query;
     
-    const results = await coinGeckoService.searchCoins(q);
+    const results = await marketDataService.searchCoins(q);
     
     res.json({
       message: 'Search completed successfully',
@@ -248,7 +329,7 @@ router.get('/search', [
 // @access  Public
 router.get('/trending', async (req, res) => {
   try {
-    const trending = await coinGeckoService.getTrendingCoins();
+    const trending = await marketDataService.getTrendingCoins();
     
     res.json({
       message: 'Trending coins retrieved successfully',
@@ -268,7 +349,7 @@ router.get('/trending', async (req, res) => {
 // @access  Public
 router.get('/global', async (req, res) => {
   try {
-    const global = await coinGeckoService.getGlobalData();
+    const global = await marketDataService.getGlobalData();
     
     res.json({
       message: 'Global market data retrieved successfully',
@@ -283,8 +364,27 @@ router.get('/global', async (req, res) => {
   }
 });
 
+// @route   GET /api/crypto/providers
+// @desc    Get market data providers in fallback order with their health
+// @access  Public
+router.get('/providers', async (req, res) => {
+  try {
+    const providers = marketDataService.getProviderStatus();
+    res.json({
+      message: 'Market data providers retrieved',
+      data: providers
+    });
+  } catch (error) {
+    console.error('Get providers error:', error);
+    res.status(500).json({
+      message: 'Failed to get market data providers',
+      error: error.message
+    });
+  }
+});
+
 // @route   GET /api/crypto/cache/stats
-// @desc    Get cache statistics (for debugging)
+// @desc    Get cache hit/miss ratios and store size (for debugging)
 // @access  Public (in development only)
 router.get('/cache/stats', async (req, res) => {
   try {
@@ -292,7 +392,7 @@ router.get('/cache/stats', async (req, res) => {
       return res.status(404).json({ message: 'Not found' });
     }
     
-    const stats = coinGeckoService.getCacheStats();
+    const stats = await marketDataService.getCacheStats();
     res.json({
       message: 'Cache stats retrieved',
       data: stats
@@ -315,7 +415,7 @@ router.post('/cache/clear', async (req, res) => {
       return res.status(404).json({ message: 'Not found' });
     }
     
-    coinGeckoService.clearCache();
+    await marketDataService.clearCache();
     res.json({ message: 'Cache cleared successfully' });
   } catch (error) {
     console.error('Clear cache error:', error);
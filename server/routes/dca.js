@@ -0,0 +1,367 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { DcaPlan, PendingPurchase, Portfolio, Transaction } = require('../models');
+const { auth } = require('../middleware/auth');
+const { prepareLedger } = require('../middleware/portfolio');
+const { initialRunDate, backtestPlan } = require('../utils/dca');
+const marketDataService = require('../utils/marketDataService');
+
+const router = express.Router();
+
+// All routes require authentication and a default portfolio
+router.use(auth);
+router.use(prepareLedger);
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array().map(err => ({
+        field: err.path,
+        message: err.msg
+      }))
+    });
+  }
+  next();
+};
+
+// Helper function to find a portfolio the user owns, defaulting to the default one
+const resolvePlanPortfolio = async (req, portfolioId) => {
+  if (!portfolioId) return req.defaultPortfolio;
+  return Portfolio.findOne({ _id: portfolioId, userId: req.user._id });
+};
+
+// Validation shared by plan definitions and backtests
+const scheduleValidation = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('amount').isFloat({ min: 0.01 }).withMessage('Amount must be at least 0.01'),
+    field('cadence').isIn(DcaPlan.CADENCES).withMessage('Cadence must be daily, weekly, biweekly or monthly'),
+    field('startDate').isISO8601().withMessage('Invalid start date'),
+    body('endDate').optional({ nullable: true }).isISO8601().withMessage('Invalid end date')
+      .custom((endDate, { req }) => !req.body.startDate || new Date(endDate) >= new Date(req.body.startDate))
+      .withMessage('The end date must be on or after the start date')
+  ];
+};
+
+// @route   GET /api/dca/plans
+// @desc    List user's DCA plans
+// @access  Private
+router.get('/plans', async (req, res) => {
+  try {
+    const plans = await DcaPlan.find({ userId: req.user._id }).sort({ isActive: -1, createdAt: -1 });
+
+    res.json({
+      message: 'DCA plans retrieved successfully',
+      data: plans
+    });
+
+  } catch (error) {
+    console.error('Get DCA plans error:', error);
+    res.status(500).json({ message: 'Failed to retrieve DCA plans' });
+  }
+});
+
+// @route   POST /api/dca/plans
+// @desc    Create a DCA plan. Purchases are queued from today on; earlier
+//          dates can be simulated with the backtest instead.
+// @access  Private
+router.post('/plans', [
+  body('coinId').notEmpty().trim().toLowerCase().withMessage('Coin ID is required'),
+  body('coinName').notEmpty().trim().withMessage('Coin name is required'),
+  body('symbol').notEmpty().trim().withMessage('Coin symbol is required'),
+  body('portfolioId').optional().isMongoId().withMessage('Invalid portfolio ID'),
+  body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  ...scheduleValidation()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { coinId, coinName, symbol, amount, cadence, startDate, endDate, notes } = req.body;
+
+    const portfolio = await resolvePlanPortfolio(req, req.body.portfolioId);
+    if (!portfolio) {
+      return res.status(404).json({ message: 'Portfolio not found' });
+    }
+
+    // Verify coin exists in market data
+    try {
+      await marketDataService.getCoin(coinId);
+    } catch (error) {
+      return res.status(400).json({ message: 'Invalid coin ID or coin not found' });
+    }
+
+    const plan = new DcaPlan({
+      userId: req.user._id,
+      portfolioId: portfolio._id,
+      coinId,
+      coinName,
+      symbol,
+      amount: parseFloat(amount),
+      currency: req.user.preferences.currency || 'usd',
+      cadence,
+      startDate: new Date(startDate),
+      endDate: endDate ? new Date(endDate) : undefined,
+      notes: notes || ''
+    });
+    plan.nextRunDate = initialRunDate(plan);
+    plan.isActive = plan.nextRunDate !== null;
+
+    await plan.save();
+
+    res.status(201).json({
+      message: 'DCA plan created successfully',
+      data: plan
+    });
+
+  } catch (error) {
+    console.error('Create DCA plan error:', error);
+    res.status(500).json({ message: 'Failed to create DCA plan' });
+  }
+});
+
+// @route   PUT /api/dca/plans/:id
+// @desc    Update a DCA plan, or pause/resume it with isActive
+// @access  Private
+router.put('/plans/:id', [
+  param('id').isMongoId().withMessage('Invalid plan ID'),
+  body('portfolioId').optional().isMongoId().withMessage('Invalid portfolio ID'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  ...scheduleValidation(true)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const plan = await DcaPlan.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!plan) {
+      return res.status(404).json({ message: 'DCA plan not found' });
+    }
+
+    if (req.body.portfolioId) {
+      const portfolio = await resolvePlanPortfolio(req, req.body.portfolioId);
+      if (!portfolio) {
+        return res.status(404).json({ message: 'Portfolio not found' });
+      }
+      plan.portfolioId = portfolio._id;
+    }
+
+    const { amount, cadence, startDate, endDate, isActive, notes } = req.body;
+    if (amount !== undefined) plan.amount = parseFloat(amount);
+    if (cadence !== undefined) plan.cadence = cadence;
+    if (startDate !== undefined) plan.startDate = new Date(startDate);
+    if (endDate !== undefined) plan.endDate = endDate ? new Date(endDate) : undefined;
+    if (notes !== undefined) plan.notes = notes;
+    if (isActive !== undefined) plan.isActive = isActive;
+
+    // The validator only sees a start date sent with the request
+    if (plan.endDate && plan.endDate < plan.startDate) {
+      return res.status(400).json({ message: 'The end date must be on or after the start date' });
+    }
+
+    // A changed schedule (or a resumed plan) picks up again from today
+    const rescheduled = ['cadence', 'startDate', 'endDate'].some(field => plan.isModified(field))
+      || (plan.isModified('isActive') && plan.isActive);
+    if (rescheduled) {
+      plan.nextRunDate = initialRunDate(plan);
+      if (plan.nextRunDate === null) plan.isActive = false;
+    }
+
+    await plan.save();
+
+    res.json({
+      message: 'DCA plan updated successfully',
+      data: plan
+    });
+
+  } catch (error) {
+    console.error('Update DCA plan error:', error);
+    res.status(500).json({ message: 'Failed to update DCA plan' });
+  }
+});
+
+// @route   DELETE /api/dca/plans/:id
+// @desc    Delete a DCA plan and its unreviewed purchases
+// @access  Private
+router.delete('/plans/:id', [
+  param('id').isMongoId().withMessage('Invalid plan ID')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const plan = await DcaPlan.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+
+    if (!plan) {
+      return res.status(404).json({ message: 'DCA plan not found' });
+    }
+
+    const result = await PendingPurchase.deleteMany({ planId: plan._id, status: 'pending' });
+
+    res.json({
+      message: 'DCA plan deleted successfully',
+      data: { id: req.params.id, pendingDeleted: result.deletedCount }
+    });
+
+  } catch (error) {
+    console.error('Delete DCA plan error:', error);
+    res.status(500).json({ message: 'Failed to delete DCA plan' });
+  }
+});
+
+// @route   POST /api/dca/backtest
+// @desc    Simulate a DCA plan over historical daily prices
+// @access  Private
+router.post('/backtest', [
+  body('coinId').notEmpty().trim().toLowerCase().withMessage('Coin ID is required'),
+  ...scheduleValidation(),
+  body('startDate').custom(startDate => new Date(startDate) < new Date())
+    .withMessage('The start date must be in the past')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { coinId, amount, cadence, startDate, endDate } = req.body;
+
+    const result = await backtestPlan({
+      coinId,
+      amount: parseFloat(amount),
+      cadence,
+      startDate,
+      endDate,
+      currency: req.user.preferences.currency || 'usd'
+    });
+
+    if (!result) {
+      return res.status(404).json({ message: 'No price history available for this coin and period' });
+    }
+
+    res.json({
+      message: 'Backtest completed successfully',
+      data: result
+    });
+
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(400).json({ message: 'Invalid coin ID or coin not found' });
+    }
+    console.error('DCA backtest error:', error);
+    res.status(500).json({ message: 'Failed to run backtest' });
+  }
+});
+
+// @route   GET /api/dca/purchases
+// @desc    List DCA purchases by status (pending by default)
+// @access  Private
+router.get('/purchases', [
+  query('status').optional().isIn(PendingPurchase.STATUSES).withMessage('Status must be pending, confirmed or skipped')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const purchases = await PendingPurchase.find({
+      userId: req.user._id,
+      status: req.query.status || 'pending'
+    }).sort({ scheduledDate: -1 }).limit(200);
+
+    res.json({
+      message: 'DCA purchases retrieved successfully',
+      data: purchases
+    });
+
+  } catch (error) {
+    console.error('Get DCA purchases error:', error);
+    res.status(500).json({ message: 'Failed to retrieve DCA purchases' });
+  }
+});
+
+// Helper function to claim a purchase that is still waiting for review by
+// moving it to its new status atomically, so a repeated or concurrent request
+// cannot resolve it twice
+const claimPendingPurchase = async (req, res, status) => {
+  const purchase = await PendingPurchase.findOneAndUpdate(
+    { _id: req.params.id, userId: req.user._id, status: 'pending' },
+    { status, resolvedAt: new Date() },
+    { new: true }
+  );
+  if (purchase) return purchase;
+
+  const existing = await PendingPurchase.findOne({ _id: req.params.id, userId: req.user._id });
+
+  if (!existing) {
+    res.status(404).json({ message: 'Purchase not found' });
+  } else {
+    res.status(400).json({ message: `Purchase was already ${existing.status}` });
+  }
+  return null;
+};
+
+// @route   POST /api/dca/purchases/:id/confirm
+// @desc    Confirm a pending purchase with the actual fill, recording a buy
+// @access  Private
+router.post('/purchases/:id/confirm', [
+  param('id').isMongoId().withMessage('Invalid purchase ID'),
+  body('amount').isFloat({ min: 0.00000001 }).withMessage('Amount must be greater than 0'),
+  body('price').isFloat({ min: 0 }).withMessage('Price must be greater than or equal to 0'),
+  body('feeValue').optional().isFloat({ min: 0 }).withMessage('Fee must be greater than or equal to 0'),
+  body('date').optional().isISO8601().withMessage('Invalid fill date')
+    .custom(date => new Date(date) <= new Date()).withMessage('The fill date cannot be in the future')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const purchase = await claimPendingPurchase(req, res, 'confirmed');
+    if (!purchase) return;
+
+    const currency = req.user.preferences.currency || 'usd';
+    const feeValue = req.body.feeValue !== undefined ? parseFloat(req.body.feeValue) : 0;
+
+    let transaction;
+    try {
+      transaction = await Transaction.create({
+        userId: req.user._id,
+        portfolioId: purchase.portfolioId,
+        type: 'buy',
+        coinId: purchase.coinId,
+        coinName: purchase.coinName,
+        symbol: purchase.symbol,
+        amount: parseFloat(req.body.amount),
+        price: parseFloat(req.body.price),
+        fee: feeValue,
+        feeCurrency: currency,
+        feeValue,
+        date: req.body.date ? new Date(req.body.date) : purchase.scheduledDate,
+        notes: 'DCA purchase'
+      });
+    } catch (error) {
+      // Release the claim so the purchase can be confirmed again
+      await PendingPurchase.updateOne({ _id: purchase._id }, { status: 'pending', resolvedAt: null });
+      throw error;
+    }
+
+    purchase.transactionId = transaction._id;
+    await purchase.save();
+
+    res.json({
+      message: 'Purchase confirmed and recorded',
+      data: { purchase, transaction }
+    });
+
+  } catch (error) {
+    console.error('Confirm DCA purchase error:', error);
+    res.status(500).json({ message: 'Failed to confirm purchase' });
+  }
+});
+
+// @route   POST /api/dca/purchases/:id/skip
+// @desc    Skip a pending purchase that was not made
+// @access  Private
+router.post('/purchases/:id/skip', [
+  param('id').isMongoId().withMessage('Invalid purchase ID')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const purchase = await claimPendingPurchase(req, res, 'skipped');
+    if (!purchase) return;
+
+    res.json({
+      message: 'Purchase skipped',
+      data: purchase
+    });
+
+  } catch (error) {
+    console.error('Skip DCA purchase error:', error);
+    res.status(500).json({ message: 'Failed to skip purchase' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,214 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { Goal, Portfolio } = require('../models');
+const { auth } = require('../middleware/auth');
+const { prepareLedger } = require('../middleware/portfolio');
+const { calculatePortfolio, getCurrentPrices } = require('../utils/valuation');
+const { goalProgress } = require('../utils/goals');
+const marketDataService = require('../utils/marketDataService');
+
+const router = express.Router();
+
+// All routes require authentication and a default portfolio
+router.use(auth);
+router.use(prepareLedger);
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array().map(err => ({
+        field: err.path,
+        message: err.msg
+      }))
+    });
+  }
+  next();
+};
+
+// Helper function to attach progress to goals, valuing each portfolio
+// (or the combined view) once per currency
+const withProgress = async (req, goals) => {
+  const method = req.user.preferences.costBasisMethod || 'fifo';
+  const portfolios = {};
+  const coinPrices = {};
+
+  for (const goal of goals) {
+    const key = `${goal.currency}:${goal.portfolioId || 'all'}`;
+    if (!portfolios[key]) {
+      const filter = goal.portfolioId ? { portfolioId: goal.portfolioId } : {};
+      portfolios[key] = await calculatePortfolio(req.user._id, goal.currency, method, filter);
+    }
+  }
+
+  // Live prices for amount goals whose coin is not held yet
+  const unheld = goals.filter(goal => goal.type === 'amount' && !portfolios[`${goal.currency}:${goal.portfolioId || 'all'}`]
+    .holdings.some(h => h.coinId === goal.coinId));
+  for (const currency of new Set(unheld.map(goal => goal.currency))) {
+    const coinIds = [...new Set(unheld.filter(goal => goal.currency === currency).map(goal => goal.coinId))];
+    coinPrices[currency] = await getCurrentPrices(coinIds, currency);
+  }
+
+  return goals.map(goal => ({
+    ...goal.toJSON(),
+    progress: goalProgress(
+      goal,
+      portfolios[`${goal.currency}:${goal.portfolioId || 'all'}`],
+      coinPrices[goal.currency]?.[goal.coinId]?.[goal.currency] || null
+    )
+  }));
+};
+
+// Helper function to check a goal's portfolio belongs to the user
+const findUserPortfolio = (req, portfolioId) => {
+  return Portfolio.findOne({ _id: portfolioId, userId: req.user._id });
+};
+
+const goalValidation = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Goal name must be between 1 and 100 characters'),
+    field('targetValue').isFloat({ gt: 0 }).withMessage('Target must be greater than 0'),
+    body('portfolioId').optional({ nullable: true }).isMongoId().withMessage('Invalid portfolio ID'),
+    body('targetDate').optional({ nullable: true }).isISO8601().withMessage('Invalid target date')
+  ];
+};
+
+// @route   GET /api/goals
+// @desc    List user's goals with progress from live portfolio totals
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const goals = await Goal.find({ userId: req.user._id }).sort({ targetDate: 1, createdAt: 1 });
+
+    res.json({
+      message: 'Goals retrieved successfully',
+      data: await withProgress(req, goals)
+    });
+
+  } catch (error) {
+    console.error('Get goals error:', error);
+    res.status(500).json({ message: 'Failed to retrieve goals' });
+  }
+});
+
+// @route   POST /api/goals
+// @desc    Create a goal: type=value (portfolio worth targetValue) or
+//          type=amount (hold targetValue of coinId)
+// @access  Private
+router.post('/', [
+  body('type').isIn(Goal.GOAL_TYPES).withMessage('Goal type must be value or amount'),
+  body('coinId').if(body('type').equals('amount')).notEmpty().trim().withMessage('Coin ID is required for amount goals'),
+  body('targetDate').optional({ nullable: true }).custom(date => new Date(date) > new Date())
+    .withMessage('The target date must be in the future'),
+  ...goalValidation()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { name, type, targetValue, portfolioId, targetDate } = req.body;
+
+    if (portfolioId && !(await findUserPortfolio(req, portfolioId))) {
+      return res.status(404).json({ message: 'Portfolio not found' });
+    }
+
+    const goal = new Goal({
+      userId: req.user._id,
+      name,
+      type,
+      targetValue: parseFloat(targetValue),
+      currency: req.user.preferences.currency || 'usd',
+      portfolioId: portfolioId || null,
+      targetDate: targetDate ? new Date(targetDate) : undefined
+    });
+
+    if (type === 'amount') {
+      // Verify coin exists in market data and take its name from there
+      try {
+        const coin = await marketDataService.getCoin(req.body.coinId.toLowerCase());
+        goal.coinId = coin.id;
+        goal.coinName = coin.name;
+        goal.symbol = coin.symbol;
+      } catch (error) {
+        return res.status(400).json({ message: 'Invalid coin ID or coin not found' });
+      }
+    }
+
+    await goal.save();
+    const [data] = await withProgress(req, [goal]);
+
+    res.status(201).json({
+      message: 'Goal created successfully',
+      data
+    });
+
+  } catch (error) {
+    console.error('Create goal error:', error);
+    res.status(500).json({ message: 'Failed to create goal' });
+  }
+});
+
+// @route   PUT /api/goals/:id
+// @desc    Update a goal's name, target, portfolio or target date
+// @access  Private
+router.put('/:id', [
+  param('id').isMongoId().withMessage('Invalid goal ID'),
+  ...goalValidation(true)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const goal = await Goal.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    const { name, targetValue, portfolioId, targetDate } = req.body;
+
+    if (portfolioId && !(await findUserPortfolio(req, portfolioId))) {
+      return res.status(404).json({ message: 'Portfolio not found' });
+    }
+
+    if (name !== undefined) goal.name = name;
+    if (targetValue !== undefined) goal.targetValue = parseFloat(targetValue);
+    if (portfolioId !== undefined) goal.portfolioId = portfolioId || null;
+    if (targetDate !== undefined) goal.targetDate = targetDate ? new Date(targetDate) : undefined;
+
+    await goal.save();
+    const [data] = await withProgress(req, [goal]);
+
+    res.json({
+      message: 'Goal updated successfully',
+      data
+    });
+
+  } catch (error) {
+    console.error('Update goal error:', error);
+    res.status(500).json({ message: 'Failed to update goal' });
+  }
+});
+
+// @route   DELETE /api/goals/:id
+// @desc    Delete a goal
+// @access  Private
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid goal ID')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const goal = await Goal.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    res.json({
+      message: 'Goal deleted successfully',
+      data: { id: req.params.id }
+    });
+
+  } catch (error) {
+    console.error('Delete goal error:', error);
+    res.status(500).json({ message: 'Failed to delete goal' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
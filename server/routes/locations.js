@@ -0,0 +1,154 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { Location, Transaction } = require('../models');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array().map(err => ({
+        field: err.path,
+        message: err.msg
+      }))
+    });
+  }
+  next();
+};
+
+// Helper function to report a duplicate location name
+const isDuplicateName = (error) => error.code === 11000;
+
+const locationValidation = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 1, max: 50 }).withMessage('Location name must be between 1 and 50 characters'),
+    field('type').isIn(Location.LOCATION_TYPES).withMessage('Location type must be exchange, wallet or custodian'),
+    body('notes').optional().trim().isLength({ max: 200 }).withMessage('Notes cannot exceed 200 characters')
+  ];
+};
+
+// @route   GET /api/locations
+// @desc    List user's locations (exchanges, wallets, custodians)
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const locations = await Location.find({ userId: req.user._id }).sort({ name: 1 });
+
+    res.json({
+      message: 'Locations retrieved successfully',
+      data: locations
+    });
+
+  } catch (error) {
+    console.error('Get locations error:', error);
+    res.status(500).json({ message: 'Failed to retrieve locations' });
+  }
+});
+
+// @route   POST /api/locations
+// @desc    Create a location
+// @access  Private
+router.post('/', locationValidation(), handleValidationErrors, async (req, res) => {
+  try {
+    const { name, type, notes } = req.body;
+
+    const location = await Location.create({
+      userId: req.user._id,
+      name,
+      type,
+      notes
+    });
+
+    res.status(201).json({
+      message: 'Location created successfully',
+      data: location
+    });
+
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(400).json({ message: 'A location with this name already exists' });
+    }
+    console.error('Create location error:', error);
+    res.status(500).json({ message: 'Failed to create location' });
+  }
+});
+
+// @route   PUT /api/locations/:id
+// @desc    Rename or retype a location
+// @access  Private
+router.put('/:id', [
+  param('id').isMongoId().withMessage('Invalid location ID'),
+  ...locationValidation(true)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const location = await Location.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!location) {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+
+    const { name, type, notes } = req.body;
+    if (name !== undefined) location.name = name;
+    if (type !== undefined) location.type = type;
+    if (notes !== undefined) location.notes = notes;
+
+    await location.save();
+
+    res.json({
+      message: 'Location updated successfully',
+      data: location
+    });
+
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(400).json({ message: 'A location with this name already exists' });
+    }
+    console.error('Update location error:', error);
+    res.status(500).json({ message: 'Failed to update location' });
+  }
+});
+
+// @route   DELETE /api/locations/:id
+// @desc    Delete a location; its transactions become unassigned
+// @access  Private
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid location ID')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const location = await Location.findOneAndDelete({ _id: req.params.id, userId });
+
+    if (!location) {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+
+    // Coins held there fall back to the unassigned location, which keeps
+    // every location balance non-negative
+    const [from, to] = await Promise.all([
+      Transaction.updateMany({ userId, locationId: location._id }, { $set: { locationId: null } }),
+      Transaction.updateMany({ userId, toLocationId: location._id }, { $set: { toLocationId: null } })
+    ]);
+
+    res.json({
+      message: 'Location deleted successfully',
+      data: {
+        id: req.params.id,
+        transactionsUnassigned: from.modifiedCount + to.modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete location error:', error);
+    res.status(500).json({ message: 'Failed to delete location' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,8 +1,24 @@
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
-const { Holding } = require('../models');
+const { BackfillJob, Location, Portfolio, Transaction } = require('../models');
+const { COST_BASIS_METHODS, buildPositions, buildLocationBalances, findNegativeBalance, sortLedger } = require('../utils/ledger');
+const { calculatePortfolio } = require('../utils/valuation');
 const { auth } = require('../middleware/auth');
-const coinGeckoService = require('../utils/coinGeckoService');
+const { prepareLedger, resolvePortfolioScope } = require('../middleware/portfolio');
+const { buildTaxReport } = require('../utils/taxReport');
+const { HISTORY_RANGES, getHistory, getValueSeries } = require('../utils/snapshots');
+const { DAY_MS, calculateReturns } = require('../utils/returns');
+const { incomeEvents, summarizeIncome, incomeByMonth } = require('../utils/income');
+const { buildLocationBreakdown } = require('../utils/locations');
+const { parseBasket, compareToBenchmark } = require('../utils/benchmark');
+const { CORRELATION_WINDOWS, calculateRisk, calculateDiversification } = require('../utils/risk');
+const { buildRebalancePlan } = require('../utils/rebalance');
+const { marketBetas, projectScenario } = require('../utils/scenarios');
+const { HORIZONS, METHODS, MAX_PATHS, projectPortfolio } = require('../utils/monteCarlo');
+const { FORMATS, readCsv } = require('../utils/importers');
+const { prepareImport } = require('../utils/csvImport');
+const { startBackfill } = require('../jobs/backfillJob');
+const marketDataService = require('../utils/marketDataService');
 
 const router = express.Router();
 
@@ -24,87 +40,242 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Make sure legacy holdings and unfiled transactions belong to a portfolio
+router.use(prepareLedger);
+
+// Helper function to resolve the cost-basis method for a request
+const getCostBasisMethod = (req) => {
+  return req.query.costBasisMethod || req.user.preferences.costBasisMethod || 'fifo';
+};
+
+// Helper function to total realized gains per coin, largest first
+const summarizeRealizedByCoin = (disposals) => {
+  const byCoin = {};
+
+  disposals.forEach(d => {
+    if (!byCoin[d.coinId]) {
+      byCoin[d.coinId] = {
+        coinId: d.coinId,
+        coinName: d.coinName,
+        symbol: d.symbol,
+        amountSold: 0,
+        proceeds: 0,
+        costBasis: 0,
+        realizedProfitLoss: 0
+      };
+    }
+    const entry = byCoin[d.coinId];
+    entry.amountSold += d.amount;
+    entry.proceeds += d.proceeds;
+    entry.costBasis += d.costBasis;
+    entry.realizedProfitLoss += d.gain;
+  });
+
+  return Object.values(byCoin).sort((a, b) => Math.abs(b.realizedProfitLoss) - Math.abs(a.realizedProfitLoss));
+};
+
+// Helper function to build the capital-gains report for a tax year, with
+// income received during the year listed separately
+const getTaxReport = async (req, year) => {
+  const method = getCostBasisMethod(req);
+  const transactions = await Transaction.getLedger(req.user._id, req.portfolioScope.filter);
+  const { disposals } = buildPositions(transactions, method);
+  const events = incomeEvents(transactions, {
+    from: new Date(Date.UTC(year, 0, 1)),
+    to: new Date(Date.UTC(year + 1, 0, 1))
+  });
+
+  return {
+    ...buildTaxReport(disposals, year),
+    income: {
+      events,
+      summary: summarizeIncome(events)
+    },
+    portfolio: req.portfolioScope.portfolio,
+    costBasisMethod: method,
+    currency: req.user.preferences.currency || 'usd'
+  };
+};
+
+// Helper function to render the tax report as CSV
+const taxReportToCsv = (report) => {
+  const headers = [
+    'Coin Name',
+    'Symbol',
+    'Amount',
+    'Acquisition Date',
+    'Disposal Date',
+    'Holding Period (days)',
+    'Proceeds',
+    'Cost Basis',
+    'Gain/Loss',
+    'Term'
+  ];
+
+  let csvContent = headers.join(',') + '\n';
+
+  report.disposals.forEach(row => {
+    const fields = [
+      row.coinName,
+      row.symbol,
+      row.amount,
+      row.acquisitionDate.toISOString().split('T')[0],
+      row.disposalDate.toISOString().split('T')[0],
+      row.holdingPeriodDays,
+      row.proceeds,
+      row.costBasis,
+      row.gain,
+      row.term === 'long' ? 'Long-term' : 'Short-term'
+    ];
+
+    csvContent += fields.map(field => `"${field}"`).join(',') + '\n';
+  });
+
+  // Add subtotal rows
+  [
+    ['SHORT-TERM TOTAL', report.summary.shortTerm],
+    ['LONG-TERM TOTAL', report.summary.longTerm],
+    ['TOTAL', report.summary.total]
+  ].forEach(([label, totals]) => {
+    const fields = [label, '', '', '', '', '', totals.proceeds, totals.costBasis, totals.gain, ''];
+    csvContent += fields.map(field => `"${field}"`).join(',') + '\n';
+  });
+
+  // Income is ordinary income rather than a capital gain, so it gets its own section
+  if (report.income.events.length > 0) {
+    csvContent += '\n' + ['Coin Name', 'Symbol', 'Amount', 'Date Received', 'Income Type', 'Fair Market Value', 'Income'].join(',') + '\n';
+
+    report.income.events.forEach(event => {
+      const fields = [
+        event.coinName,
+        event.symbol,
+        event.amount,
+        event.date.toISOString().split('T')[0],
+        event.incomeType,
+        event.price,
+        event.value
+      ];
+
+      csvContent += fields.map(field => `"${field}"`).join(',') + '\n';
+    });
+
+    const fields = ['INCOME TOTAL', '', '', '', '', '', report.income.summary.total];
+    csvContent += fields.map(field => `"${field}"`).join(',') + '\n';
+  }
+
+  return csvContent;
+};
+
+// Validation for the optional tax year
+const taxYearQuery = query('year')
+  .optional()
+  .isInt({ min: 2009 })
+  .custom(value => parseInt(value) <= new Date().getFullYear())
+  .withMessage('Year must be between 2009 and the current year');
+
+// Validation for the optional cost-basis override on read routes
+const costBasisQuery = query('costBasisMethod')
+  .optional()
+  .isIn(COST_BASIS_METHODS)
+  .withMessage('Cost basis method must be fifo, lifo, hifo or average');
+
+// Helper function to value a transaction's fee in the pricing currency.
+// Fees in the pricing currency are taken as-is, fees in the traded coin use
+// the transaction price and fees in any other coin (e.g. ETH gas) use that
+// coin's price on the transaction date.
+const resolveFeeValue = async (transaction, currency) => {
+  const { fee, feeCurrency, coinId, price, date } = transaction;
+
+  if (!fee) return 0;
+  if (!feeCurrency || feeCurrency === currency) return fee;
+  // Moves carry no price, so a fee in the moved coin is valued like any other coin
+  if (feeCurrency === coinId && transaction.type !== 'move') return fee * (price || 0);
+
+  const feeCoinPrice = await marketDataService.getPriceAtDate(feeCurrency, date, currency);
+  return fee * feeCoinPrice;
+};
+
+// Helper function to apply fee fields from a request body, valuing the fee
+// unless the caller supplied feeValue explicitly
+const applyFee = async (transaction, body, currency) => {
+  const { fee, feeCurrency, feeValue } = body;
+  const feeChanged = fee !== undefined || feeCurrency !== undefined;
+
+  if (fee !== undefined) transaction.fee = parseFloat(fee);
+  if (feeCurrency !== undefined) transaction.feeCurrency = feeCurrency.toLowerCase();
+
+  if (feeValue !== undefined) {
+    transaction.feeValue = parseFloat(feeValue);
+  } else if (feeChanged || transaction.isModified('price') || transaction.isModified('date')) {
+    transaction.feeValue = await resolveFeeValue(transaction, currency);
+  }
+};
+
+// Helper function to value income at its fair-market value on the day it was
+// received, unless the caller supplied a price. Edits only re-value income
+// whose type or date changed.
+const applyIncomePrice = async (transaction, price, currency) => {
+  if (transaction.type !== 'income' || price !== undefined) return;
+  if (!transaction.isNew && !transaction.isModified('type') && !transaction.isModified('date')) return;
+
+  transaction.price = await marketDataService.getPriceAtDate(transaction.coinId, transaction.date, currency);
+};
+
+// Helper function to check that the locations named by a request belong to the user
+const findMissingLocation = async (userId, ...locationIds) => {
+  const ids = [...new Set(locationIds.filter(Boolean).map(String))];
+  const found = await Location.countDocuments({ _id: { $in: ids }, userId });
+  return found !== ids.length;
+};
+
+// Validation for the location fields of a transaction; null leaves it unassigned
+const locationValidation = [
+  body('locationId').optional({ nullable: true }).isMongoId().withMessage('Invalid location ID'),
+  body('toLocationId').optional({ nullable: true }).isMongoId().withMessage('Invalid destination location ID')
+];
+
+// Validation shared by the create and update transaction routes
+const feeValidation = [
+  body('fee').optional().isFloat({ min: 0 }).withMessage('Fee must be greater than or equal to 0'),
+  body('feeCurrency').optional().trim().notEmpty().withMessage('Fee currency cannot be empty'),
+  body('feeValue').optional().isFloat({ min: 0 }).withMessage('Fee value must be greater than or equal to 0')
+];
+
+// Validation for the optional portfolio selector on read routes
+const portfolioQuery = query('portfolioId')
+  .optional()
+  .custom(value => value === 'all' || /^[0-9a-fA-F]{24}$/.test(value))
+  .withMessage('Portfolio must be a valid portfolio ID or "all"');
+
+// Helper function to run calculatePortfolio for the portfolio selected on the request
+const calculateScopedPortfolio = (req, currency) => {
+  return calculatePortfolio(req.user._id, currency, getCostBasisMethod(req), req.portfolioScope.filter);
+};
+
+// Helper function to reject ledger changes that would leave a negative balance
+const checkLedgerBalance = (transactions) => {
+  const negative = findNegativeBalance(sortLedger(transactions));
+  if (!negative) return null;
+
+  const { transaction, shortfall, locationId } = negative;
+  const where = locationId === undefined ? '' : locationId ? ' at that location' : ' in unassigned holdings';
+  return `Insufficient ${transaction.symbol} balance${where} on ${new Date(transaction.date).toISOString().split('T')[0]} (short by ${shortfall})`;
+};
+
 // @route   GET /api/portfolio
-// @desc    Get user's complete portfolio with current prices
+// @desc    Get user's complete portfolio with positions derived from the ledger
 // @access  Private
-router.get('/', async (req, res) => {
+router.get('/', [costBasisQuery, portfolioQuery], handleValidationErrors, resolvePortfolioScope, async (req, res) => {
   try {
-    const userId = req.user._id;
-    
-    // Get user's holdings
-    const holdings = await Holding.find({ userId }).sort({ purchaseDate: -1 });
-    
-    if (holdings.length === 0) {
-      return res.json({
-        message: 'Portfolio retrieved successfully',
-        data: {
-          totalHoldings: 0,
-          totalInvestment: 0,
-          totalCurrentValue: 0,
-          totalProfitLoss: 0,
-          totalProfitLossPercentage: 0,
-          holdings: []
-        }
-      });
-    }
-    
-    // Get unique coin IDs for price fetching
-    const coinIds = [...new Set(holdings.map(h => h.coinId))];
-    
-    // Fetch current prices
-    let currentPrices = {};
-    try {
-      currentPrices = await coinGeckoService.getSimplePrices(coinIds, [req.user.preferences.currency || 'usd']);
-    } catch (error) {
-      console.error('Failed to fetch current prices:', error);
-      // Continue without current prices
-    }
-    
-    // Update holdings with current prices and calculate profit/loss
-    let totalInvestment = 0;
-    let totalCurrentValue = 0;
-    let totalProfitLoss = 0;
-    
-    const updatedHoldings = holdings.map(holding => {
-      const currentPrice = currentPrices[holding.coinId]?.[req.user.preferences.currency || 'usd'] || 0;
-      
-      // Calculate values
-      const investment = holding.amount * holding.buyPrice;
-      const currentValue = holding.amount * currentPrice;
-      const profitLoss = currentValue - investment;
-      const profitLossPercentage = investment > 0 ? (profitLoss / investment) * 100 : 0;
-      
-      totalInvestment += investment;
-      totalCurrentValue += currentValue;
-      totalProfitLoss += profitLoss;
-      
-      // Update holding with calculated values
-      holding.currentPrice = currentPrice;
-      holding.currentValue = currentValue;
-      holding.profitLoss = profitLoss;
-      holding.profitLossPercentage = profitLossPercentage;
-      holding.lastUpdated = new Date();
-      
-      return holding;
-    });
-    
-    const totalProfitLossPercentage = totalInvestment > 0 
-      ? (totalProfitLoss / totalInvestment) * 100 
-      : 0;
-    
-    // Save updated holdings (batch update)
-    await Promise.all(updatedHoldings.map(h => h.save()));
+    const currency = req.user.preferences.currency || 'usd';
+    const { disposals, ...portfolio } = await calculateScopedPortfolio(req, currency);
     
     res.json({
       message: 'Portfolio retrieved successfully',
       data: {
-        totalHoldings: holdings.length,
-        totalInvestment,
-        totalCurrentValue,
-        totalProfitLoss,
-        totalProfitLossPercentage,
-        holdings: updatedHoldings,
-        currency: req.user.preferences.currency || 'usd'
+        ...portfolio,
+        portfolio: req.portfolioScope.portfolio,
+        currency
       }
     });
     
@@ -114,184 +285,398 @@ router.get('/', async (req, res) => {
   }
 });
 
-// @route   POST /api/portfolio/holdings
-// @desc    Add new holding to portfolio
+// @route   GET /api/portfolio/transactions
+// @desc    Get user's transaction ledger
+// @access  Private
+router.get('/transactions', [
+  query('coinId').optional().trim(),
+  query('type').optional().isIn(Transaction.TYPES).withMessage('Invalid transaction type'),
+  query('locationId').optional().isMongoId().withMessage('Invalid location ID'),
+  portfolioQuery
+], handleValidationErrors, resolvePortfolioScope, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { coinId, type, locationId } = req.query;
+    
+    const filter = { userId, ...req.portfolioScope.filter };
+    if (coinId) filter.coinId = coinId.toLowerCase();
+    if (type) filter.type = type;
+    if (locationId) filter.$or = [{ locationId }, { toLocationId: locationId }];
+    
+    const transactions = await Transaction.find(filter).sort({ date: -1, createdAt: -1 });
+    
+    res.json({
+      message: 'Transactions retrieved successfully',
+      data: transactions,
+      count: transactions.length
+    });
+    
+  } catch (error) {
+    console.error('Get transactions error:', error);
+    res.status(500).json({ message: 'Failed to retrieve transactions' });
+  }
+});
+
+// @route   POST /api/portfolio/transactions
+// @desc    Record a buy, sell, transfer, income (staking, airdrop, interest,
+//          mining; price defaults to the coin's market price on the date) or a
+//          move between locations (locationId to toLocationId, not taxable)
 // @access  Private
-router.post('/holdings', [
+router.post('/transactions', [
+  body('type').isIn(Transaction.TYPES).withMessage('Transaction type must be buy, sell, transfer_in, transfer_out, income or move'),
   body('coinId').notEmpty().trim().withMessage('Coin ID is required'),
   body('coinName').notEmpty().trim().withMessage('Coin name is required'),
   body('symbol').notEmpty().trim().withMessage('Coin symbol is required'),
   body('amount').isFloat({ min: 0.00000001 }).withMessage('Amount must be greater than 0'),
-  body('buyPrice').isFloat({ min: 0 }).withMessage('Buy price must be greater than or equal to 0'),
-  body('purchaseDate').optional().isISO8601().withMessage('Invalid purchase date format'),
-  body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+  body('incomeType').if(body('type').equals('income')).isIn(Transaction.INCOME_TYPES)
+    .withMessage('Income type must be staking, airdrop, interest or mining'),
+  body('price').optional().isFloat({ min: 0 }).withMessage('Price must be greater than or equal to 0'),
+  body('date').optional().isISO8601().withMessage('Invalid transaction date format')
+    .custom(date => new Date(date) <= new Date()).withMessage('Transaction date cannot be in the future'),
+  body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  body('portfolioId').optional().isMongoId().withMessage('Invalid portfolio ID'),
+  ...locationValidation,
+  ...feeValidation
 ], handleValidationErrors, async (req, res) => {
   try {
     const userId = req.user._id;
-    const { coinId, coinName, symbol, amount, buyPrice, purchaseDate, notes } = req.body;
+    const currency = req.user.preferences.currency || 'usd';
+    const { type, coinId, coinName, symbol, amount, price, date, notes, incomeType } = req.body;
+    const locationId = req.body.locationId || null;
+    const toLocationId = type === 'move' ? req.body.toLocationId || null : null;
+    
+    if (type === 'move' && String(locationId) === String(toLocationId)) {
+      return res.status(400).json({ message: 'A move needs two different locations' });
+    }
+    if (await findMissingLocation(userId, locationId, toLocationId)) {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+    
+    // Transactions go to the default portfolio unless another one is named
+    let portfolio = req.defaultPortfolio;
+    if (req.body.portfolioId) {
+      portfolio = await Portfolio.findOne({ _id: req.body.portfolioId, userId });
+      if (!portfolio) {
+        return res.status(404).json({ message: 'Portfolio not found' });
+      }
+    }
     
-    // Verify coin exists in CoinGecko
+    // Verify coin exists in market data
     try {
-      await coinGeckoService.getCoin(coinId);
+      await marketDataService.getCoin(coinId);
     } catch (error) {
       return res.status(400).json({ message: 'Invalid coin ID or coin not found' });
     }
     
-    // Create new holding
-    const holding = new Holding({
+    const transaction = new Transaction({
       userId,
+      portfolioId: portfolio._id,
+      type,
       coinId: coinId.toLowerCase(),
       coinName,
       symbol: symbol.toUpperCase(),
       amount: parseFloat(amount),
-      buyPrice: parseFloat(buyPrice),
-      purchaseDate: purchaseDate ? new Date(purchaseDate) : new Date(),
-      notes: notes || ''
+      price: price !== undefined && type !== 'move' ? parseFloat(price) : 0,
+      date: date ? new Date(date) : new Date(),
+      notes: notes || '',
+      locationId,
+      toLocationId,
+      incomeType: type === 'income' ? incomeType : undefined,
+      feeCurrency: currency
     });
     
-    // Get current price for immediate calculation
     try {
-      const prices = await coinGeckoService.getSimplePrices([coinId], [req.user.preferences.currency || 'usd']);
-      const currentPrice = prices[coinId]?.[req.user.preferences.currency || 'usd'] || 0;
-      holding.calculateProfitLoss(currentPrice);
+      await applyIncomePrice(transaction, price, currency);
     } catch (error) {
-      console.error('Failed to get current price for new holding:', error);
+      console.error('Failed to value income:', error);
+      return res.status(400).json({ message: 'Could not find a market price for that date; provide price instead' });
     }
     
-    await holding.save();
+    try {
+      await applyFee(transaction, req.body, currency);
+    } catch (error) {
+      console.error('Failed to value transaction fee:', error);
+      return res.status(400).json({ message: 'Could not value the fee in that currency; provide feeValue instead' });
+    }
+    
+    // Outflows can never exceed what the portfolio held at that point in time
+    const ledger = await Transaction.getLedger(userId, {
+      coinId: transaction.coinId,
+      portfolioId: transaction.portfolioId
+    });
+    const balanceError = checkLedgerBalance([...ledger, transaction]);
+    if (balanceError) {
+      return res.status(400).json({ message: balanceError });
+    }
+    
+    await transaction.save();
     
     res.status(201).json({
-      message: 'Holding added successfully',
-      data: holding
+      message: 'Transaction recorded successfully',
+      data: transaction
     });
     
   } catch (error) {
-    console.error('Add holding error:', error);
-    res.status(500).json({ message: 'Failed to add holding' });
+    console.error('Add transaction error:', error);
+    res.status(500).json({ message: 'Failed to record transaction' });
   }
 });
 
-// @route   GET /api/portfolio/holdings/:id
-// @desc    Get specific holding by ID
+// @route   GET /api/portfolio/transactions/:id
+// @desc    Get specific transaction by ID
 // @access  Private
-router.get('/holdings/:id', [
-  param('id').isMongoId().withMessage('Invalid holding ID')
+router.get('/transactions/:id', [
+  param('id').isMongoId().withMessage('Invalid transaction ID')
 ], handleValidationErrors, async (req, res) => {
   try {
-    const userId = req.user._id;
-    const holdingId = req.params.id;
-    
-    const holding = await Holding.findOne({ _id: holdingId, userId });
+    const transaction = await Transaction.findOne({ _id: req.params.id, userId: req.user._id });
     
-    if (!holding) {
-      return res.status(404).json({ message: 'Holding not found' });
-    }
-    
-    // Get current price
-    try {
-      const prices = await coinGeckoService.getSimplePrices([holding.coinId], [req.user.preferences.currency || 'usd']);
-      const currentPrice = prices[holding.coinId]?.[req.user.preferences.currency || 'usd'] || 0;
-      holding.calculateProfitLoss(currentPrice);
-      await holding.save();
-    } catch (error) {
-      console.error('Failed to get current price:', error);
+    if (!transaction) {
+      return res.status(404).json({ message: 'Transaction not found' });
     }
     
     res.json({
-      message: 'Holding retrieved successfully',
-      data: holding
+      message: 'Transaction retrieved successfully',
+      data: transaction
     });
     
   } catch (error) {
-    console.error('Get holding error:', error);
-    res.status(500).json({ message: 'Failed to retrieve holding' });
+    console.error('Get transaction error:', error);
+    res.status(500).json({ message: 'Failed to retrieve transaction' });
   }
 });
 
-// @route   PUT /api/portfolio/holdings/:id
-// @desc    Update holding
+// @route   PUT /api/portfolio/transactions/:id
+// @desc    Update transaction
 // @access  Private
-router.put('/holdings/:id', [
-  param('id').isMongoId().withMessage('Invalid holding ID'),
+router.put('/transactions/:id', [
+  param('id').isMongoId().withMessage('Invalid transaction ID'),
+  body('type').optional().isIn(Transaction.TYPES).withMessage('Transaction type must be buy, sell, transfer_in, transfer_out, income or move'),
   body('amount').optional().isFloat({ min: 0.00000001 }).withMessage('Amount must be greater than 0'),
-  body('buyPrice').optional().isFloat({ min: 0 }).withMessage('Buy price must be greater than or equal to 0'),
-  body('purchaseDate').optional().isISO8601().withMessage('Invalid purchase date format'),
-  body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+  body('incomeType').optional().isIn(Transaction.INCOME_TYPES)
+    .withMessage('Income type must be staking, airdrop, interest or mining'),
+  body('price').optional().isFloat({ min: 0 }).withMessage('Price must be greater than or equal to 0'),
+  body('date').optional().isISO8601().withMessage('Invalid transaction date format')
+    .custom(date => new Date(date) <= new Date()).withMessage('Transaction date cannot be in the future'),
+  body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  body('portfolioId').optional().isMongoId().withMessage('Invalid portfolio ID'),
+  ...locationValidation,
+  ...feeValidation
 ], handleValidationErrors, async (req, res) => {
   try {
     const userId = req.user._id;
-    const holdingId = req.params.id;
-    const { amount, buyPrice, purchaseDate, notes } = req.body;
+    const currency = req.user.preferences.currency || 'usd';
+    const { type, amount, price, date, notes, portfolioId, incomeType, locationId, toLocationId } = req.body;
+    
+    const transaction = await Transaction.findOne({ _id: req.params.id, userId });
     
-    const holding = await Holding.findOne({ _id: holdingId, userId });
+    if (!transaction) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
     
-    if (!holding) {
-      return res.status(404).json({ message: 'Holding not found' });
+    const previousPortfolioId = transaction.portfolioId;
+    if (portfolioId !== undefined) {
+      const portfolio = await Portfolio.findOne({ _id: portfolioId, userId });
+      if (!portfolio) {
+        return res.status(404).json({ message: 'Portfolio not found' });
+      }
+      transaction.portfolioId = portfolio._id;
     }
     
     // Update fields
-    if (amount !== undefined) holding.amount = parseFloat(amount);
-    if (buyPrice !== undefined) holding.buyPrice = parseFloat(buyPrice);
-    if (purchaseDate !== undefined) holding.purchaseDate = new Date(purchaseDate);
-    if (notes !== undefined) holding.notes = notes;
+    if (type !== undefined) transaction.type = type;
+    if (amount !== undefined) transaction.amount = parseFloat(amount);
+    if (price !== undefined) transaction.price = parseFloat(price);
+    if (date !== undefined) transaction.date = new Date(date);
+    if (notes !== undefined) transaction.notes = notes;
+    if (incomeType !== undefined) transaction.incomeType = incomeType;
+    if (locationId !== undefined) transaction.locationId = locationId || null;
+    if (toLocationId !== undefined) transaction.toLocationId = toLocationId || null;
+    
+    // Only moves have a destination, and they never carry a price
+    if (transaction.type !== 'move') {
+      transaction.toLocationId = null;
+    } else {
+      transaction.price = 0;
+      if (String(transaction.locationId) === String(transaction.toLocationId)) {
+        return res.status(400).json({ message: 'A move needs two different locations' });
+      }
+    }
+    if (await findMissingLocation(userId, transaction.locationId, transaction.toLocationId)) {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+    
+    // Only income carries an income type
+    if (transaction.type !== 'income') {
+      transaction.incomeType = undefined;
+    } else if (!transaction.incomeType) {
+      return res.status(400).json({ message: 'Income type must be staking, airdrop, interest or mining' });
+    }
     
-    // Recalculate profit/loss with current price
     try {
-      const prices = await coinGeckoService.getSimplePrices([holding.coinId], [req.user.preferences.currency || 'usd']);
-      const currentPrice = prices[holding.coinId]?.[req.user.preferences.currency || 'usd'] || 0;
-      holding.calculateProfitLoss(currentPrice);
+      await applyIncomePrice(transaction, price, currency);
     } catch (error) {
-      console.error('Failed to get current price for update:', error);
+      console.error('Failed to value income:', error);
+      return res.status(400).json({ message: 'Could not find a market price for that date; provide price instead' });
     }
     
-    await holding.save();
+    try {
+      await applyFee(transaction, req.body, currency);
+    } catch (error) {
+      console.error('Failed to value transaction fee:', error);
+      return res.status(400).json({ message: 'Could not value the fee in that currency; provide feeValue instead' });
+    }
+    
+    // Check the books the transaction leaves as well as the ones it lands in
+    const ledger = await Transaction.getLedger(userId, {
+      coinId: transaction.coinId,
+      portfolioId: { $in: [previousPortfolioId, transaction.portfolioId] }
+    });
+    const balanceError = checkLedgerBalance(
+      ledger.map(tx => (tx._id.equals(transaction._id) ? transaction : tx))
+    );
+    if (balanceError) {
+      return res.status(400).json({ message: balanceError });
+    }
+    
+    await transaction.save();
     
     res.json({
-      message: 'Holding updated successfully',
-      data: holding
+      message: 'Transaction updated successfully',
+      data: transaction
     });
     
   } catch (error) {
-    console.error('Update holding error:', error);
-    res.status(500).json({ message: 'Failed to update holding' });
+    console.error('Update transaction error:', error);
+    res.status(500).json({ message: 'Failed to update transaction' });
   }
 });
 
-// @route   DELETE /api/portfolio/holdings/:id
-// @desc    Delete holding
+// @route   DELETE /api/portfolio/transactions/:id
+// @desc    Delete transaction
 // @access  Private
-router.delete('/holdings/:id', [
-  param('id').isMongoId().withMessage('Invalid holding ID')
+router.delete('/transactions/:id', [
+  param('id').isMongoId().withMessage('Invalid transaction ID')
 ], handleValidationErrors, async (req, res) => {
   try {
     const userId = req.user._id;
-    const holdingId = req.params.id;
+    const transactionId = req.params.id;
     
-    const holding = await Holding.findOneAndDelete({ _id: holdingId, userId });
+    const transaction = await Transaction.findOne({ _id: transactionId, userId });
     
-    if (!holding) {
-      return res.status(404).json({ message: 'Holding not found' });
+    if (!transaction) {
+      return res.status(404).json({ message: 'Transaction not found' });
     }
     
+    // Removing an inflow must not strand later outflows
+    const ledger = await Transaction.getLedger(userId, {
+      coinId: transaction.coinId,
+      portfolioId: transaction.portfolioId
+    });
+    const balanceError = checkLedgerBalance(ledger.filter(tx => !tx._id.equals(transaction._id)));
+    if (balanceError) {
+      return res.status(400).json({ message: balanceError });
+    }
+    
+    await transaction.deleteOne();
+    
     res.json({
-      message: 'Holding deleted successfully',
-      data: { id: holdingId }
+      message: 'Transaction deleted successfully',
+      data: { id: transactionId }
     });
     
   } catch (error) {
-    console.error('Delete holding error:', error);
-    res.status(500).json({ message: 'Failed to delete holding' });
+    console.error('Delete transaction error:', error);
+    res.status(500).json({ message: 'Failed to delete transaction' });
   }
 });
 
+// Validation for an optional analytics date range
+const dateRangeQuery = [
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+  query('to').optional().isISO8601().withMessage('Invalid to date'),
+  query('to').optional().custom((to, { req }) => !req.query.from || new Date(to) >= new Date(req.query.from))
+    .withMessage('The to date must be on or after the from date')
+];
+
+// Helper function to compute TWR and XIRR for the requested date range
+const getReturns = async (req, currentValue) => {
+  const { from, to } = req.query;
+  const { filter } = req.portfolioScope;
+  const transactions = await Transaction.getLedger(req.user._id, filter);
+  const series = await getValueSeries(req.user._id, filter, { to: to ? new Date(to) : undefined });
+
+  return calculateReturns({ transactions, series, currentValue, from, to });
+};
+
+// Helper function to summarize income received in the requested date range
+const getIncome = async (req) => {
+  const { from, to } = req.query;
+  const transactions = await Transaction.getLedger(req.user._id, req.portfolioScope.filter);
+  const events = incomeEvents(transactions, {
+    from: from ? new Date(from) : undefined,
+    to: to ? new Date(new Date(to).getTime() + DAY_MS) : undefined
+  });
+
+  return {
+    ...summarizeIncome(events),
+    monthly: incomeByMonth(events)
+  };
+};
+
+// Helper function to work out each holding's share of current value
+const allocationFromHoldings = (holdings, totalCurrentValue) => {
+  return holdings
+    .filter(h => h.currentValue > 0)
+    .map(h => ({
+      coinId: h.coinId,
+      coinName: h.coinName,
+      symbol: h.symbol,
+      value: h.currentValue,
+      percentage: totalCurrentValue > 0 ? (h.currentValue / totalCurrentValue) * 100 : 0
+    }))
+    .sort((a, b) => b.value - a.value);
+};
+
+// Helper function to compute risk statistics for the requested date range.
+// The risk-free rate is an annual percentage (query overrides the user preference).
+const getRisk = (req, holdings, currency) => {
+  const { from, to } = req.query;
+  const riskFreeRate = req.query.riskFreeRate !== undefined
+    ? parseFloat(req.query.riskFreeRate)
+    : (req.user.preferences.riskFreeRate || 0);
+
+  return calculateRisk({
+    userId: req.user._id,
+    filter: req.portfolioScope.filter,
+    holdings,
+    currency,
+    from,
+    to,
+    riskFreeRate: riskFreeRate / 100
+  });
+};
+
 // @route   GET /api/portfolio/analytics
 // @desc    Get portfolio analytics and performance data
+//          (from/to narrow the return and risk calculations to a date range;
+//          risk defaults to the last year, riskFreeRate is an annual percentage;
+//          correlationWindow=30d|90d|1y sets the correlation look-back, default 90d)
 // @access  Private
-router.get('/analytics', async (req, res) => {
+router.get('/analytics', [
+  costBasisQuery,
+  portfolioQuery,
+  ...dateRangeQuery,
+  query('riskFreeRate').optional().isFloat({ min: 0, max: 100 }).withMessage('Risk-free rate must be between 0 and 100'),
+  query('correlationWindow').optional().isIn(Object.keys(CORRELATION_WINDOWS)).withMessage('Correlation window must be 30d, 90d or 1y')
+], handleValidationErrors, resolvePortfolioScope, async (req, res) => {
   try {
-    const userId = req.user._id;
-    
-    const holdings = await Holding.find({ userId }).sort({ purchaseDate: -1 });
+    const currency = req.user.preferences.currency || 'usd';
+    const portfolio = await calculateScopedPortfolio(req, currency);
+    const holdings = portfolio.holdings;
+    const performanceHistory = await getHistory(req.user._id, req.portfolioScope.filter, '30d');
+    const returns = await getReturns(req, portfolio.totalCurrentValue);
+    const income = await getIncome(req);
     
     if (holdings.length === 0) {
       return res.json({
@@ -302,70 +687,48 @@ router.get('/analytics', async (req, res) => {
           totalCurrentValue: 0,
           totalProfitLoss: 0,
           totalProfitLossPercentage: 0,
+          totalRealizedProfitLoss: portfolio.totalRealizedProfitLoss,
+          totalUnrealizedProfitLoss: 0,
+          totalFees: portfolio.totalFees,
+          costBasisMethod: portfolio.costBasisMethod,
           topPerformers: [],
           worstPerformers: [],
           allocationByValue: [],
           allocationByInvestment: [],
-          performanceHistory: []
+          realizedByCoin: summarizeRealizedByCoin(portfolio.disposals),
+          portfolio: req.portfolioScope.portfolio,
+          returns,
+          income,
+          risk: null,
+          diversification: null,
+          performanceHistory
         }
       });
     }
     
-    // Get current prices
-    const coinIds = [...new Set(holdings.map(h => h.coinId))];
-    let currentPrices = {};
-    
-    try {
-      currentPrices = await coinGeckoService.getSimplePrices(coinIds, [req.user.preferences.currency || 'usd']);
-    } catch (error) {
-      console.error('Failed to fetch prices for analytics:', error);
-    }
-    
-    // Calculate analytics
-    let totalInvestment = 0;
-    let totalCurrentValue = 0;
-    
-    const holdingsWithCalc = holdings.map(holding => {
-      const currentPrice = currentPrices[holding.coinId]?.[req.user.preferences.currency || 'usd'] || 0;
-      const investment = holding.amount * holding.buyPrice;
-      const currentValue = holding.amount * currentPrice;
-      const profitLoss = currentValue - investment;
-      const profitLossPercentage = investment > 0 ? (profitLoss / investment) * 100 : 0;
-      
-      totalInvestment += investment;
-      totalCurrentValue += currentValue;
-      
-      return {
-        ...holding.toJSON(),
-        currentPrice,
-        currentValue,
-        profitLoss,
-        profitLossPercentage,
-        investment
-      };
-    });
+    const {
+      totalInvestment,
+      totalCurrentValue,
+      totalProfitLoss,
+      totalProfitLossPercentage,
+      totalRealizedProfitLoss,
+      totalUnrealizedProfitLoss,
+      totalFees,
+      costBasisMethod
+    } = portfolio;
     
     // Sort by performance
-    const sortedByPerformance = [...holdingsWithCalc].sort((a, b) => b.profitLossPercentage - a.profitLossPercentage);
+    const sortedByPerformance = [...holdings].sort((a, b) => b.profitLossPercentage - a.profitLossPercentage);
     
     // Get top and worst performers
     const topPerformers = sortedByPerformance.slice(0, 5);
     const worstPerformers = sortedByPerformance.slice(-5).reverse();
     
     // Calculate allocation by current value
-    const allocationByValue = holdingsWithCalc
-      .filter(h => h.currentValue > 0)
-      .map(h => ({
-        coinId: h.coinId,
-        coinName: h.coinName,
-        symbol: h.symbol,
-        value: h.currentValue,
-        percentage: totalCurrentValue > 0 ? (h.currentValue / totalCurrentValue) * 100 : 0
-      }))
-      .sort((a, b) => b.value - a.value);
+    const allocationByValue = allocationFromHoldings(holdings, totalCurrentValue);
     
     // Calculate allocation by investment
-    const allocationByInvestment = holdingsWithCalc
+    const allocationByInvestment = holdings
       .map(h => ({
         coinId: h.coinId,
         coinName: h.coinName,
@@ -375,8 +738,15 @@ router.get('/analytics', async (req, res) => {
       }))
       .sort((a, b) => b.investment - a.investment);
     
-    const totalProfitLoss = totalCurrentValue - totalInvestment;
-    const totalProfitLossPercentage = totalInvestment > 0 ? (totalProfitLoss / totalInvestment) * 100 : 0;
+    // Volatility, drawdown, Sharpe/Sortino and beta to BTC from daily returns
+    const risk = await getRisk(req, holdings, currency);
+    
+    // Pairwise correlations plus Herfindahl concentration of the held coins
+    const diversification = await calculateDiversification({
+      holdings,
+      currency,
+      window: req.query.correlationWindow || '90d'
+    });
     
     res.json({
       message: 'Portfolio analytics retrieved successfully',
@@ -386,11 +756,22 @@ router.get('/analytics', async (req, res) => {
         totalCurrentValue,
         totalProfitLoss,
         totalProfitLossPercentage,
+        totalRealizedProfitLoss,
+        totalUnrealizedProfitLoss,
+        totalFees,
+        costBasisMethod,
         topPerformers,
         worstPerformers,
         allocationByValue,
         allocationByInvestment,
-        currency: req.user.preferences.currency || 'usd'
+        realizedByCoin: summarizeRealizedByCoin(portfolio.disposals),
+        portfolio: req.portfolioScope.portfolio,
+        returns,
+        income,
+        risk,
+        diversification,
+        performanceHistory,
+        currency
       }
     });
     
@@ -400,19 +781,238 @@ router.get('/analytics', async (req, res) => {
   }
 });
 
+// @route   GET /api/portfolio/locations
+// @desc    Get holdings broken down by the location they are held at
+// @access  Private
+router.get('/locations', [portfolioQuery], handleValidationErrors, resolvePortfolioScope, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const currency = req.user.preferences.currency || 'usd';
+    const [portfolio, transactions, locations] = await Promise.all([
+      calculateScopedPortfolio(req, currency),
+      Transaction.getLedger(userId, req.portfolioScope.filter),
+      Location.find({ userId }).sort({ name: 1 })
+    ]);
+    
+    res.json({
+      message: 'Location breakdown retrieved successfully',
+      data: {
+        locations: buildLocationBreakdown(buildLocationBalances(transactions), portfolio.holdings, locations),
+        totalCurrentValue: portfolio.totalCurrentValue,
+        portfolio: req.portfolioScope.portfolio
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get location breakdown error:', error);
+    res.status(500).json({ message: 'Failed to retrieve location breakdown' });
+  }
+});
+
+// @route   GET /api/portfolio/rebalance
+// @desc    Get a rebalancing plan for one portfolio: drift from its target
+//          weights and the trades that bring it back within tolerance
+// @access  Private
+router.get('/rebalance', [
+  costBasisQuery,
+  query('portfolioId').isMongoId().withMessage('Select a portfolio to rebalance')
+], handleValidationErrors, resolvePortfolioScope, async (req, res) => {
+  try {
+    const currency = req.user.preferences.currency || 'usd';
+    const { portfolio: target } = req.portfolioScope;
+    const portfolio = await calculateScopedPortfolio(req, currency);
+    const allocation = allocationFromHoldings(portfolio.holdings, portfolio.totalCurrentValue);
+    
+    // Target coins not held yet need a name and price to size their buys
+    const held = new Set(portfolio.holdings.map(h => h.coinId));
+    const missing = target.targets.flatMap(t => t.coinIds).filter(coinId => !held.has(coinId));
+    const markets = {};
+    if (missing.length > 0) {
+      try {
+        const coins = await marketDataService.getCoinsByIds(missing, currency);
+        coins.forEach(coin => {
+          markets[coin.id] = { name: coin.name, symbol: coin.symbol, price: coin.current_price };
+        });
+      } catch (error) {
+        console.error('Failed to fetch target coin prices:', error);
+      }
+    }
+    
+    const plan = buildRebalancePlan({
+      allocation,
+      holdings: portfolio.holdings,
+      targets: target.targets,
+      tolerance: target.rebalanceTolerance,
+      markets
+    });
+    
+    res.json({
+      message: 'Rebalancing plan retrieved successfully',
+      data: {
+        portfolio: target,
+        hasTargets: target.targets.length > 0,
+        ...plan,
+        currency
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get rebalance plan error:', error);
+    res.status(500).json({ message: 'Failed to build rebalancing plan' });
+  }
+});
+
+// @route   POST /api/portfolio/rebalance/trades
+// @desc    Record the buys and sells of a rebalancing plan in one go
+// @access  Private
+router.post('/rebalance/trades', [
+  body('portfolioId').isMongoId().withMessage('Invalid portfolio ID'),
+  body('trades').isArray({ min: 1, max: 100 }).withMessage('Trades must be a list of 1 to 100 entries'),
+  body('trades.*.type').isIn(['buy', 'sell']).withMessage('Trade type must be buy or sell'),
+  body('trades.*.coinId').notEmpty().trim().withMessage('Coin ID is required'),
+  body('trades.*.coinName').notEmpty().trim().withMessage('Coin name is required'),
+  body('trades.*.symbol').notEmpty().trim().withMessage('Coin symbol is required'),
+  body('trades.*.amount').isFloat({ min: 0.00000001 }).withMessage('Amount must be greater than 0'),
+  body('trades.*.price').isFloat({ min: 0 }).withMessage('Price must be greater than or equal to 0')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const currency = req.user.preferences.currency || 'usd';
+    
+    const portfolio = await Portfolio.findOne({ _id: req.body.portfolioId, userId });
+    if (!portfolio) {
+      return res.status(404).json({ message: 'Portfolio not found' });
+    }
+    
+    // Sells are dated a moment before buys so they fund them
+    const now = Date.now();
+    const transactions = req.body.trades.map(trade => new Transaction({
+      userId,
+      portfolioId: portfolio._id,
+      type: trade.type,
+      coinId: trade.coinId.toLowerCase(),
+      coinName: trade.coinName,
+      symbol: trade.symbol.toUpperCase(),
+      amount: parseFloat(trade.amount),
+      price: parseFloat(trade.price),
+      date: new Date(trade.type === 'sell' ? now - 1000 : now),
+      notes: 'Rebalance',
+      feeCurrency: currency
+    }));
+    
+    const coinIds = [...new Set(transactions.map(tx => tx.coinId))];
+    const ledger = await Transaction.getLedger(userId, { coinId: { $in: coinIds }, portfolioId: portfolio._id });
+    const balanceError = checkLedgerBalance([...ledger, ...transactions]);
+    if (balanceError) {
+      return res.status(400).json({ message: balanceError });
+    }
+    
+    await Transaction.insertMany(transactions);
+    
+    res.status(201).json({
+      message: `Recorded ${transactions.length} rebalancing trades`,
+      data: transactions
+    });
+    
+  } catch (error) {
+    console.error('Record rebalance trades error:', error);
+    res.status(500).json({ message: 'Failed to record rebalancing trades' });
+  }
+});
+
+// @route   POST /api/portfolio/import
+// @desc    Preview (dryRun, the default) or record transactions from an exchange CSV export
+// @access  Private
+router.post('/import', [
+  body('csv').isString().notEmpty().withMessage('CSV content is required'),
+  body('format').optional().isIn(['auto', ...FORMATS]).withMessage(`Format must be auto, ${FORMATS.join(', ')}`),
+  body('mapping').optional({ nullable: true }).isObject().withMessage('Mapping must be an object of field to column'),
+  body('symbolMap').optional({ nullable: true }).isObject().withMessage('Symbol map must be an object of symbol to coin ID'),
+  body('portfolioId').optional().isMongoId().withMessage('Invalid portfolio ID'),
+  body('locationId').optional({ nullable: true }).isMongoId().withMessage('Invalid location ID'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be true or false')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const currency = req.user.preferences.currency || 'usd';
+    const dryRun = req.body.dryRun === undefined ? true : req.body.dryRun === true || req.body.dryRun === 'true';
+    const locationId = req.body.locationId || null;
+
+    let portfolio = req.defaultPortfolio;
+    if (req.body.portfolioId) {
+      portfolio = await Portfolio.findOne({ _id: req.body.portfolioId, userId });
+      if (!portfolio) {
+        return res.status(404).json({ message: 'Portfolio not found' });
+      }
+    }
+    if (await findMissingLocation(userId, locationId)) {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+
+    const { format, headers, mapping, records } = readCsv(req.body.csv, {
+      format: req.body.format || 'auto',
+      mapping: req.body.mapping || undefined
+    });
+
+    // Unrecognised files need their columns mapped before anything can be read
+    if (!format) {
+      if (!dryRun) {
+        return res.status(400).json({ message: 'Map the file\'s columns before importing it' });
+      }
+      return res.json({
+        message: 'File format not recognised; map its columns to continue',
+        data: { needsMapping: true, headers, mapping }
+      });
+    }
+
+    const symbolMap = Object.fromEntries(
+      Object.entries(req.body.symbolMap || {}).map(([symbol, coinId]) => [symbol.toUpperCase(), String(coinId).toLowerCase()])
+    );
+    const preview = await prepareImport({ userId, records, portfolio, locationId, currency, symbolMap });
+    const { transactions, ...result } = preview;
+    const data = { format, headers, mapping, portfolioId: portfolio._id, ...result };
+
+    if (dryRun) {
+      return res.json({
+        message: `${result.summary.ready} of ${result.summary.rows} rows ready to import`,
+        data
+      });
+    }
+
+    if (transactions.length === 0) {
+      return res.status(400).json({ message: 'Nothing to import', data });
+    }
+
+    await Transaction.insertMany(transactions);
+
+    res.status(201).json({
+      message: `Imported ${transactions.length} transactions`,
+      data: { ...data, imported: transactions.length }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Import transactions error:', error);
+    res.status(500).json({ message: 'Failed to import transactions' });
+  }
+});
+
 // @route   GET /api/portfolio/summary
 // @desc    Get portfolio summary (lightweight version)
 // @access  Private
-router.get('/summary', async (req, res) => {
+router.get('/summary', [costBasisQuery, portfolioQuery], handleValidationErrors, resolvePortfolioScope, async (req, res) => {
   try {
-    const userId = req.user._id;
-    const summary = await Holding.getPortfolioSummary(userId);
+    const currency = req.user.preferences.currency || 'usd';
+    const { holdings, disposals, ...summary } = await calculateScopedPortfolio(req, currency);
     
     res.json({
       message: 'Portfolio summary retrieved successfully',
       data: {
         ...summary,
-        currency: req.user.preferences.currency || 'usd'
+        portfolio: req.portfolioScope.portfolio,
+        currency
       }
     });
     
@@ -422,28 +1022,249 @@ router.get('/summary', async (req, res) => {
   }
 });
 
-// @route   GET /api/portfolio/export/csv
-// @desc    Export portfolio as CSV
+// @route   GET /api/portfolio/history
+// @desc    Get daily portfolio value snapshots (range=7d|30d|1y|all, default 30d)
 // @access  Private
-router.get('/export/csv', async (req, res) => {
+router.get('/history', [
+  portfolioQuery,
+  query('range').optional().isIn(Object.keys(HISTORY_RANGES)).withMessage('Range must be 7d, 30d, 1y or all')
+], handleValidationErrors, resolvePortfolioScope, async (req, res) => {
   try {
-    const userId = req.user._id;
+    const range = req.query.range || '30d';
+    const history = await getHistory(req.user._id, req.portfolioScope.filter, range);
+    
+    res.json({
+      message: 'Portfolio history retrieved successfully',
+      data: {
+        range,
+        portfolio: req.portfolioScope.portfolio,
+        currency: history.length > 0 ? history[history.length - 1].currency : (req.user.preferences.currency || 'usd'),
+        history
+      }
+    });
     
-    // Get user's holdings
-    const holdings = await Holding.find({ userId }).sort({ purchaseDate: -1 });
+  } catch (error) {
+    console.error('Get history error:', error);
+    res.status(500).json({ message: 'Failed to retrieve portfolio history' });
+  }
+});
+
+// @route   POST /api/portfolio/history/backfill
+// @desc    Rebuild history from historical prices back to the first transaction
+//          (resumes an unfinished backfill instead of starting over)
+// @access  Private
+router.post('/history/backfill', async (req, res) => {
+  try {
+    const job = await startBackfill(req.user._id);
     
-    if (holdings.length === 0) {
-      return res.status(404).json({ message: 'No holdings found to export' });
+    res.status(202).json({
+      message: 'History backfill started',
+      data: job
+    });
+    
+  } catch (error) {
+    console.error('Start backfill error:', error);
+    res.status(500).json({ message: 'Failed to start history backfill' });
+  }
+});
+
+// @route   GET /api/portfolio/history/backfill
+// @desc    Get progress of the user's history backfill
+// @access  Private
+router.get('/history/backfill', async (req, res) => {
+  try {
+    const job = await BackfillJob.findOne({ userId: req.user._id });
+    
+    res.json({
+      message: 'Backfill progress retrieved successfully',
+      data: job
+    });
+    
+  } catch (error) {
+    console.error('Get backfill progress error:', error);
+    res.status(500).json({ message: 'Failed to retrieve backfill progress' });
+  }
+});
+
+// @route   GET /api/portfolio/benchmark
+// @desc    Compare the portfolio against BTC, ETH or a weighted basket that gets
+//          the same cash flows (benchmark=bitcoin or bitcoin:60,ethereum:40;
+//          range=7d|30d|1y|all, default 1y). Both series start at 100.
+// @access  Private
+router.get('/benchmark', [
+  portfolioQuery,
+  query('range').optional().isIn(Object.keys(HISTORY_RANGES)).withMessage('Range must be 7d, 30d, 1y or all'),
+  query('benchmark').optional().custom(value => parseBasket(value) !== null)
+    .withMessage('Benchmark must be a coin ID or up to 10 coinId:weight pairs')
+], handleValidationErrors, resolvePortfolioScope, async (req, res) => {
+  try {
+    const currency = req.user.preferences.currency || 'usd';
+    const portfolio = await calculateScopedPortfolio(req, currency);
+    const comparison = await compareToBenchmark({
+      userId: req.user._id,
+      filter: req.portfolioScope.filter,
+      basket: parseBasket(req.query.benchmark),
+      range: req.query.range || '1y',
+      currency,
+      currentValue: portfolio.totalCurrentValue
+    });
+    
+    res.json({
+      message: 'Benchmark comparison retrieved successfully',
+      data: {
+        portfolio: req.portfolioScope.portfolio,
+        ...comparison
+      }
+    });
+    
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ message: error.message });
     }
+    console.error('Get benchmark error:', error);
+    res.status(500).json({ message: 'Failed to retrieve benchmark comparison' });
+  }
+});
+
+// @route   POST /api/portfolio/scenarios
+// @desc    Project portfolio value, P&L and allocation under hypothetical price
+//          moves: shocks=[{ coinId, change }] per coin and/or a market-wide
+//          market={ change, betaScaled } (changes are percentages)
+// @access  Private
+router.post('/scenarios', [
+  costBasisQuery,
+  portfolioQuery,
+  body('shocks').optional().isArray({ max: 100 }).withMessage('Shocks must be a list of up to 100 entries'),
+  body('shocks.*.coinId').notEmpty().trim().withMessage('Coin ID is required'),
+  body('shocks.*.change').isFloat({ min: -100, max: 1000 }).withMessage('Price change must be between -100 and 1000'),
+  body('market.change').optional().isFloat({ min: -100, max: 1000 }).withMessage('Market change must be between -100 and 1000'),
+  body('market.betaScaled').optional().isBoolean().withMessage('betaScaled must be a boolean')
+], handleValidationErrors, resolvePortfolioScope, async (req, res) => {
+  try {
+    const currency = req.user.preferences.currency || 'usd';
+    const portfolio = await calculateScopedPortfolio(req, currency);
     
-    // Get current prices
-    const coinIds = [...new Set(holdings.map(h => h.coinId))];
-    let currentPrices = {};
+    const shocks = {};
+    (req.body.shocks || []).forEach(shock => {
+      shocks[shock.coinId.toLowerCase()] = parseFloat(shock.change);
+    });
     
-    try {
-      currentPrices = await coinGeckoService.getSimplePrices(coinIds, [req.user.preferences.currency || 'usd']);
-    } catch (error) {
-      console.error('Failed to fetch prices for export:', error);
+    const marketChange = parseFloat(req.body.market?.change) || 0;
+    const betaScaled = Boolean(req.body.market?.betaScaled) && marketChange !== 0;
+    
+    // Betas are only needed for the coins that follow the market move
+    const followers = portfolio.holdings.map(h => h.coinId).filter(coinId => shocks[coinId] === undefined);
+    const betas = betaScaled && followers.length > 0 ? await marketBetas(followers, currency) : null;
+    
+    const scenario = projectScenario({ portfolio, shocks, marketChange, betas });
+    
+    res.json({
+      message: 'Scenario projected successfully',
+      data: {
+        portfolio: req.portfolioScope.portfolio,
+        currency,
+        market: { change: marketChange, betaScaled },
+        ...scenario
+      }
+    });
+    
+  } catch (error) {
+    console.error('Project scenario error:', error);
+    res.status(500).json({ message: 'Failed to project scenario' });
+  }
+});
+
+// @route   GET /api/portfolio/projection
+// @desc    Monte Carlo projection of current holdings from the last year of
+//          daily returns (horizon=30|90|365 days, method=bootstrap|gbm,
+//          paths up to 5000, seed to reproduce a run, goal=value to reach).
+//          Returns 5/25/50/75/95th percentile bands per day.
+// @access  Private
+router.get('/projection', [
+  costBasisQuery,
+  portfolioQuery,
+  query('horizon').optional().isIn(HORIZONS.map(String)).withMessage('Horizon must be 30, 90 or 365 days'),
+  query('method').optional().isIn(METHODS).withMessage('Method must be bootstrap or gbm'),
+  query('paths').optional().isInt({ min: 100, max: MAX_PATHS }).withMessage(`Paths must be between 100 and ${MAX_PATHS}`),
+  query('seed').optional().isInt({ min: 0, max: 2147483647 }).withMessage('Seed must be a non-negative integer'),
+  query('goal').optional().isFloat({ min: 0 }).withMessage('Goal must be a positive value')
+], handleValidationErrors, resolvePortfolioScope, async (req, res) => {
+  try {
+    const currency = req.user.preferences.currency || 'usd';
+    const portfolio = await calculateScopedPortfolio(req, currency);
+    
+    const projection = await projectPortfolio({
+      holdings: portfolio.holdings,
+      currency,
+      horizon: parseInt(req.query.horizon, 10) || 90,
+      method: req.query.method || 'bootstrap',
+      paths: parseInt(req.query.paths, 10) || undefined,
+      seed: req.query.seed !== undefined ? parseInt(req.query.seed, 10) : undefined,
+      goal: parseFloat(req.query.goal) || undefined
+    });
+    
+    res.json({
+      message: 'Projection completed successfully',
+      data: {
+        portfolio: req.portfolioScope.portfolio,
+        ...projection
+      }
+    });
+    
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ message: error.message });
+    }
+    console.error('Get projection error:', error);
+    res.status(500).json({ message: 'Failed to run projection' });
+  }
+});
+
+// @route   GET /api/portfolio/reports/tax
+// @desc    Get capital-gains report for a tax year (defaults to the current year)
+// @access  Private
+router.get('/reports/tax', [costBasisQuery, taxYearQuery, portfolioQuery], handleValidationErrors, resolvePortfolioScope, async (req, res) => {
+  try {
+    const year = req.query.year ? parseInt(req.query.year) : new Date().getFullYear();
+    const report = await getTaxReport(req, year);
+    
+    res.json({
+      message: 'Tax report retrieved successfully',
+      data: report
+    });
+    
+  } catch (error) {
+    console.error('Get tax report error:', error);
+    res.status(500).json({ message: 'Failed to generate tax report' });
+  }
+});
+
+// @route   GET /api/portfolio/export/csv
+// @desc    Export portfolio as CSV (report=tax&year=YYYY exports the tax report)
+// @access  Private
+router.get('/export/csv', [
+  costBasisQuery,
+  taxYearQuery,
+  portfolioQuery,
+  query('report').optional().isIn(['holdings', 'tax']).withMessage('Report must be holdings or tax')
+], handleValidationErrors, resolvePortfolioScope, async (req, res) => {
+  try {
+    const currency = req.user.preferences.currency || 'usd';
+    
+    if (req.query.report === 'tax') {
+      const year = req.query.year ? parseInt(req.query.year) : new Date().getFullYear();
+      const report = await getTaxReport(req, year);
+      
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="tax-report-${year}.csv"`);
+      
+      return res.status(200).send(taxReportToCsv(report));
+    }
+    
+    const portfolio = await calculateScopedPortfolio(req, currency);
+    
+    if (portfolio.holdings.length === 0) {
+      return res.status(404).json({ message: 'No holdings found to export' });
     }
     
     // Prepare CSV data
@@ -451,7 +1272,7 @@ router.get('/export/csv', async (req, res) => {
       'Coin Name',
       'Symbol',
       'Amount',
-      'Buy Price',
+      'Average Buy Price',
       'Current Price',
       'Investment',
       'Current Value',
@@ -462,49 +1283,34 @@ router.get('/export/csv', async (req, res) => {
     
     let csvContent = headers.join(',') + '\n';
     
-    let totalInvestment = 0;
-    let totalCurrentValue = 0;
-    
-    holdings.forEach(holding => {
-      const currentPrice = currentPrices[holding.coinId]?.[req.user.preferences.currency || 'usd'] || 0;
-      const investment = holding.amount * holding.buyPrice;
-      const currentValue = holding.amount * currentPrice;
-      const profitLoss = currentValue - investment;
-      const profitLossPercentage = investment > 0 ? (profitLoss / investment) * 100 : 0;
-      
-      totalInvestment += investment;
-      totalCurrentValue += currentValue;
-      
+    portfolio.holdings.forEach(holding => {
       const row = [
         holding.coinName,
         holding.symbol,
         holding.amount,
         holding.buyPrice,
-        currentPrice,
-        investment,
-        currentValue,
-        profitLoss,
-        profitLossPercentage,
-        holding.purchaseDate.toISOString().split('T')[0]
+        holding.currentPrice,
+        holding.investment,
+        holding.currentValue,
+        holding.profitLoss,
+        holding.profitLossPercentage,
+        holding.purchaseDate ? holding.purchaseDate.toISOString().split('T')[0] : ''
       ];
       
       csvContent += row.map(field => `"${field}"`).join(',') + '\n';
     });
     
     // Add totals row
-    const totalProfitLoss = totalCurrentValue - totalInvestment;
-    const totalProfitLossPercentage = totalInvestment > 0 ? (totalProfitLoss / totalInvestment) * 100 : 0;
-    
     const totalsRow = [
       'TOTAL',
       '',
       '',
       '',
       '',
-      totalInvestment,
-      totalCurrentValue,
-      totalProfitLoss,
-      totalProfitLossPercentage,
+      portfolio.totalInvestment,
+      portfolio.totalCurrentValue,
+      portfolio.totalProfitLoss,
+      portfolio.totalProfitLossPercentage,
       ''
     ];
     
@@ -525,66 +1331,24 @@ router.get('/export/csv', async (req, res) => {
 // @route   GET /api/portfolio/export/pdf
 // @desc    Export portfolio as PDF
 // @access  Private
-router.get('/export/pdf', async (req, res) => {
+router.get('/export/pdf', [costBasisQuery, portfolioQuery], handleValidationErrors, resolvePortfolioScope, async (req, res) => {
   try {
-    const userId = req.user._id;
-    
-    // Get user's holdings
-    const holdings = await Holding.find({ userId }).sort({ purchaseDate: -1 });
+    const currency = req.user.preferences.currency || 'usd';
+    const { holdings, disposals, ...summary } = await calculateScopedPortfolio(req, currency);
     
     if (holdings.length === 0) {
       return res.status(404).json({ message: 'No holdings found to export' });
     }
     
-    // Get current prices
-    const coinIds = [...new Set(holdings.map(h => h.coinId))];
-    let currentPrices = {};
-    
-    try {
-      currentPrices = await coinGeckoService.getSimplePrices(coinIds, [req.user.preferences.currency || 'usd']);
-    } catch (error) {
-      console.error('Failed to fetch prices for export:', error);
-    }
-    
-    // Prepare data for PDF
-    let totalInvestment = 0;
-    let totalCurrentValue = 0;
-    
-    const holdingsWithCalc = holdings.map(holding => {
-      const currentPrice = currentPrices[holding.coinId]?.[req.user.preferences.currency || 'usd'] || 0;
-      const investment = holding.amount * holding.buyPrice;
-      const currentValue = holding.amount * currentPrice;
-      const profitLoss = currentValue - investment;
-      const profitLossPercentage = investment > 0 ? (profitLoss / investment) * 100 : 0;
-      
-      totalInvestment += investment;
-      totalCurrentValue += currentValue;
-      
-      return {
-        ...holding.toJSON(),
-        currentPrice,
-        investment,
-        currentValue,
-        profitLoss,
-        profitLossPercentage
-      };
-    });
-    
-    const totalProfitLoss = totalCurrentValue - totalInvestment;
-    const totalProfitLossPercentage = totalInvestment > 0 ? (totalProfitLoss / totalInvestment) * 100 : 0;
-    
     // Return data for frontend to generate PDF
     res.json({
       message: 'Portfolio data for PDF export retrieved successfully',
       data: {
-        holdings: holdingsWithCalc,
+        holdings,
         summary: {
-          totalHoldings: holdings.length,
-          totalInvestment,
-          totalCurrentValue,
-          totalProfitLoss,
-          totalProfitLossPercentage,
-          currency: req.user.preferences.currency || 'usd'
+          ...summary,
+          portfolio: req.portfolioScope.portfolio,
+          currency
         },
         generatedAt: new Date().toISOString()
       }
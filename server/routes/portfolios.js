@@ -0,0 +1,302 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { BackfillJob, DcaPlan, Goal, PendingPurchase, Portfolio, PortfolioSnapshot, Transaction } = require('../models');
+const { auth } = require('../middleware/auth');
+const marketDataService = require('../utils/marketDataService');
+const { prepareLedger } = require('../middleware/portfolio');
+const { isBackfillQueued } = require('../jobs/backfillJob');
+
+const router = express.Router();
+
+// All routes require authentication and a default portfolio
+router.use(auth);
+router.use(prepareLedger);
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array().map(err => ({
+        field: err.path,
+        message: err.msg
+      }))
+    });
+  }
+  next();
+};
+
+// Helper function to attach transaction counts to a list of portfolios
+const withTransactionCounts = async (userId, portfolios) => {
+  const counts = await Transaction.aggregate([
+    { $match: { userId } },
+    { $group: { _id: '$portfolioId', count: { $sum: 1 } } }
+  ]);
+
+  const countMap = counts.reduce((acc, { _id, count }) => {
+    acc[String(_id)] = count;
+    return acc;
+  }, {});
+
+  return portfolios.map(portfolio => ({
+    ...portfolio.toJSON(),
+    transactionCount: countMap[String(portfolio._id)] || 0
+  }));
+};
+
+// Helper function to report a duplicate portfolio name
+const isDuplicateName = (error) => error.code === 11000;
+
+// @route   GET /api/portfolios
+// @desc    List user's portfolios
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const portfolios = await Portfolio.find({ userId: req.user._id }).sort({ isDefault: -1, createdAt: 1 });
+
+    res.json({
+      message: 'Portfolios retrieved successfully',
+      data: await withTransactionCounts(req.user._id, portfolios)
+    });
+
+  } catch (error) {
+    console.error('Get portfolios error:', error);
+    res.status(500).json({ message: 'Failed to retrieve portfolios' });
+  }
+});
+
+// @route   POST /api/portfolios
+// @desc    Create a portfolio
+// @access  Private
+router.post('/', [
+  body('name').trim().notEmpty().withMessage('Portfolio name is required')
+    .isLength({ max: 50 }).withMessage('Portfolio name cannot exceed 50 characters'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const portfolio = await Portfolio.create({
+      userId: req.user._id,
+      name,
+      description: description || ''
+    });
+
+    res.status(201).json({
+      message: 'Portfolio created successfully',
+      data: { ...portfolio.toJSON(), transactionCount: 0 }
+    });
+
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(400).json({ message: 'A portfolio with this name already exists' });
+    }
+    console.error('Create portfolio error:', error);
+    res.status(500).json({ message: 'Failed to create portfolio' });
+  }
+});
+
+// @route   GET /api/portfolios/:id
+// @desc    Get specific portfolio by ID
+// @access  Private
+router.get('/:id', [
+  param('id').isMongoId().withMessage('Invalid portfolio ID')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const portfolio = await Portfolio.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!portfolio) {
+      return res.status(404).json({ message: 'Portfolio not found' });
+    }
+
+    const [data] = await withTransactionCounts(req.user._id, [portfolio]);
+
+    res.json({
+      message: 'Portfolio retrieved successfully',
+      data
+    });
+
+  } catch (error) {
+    console.error('Get portfolio error:', error);
+    res.status(500).json({ message: 'Failed to retrieve portfolio' });
+  }
+});
+
+// @route   PUT /api/portfolios/:id
+// @desc    Rename a portfolio, update its description or make it the default
+// @access  Private
+router.put('/:id', [
+  param('id').isMongoId().withMessage('Invalid portfolio ID'),
+  body('name').optional().trim().notEmpty().withMessage('Portfolio name cannot be empty')
+    .isLength({ max: 50 }).withMessage('Portfolio name cannot exceed 50 characters'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { name, description, isDefault } = req.body;
+
+    let portfolio = await Portfolio.findOne({ _id: req.params.id, userId });
+
+    if (!portfolio) {
+      return res.status(404).json({ message: 'Portfolio not found' });
+    }
+
+    // The default can only be moved to another portfolio, not switched off
+    if (isDefault === false && portfolio.isDefault) {
+      return res.status(400).json({ message: 'Make another portfolio the default instead' });
+    }
+
+    if (name !== undefined) portfolio.name = name;
+    if (description !== undefined) portfolio.description = description;
+    await portfolio.save();
+
+    if (isDefault === true && !portfolio.isDefault) {
+      portfolio = await Portfolio.setDefault(userId, portfolio._id);
+    }
+
+    const [data] = await withTransactionCounts(userId, [portfolio]);
+
+    res.json({
+      message: 'Portfolio updated successfully',
+      data
+    });
+
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(400).json({ message: 'A portfolio with this name already exists' });
+    }
+    console.error('Update portfolio error:', error);
+    res.status(500).json({ message: 'Failed to update portfolio' });
+  }
+});
+
+// @route   PUT /api/portfolios/:id/targets
+// @desc    Set target allocation weights (percent, adding up to 100) and the
+//          rebalancing tolerance band; an empty list clears the targets
+// @access  Private
+router.put('/:id/targets', [
+  param('id').isMongoId().withMessage('Invalid portfolio ID'),
+  body('targets').isArray({ max: 50 }).withMessage('Targets must be a list of up to 50 entries'),
+  body('targets.*.name').trim().notEmpty().withMessage('Each target needs a name')
+    .isLength({ max: 50 }).withMessage('Target name cannot exceed 50 characters'),
+  body('targets.*.coinIds').isArray({ min: 1 }).withMessage('Each target needs at least one coin'),
+  body('targets.*.coinIds.*').isString().trim().notEmpty().toLowerCase(),
+  body('targets.*.weight').isFloat({ min: 0, max: 100 }).withMessage('Target weight must be between 0 and 100').toFloat(),
+  body('tolerance').optional().isFloat({ min: 0, max: 50 }).withMessage('Tolerance must be between 0 and 50').toFloat()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { targets, tolerance } = req.body;
+
+    const portfolio = await Portfolio.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!portfolio) {
+      return res.status(404).json({ message: 'Portfolio not found' });
+    }
+
+    const coinIds = targets.flatMap(t => t.coinIds);
+    if (new Set(coinIds).size !== coinIds.length) {
+      return res.status(400).json({ message: 'A coin can only belong to one target' });
+    }
+
+    const totalWeight = targets.reduce((sum, t) => sum + t.weight, 0);
+    if (targets.length > 0 && Math.abs(totalWeight - 100) > 0.01) {
+      return res.status(400).json({ message: `Target weights must add up to 100% (currently ${totalWeight}%)` });
+    }
+
+    // Verify coins exist in market data
+    if (coinIds.length > 0) {
+      const coins = await marketDataService.getCoinsByIds(coinIds);
+      const known = new Set(coins.map(c => c.id));
+      const unknown = coinIds.filter(id => !known.has(id));
+      if (unknown.length > 0) {
+        return res.status(400).json({ message: `Unknown coin ID: ${unknown.join(', ')}` });
+      }
+    }
+
+    portfolio.targets = targets.map(({ name, coinIds: ids, weight }) => ({ name, coinIds: ids, weight }));
+    if (tolerance !== undefined) portfolio.rebalanceTolerance = tolerance;
+    await portfolio.save();
+
+    res.json({
+      message: 'Target allocation updated successfully',
+      data: portfolio
+    });
+
+  } catch (error) {
+    console.error('Update targets error:', error);
+    res.status(500).json({ message: 'Failed to update target allocation' });
+  }
+});
+
+// @route   DELETE /api/portfolios/:id
+// @desc    Delete a portfolio, moving its transactions to the default portfolio
+//          (or deleting them with ?deleteTransactions=true)
+// @access  Private
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid portfolio ID'),
+  query('deleteTransactions').optional().isBoolean().withMessage('deleteTransactions must be a boolean')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const deleteTransactions = req.query.deleteTransactions === 'true';
+
+    const portfolio = await Portfolio.findOne({ _id: req.params.id, userId });
+
+    if (!portfolio) {
+      return res.status(404).json({ message: 'Portfolio not found' });
+    }
+
+    if (portfolio.isDefault) {
+      return res.status(400).json({ message: 'The default portfolio cannot be deleted' });
+    }
+
+    // A running backfill would write history for the portfolio again
+    if (isBackfillQueued(userId)) {
+      return res.status(409).json({ message: 'Wait for the history rebuild to finish before deleting a portfolio' });
+    }
+
+    // Value history follows the transactions: it is dropped with them, or
+    // added to the default portfolio's history when they move there
+    let affected;
+    if (deleteTransactions) {
+      const result = await Transaction.deleteMany({ userId, portfolioId: portfolio._id });
+      affected = result.deletedCount;
+      await PortfolioSnapshot.deleteMany({ userId, portfolioId: portfolio._id });
+    } else {
+      // Two non-negative books stay non-negative when combined, so no balance check is needed
+      const defaultId = req.defaultPortfolio._id;
+      const result = await Transaction.updateMany({ userId, portfolioId: portfolio._id }, { portfolioId: defaultId });
+      affected = result.modifiedCount;
+      await PortfolioSnapshot.mergeInto(userId, portfolio._id, defaultId);
+    }
+
+    // A backfill covers every portfolio, so the next one starts afresh
+    await BackfillJob.deleteMany({ userId });
+
+    // DCA plans keep buying, and goals keep tracking, in the default portfolio from now on
+    await Promise.all([
+      DcaPlan.updateMany({ userId, portfolioId: portfolio._id }, { portfolioId: req.defaultPortfolio._id }),
+      PendingPurchase.updateMany({ userId, portfolioId: portfolio._id }, { portfolioId: req.defaultPortfolio._id }),
+      Goal.updateMany({ userId, portfolioId: portfolio._id }, { portfolioId: req.defaultPortfolio._id })
+    ]);
+
+    await portfolio.deleteOne();
+
+    res.json({
+      message: 'Portfolio deleted successfully',
+      data: {
+        id: req.params.id,
+        transactionsDeleted: deleteTransactions ? affected : 0,
+        transactionsMoved: deleteTransactions ? 0 : affected
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete portfolio error:', error);
+    res.status(500).json({ message: 'Failed to delete portfolio' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -2,7 +2,7 @@ const express = require('express');
 const { body, param, validationResult } = require('express-validator');
 const { Watchlist } = require('../models');
 const { auth } = require('../middleware/auth');
-const coinGeckoService = require('../utils/coinGeckoService');
+const marketDataService = require('../utils/marketDataService');
 
 const router = express.Router();
 
@@ -49,10 +49,10 @@ router.get('/', async (req, res) => {
       });
     }
     
-    // Get coin details from CoinGecko
+    // Get coin details from market data
     let coinsWithDetails = [];
     try {
-      const coinData = await coinGeckoService.getCoinsByIds(
+      const coinData = await marketDataService.getCoinsByIds(
         watchlist.coinIds, 
         req.user.preferences.currency || 'usd'
       );
@@ -77,7 +77,7 @@ router.get('/', async (req, res) => {
       
     } catch (error) {
       console.error('Failed to fetch coin details for watchlist:', error);
-      // Return basic structure if CoinGecko fails
+      // Return basic structure if market data fails
       coinsWithDetails = watchlist.coinIds.map(coinId => ({
         coinId,
         id: coinId,
@@ -120,9 +120,9 @@ router.post('/', [
     
     const trimmedCoinId = coinId.toLowerCase().trim();
     
-    // Verify coin exists in CoinGecko
+    // Verify coin exists in market data
     try {
-      await coinGeckoService.getCoin(trimmedCoinId);
+      await marketDataService.getCoin(trimmedCoinId);
     } catch (error) {
       return res.status(400).json({ message: 'Invalid coin ID or coin not found' });
     }
@@ -142,7 +142,7 @@ router.post('/', [
     // Get coin details for response
     let coinDetails = {};
     try {
-      const coinData = await coinGeckoService.getCoinsByIds([trimmedCoinId], req.user.preferences.currency || 'usd');
+      const coinData = await marketDataService.getCoinsByIds([trimmedCoinId], req.user.preferences.currency || 'usd');
       coinDetails = coinData[0] || {};
     } catch (error) {
       console.error('Failed to fetch coin details after adding to watchlist:', error);
@@ -242,8 +242,8 @@ router.post('/batch', [
           continue;
         }
         
-        // Verify coin exists in CoinGecko
-        await coinGeckoService.getCoin(coinId);
+        // Verify coin exists in market data
+        await marketDataService.getCoin(coinId);
         
         // Add to watchlist
         watchlist.addCoin(coinId);
@@ -90,6 +90,46 @@ try {
   console.error('✗ Error loading portfolio routes:', error);
 }
 
+try {
+  const portfoliosRoutes = require('./routes/portfolios');
+  app.use('/api/portfolios', portfoliosRoutes);
+  console.log('✓ Portfolios routes loaded');
+} catch (error) {
+  console.error('✗ Error loading portfolios routes:', error);
+}
+
+try {
+  const dcaRoutes = require('./routes/dca');
+  app.use('/api/dca', dcaRoutes);
+  console.log('✓ DCA routes loaded');
+} catch (error) {
+  console.error('✗ Error loading DCA routes:', error);
+}
+
+try {
+  const goalRoutes = require('./routes/goals');
+  app.use('/api/goals', goalRoutes);
+  console.log('✓ Goal routes loaded');
+} catch (error) {
+  console.error('✗ Error loading goal routes:', error);
+}
+
+try {
+  const locationRoutes = require('./routes/locations');
+  app.use('/api/locations', locationRoutes);
+  console.log('✓ Location routes loaded');
+} catch (error) {
+  console.error('✗ Error loading location routes:', error);
+}
+
+try {
+  const accountRoutes = require('./routes/account');
+  app.use('/api/account', accountRoutes);
+  console.log('✓ Account routes loaded');
+} catch (error) {
+  console.error('✗ Error loading account routes:', error);
+}
+
 try {
   const watchlistRoutes = require('./routes/watchlist');
   app.use('/api/watchlist', watchlistRoutes);
@@ -117,6 +157,11 @@ app.get('/', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       portfolio: '/api/portfolio',
+      portfolios: '/api/portfolios',
+      dca: '/api/dca',
+      goals: '/api/goals',
+      locations: '/api/locations',
+      account: '/api/account',
       watchlist: '/api/watchlist',
       crypto: '/api/crypto',
       health: '/api/health'
@@ -180,6 +225,16 @@ connectDB().then(() => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV}`);
   });
+
+  // Scheduled jobs need the database
+  if (mongoose.connection.readyState === 1) {
+    const { scheduleSnapshotJob } = require('./jobs/snapshotJob');
+    const { resumeBackfills } = require('./jobs/backfillJob');
+    const { scheduleDcaJob } = require('./jobs/dcaJob');
+    scheduleSnapshotJob();
+    resumeBackfills();
+    scheduleDcaJob();
+  }
 });
 
 // Graceful shutdown
@@ -0,0 +1,356 @@
+// Account backups: a versioned JSON document of everything a user has entered,
+// for moving an account between instances. Documents refer to each other by
+// the ids they had when exported; a restore gives every record a new id.
+const mongoose = require('mongoose');
+const {
+  BackfillJob,
+  DcaPlan,
+  Goal,
+  Holding,
+  Location,
+  PendingPurchase,
+  Portfolio,
+  PortfolioSnapshot,
+  Transaction,
+  Watchlist
+} = require('../models');
+const { findNegativeBalance, sortLedger } = require('./ledger');
+
+const BACKUP_FORMAT = 'cryptotrack-backup';
+const BACKUP_VERSION = 1;
+const RESTORE_MODES = ['merge', 'replace'];
+const PREFERENCE_KEYS = ['currency', 'theme', 'costBasisMethod', 'riskFreeRate'];
+
+// Validation errors reported back, so a bad file does not produce a huge response
+const MAX_ERRORS = 50;
+
+// Fields copied to and from the backup for each section, besides ids and references
+const SECTIONS = {
+  portfolios: {
+    model: Portfolio,
+    fields: ['name', 'description', 'isDefault', 'targets', 'rebalanceTolerance'],
+    refs: {}
+  },
+  locations: {
+    model: Location,
+    fields: ['name', 'type', 'notes'],
+    refs: {}
+  },
+  transactions: {
+    model: Transaction,
+    fields: ['type', 'coinId', 'coinName', 'symbol', 'amount', 'price', 'fee', 'feeCurrency', 'feeValue', 'date', 'incomeType', 'notes', 'externalId'],
+    refs: { portfolioId: 'portfolios', locationId: 'locations', toLocationId: 'locations' }
+  },
+  goals: {
+    model: Goal,
+    fields: ['name', 'type', 'targetValue', 'currency', 'coinId', 'coinName', 'symbol', 'targetDate'],
+    refs: { portfolioId: 'portfolios' }
+  },
+  dcaPlans: {
+    model: DcaPlan,
+    fields: ['coinId', 'coinName', 'symbol', 'amount', 'currency', 'cadence', 'startDate', 'endDate', 'isActive', 'nextRunDate', 'notes'],
+    refs: { portfolioId: 'portfolios' }
+  },
+  pendingPurchases: {
+    model: PendingPurchase,
+    fields: ['coinId', 'coinName', 'symbol', 'scheduledDate', 'fiatAmount', 'scheduledPrice', 'estimatedAmount', 'status', 'resolvedAt'],
+    refs: { planId: 'dcaPlans', portfolioId: 'portfolios', transactionId: 'transactions' }
+  }
+};
+
+// Sections in the order they are restored, so references are created first
+const SECTION_ORDER = ['portfolios', 'locations', 'transactions', 'goals', 'dcaPlans', 'pendingPurchases'];
+
+const backupError = (message, errors) => {
+  const error = new Error(message);
+  error.status = 400;
+  error.errors = errors;
+  return error;
+};
+
+const pick = (source, fields) => {
+  const picked = {};
+  fields.forEach(field => {
+    if (source[field] !== undefined && source[field] !== null) picked[field] = source[field];
+  });
+  return picked;
+};
+
+// Build the backup document for a user. Legacy holdings are converted to
+// transactions first so that they, and their notes, are included.
+const buildBackup = async (user) => {
+  const userId = user._id;
+  const defaultPortfolio = await Portfolio.getOrCreateDefault(userId);
+  await Transaction.migrateLegacyHoldings(user, defaultPortfolio._id);
+  await Transaction.assignUnfiledToPortfolio(userId, defaultPortfolio._id);
+
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    account: {
+      email: user.email,
+      preferences: pick(user.preferences || {}, PREFERENCE_KEYS)
+    }
+  };
+
+  for (const name of SECTION_ORDER) {
+    const { model, fields, refs } = SECTIONS[name];
+    const sort = name === 'transactions' ? { date: 1, createdAt: 1 } : { createdAt: 1 };
+    const docs = await model.find({ userId }).sort(sort).lean();
+
+    backup[name] = docs.map(doc => {
+      const entry = { id: String(doc._id), ...pick(doc, fields) };
+      Object.keys(refs).forEach(ref => {
+        entry[ref] = doc[ref] ? String(doc[ref]) : null;
+      });
+      return entry;
+    });
+  }
+
+  const watchlist = await Watchlist.findOne({ userId }).lean();
+  backup.watchlist = watchlist ? watchlist.coinIds : [];
+
+  return backup;
+};
+
+// Check the parts of a document a restore relies on before reading any records
+const checkShape = (doc) => {
+  if (!doc || typeof doc !== 'object' || doc.format !== BACKUP_FORMAT) {
+    throw backupError('This is not a CryptoTrack backup file');
+  }
+  if (!Number.isInteger(doc.version) || doc.version < 1) {
+    throw backupError('The backup has no valid version');
+  }
+  if (doc.version > BACKUP_VERSION) {
+    throw backupError(`The backup is version ${doc.version}; this server reads up to version ${BACKUP_VERSION}`);
+  }
+
+  const errors = [];
+  SECTION_ORDER.forEach(name => {
+    if (doc[name] !== undefined && !Array.isArray(doc[name])) {
+      errors.push({ field: name, message: 'Must be a list' });
+    }
+  });
+  if (doc.watchlist !== undefined && (!Array.isArray(doc.watchlist) || doc.watchlist.some(id => typeof id !== 'string'))) {
+    errors.push({ field: 'watchlist', message: 'Must be a list of coin IDs' });
+  }
+  if (errors.length > 0) {
+    throw backupError('The backup is malformed', errors);
+  }
+};
+
+// What makes two records the same thing when merging into an existing account
+const MERGE_KEYS = {
+  portfolios: (doc) => doc.name,
+  locations: (doc) => doc.name,
+  transactions: (doc) => doc.externalId || [doc.type, doc.coinId, new Date(doc.date).getTime(), doc.amount, String(doc.portfolioId)].join('|'),
+  goals: (doc) => `${doc.type}|${doc.name}`,
+  dcaPlans: (doc) => [doc.coinId, String(doc.portfolioId), doc.cadence, new Date(doc.startDate).getTime()].join('|'),
+  pendingPurchases: (doc) => `${doc.planId}|${new Date(doc.scheduledDate).getTime()}`
+};
+
+// Turn the backup's records into unsaved documents for the user, mapping
+// references onto the new (or, when merging, matching existing) ids
+const planRestore = async (userId, doc, mode) => {
+  const errors = [];
+  const ids = {};
+  const toInsert = {};
+  const skipped = {};
+  const existing = {};
+
+  for (const name of SECTION_ORDER) {
+    const { model, fields, refs } = SECTIONS[name];
+    ids[name] = new Map();
+    toInsert[name] = [];
+    skipped[name] = 0;
+    existing[name] = mode === 'merge' ? await model.find({ userId }).lean() : [];
+
+    // Existing records by key; each can absorb one matching backup entry, so
+    // identical entries (two same-day buys) are all kept unless the account
+    // already has as many
+    const keyOf = MERGE_KEYS[name];
+    const known = new Map();
+    existing[name].forEach(record => {
+      const key = keyOf(record);
+      if (!known.has(key)) known.set(key, []);
+      known.get(key).push(record._id);
+    });
+
+    (doc[name] || []).forEach((entry, index) => {
+      const path = `${name}[${index}]`;
+      if (!entry || typeof entry !== 'object') {
+        errors.push({ field: path, message: 'Must be an object' });
+        return;
+      }
+
+      const record = { ...pick(entry, fields), userId, _id: new mongoose.Types.ObjectId() };
+      for (const [ref, section] of Object.entries(refs)) {
+        if (entry[ref] === undefined || entry[ref] === null) continue;
+        const target = ids[section].get(String(entry[ref]));
+        if (!target) {
+          errors.push({ field: `${path}.${ref}`, message: `Refers to an entry missing from ${section}` });
+          return;
+        }
+        record[ref] = target;
+      }
+
+      const instance = new model(record);
+      const invalid = instance.validateSync();
+      if (invalid) {
+        Object.values(invalid.errors).forEach(error => {
+          errors.push({ field: `${path}.${error.path}`, message: error.message });
+        });
+        return;
+      }
+
+      const matches = known.get(keyOf(instance));
+      if (matches && matches.length > 0) {
+        const match = matches.shift();
+        if (entry.id !== undefined) ids[name].set(String(entry.id), match);
+        skipped[name]++;
+        return;
+      }
+
+      if (entry.id !== undefined) ids[name].set(String(entry.id), instance._id);
+      toInsert[name].push(instance);
+    });
+  }
+
+  return { errors, toInsert, skipped, existing };
+};
+
+// Only one portfolio may be the default: the account's current one when
+// merging, otherwise the first marked in the backup (or simply the first)
+const settleDefaultPortfolio = (portfolios, mode) => {
+  if (mode === 'merge') {
+    portfolios.forEach(portfolio => { portfolio.isDefault = false; });
+    return;
+  }
+
+  const chosen = portfolios.find(portfolio => portfolio.isDefault) || portfolios[0];
+  portfolios.forEach(portfolio => { portfolio.isDefault = portfolio === chosen; });
+};
+
+// Models whose records a replace restore removes
+const REPLACED_MODELS = [...SECTION_ORDER.map(name => SECTIONS[name].model), Holding, PortfolioSnapshot, BackfillJob];
+
+// Write a planned restore. Snapshots and backfill jobs refer to the old
+// portfolios, so a replace removes them too; history can be rebuilt with a
+// backfill.
+const writeRestore = async (user, toInsert, watchlistIds, mode, session) => {
+  const userId = user._id;
+  const options = session ? { session } : {};
+
+  if (mode === 'replace') {
+    for (const model of REPLACED_MODELS) {
+      await model.deleteMany({ userId }, options);
+    }
+  }
+
+  for (const name of SECTION_ORDER) {
+    if (toInsert[name].length > 0) {
+      await SECTIONS[name].model.insertMany(toInsert[name].map(doc => doc.toObject()), options);
+    }
+  }
+
+  await Watchlist.updateOne(
+    { userId },
+    { coinIds: watchlistIds, lastModified: new Date() },
+    { ...options, upsert: true }
+  );
+
+  // Preferences last, so a failed write leaves them unchanged
+  if (mode === 'replace') await user.save(options);
+};
+
+// Standalone MongoDB servers do not support transactions
+const isTransactionUnsupported = (error) =>
+  error.code === 20 || /replica set|Transaction numbers/i.test(error.message || '');
+
+// Run the restore writes in a transaction so a failure leaves the account as
+// it was. Without transaction support the account's records are kept in
+// memory and put back if any write fails.
+const writeAtomically = async (userId, write) => {
+  try {
+    await mongoose.connection.transaction(session => write(session));
+    return;
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) throw error;
+  }
+
+  const saved = await Promise.all(REPLACED_MODELS.map(model => model.find({ userId }).lean()));
+  const watchlist = await Watchlist.findOne({ userId }).lean();
+
+  try {
+    await write(null);
+  } catch (error) {
+    console.error('Restore failed, putting the account back:', error.message);
+    for (const [index, model] of REPLACED_MODELS.entries()) {
+      await model.deleteMany({ userId });
+      if (saved[index].length > 0) await model.insertMany(saved[index]);
+    }
+    if (watchlist) await Watchlist.updateOne({ userId }, { coinIds: watchlist.coinIds });
+    throw error;
+  }
+};
+
+// Restore a backup into the user's account.
+// - merge: add what is not already there, matched by name or, for
+//   transactions, by exchange id or type, coin, date and amount; entries
+//   repeated in the backup are only skipped as often as the account has them
+// - replace: remove the account's data first and take the backup's preferences
+// Everything is validated before anything is written, and the writes
+// succeed or fail together.
+const restoreBackup = async (user, doc, mode) => {
+  checkShape(doc);
+  const userId = user._id;
+
+  const { errors, toInsert, skipped, existing } = await planRestore(userId, doc, mode);
+
+  // The combined ledger must not sell or send coins that were never held
+  const negative = findNegativeBalance(sortLedger([...existing.transactions, ...toInsert.transactions]));
+  if (negative) {
+    const { transaction } = negative;
+    errors.push({
+      field: 'transactions',
+      message: `Insufficient ${transaction.symbol} balance on ${new Date(transaction.date).toISOString().split('T')[0]}`
+    });
+  }
+
+  const preferences = pick(doc.account?.preferences || {}, PREFERENCE_KEYS);
+  if (mode === 'replace') {
+    Object.assign(user.preferences, preferences);
+    const invalid = user.validateSync(PREFERENCE_KEYS.map(key => `preferences.${key}`));
+    if (invalid) {
+      Object.values(invalid.errors).forEach(error => {
+        errors.push({ field: `account.${error.path}`, message: error.message });
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw backupError('The backup failed validation; nothing was restored', errors.slice(0, MAX_ERRORS));
+  }
+
+  settleDefaultPortfolio(toInsert.portfolios, mode);
+
+  const coinIds = (doc.watchlist || []).map(id => id.trim().toLowerCase()).filter(Boolean);
+  const before = mode === 'replace' ? [] : (await Watchlist.getOrCreateWatchlist(userId)).coinIds;
+  const watchlistIds = [...new Set([...before, ...coinIds])];
+
+  await writeAtomically(userId, (session) => writeRestore(user, toInsert, watchlistIds, mode, session));
+
+  const restored = Object.fromEntries(SECTION_ORDER.map(name => [name, toInsert[name].length]));
+  restored.watchlist = watchlistIds.length - before.length;
+
+  return { mode, restored, skipped };
+};
+
+module.exports = {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  RESTORE_MODES,
+  buildBackup,
+  restoreBackup
+};
\ No newline at end of file
@@ -0,0 +1,173 @@
+// Compare a portfolio against a benchmark basket that receives exactly the
+// same cash flows: every deposit buys the basket at that day's prices and
+// every withdrawal sells a proportional slice of it.
+const { PortfolioSnapshot, Transaction } = require('../models');
+const { HISTORY_RANGES, getValueSeries } = require('./snapshots');
+const { growthIndex, cashFlows, periodXirr } = require('./returns');
+const { loadDailyPrices, priceOnDay } = require('./priceHistory');
+const marketDataService = require('./marketDataService');
+
+const MAX_BASKET_COINS = 10;
+
+// Parse "bitcoin" or "bitcoin:60,ethereum:40" into normalized weights.
+// Returns null when the basket is invalid.
+const parseBasket = (value = 'bitcoin') => {
+  const entries = String(value).split(',').map(part => {
+    const [coinId, weight] = part.trim().split(':');
+    return { coinId: coinId.toLowerCase(), weight: weight === undefined ? 1 : parseFloat(weight) };
+  });
+
+  if (entries.length === 0 || entries.length > MAX_BASKET_COINS) return null;
+  if (entries.some(e => !/^[a-z0-9-]+$/.test(e.coinId) || !Number.isFinite(e.weight) || e.weight < 0)) return null;
+  if (new Set(entries.map(e => e.coinId)).size !== entries.length) return null;
+
+  const total = entries.reduce((sum, e) => sum + e.weight, 0);
+  if (total <= 0) return null;
+
+  return entries.map(e => ({ coinId: e.coinId, weight: e.weight / total }));
+};
+
+// Valuation points for the portfolio: snapshots in range plus a live point for now
+const portfolioPoints = (series, firstDay, rangeStart, currentValue) => {
+  const now = new Date();
+  const points = series
+    .filter(p => p.date >= rangeStart)
+    .map(p => ({ date: p.date, value: p.totalValue }));
+
+  // Nothing was held before the first transaction
+  if (rangeStart.getTime() === firstDay.getTime() && (points.length === 0 || points[0].date > firstDay)) {
+    points.unshift({ date: firstDay, value: 0 });
+  }
+
+  points.push({ date: now, value: currentValue });
+  return points;
+};
+
+// Replay the portfolio's cash flows into the basket and value it at each point.
+// `priceAt(coinId, date)` returns the basket coin's price on a date.
+const simulateBasket = (basket, points, flows, priceAt) => {
+  const units = new Map(basket.map(b => [b.coinId, 0]));
+  const valueAt = (date) => basket.reduce((sum, b) => sum + units.get(b.coinId) * (priceAt(b.coinId, date) || 0), 0);
+
+  const buy = (amount, date) => {
+    basket.forEach(b => {
+      const price = priceAt(b.coinId, date);
+      if (price > 0) units.set(b.coinId, units.get(b.coinId) + (amount * b.weight) / price);
+    });
+  };
+
+  const sell = (amount, date) => {
+    const value = valueAt(date);
+    if (value <= 0) return;
+    const remaining = 1 - Math.min(1, amount / value);
+    units.forEach((held, coinId) => units.set(coinId, held * remaining));
+  };
+
+  // The basket starts out worth what the portfolio was worth
+  if (points[0].value > 0) buy(points[0].value, points[0].date);
+
+  let next = 0;
+  return points.map(point => {
+    while (next < flows.length && flows[next].date < point.date) {
+      const flow = flows[next];
+      if (flow.amount > 0) {
+        buy(flow.amount, flow.date);
+      } else {
+        sell(-flow.amount, flow.date);
+      }
+      next += 1;
+    }
+    return { date: point.date, value: valueAt(point.date) };
+  });
+};
+
+const summarize = (points, index, flows) => {
+  const start = points[0];
+  const end = points[points.length - 1];
+  return {
+    startValue: start.value,
+    endValue: end.value,
+    twr: index[index.length - 1] - 1,
+    xirr: periodXirr(start, end, flows)
+  };
+};
+
+// Build the comparison for a user's (scoped) portfolio over a history range
+const compareToBenchmark = async ({ userId, filter, basket, range, currency, currentValue }) => {
+  const transactions = await Transaction.getLedger(userId, filter);
+  const days = HISTORY_RANGES[range];
+  const firstDay = transactions.length > 0 ? PortfolioSnapshot.startOfDay(transactions[0].date) : null;
+
+  const empty = { range, currency, basket, from: null, to: null, series: [], summary: null, approximate: true };
+  if (!firstDay) return empty;
+
+  let rangeStart = firstDay;
+  if (days) {
+    const since = PortfolioSnapshot.startOfDay();
+    since.setUTCDate(since.getUTCDate() - days);
+    if (since > rangeStart) rangeStart = since;
+  }
+
+  const series = await getValueSeries(userId, filter);
+  const points = portfolioPoints(series, firstDay, rangeStart, currentValue);
+  if (points.length < 2) return empty;
+
+  const start = points[0];
+  const end = points[points.length - 1];
+  const flows = cashFlows(transactions, series, start.date, end.date);
+
+  const coinIds = basket.map(b => b.coinId);
+  const [prices, livePrices] = await Promise.all([
+    loadDailyPrices(coinIds, currency, start.date),
+    marketDataService.getSimplePrices(coinIds, [currency]).catch(() => ({}))
+  ]);
+
+  const missing = coinIds.filter(coinId => prices.get(coinId).size === 0);
+  if (missing.length > 0) {
+    const error = new Error(`No price history available for ${missing.join(', ')}`);
+    error.status = 404;
+    throw error;
+  }
+
+  const priceAt = (coinId, date) => {
+    if (date === end.date && livePrices[coinId]?.[currency]) return livePrices[coinId][currency];
+    return priceOnDay(prices.get(coinId), date);
+  };
+
+  const basketPoints = simulateBasket(basket, points, flows, priceAt);
+  const portfolioIndex = growthIndex(points, flows);
+  const basketIndex = growthIndex(basketPoints, flows);
+
+  const portfolio = summarize(points, portfolioIndex, flows);
+  const benchmark = summarize(basketPoints, basketIndex, flows);
+
+  return {
+    range,
+    currency,
+    basket,
+    from: start.date,
+    to: end.date,
+    // Both indexes start at 100 and move with the time-weighted return
+    series: points.map((point, i) => ({
+      date: point.date,
+      portfolio: portfolioIndex[i] * 100,
+      benchmark: basketIndex[i] * 100,
+      portfolioValue: point.value,
+      benchmarkValue: basketPoints[i].value
+    })),
+    summary: {
+      portfolio,
+      benchmark,
+      outperformance: portfolio.twr - benchmark.twr,
+      valueDifference: portfolio.endValue - benchmark.endValue
+    },
+    // Without daily snapshots the portfolio line is a straight start-to-end link
+    approximate: points.length <= 2
+  };
+};
+
+module.exports = {
+  parseBasket,
+  simulateBasket,
+  compareToBenchmark
+};
\ No newline at end of file
@@ -0,0 +1,23 @@
+const MemoryStore = require('./memoryStore');
+const MongoStore = require('./mongoStore');
+const ResponseCache = require('./responseCache');
+
+// Build the cache store named by MARKET_CACHE_STORE ('memory' or 'mongo')
+const createCacheStore = (type = process.env.MARKET_CACHE_STORE || 'memory') => {
+  switch (type.trim().toLowerCase()) {
+    case 'mongo':
+      return new MongoStore();
+    case 'memory':
+      return new MemoryStore({ maxEntries: parseInt(process.env.MARKET_CACHE_MAX_ENTRIES) || 1000 });
+    default:
+      console.warn(`Unknown market cache store "${type}", using memory`);
+      return new MemoryStore({ maxEntries: parseInt(process.env.MARKET_CACHE_MAX_ENTRIES) || 1000 });
+  }
+};
+
+module.exports = {
+  MemoryStore,
+  MongoStore,
+  ResponseCache,
+  createCacheStore
+};
\ No newline at end of file
@@ -0,0 +1,64 @@
+// In-process cache store that evicts the least recently used entry once it
+// holds maxEntries. Entries are lost on restart and not shared between
+// server instances.
+class MemoryStore {
+  constructor({ maxEntries = 1000 } = {}) {
+    this.type = 'memory';
+    this.maxEntries = maxEntries;
+    // Map keeps insertion order, so the first key is the least recently used
+    this.entries = new Map();
+    this.bytes = 0;
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.bytes -= entry.bytes;
+      this.entries.delete(key);
+    }
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.remove(key);
+      return null;
+    }
+
+    // Move to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return { value: entry.value, storedAt: entry.storedAt };
+  }
+
+  async set(key, value, { storedAt, expiresAt }) {
+    this.remove(key);
+
+    // Approximate size: the JSON the value would serialize to
+    const bytes = Buffer.byteLength(JSON.stringify(value) || '');
+    this.entries.set(key, { value, storedAt, expiresAt, bytes });
+    this.bytes += bytes;
+
+    while (this.entries.size > this.maxEntries) {
+      this.remove(this.entries.keys().next().value);
+    }
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  async stats() {
+    return {
+      type: this.type,
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      bytes: this.bytes
+    };
+  }
+}
+
+module.exports = MemoryStore;
\ No newline at end of file
@@ -0,0 +1,43 @@
+const { CacheEntry } = require('../../models');
+
+// Cache store backed by the CacheEntry collection, so cached responses
+// survive restarts and are shared by every server instance. Mongo's TTL
+// index removes entries once they have expired.
+class MongoStore {
+  constructor() {
+    this.type = 'mongo';
+  }
+
+  async get(key) {
+    const entry = await CacheEntry.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    if (!entry) return null;
+    return { value: JSON.parse(entry.value), storedAt: entry.storedAt.getTime() };
+  }
+
+  async set(key, value, { storedAt, expiresAt }) {
+    await CacheEntry.updateOne(
+      { key },
+      { $set: { value: JSON.stringify(value), storedAt: new Date(storedAt), expiresAt: new Date(expiresAt) } },
+      { upsert: true }
+    );
+  }
+
+  async clear() {
+    await CacheEntry.deleteMany({});
+  }
+
+  async stats() {
+    const [totals] = await CacheEntry.aggregate([
+      { $match: { expiresAt: { $gt: new Date() } } },
+      { $group: { _id: null, entries: { $sum: 1 }, bytes: { $sum: { $strLenBytes: '$value' } } } }
+    ]);
+
+    return {
+      type: this.type,
+      entries: totals?.entries || 0,
+      bytes: totals?.bytes || 0
+    };
+  }
+}
+
+module.exports = MongoStore;
\ No newline at end of file
@@ -0,0 +1,106 @@
+// Caches provider responses in a store with stale-while-revalidate: within
+// its TTL an entry is served as is; for a while after that it is still served
+// but refreshed in the background; after that it is a miss. Identical
+// requests made while a fetch is in progress share that fetch.
+class ResponseCache {
+  constructor(store) {
+    this.store = store;
+    this.inFlight = new Map();
+    this.resetCounters();
+  }
+
+  resetCounters() {
+    this.counters = {
+      hits: 0,
+      staleHits: 0,
+      misses: 0,
+      revalidations: 0,
+      dedupedRequests: 0,
+      storeErrors: 0
+    };
+    this.countingSince = new Date();
+  }
+
+  // A failing store should slow requests down, not break them
+  async fromStore(operation, ...args) {
+    try {
+      return await this.store[operation](...args);
+    } catch (error) {
+      this.counters.storeErrors++;
+      console.error(`Cache ${operation} error:`, error.message);
+      return null;
+    }
+  }
+
+  // Return the value for a key, calling fetcher when there is no usable entry.
+  // policy.ttl and policy.stale are in milliseconds.
+  async wrap(key, policy, fetcher) {
+    const entry = await this.fromStore('get', key);
+
+    if (entry) {
+      const age = Date.now() - entry.storedAt;
+      if (age < policy.ttl) {
+        this.counters.hits++;
+        return entry.value;
+      }
+      if (age < policy.ttl + policy.stale) {
+        this.counters.staleHits++;
+        this.revalidate(key, policy, fetcher);
+        return entry.value;
+      }
+    }
+
+    this.counters.misses++;
+    return this.fetch(key, policy, fetcher);
+  }
+
+  fetch(key, policy, fetcher) {
+    if (this.inFlight.has(key)) {
+      this.counters.dedupedRequests++;
+      return this.inFlight.get(key);
+    }
+
+    const request = (async () => {
+      const value = await fetcher();
+      const storedAt = Date.now();
+      await this.fromStore('set', key, value, { storedAt, expiresAt: storedAt + policy.ttl + policy.stale });
+      return value;
+    })().finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  // Refresh in the background; the stale value has already been served
+  revalidate(key, policy, fetcher) {
+    this.counters.revalidations++;
+    this.fetch(key, policy, fetcher).catch(error => {
+      console.error(`Cache revalidation error for ${key}:`, error.message);
+    });
+  }
+
+  async clear() {
+    await this.store.clear();
+    this.resetCounters();
+  }
+
+  async stats() {
+    const { hits, staleHits, misses } = this.counters;
+    const requests = hits + staleHits + misses;
+    const store = await this.fromStore('stats');
+
+    return {
+      store,
+      ...this.counters,
+      requests,
+      // Stale hits were answered from the cache too
+      hitRatio: requests > 0 ? (hits + staleHits) / requests : null,
+      missRatio: requests > 0 ? misses / requests : null,
+      inFlight: this.inFlight.size,
+      countingSince: this.countingSince,
+      processMemory: process.memoryUsage().heapUsed
+    };
+  }
+}
+
+module.exports = ResponseCache;
\ No newline at end of file
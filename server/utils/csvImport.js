@@ -0,0 +1,340 @@
+// Turns drafts read from an exchange CSV (see utils/importers) into
+// transactions for one portfolio: resolves symbols to CoinGecko ids, prices
+// each leg in the user's currency, and flags duplicates of transactions
+// already recorded and rows that would overdraw a balance.
+const { Transaction } = require('../models');
+const { findNegativeBalance, sortLedger } = require('./ledger');
+const { loadDailyPrices, priceOnDay } = require('./priceHistory');
+const marketDataService = require('./marketDataService');
+
+const FIAT = new Set(['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CHF', 'TRY', 'BRL', 'INR', 'KRW', 'SGD', 'HKD', 'NZD', 'SEK', 'NOK', 'ZAR', 'MXN']);
+
+// Stablecoins and the currency they track
+const STABLECOINS = { USDT: 'usd', USDC: 'usd', BUSD: 'usd', DAI: 'usd', TUSD: 'usd', FDUSD: 'usd', USDP: 'usd', EURC: 'eur' };
+
+// Fiat and stablecoins on the quote side are treated as cash: a BTC/USDT buy
+// records the BTC only. A crypto quote (ETH/BTC) also records the other leg.
+const isCash = (symbol) => FIAT.has(symbol) || STABLECOINS[symbol] !== undefined;
+
+// Worth exactly one unit of the user's currency
+const atPar = (symbol, currency) => symbol === currency.toUpperCase() || STABLECOINS[symbol] === currency;
+
+// Resolve ticker symbols to CoinGecko coins. A symbol shared by several coins
+// goes to the one with the largest market cap; symbolMap (SYMBOL -> coin id)
+// overrides the choice. Unresolved symbols are returned with some candidates.
+const resolveSymbols = async (symbols, symbolMap = {}) => {
+  const [coins, markets] = await Promise.all([
+    marketDataService.getCoins(),
+    marketDataService.getCoinMarkets({ per_page: 250 })
+  ]);
+  const rank = new Map(markets.map((coin, index) => [coin.id, index]));
+  const byId = new Map(coins.map(coin => [coin.id, coin]));
+  const resolved = new Map();
+  const unresolved = [];
+
+  symbols.forEach(symbol => {
+    const mapped = symbolMap[symbol];
+    if (mapped) {
+      if (byId.has(mapped)) resolved.set(symbol, byId.get(mapped));
+      else unresolved.push({ symbol, candidates: [] });
+      return;
+    }
+
+    const candidates = coins.filter(coin => coin.symbol.toUpperCase() === symbol);
+    const ranked = candidates.filter(coin => rank.has(coin.id)).sort((a, b) => rank.get(a.id) - rank.get(b.id));
+
+    if (ranked.length > 0) {
+      resolved.set(symbol, ranked[0]);
+    } else if (candidates.length === 1) {
+      resolved.set(symbol, candidates[0]);
+    } else {
+      unresolved.push({ symbol, candidates: candidates.slice(0, 5).map(coin => coin.id) });
+    }
+  });
+
+  return { resolved, unresolved };
+};
+
+// Match on exchange id when there is one, otherwise on what the transaction
+// records. Timestamps are compared to the second since exports round them.
+const fingerprint = (tx) => [
+  tx.type,
+  tx.coinId,
+  Math.floor(new Date(tx.date).getTime() / 1000),
+  Number(tx.amount).toFixed(8)
+].join('|');
+
+// Expand drafts into the legs to record, each still priced in its quote
+const expandLegs = (draft) => {
+  const legs = [draft];
+
+  if ((draft.type === 'buy' || draft.type === 'sell') && draft.quote && draft.price !== null && !isCash(draft.quote)) {
+    legs.push({
+      date: draft.date,
+      type: draft.type === 'buy' ? 'sell' : 'buy',
+      symbol: draft.quote,
+      amount: draft.amount * draft.price,
+      price: null,
+      quote: null,
+      fee: 0,
+      feeSymbol: null,
+      notes: draft.notes,
+      externalId: draft.externalId && `${draft.externalId}:quote`
+    });
+  }
+
+  return legs;
+};
+
+// Symbols an import needs resolved: every asset traded, crypto quotes and fees
+const symbolsOf = (legs) => {
+  const symbols = new Set();
+  legs.forEach(leg => {
+    if (!FIAT.has(leg.symbol)) symbols.add(leg.symbol);
+    if (leg.quote && !isCash(leg.quote)) symbols.add(leg.quote);
+    if (leg.fee && leg.feeSymbol && !isCash(leg.feeSymbol)) symbols.add(leg.feeSymbol);
+  });
+  return [...symbols].filter(Boolean);
+};
+
+// Value of one unit of a leg's quote asset in the user's currency, or null
+// when it can only be found through the traded coin's market price
+const quoteRate = (leg, currency, coinFor, marketPrice) => {
+  if (leg.price === null) return null;
+  if (!leg.quote || atPar(leg.quote, currency)) return 1;
+  if (isCash(leg.quote)) return null;
+  return marketPrice(coinFor(leg.quote), leg.date);
+};
+
+// Price each leg in the user's currency and value its fee
+const priceLeg = (leg, currency, coinFor, marketPrice) => {
+  const coin = coinFor(leg.symbol);
+  let price = 0;
+
+  if (leg.type !== 'transfer_out') {
+    const rate = quoteRate(leg, currency, coinFor, marketPrice);
+    price = rate !== null ? leg.price * rate : marketPrice(coin, leg.date);
+    if (price === null) {
+      throw new Error(`No market price for ${leg.symbol} on ${leg.date.toISOString().split('T')[0]}`);
+    }
+  }
+
+  let feeCurrency = currency;
+  let feeValue = 0;
+  if (leg.fee) {
+    const feeSymbol = leg.feeSymbol || currency.toUpperCase();
+    if (atPar(feeSymbol, currency)) {
+      feeValue = leg.fee;
+    } else if (feeSymbol === leg.symbol) {
+      // Withdrawals carry no price, so their network fee takes the market price
+      feeCurrency = coin.id;
+      feeValue = leg.fee * (price || marketPrice(coin, leg.date) || 0);
+    } else if (feeSymbol === leg.quote && leg.price) {
+      // Fees in the quote asset convert at the rate implied by the trade
+      feeCurrency = isCash(feeSymbol) ? currency : coinFor(feeSymbol).id;
+      feeValue = leg.fee * (price / leg.price);
+    } else if (!isCash(feeSymbol)) {
+      feeCurrency = coinFor(feeSymbol).id;
+      const feePrice = marketPrice(coinFor(feeSymbol), leg.date);
+      if (feePrice === null) {
+        throw new Error(`No market price for fee asset ${feeSymbol}`);
+      }
+      feeValue = leg.fee * feePrice;
+    } else {
+      throw new Error(`Cannot value a fee in ${feeSymbol}`);
+    }
+  }
+
+  return {
+    coinId: coin.id,
+    coinName: coin.name,
+    symbol: coin.symbol.toUpperCase(),
+    price,
+    fee: leg.fee || 0,
+    feeCurrency,
+    feeValue
+  };
+};
+
+// Coins whose market price some leg falls back on, and the earliest day needed
+const marketPriceNeeds = (legs, currency, coinFor) => {
+  const coinIds = new Set();
+  legs.forEach(leg => {
+    if (leg.type === 'transfer_out') {
+      if (leg.fee && leg.feeSymbol === leg.symbol) coinIds.add(coinFor(leg.symbol)?.id);
+      return;
+    }
+    const needsOwn = leg.price === null || (leg.quote && isCash(leg.quote) && !atPar(leg.quote, currency));
+    if (needsOwn) coinIds.add(coinFor(leg.symbol)?.id);
+    if (leg.price !== null && leg.quote && !isCash(leg.quote)) coinIds.add(coinFor(leg.quote)?.id);
+    if (leg.fee && leg.feeSymbol && !isCash(leg.feeSymbol) && leg.feeSymbol !== leg.symbol && leg.feeSymbol !== leg.quote) {
+      coinIds.add(coinFor(leg.feeSymbol)?.id);
+    }
+  });
+  coinIds.delete(undefined);
+  return [...coinIds];
+};
+
+// Drop imported rows until the portfolio's ledger never goes negative. Both
+// legs of a trade go together. Returns the rejected transactions with the
+// reason for each.
+const rejectOverdrafts = (ledger, candidates) => {
+  const rowOf = new Map(candidates.map(({ transaction, row }) => [transaction, row]));
+  const rejected = new Map();
+  let pending = candidates.map(c => c.transaction);
+
+  for (;;) {
+    const negative = findNegativeBalance(sortLedger([...ledger, ...pending]));
+    if (!negative) break;
+
+    const { transaction } = negative;
+    const day = new Date(transaction.date).toISOString().split('T')[0];
+    let culprits;
+    let reason;
+    if (rowOf.has(transaction)) {
+      culprits = [transaction];
+      reason = `Insufficient ${transaction.symbol} balance on ${day}`;
+    } else {
+      // An imported outflow left an existing transaction short
+      culprits = pending.filter(tx => tx.coinId === transaction.coinId && tx.direction < 0 && tx.date <= transaction.date);
+      reason = `Would leave an existing ${transaction.symbol} transaction on ${day} short`;
+    }
+    if (culprits.length === 0) break;
+
+    const rows = new Set(culprits.map(tx => rowOf.get(tx)));
+    pending.filter(tx => rows.has(rowOf.get(tx))).forEach(tx => rejected.set(tx, reason));
+    pending = pending.filter(tx => !rejected.has(tx));
+  }
+
+  return rejected;
+};
+
+// Build the preview of an import and the transactions it would record.
+// - records: rows from importers.readCsv
+// - portfolio / locationId: where every imported transaction is filed
+const prepareImport = async ({ userId, records, portfolio, locationId = null, currency, symbolMap }) => {
+  const now = new Date();
+  const rows = [];
+  const parsed = [];
+
+  records.forEach(record => {
+    if (record.error) {
+      rows.push({ row: record.row, status: 'error', message: record.error });
+    } else if (record.drafts.length === 0) {
+      rows.push({ row: record.row, status: 'skipped', message: 'Nothing to import from this row' });
+    } else {
+      record.drafts.flatMap(expandLegs).forEach(leg => parsed.push({ row: record.row, leg }));
+    }
+  });
+
+  const { resolved, unresolved } = await resolveSymbols(symbolsOf(parsed.map(p => p.leg)), symbolMap);
+  const coinFor = (symbol) => resolved.get(symbol);
+
+  const needs = marketPriceNeeds(parsed.map(p => p.leg).filter(leg => coinFor(leg.symbol)), currency, coinFor);
+  const earliest = parsed.reduce((min, p) => (p.leg.date < min ? p.leg.date : min), now);
+  const prices = needs.length > 0 ? await loadDailyPrices(needs, currency, earliest) : new Map();
+  const marketPrice = (coin, date) => {
+    const series = coin && prices.get(coin.id);
+    return series ? priceOnDay(series, date) : null;
+  };
+
+  const existing = await Transaction.getLedger(userId, { portfolioId: portfolio._id });
+  const knownIds = new Set(existing.map(tx => tx.externalId).filter(Boolean));
+  const knownPrints = new Map();
+  existing.forEach(tx => {
+    const print = fingerprint(tx);
+    knownPrints.set(print, (knownPrints.get(print) || 0) + 1);
+  });
+
+  const candidates = [];
+  parsed.forEach(({ row, leg }) => {
+    const preview = { row, type: leg.type, symbol: leg.symbol, amount: leg.amount, date: leg.date };
+    rows.push(preview);
+
+    try {
+      if (!leg.symbol) throw new Error('Missing asset symbol');
+      if (!(leg.amount > 0)) throw new Error('Amount must be greater than 0');
+      if (leg.date > now) throw new Error('Date is in the future');
+      if (FIAT.has(leg.symbol)) throw new Error(`${leg.symbol} is fiat, not a coin to track`);
+      const needed = [leg.quote, leg.fee ? leg.feeSymbol : null].filter(symbol => symbol && !isCash(symbol));
+      const missing = [leg.symbol, ...needed].find(symbol => !coinFor(symbol));
+      if (missing) throw new Error(`Unknown or ambiguous symbol ${missing}`);
+
+      const priced = priceLeg(leg, currency, coinFor, marketPrice);
+      const transaction = new Transaction({
+        userId,
+        portfolioId: portfolio._id,
+        locationId,
+        type: leg.type,
+        coinId: priced.coinId,
+        coinName: priced.coinName,
+        symbol: priced.symbol,
+        amount: leg.amount,
+        price: priced.price,
+        fee: priced.fee,
+        feeCurrency: priced.feeCurrency,
+        feeValue: priced.feeValue,
+        date: leg.date,
+        incomeType: leg.incomeType,
+        notes: leg.notes ? String(leg.notes).slice(0, 500) : '',
+        externalId: leg.externalId
+      });
+      Object.assign(preview, { ...priced, incomeType: leg.incomeType });
+
+      const print = fingerprint(transaction);
+      if (leg.externalId && knownIds.has(leg.externalId)) {
+        Object.assign(preview, { status: 'duplicate', message: 'Already imported' });
+      } else if (!leg.externalId && knownPrints.get(print) > 0) {
+        knownPrints.set(print, knownPrints.get(print) - 1);
+        Object.assign(preview, { status: 'duplicate', message: 'Matches an existing transaction' });
+      } else {
+        if (leg.externalId) knownIds.add(leg.externalId);
+        preview.status = 'ready';
+        candidates.push({ transaction, preview, row });
+      }
+    } catch (error) {
+      Object.assign(preview, { status: 'error', message: error.message });
+    }
+  });
+
+  // A row is imported whole or not at all
+  const failedRows = new Set(rows.filter(preview => preview.status === 'error').map(preview => preview.row));
+  const whole = candidates.filter(({ preview, row }) => {
+    if (!failedRows.has(row)) return true;
+    Object.assign(preview, { status: 'error', message: 'The other side of this trade could not be imported' });
+    return false;
+  });
+
+  const rejected = rejectOverdrafts(existing, whole);
+  const transactions = [];
+  whole.forEach(({ transaction, preview }) => {
+    if (rejected.has(transaction)) {
+      Object.assign(preview, { status: 'error', message: rejected.get(transaction) });
+    } else {
+      transactions.push(transaction);
+    }
+  });
+
+  rows.sort((a, b) => a.row - b.row);
+  // Counted per CSV row; a trade against a coin spans two preview rows
+  const count = (status) => new Set(rows.filter(preview => preview.status === status).map(preview => preview.row)).size;
+
+  return {
+    rows,
+    transactions,
+    unresolved,
+    summary: {
+      rows: records.length,
+      ready: count('ready'),
+      duplicates: count('duplicate'),
+      errors: count('error'),
+      skipped: count('skipped'),
+      transactions: transactions.length
+    }
+  };
+};
+
+module.exports = {
+  resolveSymbols,
+  prepareImport
+};
\ No newline at end of file
@@ -0,0 +1,226 @@
+// Dollar-cost averaging: plan schedules, turning due dates into pending
+// purchases, and backtesting a plan over historical prices.
+const { DcaPlan, PendingPurchase } = require('../models');
+const { getDailyCloses } = require('./ohlcHistory');
+const { priceOnDay } = require('./priceHistory');
+const marketDataService = require('./marketDataService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CADENCE_DAYS = {
+  daily: 1,
+  weekly: 7,
+  biweekly: 14
+};
+
+// Entries scheduled within this window are priced at the live market price;
+// older ones (e.g. the server was down) use that day's historical price
+const LIVE_PRICE_WINDOW_MS = 6 * 60 * 60 * 1000;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// The index-th scheduled date of a plan (0 = the start date). Monthly plans
+// keep the start's day of month, clamped to shorter months.
+const scheduledDateAt = (plan, index) => {
+  const start = new Date(plan.startDate);
+
+  if (plan.cadence !== 'monthly') {
+    return new Date(start.getTime() + index * CADENCE_DAYS[plan.cadence] * DAY_MS);
+  }
+
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth() + index;
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const date = new Date(start);
+  date.setUTCFullYear(year, month, Math.min(start.getUTCDate(), daysInMonth));
+  return date;
+};
+
+// First scheduled date on or after `date`
+const firstScheduledOnOrAfter = (plan, date) => {
+  const start = new Date(plan.startDate);
+  if (date <= start) return start;
+
+  let index;
+  if (plan.cadence === 'monthly') {
+    index = (date.getUTCFullYear() - start.getUTCFullYear()) * 12 + date.getUTCMonth() - start.getUTCMonth();
+  } else {
+    index = Math.floor((date - start) / (CADENCE_DAYS[plan.cadence] * DAY_MS));
+  }
+
+  while (scheduledDateAt(plan, index) < date) index += 1;
+  return scheduledDateAt(plan, index);
+};
+
+// Scheduled dates of a plan within [from, to]
+const scheduledDatesBetween = (plan, from, to) => {
+  const dates = [];
+  let date = firstScheduledOnOrAfter(plan, from);
+  const end = plan.endDate && new Date(plan.endDate) < to ? new Date(plan.endDate) : to;
+
+  while (date <= end) {
+    dates.push(date);
+    date = firstScheduledOnOrAfter(plan, new Date(date.getTime() + 1));
+  }
+  return dates;
+};
+
+// Where a new (or edited) plan's schedule picks up: its first date from today on.
+// Past dates are not queued; the backtest covers those.
+const initialRunDate = (plan) => {
+  const next = firstScheduledOnOrAfter(plan, startOfDay(new Date()));
+  return plan.endDate && next > new Date(plan.endDate) ? null : next;
+};
+
+// Turn every due date of one plan into a pending purchase
+const queueDuePurchases = async (plan, livePrices, now = new Date()) => {
+  const dates = scheduledDatesBetween(plan, new Date(plan.nextRunDate), now);
+  let created = 0;
+
+  for (const date of dates) {
+    let price = null;
+    try {
+      price = now - date <= LIVE_PRICE_WINDOW_MS
+        ? livePrices[plan.coinId]?.[plan.currency]
+        : await marketDataService.getPriceAtDate(plan.coinId, date, plan.currency);
+    } catch (error) {
+      console.error(`DCA price lookup failed for ${plan.coinId}:`, error.message);
+    }
+
+    const result = await PendingPurchase.updateOne(
+      { planId: plan._id, scheduledDate: date },
+      {
+        $setOnInsert: {
+          userId: plan.userId,
+          portfolioId: plan.portfolioId,
+          coinId: plan.coinId,
+          coinName: plan.coinName,
+          symbol: plan.symbol,
+          fiatAmount: plan.amount,
+          scheduledPrice: price || undefined,
+          estimatedAmount: price ? plan.amount / price : undefined
+        }
+      },
+      { upsert: true }
+    );
+    created += result.upsertedCount;
+  }
+
+  const next = firstScheduledOnOrAfter(plan, new Date(now.getTime() + 1));
+  if (plan.endDate && next > new Date(plan.endDate)) {
+    plan.nextRunDate = null;
+    plan.isActive = false;
+  } else {
+    plan.nextRunDate = next;
+  }
+  await plan.save();
+
+  return created;
+};
+
+// Queue pending purchases for every active plan that is due. Failures are
+// logged per plan so one bad plan does not stop the run.
+const runDuePlans = async (now = new Date()) => {
+  const plans = await DcaPlan.find({ isActive: true, nextRunDate: { $ne: null, $lte: now } });
+  let purchases = 0;
+  let failures = 0;
+
+  // One live price request per currency
+  const livePrices = {};
+  const byCurrency = {};
+  plans.forEach(plan => {
+    byCurrency[plan.currency] = byCurrency[plan.currency] || new Set();
+    byCurrency[plan.currency].add(plan.coinId);
+  });
+  for (const [currency, coinIds] of Object.entries(byCurrency)) {
+    try {
+      const prices = await marketDataService.getSimplePrices([...coinIds], [currency]);
+      Object.entries(prices).forEach(([coinId, price]) => {
+        livePrices[coinId] = { ...livePrices[coinId], ...price };
+      });
+    } catch (error) {
+      console.error(`DCA live prices failed for ${currency}:`, error.message);
+    }
+  }
+
+  for (const plan of plans) {
+    try {
+      purchases += await queueDuePurchases(plan, livePrices, now);
+    } catch (error) {
+      failures += 1;
+      console.error(`DCA plan ${plan._id} failed:`, error.message);
+    }
+  }
+
+  return { plans: plans.length, purchases, failures };
+};
+
+// Simulate a plan over historical daily prices up to its end date (or today)
+const backtestPlan = async ({ coinId, amount, cadence, startDate, endDate, currency = 'usd' }) => {
+  const plan = { cadence, startDate: new Date(startDate), endDate: endDate ? new Date(endDate) : null };
+  const end = plan.endDate && plan.endDate < new Date() ? plan.endDate : new Date();
+
+  const prices = await getDailyCloses(coinId, currency, startOfDay(plan.startDate));
+  if (prices.size === 0) return null;
+
+  const finalPrice = priceOnDay(prices, end);
+  let invested = 0;
+  let units = 0;
+
+  const purchases = scheduledDatesBetween(plan, plan.startDate, end)
+    .map(date => ({ date, price: priceOnDay(prices, date) }))
+    .filter(purchase => purchase.price > 0)
+    .map(({ date, price }) => {
+      invested += amount;
+      units += amount / price;
+      return {
+        date,
+        price,
+        amount: amount / price,
+        invested,
+        units,
+        value: units * price
+      };
+    });
+
+  if (purchases.length === 0) return null;
+
+  const finalValue = units * finalPrice;
+  // What the same total would be worth if it had all gone in on the first date
+  const lumpSumValue = (invested / purchases[0].price) * finalPrice;
+
+  return {
+    coinId,
+    currency,
+    cadence,
+    amount,
+    startDate: plan.startDate,
+    endDate: end,
+    purchases,
+    totalInvested: invested,
+    totalUnits: units,
+    averageCost: invested / units,
+    finalPrice,
+    finalValue,
+    profitLoss: finalValue - invested,
+    profitLossPercentage: ((finalValue - invested) / invested) * 100,
+    lumpSum: {
+      finalValue: lumpSumValue,
+      profitLoss: lumpSumValue - invested,
+      profitLossPercentage: ((lumpSumValue - invested) / invested) * 100
+    }
+  };
+};
+
+module.exports = {
+  scheduledDateAt,
+  firstScheduledOnOrAfter,
+  scheduledDatesBetween,
+  initialRunDate,
+  runDuePlans,
+  backtestPlan
+};
\ No newline at end of file
@@ -0,0 +1,60 @@
+// Progress towards a goal from a calculated portfolio (see utils/valuation)
+const { DAY_MS } = require('./returns');
+
+const AVERAGE_MONTH_MS = (365.25 / 12) * DAY_MS;
+
+// Where a goal stands today and what it would take to reach it on time.
+// The required monthly contribution is a straight line to the target date:
+// it assumes prices stay where they are.
+// - coinPrice: live price of an amount goal's coin, for when it is not held
+const goalProgress = (goal, portfolio, coinPrice = null, now = new Date()) => {
+  let current;
+  let price = null;
+
+  if (goal.type === 'amount') {
+    const holding = portfolio.holdings.find(h => h.coinId === goal.coinId);
+    current = holding ? holding.amount : 0;
+    price = holding?.currentPrice || coinPrice;
+  } else {
+    current = portfolio.totalCurrentValue;
+  }
+
+  const remaining = Math.max(goal.targetValue - current, 0);
+  const monthsLeft = goal.targetDate ? (new Date(goal.targetDate) - now) / AVERAGE_MONTH_MS : null;
+
+  let status = 'in_progress';
+  if (remaining === 0) {
+    status = 'achieved';
+  } else if (monthsLeft !== null && monthsLeft <= 0) {
+    status = 'overdue';
+  }
+
+  // Less than a month left means the rest is due now
+  let requiredMonthly = null;
+  let requiredMonthlyAmount = null;
+  if (status === 'in_progress' && monthsLeft !== null) {
+    const months = Math.max(monthsLeft, 1);
+    if (goal.type === 'amount') {
+      requiredMonthlyAmount = remaining / months;
+      requiredMonthly = price ? requiredMonthlyAmount * price : null;
+    } else {
+      requiredMonthly = remaining / months;
+    }
+  }
+
+  return {
+    current,
+    target: goal.targetValue,
+    remaining,
+    percentage: goal.targetValue > 0 ? Math.min((current / goal.targetValue) * 100, 100) : 100,
+    status,
+    monthsLeft,
+    currentPrice: price,
+    requiredMonthly,
+    requiredMonthlyAmount
+  };
+};
+
+module.exports = {
+  goalProgress
+};
\ No newline at end of file
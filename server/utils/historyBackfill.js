@@ -0,0 +1,229 @@
+// Rebuilds a user's portfolio history from historical prices, starting at the
+// first transaction. Progress is saved on the user's BackfillJob after every
+// coin and every batch of days, so a run that stops part-way can be resumed.
+const { BackfillJob, PortfolioSnapshot, Transaction, User } = require('../models');
+const { ensureCandles, readDailyCloses } = require('./ohlcHistory');
+const { positionsByPortfolio, valuePositions } = require('./snapshots');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Coins are fetched in small batches with pauses in between to stay inside
+// the CoinGecko rate limit; a 429 backs off and retries the same coin.
+const COIN_BATCH_SIZE = 5;
+const REQUEST_DELAY_MS = 2000;
+const BATCH_DELAY_MS = 15000;
+const MAX_RETRIES = 4;
+const RETRY_BASE_DELAY_MS = 30000;
+
+// Days written per bulk write (and per progress save)
+const SNAPSHOT_BATCH_DAYS = 30;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const startOfDay = (date) => PortfolioSnapshot.startOfDay(date);
+
+// Fill one coin's daily candles back to `from`, retrying with backoff when rate limited
+const fetchCoinPrices = async (coinId, currency, from) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await ensureCandles(coinId, currency, startOfDay(from));
+    } catch (error) {
+      if (error.status !== 429 || attempt >= MAX_RETRIES) throw error;
+
+      const retryAfter = parseInt(error.retryAfter) * 1000;
+      const delay = retryAfter > 0 ? retryAfter : RETRY_BASE_DELAY_MS * 2 ** attempt;
+      console.log(`Backfill rate limited on ${coinId}, retrying in ${Math.round(delay / 1000)}s`);
+      await sleep(delay);
+    }
+  }
+};
+
+// Phase 1: fetch and store prices for every coin not yet done. A coin whose
+// history cannot be had (delisted, unknown or refused) is skipped with its
+// error so one coin cannot stop the job; it is valued at zero in snapshots.
+// Running out of rate-limit retries still fails the job, to be resumed later.
+const fetchPrices = async (job) => {
+  const pending = job.coins.filter(c => !c.done);
+
+  for (let i = 0; i < pending.length; i += COIN_BATCH_SIZE) {
+    if (i > 0) await sleep(BATCH_DELAY_MS);
+
+    for (const coin of pending.slice(i, i + COIN_BATCH_SIZE)) {
+      try {
+        await fetchCoinPrices(coin.coinId, job.currency, job.startDate);
+      } catch (error) {
+        if (error.status === 429) throw error;
+        console.error(`Backfill skipped ${coin.coinId}:`, error.message);
+        coin.error = error.message;
+      }
+      coin.done = true;
+      await job.save();
+      await sleep(REQUEST_DELAY_MS);
+    }
+  }
+};
+
+// Phase 2: replay the ledger day by day and write a snapshot per portfolio.
+// Like the daily job (which runs just after midnight UTC), a snapshot for a
+// day holds the positions at the start of that day at that day's opening
+// price. Days that already have a live snapshot are left alone.
+const writeSnapshots = async (job, transactions, method) => {
+  const firstDay = job.lastProcessedDate
+    ? new Date(startOfDay(job.lastProcessedDate).getTime() + DAY_MS)
+    : startOfDay(job.startDate);
+  const lastDay = startOfDay(job.endDate);
+  if (firstDay > lastDay) return;
+
+  const coinIds = job.coins.map(c => c.coinId);
+  const series = await readDailyCloses(coinIds, job.currency, job.startDate, lastDay);
+
+  const liveDays = new Set(
+    (await PortfolioSnapshot.find({ userId: job.userId, source: 'daily', date: { $gte: firstDay } }).select('date').lean())
+      .map(s => s.date.getTime())
+  );
+
+  // Carry the last known price forward over gaps in the price data
+  const lastPrices = {};
+  series.forEach((prices, coinId) => {
+    for (const [time, price] of prices) {
+      if (time >= firstDay.getTime()) break;
+      lastPrices[coinId] = price;
+    }
+  });
+
+  // Start from the positions held at the start of the first day to write
+  let index = 0;
+  while (index < transactions.length && new Date(transactions[index].date) < firstDay) index += 1;
+  let positions = positionsByPortfolio(transactions.slice(0, index), method);
+  let operations = [];
+  let daysSinceFlush = 0;
+
+  const flush = async (day) => {
+    if (operations.length > 0) {
+      await PortfolioSnapshot.bulkWrite(operations, { ordered: false });
+      job.snapshotsWritten += operations.length;
+      operations = [];
+    }
+    job.lastProcessedDate = day;
+    job.processedDays = Math.round((day - startOfDay(job.startDate)) / DAY_MS) + 1;
+    await job.save();
+  };
+
+  for (let day = firstDay; day <= lastDay; day = new Date(day.getTime() + DAY_MS)) {
+    const time = day.getTime();
+
+    // Positions only change after days with transactions
+    let changed = false;
+    while (index < transactions.length && new Date(transactions[index].date).getTime() < time) {
+      index += 1;
+      changed = true;
+    }
+    if (changed) {
+      positions = positionsByPortfolio(transactions.slice(0, index), method);
+    }
+
+    series.forEach((prices, coinId) => {
+      if (prices.has(time)) lastPrices[coinId] = prices.get(time);
+    });
+
+    if (!liveDays.has(time)) {
+      const values = valuePositions(positions, coinId => lastPrices[coinId]);
+      values.forEach((value, portfolioId) => {
+        operations.push({
+          updateOne: {
+            filter: { userId: job.userId, portfolioId, date: day },
+            update: { $set: { currency: job.currency, source: 'backfill', ...value } },
+            upsert: true
+          }
+        });
+      });
+    }
+
+    daysSinceFlush += 1;
+    if (daysSinceFlush === SNAPSHOT_BATCH_DAYS) {
+      await flush(day);
+      daysSinceFlush = 0;
+    }
+  }
+
+  await flush(lastDay);
+};
+
+// Run (or resume) a backfill job to completion. Failures are recorded on
+// the job so the next start picks up where this one stopped.
+const runBackfill = async (job) => {
+  try {
+    job.status = 'running';
+    job.error = undefined;
+    job.startedAt = job.startedAt || new Date();
+    await job.save();
+
+    const user = await User.findById(job.userId).select('preferences');
+    const method = user?.preferences?.costBasisMethod || 'fifo';
+    const transactions = await Transaction.getLedger(job.userId);
+
+    if (transactions.length > 0) {
+      if (job.phase === 'prices') {
+        await fetchPrices(job);
+        job.phase = 'snapshots';
+        await job.save();
+      }
+      await writeSnapshots(job, transactions, method);
+    }
+
+    job.status = 'completed';
+    job.completedAt = new Date();
+    await job.save();
+  } catch (error) {
+    console.error(`History backfill failed for user ${job.userId}:`, error.message);
+    job.status = 'failed';
+    job.error = error.message;
+    await job.save();
+  }
+
+  return job;
+};
+
+// Create a job covering the user's whole ledger, or reset a finished one so
+// it extends to yesterday. Failed and unfinished jobs are returned as-is to resume.
+const prepareBackfill = async (userId) => {
+  const user = await User.findById(userId).select('preferences');
+  let job = await BackfillJob.findOne({ userId });
+
+  if (job && job.status !== 'completed') return job;
+
+  const transactions = await Transaction.getLedger(userId);
+  const coinIds = [...new Set(transactions.map(tx => tx.coinId))];
+  const yesterday = new Date(startOfDay(new Date()).getTime() - DAY_MS);
+
+  const fields = {
+    status: 'pending',
+    phase: 'prices',
+    currency: user?.preferences?.currency || 'usd',
+    startDate: transactions.length > 0 ? startOfDay(transactions[0].date) : yesterday,
+    endDate: yesterday,
+    coins: coinIds.map(coinId => ({ coinId, done: false })),
+    totalDays: 0,
+    processedDays: 0,
+    lastProcessedDate: undefined,
+    snapshotsWritten: 0,
+    error: undefined,
+    startedAt: undefined,
+    completedAt: undefined
+  };
+  fields.totalDays = Math.max(0, Math.round((fields.endDate - fields.startDate) / DAY_MS) + 1);
+
+  if (job) {
+    job.set(fields);
+  } else {
+    job = new BackfillJob({ userId, ...fields });
+  }
+
+  await job.save();
+  return job;
+};
+
+module.exports = {
+  prepareBackfill,
+  runBackfill
+};
\ No newline at end of file
@@ -0,0 +1,63 @@
+// Binance spot "Trade History" export. Newer files glue the asset onto each
+// amount (Executed "0.5ETH", Amount "1000USDT", Fee "0.0005BNB"); older ones
+// have a Market column and a separate Fee Coin.
+const { parseNumber, parseOptionalNumber, splitAmount, parseDate } = require('./fields');
+
+// Quote assets, longest first so "BTCUSDT" splits as BTC/USDT rather than BTCUSD/T
+const QUOTES = ['FDUSD', 'USDT', 'USDC', 'BUSD', 'TUSD', 'EUR', 'GBP', 'TRY', 'BRL', 'BTC', 'ETH', 'BNB', 'DAI'];
+
+const splitMarket = (market) => {
+  const quote = QUOTES.find(q => market.endsWith(q) && market.length > q.length);
+  if (!quote) {
+    throw new Error(`Cannot split market "${market}" into base and quote`);
+  }
+  return { base: market.slice(0, -quote.length), quote };
+};
+
+const parseSide = (value) => {
+  const side = String(value).trim().toLowerCase();
+  if (side !== 'buy' && side !== 'sell') {
+    throw new Error(`Unknown side "${value}"`);
+  }
+  return side;
+};
+
+module.exports = {
+  id: 'binance',
+  name: 'Binance',
+  detect: (headers) => headers.includes('Date(UTC)') &&
+    (headers.includes('Executed') || headers.includes('Fee Coin')),
+  parse: (record) => {
+    const date = parseDate(record['Date(UTC)']);
+    const price = parseNumber(record.Price, 'price');
+
+    if (record.Executed !== undefined) {
+      const executed = splitAmount(record.Executed, 'executed amount');
+      const total = splitAmount(record.Amount, 'amount');
+      const fee = record.Fee ? splitAmount(record.Fee, 'fee') : { amount: 0, symbol: null };
+
+      return [{
+        date,
+        type: parseSide(record.Side),
+        symbol: executed.symbol,
+        amount: executed.amount,
+        price,
+        quote: total.symbol,
+        fee: fee.amount,
+        feeSymbol: fee.symbol
+      }];
+    }
+
+    const { base, quote } = splitMarket(String(record.Market).toUpperCase());
+    return [{
+      date,
+      type: parseSide(record.Type),
+      symbol: base,
+      amount: parseNumber(record.Amount, 'amount'),
+      price,
+      quote,
+      fee: parseOptionalNumber(record.Fee, 'fee'),
+      feeSymbol: record['Fee Coin'] ? record['Fee Coin'].toUpperCase() : null
+    }];
+  }
+};
\ No newline at end of file
@@ -0,0 +1,79 @@
+// Coinbase "Transaction history" report. Prices are in the account's fiat
+// currency; converts become a sell of one asset and a buy of the other.
+const { parseNumber, parseOptionalNumber, parseDate } = require('./fields');
+
+const TYPES = {
+  'buy': { type: 'buy' },
+  'advanced trade buy': { type: 'buy' },
+  'sell': { type: 'sell' },
+  'advanced trade sell': { type: 'sell' },
+  'receive': { type: 'transfer_in' },
+  'deposit': { type: 'transfer_in' },
+  'send': { type: 'transfer_out' },
+  'withdrawal': { type: 'transfer_out' },
+  'rewards income': { type: 'income', incomeType: 'staking' },
+  'staking income': { type: 'income', incomeType: 'staking' },
+  'inflation reward': { type: 'income', incomeType: 'staking' },
+  'learning reward': { type: 'income', incomeType: 'airdrop' },
+  'coinbase earn': { type: 'income', incomeType: 'airdrop' },
+  'interest': { type: 'income', incomeType: 'interest' }
+};
+
+// Column names changed between report versions
+const pick = (record, ...names) => {
+  const name = names.find(n => record[n] !== undefined);
+  return name ? record[name] : undefined;
+};
+
+const CONVERT_NOTE = /Converted ([\d.,]+) (\w+) to ([\d.,]+) (\w+)/i;
+
+module.exports = {
+  id: 'coinbase',
+  name: 'Coinbase',
+  detect: (headers) => headers.includes('Timestamp') &&
+    headers.includes('Transaction Type') &&
+    headers.includes('Quantity Transacted'),
+  parse: (record) => {
+    const kind = String(record['Transaction Type']).trim();
+    const asset = String(record.Asset).toUpperCase();
+    const quote = String(pick(record, 'Price Currency', 'Spot Price Currency') || 'USD').toUpperCase();
+
+    // Fiat moving in or out of the account is not a holding
+    if (asset === quote) return [];
+
+    const date = parseDate(record.Timestamp);
+    const amount = Math.abs(parseNumber(record['Quantity Transacted'], 'quantity'));
+    const price = parseNumber(pick(record, 'Price at Transaction', 'Spot Price at Transaction'), 'price');
+    const fee = Math.abs(parseOptionalNumber(pick(record, 'Fees and/or Spread', 'Fees'), 'fee'));
+    const notes = record.Notes || '';
+    const externalId = record.ID || undefined;
+
+    if (kind.toLowerCase() === 'convert') {
+      const match = notes.match(CONVERT_NOTE);
+      if (!match) {
+        throw new Error('Cannot read the converted amounts from the notes');
+      }
+      const received = parseNumber(match[3], 'converted amount');
+      const subtotal = Math.abs(parseNumber(record.Subtotal, 'subtotal'));
+
+      return [
+        { date, type: 'sell', symbol: asset, amount, price, quote, fee, feeSymbol: quote, notes, externalId },
+        {
+          date,
+          type: 'buy',
+          symbol: match[4].toUpperCase(),
+          amount: received,
+          price: subtotal / received,
+          quote,
+          notes,
+          externalId: externalId && `${externalId}:to`
+        }
+      ];
+    }
+
+    const mapped = TYPES[kind.toLowerCase()];
+    if (!mapped) return [];
+
+    return [{ date, ...mapped, symbol: asset, amount, price, quote, fee, feeSymbol: quote, notes, externalId }];
+  }
+};
\ No newline at end of file
@@ -0,0 +1,83 @@
+// Field parsers shared by the CSV importers. Each throws with a message fit
+// for the import preview when a value cannot be read.
+
+// Numbers as exchanges print them: "$1,234.50", "-0.5", "1e-8"
+const parseNumber = (value, label = 'number') => {
+  const cleaned = String(value ?? '').replace(/[^0-9.eE+-]/g, '');
+  const number = parseFloat(cleaned);
+  if (cleaned === '' || !Number.isFinite(number)) {
+    throw new Error(`Invalid ${label} "${value}"`);
+  }
+  return number;
+};
+
+// Empty cells count as zero, for optional columns such as fees
+const parseOptionalNumber = (value, label) => {
+  return value === undefined || String(value).trim() === '' ? 0 : parseNumber(value, label);
+};
+
+// An amount with its asset glued on, as Binance prints them: "0.0015BTC"
+const splitAmount = (value, label = 'amount') => {
+  const match = String(value ?? '').replace(/,/g, '').match(/^\s*(-?[\d.]+(?:[eE][+-]?\d+)?)\s*([A-Za-z0-9]+)\s*$/);
+  if (!match) {
+    throw new Error(`Invalid ${label} "${value}"`);
+  }
+  return { amount: parseFloat(match[1]), symbol: match[2].toUpperCase() };
+};
+
+// Timestamps without a zone are taken as UTC, which is what exchanges export
+const parseDate = (value) => {
+  let text = String(value ?? '').trim().replace(/\s+UTC$/i, 'Z');
+  if (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) {
+    text = text.replace(' ', 'T') + 'Z';
+  } else if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}/.test(text)) {
+    text = text.replace(' ', 'T');
+  }
+
+  const date = new Date(text);
+  if (text === '' || isNaN(date.getTime())) {
+    throw new Error(`Invalid date "${value}"`);
+  }
+  return date;
+};
+
+// Transaction type from the words exchanges and spreadsheets use for it
+const TYPE_ALIASES = {
+  buy: { type: 'buy' },
+  bought: { type: 'buy' },
+  purchase: { type: 'buy' },
+  sell: { type: 'sell' },
+  sold: { type: 'sell' },
+  sale: { type: 'sell' },
+  deposit: { type: 'transfer_in' },
+  receive: { type: 'transfer_in' },
+  transfer_in: { type: 'transfer_in' },
+  withdraw: { type: 'transfer_out' },
+  withdrawal: { type: 'transfer_out' },
+  send: { type: 'transfer_out' },
+  transfer_out: { type: 'transfer_out' },
+  staking: { type: 'income', incomeType: 'staking' },
+  reward: { type: 'income', incomeType: 'staking' },
+  rewards: { type: 'income', incomeType: 'staking' },
+  airdrop: { type: 'income', incomeType: 'airdrop' },
+  interest: { type: 'income', incomeType: 'interest' },
+  mining: { type: 'income', incomeType: 'mining' },
+  income: { type: 'income', incomeType: 'staking' }
+};
+
+const parseType = (value) => {
+  const key = String(value ?? '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  const match = TYPE_ALIASES[key];
+  if (!match) {
+    throw new Error(`Unknown transaction type "${value}"`);
+  }
+  return match;
+};
+
+module.exports = {
+  parseNumber,
+  parseOptionalNumber,
+  splitAmount,
+  parseDate,
+  parseType
+};
\ No newline at end of file
@@ -0,0 +1,59 @@
+// Any other CSV, read through a column mapping (field -> header). Without a
+// quote column prices are taken to be in the user's currency; without a price
+// the resolver uses the coin's market price on the day.
+const { parseNumber, parseOptionalNumber, parseDate, parseType } = require('./fields');
+
+const FIELDS = ['date', 'type', 'symbol', 'amount', 'price', 'quote', 'fee', 'feeSymbol', 'notes', 'id'];
+const REQUIRED_FIELDS = ['date', 'type', 'symbol', 'amount'];
+
+// Header names that map onto each field without asking the user
+const SYNONYMS = {
+  date: ['date', 'time', 'timestamp', 'datetime', 'date (utc)'],
+  type: ['type', 'side', 'transaction type', 'action'],
+  symbol: ['symbol', 'asset', 'coin', 'ticker'],
+  amount: ['amount', 'quantity', 'qty', 'volume', 'units'],
+  price: ['price', 'unit price', 'price per coin', 'rate'],
+  quote: ['quote', 'quote currency', 'price currency', 'currency'],
+  fee: ['fee', 'fees', 'commission'],
+  feeSymbol: ['fee currency', 'fee asset', 'fee coin'],
+  notes: ['notes', 'note', 'memo', 'description', 'comment'],
+  id: ['id', 'txid', 'transaction id', 'reference']
+};
+
+const guessMapping = (headers) => {
+  const mapping = {};
+  FIELDS.forEach(field => {
+    const header = headers.find(h => SYNONYMS[field].includes(h.toLowerCase()));
+    if (header) mapping[field] = header;
+  });
+  return mapping;
+};
+
+const isComplete = (mapping) => REQUIRED_FIELDS.every(field => mapping[field]);
+
+module.exports = {
+  id: 'generic',
+  name: 'Generic CSV',
+  FIELDS,
+  REQUIRED_FIELDS,
+  guessMapping,
+  isComplete,
+  detect: (headers) => isComplete(guessMapping(headers)),
+  parse: (record, { mapping }) => {
+    const value = (field) => (mapping[field] ? record[mapping[field]] : undefined);
+    const price = value('price');
+
+    return [{
+      date: parseDate(value('date')),
+      ...parseType(value('type')),
+      symbol: String(value('symbol') || '').trim().toUpperCase(),
+      amount: Math.abs(parseNumber(value('amount'), 'amount')),
+      price: price === undefined || String(price).trim() === '' ? null : parseNumber(price, 'price'),
+      quote: value('quote') ? String(value('quote')).trim().toUpperCase() : null,
+      fee: Math.abs(parseOptionalNumber(value('fee'), 'fee')),
+      feeSymbol: value('feeSymbol') ? String(value('feeSymbol')).trim().toUpperCase() : null,
+      notes: value('notes') || '',
+      externalId: value('id') || undefined
+    }];
+  }
+};
\ No newline at end of file
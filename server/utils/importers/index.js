@@ -0,0 +1,93 @@
+// CSV formats the importer understands. Each parser reads one export format:
+// detect(headers) recognises its header row and parse(record, options) turns
+// one row (header -> cell) into transaction drafts of the form
+//   { date, type, symbol, amount, price, quote, fee, feeSymbol, incomeType, notes, externalId }
+// where price is per unit in the quote asset, or null for the market price on
+// the day. Returning no drafts skips the row; throwing marks it as an error.
+const { parseCsv } = require('../csv');
+const binance = require('./binance');
+const coinbase = require('./coinbase');
+const kraken = require('./kraken');
+const generic = require('./generic');
+
+// Generic comes last so exchange formats win auto-detection
+const PARSERS = [binance, coinbase, kraken, generic];
+const FORMATS = PARSERS.map(parser => parser.id);
+
+// Some reports (Coinbase) open with a few lines of account details, so the
+// header row is looked for near the top of the file
+const HEADER_SEARCH_ROWS = 10;
+
+const findHeaderRow = (rows, accepts) => {
+  const limit = Math.min(rows.length, HEADER_SEARCH_ROWS);
+  for (let i = 0; i < limit; i++) {
+    if (accepts(rows[i])) return i;
+  }
+  return -1;
+};
+
+// Read a CSV export into drafts per data row. format is a parser id or 'auto';
+// mapping (field -> header) is for the generic format. When no parser matches,
+// format comes back null with the first row as headers so columns can be mapped.
+const readCsv = (text, { format = 'auto', mapping } = {}) => {
+  const rows = parseCsv(text);
+  if (rows.length === 0) {
+    const error = new Error('The file is empty');
+    error.status = 400;
+    throw error;
+  }
+
+  let parser = null;
+  let headerIndex = -1;
+
+  if (format === 'generic' && mapping) {
+    const mapped = Object.values(mapping).filter(Boolean);
+    headerIndex = findHeaderRow(rows, headers => mapped.every(header => headers.includes(header)));
+    parser = headerIndex >= 0 ? generic : null;
+  } else {
+    const candidates = format === 'auto' ? PARSERS : PARSERS.filter(p => p.id === format);
+    for (const candidate of candidates) {
+      headerIndex = findHeaderRow(rows, candidate.detect);
+      if (headerIndex >= 0) {
+        parser = candidate;
+        break;
+      }
+    }
+  }
+
+  if (!parser) {
+    return {
+      format: null,
+      headers: rows[0],
+      mapping: generic.guessMapping(rows[0]),
+      records: []
+    };
+  }
+
+  const headers = rows[headerIndex];
+  const options = parser === generic ? { mapping: mapping || generic.guessMapping(headers) } : {};
+
+  const records = rows.slice(headerIndex + 1).map((cells, i) => {
+    const record = Object.fromEntries(headers.map((header, j) => [header, cells[j] ?? '']));
+    const row = i + 1;
+    try {
+      return { row, drafts: parser.parse(record, options) };
+    } catch (error) {
+      return { row, error: error.message };
+    }
+  });
+
+  return {
+    format: parser.id,
+    headers,
+    mapping: options.mapping || null,
+    records
+  };
+};
+
+module.exports = {
+  FORMATS,
+  FIELDS: generic.FIELDS,
+  REQUIRED_FIELDS: generic.REQUIRED_FIELDS,
+  readCsv
+};
\ No newline at end of file
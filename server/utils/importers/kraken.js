@@ -0,0 +1,56 @@
+// Kraken "Trades" export (trades.csv). Prices, costs and fees are in the
+// quote asset of the pair, e.g. USD for XXBTZUSD.
+const { parseNumber, parseOptionalNumber, parseDate } = require('./fields');
+
+const QUOTES = ['USDT', 'USDC', 'ZUSD', 'ZEUR', 'ZGBP', 'ZCAD', 'ZJPY', 'USD', 'EUR', 'GBP', 'CAD', 'JPY', 'CHF', 'AUD', 'XXBT', 'XBT', 'XETH', 'ETH', 'DAI'];
+
+// Kraken's own asset codes: XXBT/XBT for bitcoin, XXDG/XDG for dogecoin,
+// and X/Z prefixes on older crypto and fiat codes
+const ALIASES = { XBT: 'BTC', XDG: 'DOGE' };
+
+const normalizeAsset = (code) => {
+  const asset = code.length === 4 && /^[XZ]/.test(code) ? code.slice(1) : code;
+  return ALIASES[asset] || asset;
+};
+
+const splitPair = (value) => {
+  const pair = String(value).toUpperCase();
+  if (pair.includes('/')) {
+    const [base, quote] = pair.split('/');
+    return { base: normalizeAsset(base), quote: normalizeAsset(quote) };
+  }
+  if (pair.length === 8 && /^X/.test(pair) && /^[XZ]/.test(pair.slice(4))) {
+    return { base: normalizeAsset(pair.slice(0, 4)), quote: normalizeAsset(pair.slice(4)) };
+  }
+
+  const quote = QUOTES.find(q => pair.endsWith(q) && pair.length > q.length);
+  if (!quote) {
+    throw new Error(`Cannot split pair "${value}" into base and quote`);
+  }
+  return { base: normalizeAsset(pair.slice(0, -quote.length)), quote: normalizeAsset(quote) };
+};
+
+module.exports = {
+  id: 'kraken',
+  name: 'Kraken',
+  detect: (headers) => ['txid', 'pair', 'time', 'type', 'price', 'vol'].every(h => headers.includes(h)),
+  parse: (record) => {
+    const type = String(record.type).trim().toLowerCase();
+    if (type !== 'buy' && type !== 'sell') {
+      throw new Error(`Unknown trade type "${record.type}"`);
+    }
+
+    const { base, quote } = splitPair(record.pair);
+    return [{
+      date: parseDate(record.time),
+      type,
+      symbol: base,
+      amount: parseNumber(record.vol, 'volume'),
+      price: parseNumber(record.price, 'price'),
+      quote,
+      fee: parseOptionalNumber(record.fee, 'fee'),
+      feeSymbol: quote,
+      externalId: record.txid || undefined
+    }];
+  }
+};
\ No newline at end of file
@@ -0,0 +1,97 @@
+// Staking, airdrop, interest and mining income, reported apart from capital gains.
+// Income is valued at its fair-market value on receipt (the transaction price),
+// which is also the cost basis the ledger gives the coins received.
+const { Transaction } = require('../models');
+
+const emptyByType = () => Object.fromEntries(
+  Transaction.INCOME_TYPES.map(type => [type, { count: 0, value: 0 }])
+);
+
+// Income transactions received in [from, to), oldest first
+const incomeEvents = (transactions, { from, to } = {}) => {
+  return transactions
+    .filter(tx => tx.type === 'income')
+    .filter(tx => (!from || tx.date >= from) && (!to || tx.date < to))
+    .map(tx => ({
+      transactionId: tx._id,
+      date: new Date(tx.date),
+      coinId: tx.coinId,
+      coinName: tx.coinName,
+      symbol: tx.symbol,
+      incomeType: tx.incomeType,
+      amount: tx.amount,
+      price: tx.price || 0,
+      value: tx.amount * (tx.price || 0)
+    }))
+    .sort((a, b) => a.date - b.date);
+};
+
+// Totals by income type and by coin, largest coin first
+const summarizeIncome = (events) => {
+  const byType = emptyByType();
+  const byCoin = {};
+  let total = 0;
+
+  events.forEach(event => {
+    const type = byType[event.incomeType];
+    if (type) {
+      type.count += 1;
+      type.value += event.value;
+    }
+
+    if (!byCoin[event.coinId]) {
+      byCoin[event.coinId] = {
+        coinId: event.coinId,
+        coinName: event.coinName,
+        symbol: event.symbol,
+        amount: 0,
+        value: 0
+      };
+    }
+    byCoin[event.coinId].amount += event.amount;
+    byCoin[event.coinId].value += event.value;
+
+    total += event.value;
+  });
+
+  return {
+    total,
+    count: events.length,
+    byType,
+    byCoin: Object.values(byCoin).sort((a, b) => b.value - a.value)
+  };
+};
+
+const monthKey = (date) => date.toISOString().slice(0, 7);
+
+// Income value per calendar month (UTC), split by type. Months without
+// income between the first and last event are included as zeros.
+const incomeByMonth = (events) => {
+  if (events.length === 0) return [];
+
+  const months = [];
+  const cursor = new Date(Date.UTC(events[0].date.getUTCFullYear(), events[0].date.getUTCMonth(), 1));
+  const last = monthKey(events[events.length - 1].date);
+
+  while (monthKey(cursor) <= last) {
+    const entry = { month: monthKey(cursor), total: 0 };
+    Transaction.INCOME_TYPES.forEach(type => { entry[type] = 0; });
+    months.push(entry);
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+
+  const byKey = new Map(months.map(entry => [entry.month, entry]));
+  events.forEach(event => {
+    const entry = byKey.get(monthKey(event.date));
+    entry[event.incomeType] += event.value;
+    entry.total += event.value;
+  });
+
+  return months;
+};
+
+module.exports = {
+  incomeEvents,
+  summarizeIncome,
+  incomeByMonth
+};
\ No newline at end of file
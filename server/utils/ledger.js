@@ -0,0 +1,279 @@
+// Helpers that derive per-coin positions from a user's transaction ledger.
+// Transactions are expected in chronological order (see Transaction.getLedger).
+
+const EPSILON = 1e-12;
+
+const isInflow = (type) => type === 'buy' || type === 'transfer_in' || type === 'income';
+
+// Each portfolio keeps its own books, so lots are matched per portfolio and coin
+const bookKey = (tx) => `${tx.portfolioId || ''}:${tx.coinId}`;
+
+// Where a transaction adds (+) or removes (-) coins, as [locationId, amount]
+// pairs. Untagged transactions count against the unassigned (null) location.
+const locationChanges = (tx) => {
+  const from = tx.locationId || null;
+  if (tx.type === 'move') return [[from, -tx.amount], [tx.toLocationId || null, tx.amount]];
+  return [[from, isInflow(tx.type) ? tx.amount : -tx.amount]];
+};
+
+const COST_BASIS_METHODS = ['fifo', 'lifo', 'hifo', 'average'];
+
+// Order in which open lots are consumed by a disposal for each method.
+// Average cost does not pick lots; it draws from all of them pro rata.
+const lotOrder = {
+  fifo: (a, b) => a.date - b.date,
+  lifo: (a, b) => b.date - a.date,
+  hifo: (a, b) => b.costPerUnit - a.costPerUnit || a.date - b.date
+};
+
+// Remove `amount` from the open lots and return the pieces that were taken
+const takeFromLots = (lots, amount, method) => {
+  const pieces = [];
+  const available = lots.reduce((sum, lot) => sum + lot.amount, 0);
+  if (available <= EPSILON) return pieces;
+
+  if (method === 'average') {
+    const fraction = Math.min(amount / available, 1);
+    lots.forEach(lot => {
+      const taken = lot.amount * fraction;
+      if (taken > EPSILON) {
+        pieces.push({ lot, amount: taken });
+        lot.amount -= taken;
+      }
+    });
+  } else {
+    let remaining = amount;
+    const ordered = [...lots].sort(lotOrder[method]);
+    for (const lot of ordered) {
+      if (remaining <= EPSILON) break;
+      const taken = Math.min(lot.amount, remaining);
+      pieces.push({ lot, amount: taken });
+      lot.amount -= taken;
+      remaining -= taken;
+    }
+  }
+
+  // Drop exhausted lots in place
+  for (let i = lots.length - 1; i >= 0; i--) {
+    if (lots[i].amount <= EPSILON) lots.splice(i, 1);
+  }
+
+  return pieces;
+};
+
+// Match disposals against acquisition lots using the given cost-basis method.
+// Returns the remaining open lots per portfolio and coin, and every realized disposal.
+const matchLots = (transactions, method = 'fifo') => {
+  if (!COST_BASIS_METHODS.includes(method)) {
+    throw new Error(`Unknown cost basis method: ${method}`);
+  }
+
+  const coins = new Map();
+  const disposals = [];
+
+  transactions.forEach(tx => {
+    const key = bookKey(tx);
+    if (!coins.has(key)) {
+      coins.set(key, {
+        portfolioId: tx.portfolioId,
+        coinId: tx.coinId,
+        coinName: tx.coinName,
+        symbol: tx.symbol,
+        lots: [],
+        realizedProfitLoss: 0,
+        totalFees: 0,
+        totalBought: 0,
+        totalSold: 0,
+        totalIncome: 0,
+        lastTransactionDate: null,
+        transactionCount: 0
+      });
+    }
+
+    const coin = coins.get(key);
+    const date = new Date(tx.date);
+    const feeValue = tx.feeValue || 0;
+    coin.transactionCount += 1;
+    coin.lastTransactionDate = date;
+    coin.totalFees += feeValue;
+
+    // Moves between locations stay in the same books and realize nothing
+    if (tx.type === 'move') return;
+
+    // Acquisition fees are part of the cost of the coins received. Income is
+    // acquired at its fair-market value on receipt.
+    if (isInflow(tx.type)) {
+      coin.lots.push({
+        transactionId: tx._id,
+        date,
+        amount: tx.amount,
+        costPerUnit: ((tx.price || 0) * tx.amount + feeValue) / tx.amount
+      });
+      if (tx.type === 'buy') coin.totalBought += tx.amount;
+      if (tx.type === 'income') coin.totalIncome += tx.amount;
+      return;
+    }
+
+    const pieces = takeFromLots(coin.lots, tx.amount, method);
+
+    // Transfers out leave the portfolio at cost and realize nothing
+    if (tx.type !== 'sell') return;
+
+    // Disposal fees reduce proceeds, shared across the matched lots
+    coin.totalSold += tx.amount;
+    pieces.forEach(piece => {
+      const fee = feeValue * (piece.amount / tx.amount);
+      const proceeds = piece.amount * (tx.price || 0) - fee;
+      const costBasis = piece.amount * piece.lot.costPerUnit;
+      const gain = proceeds - costBasis;
+
+      coin.realizedProfitLoss += gain;
+      disposals.push({
+        transactionId: tx._id,
+        portfolioId: tx.portfolioId,
+        coinId: tx.coinId,
+        coinName: tx.coinName,
+        symbol: tx.symbol,
+        amount: piece.amount,
+        acquisitionTransactionId: piece.lot.transactionId,
+        acquisitionDate: piece.lot.date,
+        disposalDate: date,
+        fee,
+        proceeds,
+        costBasis,
+        gain
+      });
+    });
+  });
+
+  return { coins: Array.from(coins.values()), disposals };
+};
+
+// Build per-coin positions from the open lots left after matching. Books for
+// the same coin in different portfolios are combined into one position.
+const buildPositions = (transactions, method = 'fifo') => {
+  const { coins, disposals } = matchLots(transactions, method);
+  const merged = new Map();
+
+  coins.forEach(({ lots, portfolioId, ...coin }) => {
+    if (!merged.has(coin.coinId)) {
+      merged.set(coin.coinId, { ...coin, portfolioIds: [], lots: [] });
+      return mergeBook(merged.get(coin.coinId), portfolioId, lots);
+    }
+
+    const position = merged.get(coin.coinId);
+    position.realizedProfitLoss += coin.realizedProfitLoss;
+    position.totalFees += coin.totalFees;
+    position.totalBought += coin.totalBought;
+    position.totalSold += coin.totalSold;
+    position.totalIncome += coin.totalIncome;
+    position.transactionCount += coin.transactionCount;
+    if (coin.lastTransactionDate > position.lastTransactionDate) {
+      position.lastTransactionDate = coin.lastTransactionDate;
+    }
+    mergeBook(position, portfolioId, lots);
+  });
+
+  const positions = Array.from(merged.values()).map(position => {
+    const { lots } = position;
+    const amount = lots.reduce((sum, lot) => sum + lot.amount, 0);
+    const totalInvestment = lots.reduce((sum, lot) => sum + lot.amount * lot.costPerUnit, 0);
+    const purchaseDate = lots.length > 0
+      ? new Date(Math.min(...lots.map(lot => lot.date.getTime())))
+      : null;
+
+    return {
+      ...position,
+      amount: amount > EPSILON ? amount : 0,
+      totalInvestment: amount > EPSILON ? totalInvestment : 0,
+      buyPrice: amount > EPSILON ? totalInvestment / amount : 0,
+      purchaseDate
+    };
+  });
+
+  return { positions, disposals };
+};
+
+// Add one portfolio's open lots for a coin to a combined position
+const mergeBook = (position, portfolioId, lots) => {
+  if (portfolioId && !position.portfolioIds.some(id => String(id) === String(portfolioId))) {
+    position.portfolioIds.push(portfolioId);
+  }
+  lots.forEach(lot => position.lots.push({ ...lot, portfolioId }));
+};
+
+// Return the first transaction that would take a coin balance below zero, if
+// any. Balances are checked for the whole book and for each location in it;
+// locationId is set when only the location ran short.
+const findNegativeBalance = (transactions) => {
+  const balances = {};
+  const locationBalances = {};
+
+  for (const tx of transactions) {
+    const key = bookKey(tx);
+    if (tx.type !== 'move') {
+      const balance = (balances[key] || 0) + (isInflow(tx.type) ? tx.amount : -tx.amount);
+      if (balance < -EPSILON) {
+        return { transaction: tx, shortfall: -balance };
+      }
+      balances[key] = balance;
+    }
+
+    for (const [locationId, change] of locationChanges(tx)) {
+      const locationKey = `${key}:${locationId || ''}`;
+      const balance = (locationBalances[locationKey] || 0) + change;
+      if (balance < -EPSILON) {
+        return { transaction: tx, shortfall: -balance, locationId };
+      }
+      locationBalances[locationKey] = balance;
+    }
+  }
+
+  return null;
+};
+
+// Coins held at each location, combined across portfolios. Locations whose
+// balance nets to zero are left out.
+const buildLocationBalances = (transactions) => {
+  const balances = new Map();
+
+  transactions.forEach(tx => {
+    locationChanges(tx).forEach(([locationId, change]) => {
+      const key = `${locationId || ''}:${tx.coinId}`;
+      if (!balances.has(key)) {
+        balances.set(key, {
+          locationId,
+          coinId: tx.coinId,
+          coinName: tx.coinName,
+          symbol: tx.symbol,
+          amount: 0
+        });
+      }
+      balances.get(key).amount += change;
+    });
+  });
+
+  return Array.from(balances.values()).filter(balance => balance.amount > EPSILON);
+};
+
+// Sort transactions chronologically, keeping insertion order for equal dates.
+// Unsaved transactions (no createdAt yet) sort after saved ones on the same date.
+const sortLedger = (transactions) => {
+  const createdAt = (tx) => (tx.createdAt ? new Date(tx.createdAt).getTime() : Number.MAX_SAFE_INTEGER);
+
+  return [...transactions].sort((a, b) => {
+    const byDate = new Date(a.date) - new Date(b.date);
+    if (byDate !== 0) return byDate;
+    return createdAt(a) - createdAt(b);
+  });
+};
+
+module.exports = {
+  COST_BASIS_METHODS,
+  isInflow,
+  matchLots,
+  buildPositions,
+  findNegativeBalance,
+  buildLocationBalances,
+  sortLedger
+};
\ No newline at end of file
@@ -0,0 +1,49 @@
+// Per-location breakdown of holdings, from ledger.buildLocationBalances and
+// the live prices of a calculated portfolio (see utils/valuation)
+
+// Group location balances by location and value them. Every location is
+// listed, even empty ones; unassigned coins come last under location null.
+const buildLocationBreakdown = (balances, holdings, locations) => {
+  const prices = new Map(holdings.map(h => [h.coinId, h.currentPrice || 0]));
+  const groups = new Map(locations.map(location => [String(location._id), {
+    location: { _id: location._id, name: location.name, type: location.type },
+    totalValue: 0,
+    holdings: []
+  }]));
+
+  balances.forEach(balance => {
+    const key = balance.locationId && groups.has(String(balance.locationId))
+      ? String(balance.locationId)
+      : 'unassigned';
+    if (!groups.has(key)) {
+      groups.set(key, { location: null, totalValue: 0, holdings: [] });
+    }
+
+    const group = groups.get(key);
+    const currentPrice = prices.get(balance.coinId) || 0;
+    const value = balance.amount * currentPrice;
+    group.holdings.push({
+      coinId: balance.coinId,
+      coinName: balance.coinName,
+      symbol: balance.symbol,
+      amount: balance.amount,
+      currentPrice,
+      value
+    });
+    group.totalValue += value;
+  });
+
+  const total = Array.from(groups.values()).reduce((sum, group) => sum + group.totalValue, 0);
+
+  return Array.from(groups.values())
+    .map(group => ({
+      ...group,
+      percentage: total > 0 ? (group.totalValue / total) * 100 : 0,
+      holdings: group.holdings.sort((a, b) => b.value - a.value)
+    }))
+    .sort((a, b) => (a.location === null) - (b.location === null) || b.totalValue - a.totalValue);
+};
+
+module.exports = {
+  buildLocationBreakdown
+};
\ No newline at end of file
@@ -0,0 +1,239 @@
+const { createProviders } = require('./providers');
+const { createCacheStore, ResponseCache } = require('./cache');
+const PriceBatcher = require('./priceBatcher');
+
+// CoinCap only answers requests with an API key, so it is a fallback only when
+// one is configured
+const DEFAULT_PROVIDERS = process.env.COINCAP_API_KEY ? 'coingecko,coincap' : 'coingecko';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// How long each kind of response is fresh (ttl) and how long after that it is
+// still served while being refreshed (stale). Fresh lifetimes can be changed
+// with MARKET_CACHE_TTLS, e.g. "prices=15,markets=120" (seconds).
+const CACHE_POLICIES = {
+  coins: { ttl: DAY_MS, stale: DAY_MS },
+  markets: { ttl: MINUTE_MS, stale: 5 * MINUTE_MS },
+  coin: { ttl: 5 * MINUTE_MS, stale: 30 * MINUTE_MS },
+  coinsByIds: { ttl: MINUTE_MS, stale: 5 * MINUTE_MS },
+  prices: { ttl: 30 * 1000, stale: 5 * MINUTE_MS },
+  recentHistory: { ttl: 5 * MINUTE_MS, stale: 30 * MINUTE_MS },
+  history: { ttl: HOUR_MS, stale: 6 * HOUR_MS },
+  todayPrice: { ttl: 5 * MINUTE_MS, stale: 30 * MINUTE_MS },
+  // A past day's price does not change
+  pastPrice: { ttl: 30 * DAY_MS, stale: 0 },
+  search: { ttl: HOUR_MS, stale: DAY_MS },
+  trending: { ttl: 10 * MINUTE_MS, stale: HOUR_MS },
+  global: { ttl: 5 * MINUTE_MS, stale: 30 * MINUTE_MS }
+};
+
+const loadCachePolicies = () => {
+  const policies = Object.fromEntries(Object.entries(CACHE_POLICIES).map(([name, policy]) => [name, { ...policy }]));
+
+  (process.env.MARKET_CACHE_TTLS || '').split(',').filter(Boolean).forEach(pair => {
+    const [name, seconds] = pair.split('=').map(part => part.trim());
+    if (!policies[name] || !(parseFloat(seconds) >= 0)) {
+      console.warn(`Invalid MARKET_CACHE_TTLS entry "${pair}" ignored`);
+      return;
+    }
+    policies[name].ttl = parseFloat(seconds) * 1000;
+  });
+
+  return policies;
+};
+
+// An error means the provider itself is unavailable (unreachable, rate
+// limited or failing) rather than the request being bad
+const isOutage = (error) => !error.status || error.status === 429 || error.status >= 500;
+
+// Market data for the whole app. Requests go to the configured providers in
+// order (MARKET_DATA_PROVIDERS), falling back to the next one when a provider
+// fails, so prices keep flowing while the primary is down. A provider with an
+// outage is tried last until its cooldown has passed.
+class MarketDataService {
+  constructor() {
+    const names = (process.env.MARKET_DATA_PROVIDERS || DEFAULT_PROVIDERS)
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean);
+
+    this.providers = createProviders(names);
+    if (this.providers.length === 0) {
+      console.warn('No valid market data providers configured, using defaults');
+      this.providers = createProviders(DEFAULT_PROVIDERS.split(','));
+    }
+
+    this.cooldown = parseInt(process.env.MARKET_DATA_COOLDOWN_MS) || 60000;
+    this.health = new Map(this.providers.map(provider => [provider.name, {
+      lastSuccessAt: null,
+      lastError: null,
+      lastErrorAt: null,
+      downUntil: null
+    }]));
+
+    this.cache = new ResponseCache(createCacheStore());
+    this.cachePolicies = loadCachePolicies();
+
+    // Price lookups are cached per coin and currency and fetched in batches
+    this.priceBatcher = new PriceBatcher(
+      (coinIds, currencies) => this.request('getSimplePrices', coinIds, currencies),
+      { windowMs: parseInt(process.env.PRICE_BATCH_WINDOW_MS) || 50 }
+    );
+  }
+
+  // Providers in the order to try them: healthy ones first, keeping the
+  // configured order within each group
+  orderedProviders() {
+    const now = Date.now();
+    const isDown = (provider) => this.health.get(provider.name).downUntil > now;
+    return [
+      ...this.providers.filter(provider => !isDown(provider)),
+      ...this.providers.filter(isDown)
+    ];
+  }
+
+  // Call a method on each provider in turn until one succeeds. A coin or
+  // price that does not exist (404) is not retried elsewhere and says nothing
+  // about the provider's health. When every provider fails
+  // the first real error is thrown, keeping its status and Retry-After.
+  async request(method, ...args) {
+    let firstError = null;
+
+    for (const provider of this.orderedProviders()) {
+      const health = this.health.get(provider.name);
+      try {
+        const data = await provider[method](...args);
+        health.lastSuccessAt = new Date();
+        health.downUntil = null;
+        return data;
+      } catch (error) {
+        if (error.unsupported) continue;
+        if (error.status === 404) throw error;
+
+        health.lastError = error.message;
+        health.lastErrorAt = new Date();
+        if (isOutage(error)) {
+          health.downUntil = Date.now() + this.cooldown;
+        }
+        firstError = firstError || error;
+      }
+    }
+
+    throw firstError || new Error(`No market data provider supports ${method}`);
+  }
+
+  // Return a cached value or fetch it through the providers
+  async cached(cacheKey, policy, method, ...args) {
+    return this.cache.wrap(cacheKey, this.cachePolicies[policy], () => this.request(method, ...args));
+  }
+
+  // Get list of all coins
+  async getCoins() {
+    return this.cached('coins_list', 'coins', 'getCoins');
+  }
+
+  // Get coin market data with pagination
+  async getCoinMarkets(options = {}) {
+    const { vs_currency = 'usd', per_page = 100, page = 1 } = options;
+    return this.cached(`markets_${vs_currency}_${page}_${per_page}`, 'markets', 'getCoinMarkets', options);
+  }
+
+  // Get specific coin data
+  async getCoin(coinId) {
+    return this.cached(`coin_${coinId}`, 'coin', 'getCoin', coinId);
+  }
+
+  // Get multiple coins data by IDs
+  async getCoinsByIds(coinIds, vs_currency = 'usd') {
+    if (!coinIds.length) return [];
+    return this.cached(`coins_${coinIds.join(',')}_${vs_currency}`, 'coinsByIds', 'getCoinsByIds', coinIds, vs_currency);
+  }
+
+  // Get simple price for multiple coins. Each coin and currency is cached on
+  // its own, so overlapping requests share entries, and misses are batched.
+  async getSimplePrices(coinIds, vs_currencies = ['usd']) {
+    if (!coinIds.length) return {};
+
+    const lookups = [...new Set(coinIds)].flatMap(coinId => vs_currencies.map(currency => ({ coinId, currency })));
+    const results = await Promise.all(lookups.map(({ coinId, currency }) => this.cache.wrap(
+      `price_${coinId}_${currency}`,
+      this.cachePolicies.prices,
+      () => this.priceBatcher.load(coinId, currency)
+    )));
+
+    // Coins the provider does not know are left out, as in the upstream response
+    const prices = {};
+    lookups.forEach(({ coinId }, index) => {
+      if (results[index]) prices[coinId] = { ...prices[coinId], ...results[index] };
+    });
+    return prices;
+  }
+
+  // Get coin price history, with daily or hourly points
+  async getCoinHistory(coinId, vs_currency = 'usd', days = 7, interval = days <= 1 ? 'hourly' : 'daily') {
+    const policy = interval === 'hourly' ? 'recentHistory' : 'history';
+    return this.cached(`history_${coinId}_${vs_currency}_${days}_${interval}`, policy, 'getCoinHistory', coinId, vs_currency, days, interval);
+  }
+
+  // Get a coin's price on a specific (UTC) day
+  async getPriceAtDate(coinId, date, vs_currency = 'usd') {
+    const day = new Date(date).toISOString().split('T')[0];
+    const policy = day === new Date().toISOString().split('T')[0] ? 'todayPrice' : 'pastPrice';
+    return this.cached(`price_at_${coinId}_${day}_${vs_currency}`, policy, 'getPriceAtDate', coinId, date, vs_currency);
+  }
+
+  // Search coins
+  async searchCoins(query) {
+    if (!query || query.trim().length < 2) return [];
+    return this.cached(`search_${query.toLowerCase()}`, 'search', 'searchCoins', query);
+  }
+
+  // Get trending coins
+  async getTrendingCoins() {
+    return this.cached('trending_coins', 'trending', 'getTrendingCoins');
+  }
+
+  // Get global market data
+  async getGlobalData() {
+    return this.cached('global_data', 'global', 'getGlobalData');
+  }
+
+  // Provider order and health, for diagnosing fallbacks
+  getProviderStatus() {
+    const now = Date.now();
+    return this.providers.map((provider, index) => {
+      const health = this.health.get(provider.name);
+      return {
+        name: provider.name,
+        primary: index === 0,
+        available: !(health.downUntil > now),
+        lastSuccessAt: health.lastSuccessAt,
+        lastError: health.lastError,
+        lastErrorAt: health.lastErrorAt,
+        retryAt: health.downUntil > now ? new Date(health.downUntil) : null,
+        rateLimit: provider.limiter ? provider.limiter.status() : null
+      };
+    });
+  }
+
+  // Clear cache (useful for testing or force refresh)
+  async clearCache() {
+    await this.cache.clear();
+  }
+
+  // Get cache stats: hit/miss counts since the last clear, and store size
+  async getCacheStats() {
+    return {
+      ...(await this.cache.stats()),
+      priceBatching: this.priceBatcher.stats(),
+      policies: this.cachePolicies
+    };
+  }
+}
+
+// Create and export a singleton instance
+const marketDataService = new MarketDataService();
+
+module.exports = marketDataService;
\ No newline at end of file
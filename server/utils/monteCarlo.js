@@ -0,0 +1,186 @@
+// Monte Carlo projection of the current holdings' value from historical
+// daily returns. Runs are seeded so the same inputs give the same bands.
+// - bootstrap: each simulated day replays a randomly picked historical day
+//   for every coin at once, which keeps their co-movement
+// - gbm: geometric Brownian motion with the drift and volatility of the
+//   portfolio's historical daily log returns at today's weights
+const { PortfolioSnapshot } = require('../models');
+const { DAY_MS } = require('./returns');
+const { loadDailyPrices } = require('./priceHistory');
+const { priceReturns } = require('./risk');
+
+const HORIZONS = [30, 90, 365];
+const METHODS = ['bootstrap', 'gbm'];
+const PERCENTILES = [5, 25, 50, 75, 95];
+const LOOKBACK_DAYS = 365;
+const MIN_OBSERVATIONS = 30;
+const DEFAULT_PATHS = 1000;
+const MAX_PATHS = 5000;
+
+// Small, fast seeded PRNG (mulberry32) returning floats in [0, 1)
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal draws from a uniform source (Box-Muller)
+const normalFrom = (random) => () => {
+  let u = 0;
+  while (u === 0) u = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+// Value at percentile p (0-100) of a sorted array, interpolating between ranks
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const low = Math.floor(rank);
+  const high = Math.ceil(rank);
+  return sorted[low] + (sorted[high] - sorted[low]) * (rank - low);
+};
+
+// Historical days on which every coin has a return, as rows of simple
+// returns in the order of coinIds
+const alignReturns = (coinIds, returnsByCoin) => {
+  const byDay = coinIds.map(coinId => new Map(returnsByCoin[coinId].map(r => [r.date.getTime(), r.value])));
+  const days = [...byDay[0].keys()].filter(day => byDay.every(returns => returns.has(day)));
+  return days.map(day => byDay.map(returns => returns.get(day)));
+};
+
+// Simulate paths of portfolio value. Returns one Float64Array per day
+// (index 0 = today) holding every path's value on that day.
+const simulatePaths = ({ values, rows, method, horizon, paths, seed }) => {
+  const random = seededRandom(seed);
+  const startValue = values.reduce((sum, v) => sum + v, 0);
+  const days = Array.from({ length: horizon + 1 }, () => new Float64Array(paths));
+
+  if (method === 'gbm') {
+    const logReturns = rows.map(row => Math.log(1 + row.reduce((sum, r, i) => sum + r * values[i], 0) / startValue));
+    const mu = logReturns.reduce((sum, r) => sum + r, 0) / logReturns.length;
+    const sigma = Math.sqrt(logReturns.reduce((sum, r) => sum + (r - mu) ** 2, 0) / (logReturns.length - 1));
+    const normal = normalFrom(random);
+
+    for (let p = 0; p < paths; p++) {
+      let value = startValue;
+      days[0][p] = value;
+      for (let d = 1; d <= horizon; d++) {
+        value *= Math.exp(mu + sigma * normal());
+        days[d][p] = value;
+      }
+    }
+    return days;
+  }
+
+  // Bootstrap tracks each coin so weights drift the way a buy-and-hold would
+  const coinValues = new Float64Array(values.length);
+  for (let p = 0; p < paths; p++) {
+    values.forEach((v, i) => { coinValues[i] = v; });
+    days[0][p] = startValue;
+    for (let d = 1; d <= horizon; d++) {
+      const row = rows[Math.floor(random() * rows.length)];
+      let total = 0;
+      for (let i = 0; i < coinValues.length; i++) {
+        coinValues[i] *= 1 + row[i];
+        total += coinValues[i];
+      }
+      days[d][p] = total;
+    }
+  }
+  return days;
+};
+
+// Project the value of `holdings` over `horizon` days.
+// Coins with under 30 days of history are held flat and listed as excluded.
+// Throws with status 404 when no coin has enough history.
+const projectPortfolio = async ({ holdings, currency, horizon = 90, method = 'bootstrap', paths = DEFAULT_PATHS, seed, goal }) => {
+  const held = holdings.filter(h => h.currentValue > 0);
+  const today = PortfolioSnapshot.startOfDay();
+  const start = new Date(today.getTime() - LOOKBACK_DAYS * DAY_MS);
+
+  const coinIds = held.map(h => h.coinId);
+  const prices = coinIds.length > 0 ? await loadDailyPrices(coinIds, currency, start) : new Map();
+
+  const returnsByCoin = {};
+  coinIds.forEach(coinId => {
+    returnsByCoin[coinId] = priceReturns(prices.get(coinId) || new Map()).returns;
+  });
+
+  const simulated = held.filter(h => returnsByCoin[h.coinId].length >= MIN_OBSERVATIONS);
+  const excluded = held.filter(h => returnsByCoin[h.coinId].length < MIN_OBSERVATIONS);
+  const rows = simulated.length > 0 ? alignReturns(simulated.map(h => h.coinId), returnsByCoin) : [];
+
+  if (rows.length < MIN_OBSERVATIONS) {
+    const error = new Error('Not enough price history to run a projection');
+    error.status = 404;
+    throw error;
+  }
+
+  const runSeed = seed ?? Math.floor(Math.random() * 2 ** 31);
+  const flatValue = excluded.reduce((sum, h) => sum + h.currentValue, 0);
+  const days = simulatePaths({
+    values: simulated.map(h => h.currentValue),
+    rows,
+    method,
+    horizon,
+    paths,
+    seed: runSeed
+  });
+
+  const bands = days.map((values, day) => {
+    const sorted = Float64Array.from(values).sort();
+    const band = { day, date: new Date(today.getTime() + day * DAY_MS) };
+    PERCENTILES.forEach(p => { band[`p${p}`] = percentile(sorted, p) + flatValue; });
+    return band;
+  });
+
+  const finalValues = days[horizon];
+  const mean = finalValues.reduce((sum, v) => sum + v, 0) / paths + flatValue;
+
+  let goalResult = null;
+  if (goal) {
+    // Ending at or above the goal, and reaching it on any day along the way
+    let reached = 0;
+    let touched = 0;
+    for (let p = 0; p < paths; p++) {
+      if (finalValues[p] + flatValue >= goal) reached++;
+      for (let d = 0; d <= horizon; d++) {
+        if (days[d][p] + flatValue >= goal) {
+          touched++;
+          break;
+        }
+      }
+    }
+    goalResult = { value: goal, probability: reached / paths, probabilityTouched: touched / paths };
+  }
+
+  return {
+    method,
+    horizon,
+    paths,
+    seed: runSeed,
+    currency,
+    startValue: bands[0].p50,
+    lookback: { from: start, to: today, observations: rows.length },
+    excluded: excluded.map(h => ({ coinId: h.coinId, coinName: h.coinName, symbol: h.symbol, value: h.currentValue })),
+    bands,
+    final: { ...bands[horizon], mean },
+    goal: goalResult
+  };
+};
+
+module.exports = {
+  HORIZONS,
+  METHODS,
+  PERCENTILES,
+  MAX_PATHS,
+  seededRandom,
+  percentile,
+  simulatePaths,
+  projectPortfolio
+};
\ No newline at end of file
@@ -0,0 +1,188 @@
+// Local OHLCV history: daily candles for as far back as has been asked for and
+// hourly candles for recent days, filled from the market data providers and
+// then topped up incrementally so history requests are served from Mongo.
+const { CandleSync, PriceCandle } = require('../models');
+const marketDataService = require('./marketDataService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Hourly candles are kept for this many days
+const HOURLY_DAYS = 30;
+
+// Longest history that can be asked for, about ten years
+const MAX_HISTORY_DAYS = 3650;
+
+// Recent candles are refetched at most this often
+const REFRESH_MS = 15 * 60 * 1000;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Group [timestamp, price] points from `from` onwards into candles of
+// bucketMs. Each candle opens at the previous close, so daily data with one
+// point per day still gives continuous candles. Volume is the 24h volume at
+// the last point of the candle when volumes are given.
+const buildCandles = (prices, volumes, bucketMs, from) => {
+  const volumeAt = new Map(volumes || []);
+  const buckets = new Map();
+
+  (prices || []).forEach(([time, price]) => {
+    if (time < from.getTime() || price === null || price === undefined) return;
+    const bucket = Math.floor(time / bucketMs) * bucketMs;
+    if (!buckets.has(bucket)) buckets.set(bucket, []);
+    buckets.get(bucket).push([time, price]);
+  });
+
+  const candles = [];
+  let previousClose = null;
+  Array.from(buckets.keys()).sort((a, b) => a - b).forEach(bucket => {
+    const points = buckets.get(bucket);
+    const values = points.map(([, price]) => price);
+    const [lastTime, close] = points[points.length - 1];
+    const open = previousClose ?? values[0];
+
+    candles.push({
+      time: bucket,
+      open,
+      high: Math.max(open, ...values),
+      low: Math.min(open, ...values),
+      close,
+      volume: volumeAt.has(lastTime) ? volumeAt.get(lastTime) : null
+    });
+    previousClose = close;
+  });
+
+  return candles;
+};
+
+// Fetch whatever the stored candles are missing to cover `from` to now.
+// Recent candles are refetched once they are refreshMs old.
+const syncCandles = async (coinId, currency, from, refreshMs = REFRESH_MS) => {
+  const now = Date.now();
+  const recentStart = startOfDay(now - HOURLY_DAYS * DAY_MS);
+  const state = await CandleSync.findOne({ coinId, currency }) || new CandleSync({ coinId, currency });
+
+  // Daily candles for older history, or for a gap left while nothing asked
+  // for the coin. Days covered by the recent fetch below are left to it.
+  const missingHistory = !state.historyStart || from < state.historyStart;
+  const gap = state.recentSyncedAt && state.recentSyncedAt < recentStart;
+  if (missingHistory || gap) {
+    const start = missingHistory ? startOfDay(from) : startOfDay(state.recentSyncedAt);
+    const days = Math.ceil((now - start.getTime()) / DAY_MS) + 1;
+    const history = await marketDataService.getCoinHistory(coinId, currency, days, 'daily');
+
+    const candles = buildCandles(history.prices, history.total_volumes, DAY_MS, start)
+      .filter(candle => candle.time < recentStart.getTime());
+    await PriceCandle.recordCandles(coinId, currency, '1d', candles);
+
+    if (missingHistory) state.historyStart = start;
+  }
+
+  // Recent days from hourly points, giving both hourly candles and proper
+  // daily highs and lows. Only whole days are rebuilt.
+  if (!state.recentSyncedAt || now - state.recentSyncedAt.getTime() >= refreshMs) {
+    const start = state.recentSyncedAt && state.recentSyncedAt >= recentStart
+      ? startOfDay(state.recentSyncedAt)
+      : recentStart;
+    const days = Math.max(1, Math.ceil((now - start.getTime()) / DAY_MS));
+    const history = await marketDataService.getCoinHistory(coinId, currency, days, 'hourly');
+
+    await Promise.all([
+      PriceCandle.recordCandles(coinId, currency, '1h', buildCandles(history.prices, null, HOUR_MS, start)),
+      PriceCandle.recordCandles(coinId, currency, '1d', buildCandles(history.prices, history.total_volumes, DAY_MS, start)),
+      PriceCandle.deleteMany({ coinId, currency, interval: '1h', time: { $lt: recentStart } })
+    ]);
+
+    state.recentSyncedAt = new Date(now);
+  }
+
+  await state.save();
+};
+
+// Syncs run one at a time per coin and currency; a request arriving during a
+// sync waits for it and then usually has nothing left to fetch
+const syncs = new Map();
+
+const ensureCandles = (coinId, currency, from, refreshMs) => {
+  const key = `${coinId}_${currency}`;
+  const previous = syncs.get(key) || Promise.resolve();
+  const sync = previous.catch(() => {}).then(() => syncCandles(coinId, currency, from, refreshMs));
+
+  syncs.set(key, sync);
+  sync.catch(() => {}).finally(() => {
+    if (syncs.get(key) === sync) syncs.delete(key);
+  });
+  return sync;
+};
+
+// Candles for a coin from `from` to now. Falls back to what is stored when
+// the providers cannot be reached; a coin that does not exist is an error.
+const getCandles = async (coinId, currency, interval, from, { refreshMs } = {}) => {
+  const now = new Date();
+  const start = interval === '1h'
+    ? new Date(Math.max(from.getTime(), startOfDay(now.getTime() - HOURLY_DAYS * DAY_MS).getTime()))
+    : startOfDay(from);
+
+  let syncError = null;
+  try {
+    await ensureCandles(coinId, currency, start, refreshMs);
+  } catch (error) {
+    if (error.status === 404) throw error;
+    console.error(`Failed to sync candles for ${coinId}:`, error.message);
+    syncError = error;
+  }
+
+  const candles = await PriceCandle.getCandles(coinId, currency, interval, start, now);
+  if (candles.length === 0 && syncError) throw syncError;
+  return candles;
+};
+
+// Price history in the provider market-chart shape, from stored candles:
+// hourly closes for a day or less, daily closes otherwise
+const getPriceHistory = async (coinId, currency, days) => {
+  const interval = days <= 1 ? '1h' : '1d';
+  const from = new Date(Date.now() - days * DAY_MS);
+  const candles = await getCandles(coinId, currency, interval, from);
+
+  return {
+    prices: candles.map(candle => [candle.time.getTime(), candle.close]),
+    market_caps: [],
+    total_volumes: candles
+      .filter(candle => candle.volume !== null)
+      .map(candle => [candle.time.getTime(), candle.volume])
+  };
+};
+
+// Daily closes for a coin from `from` to now as a map of day timestamp ->
+// price, for valuing holdings on past days. Day-old recent candles are
+// recent enough for that, which keeps upstream requests down.
+const getDailyCloses = async (coinId, currency, from) => {
+  const candles = await getCandles(coinId, currency, '1d', from, { refreshMs: DAY_MS });
+  return new Map(candles.map(candle => [candle.time.getTime(), candle.close]));
+};
+
+// Stored daily closes for several coins between two days, without fetching.
+// Returns a map of coinId -> Map(day timestamp -> price).
+const readDailyCloses = async (coinIds, currency, from, to) => {
+  const series = new Map();
+  for (const coinId of coinIds) {
+    const candles = await PriceCandle.getCandles(coinId, currency, '1d', startOfDay(from), startOfDay(to));
+    series.set(coinId, new Map(candles.map(candle => [candle.time.getTime(), candle.close])));
+  }
+  return series;
+};
+
+module.exports = {
+  HOURLY_DAYS,
+  MAX_HISTORY_DAYS,
+  buildCandles,
+  ensureCandles,
+  getCandles,
+  getDailyCloses,
+  getPriceHistory,
+  readDailyCloses
+};
\ No newline at end of file
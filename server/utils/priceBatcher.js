@@ -0,0 +1,77 @@
+// Merges single-coin price lookups made within a short window into one
+// simple-price request, so users with overlapping holdings share upstream
+// calls. Each caller gets its own coin's fields from the merged response.
+
+// Coins per upstream request, which keeps the query string a sane length
+const MAX_IDS_PER_REQUEST = 250;
+
+// The fields of a simple-price response that belong to one currency
+const pickCurrency = (prices, currency) => {
+  if (!prices || prices[currency] === undefined) return null;
+  return {
+    [currency]: prices[currency],
+    [`${currency}_market_cap`]: prices[`${currency}_market_cap`],
+    [`${currency}_24h_vol`]: prices[`${currency}_24h_vol`],
+    [`${currency}_24h_change`]: prices[`${currency}_24h_change`],
+    last_updated_at: prices.last_updated_at
+  };
+};
+
+class PriceBatcher {
+  // fetchPrices(coinIds, currencies) resolves to a simple-price response
+  constructor(fetchPrices, { windowMs = 50 } = {}) {
+    this.fetchPrices = fetchPrices;
+    this.windowMs = windowMs;
+    this.pending = [];
+    this.timer = null;
+    this.counters = { lookups: 0, batches: 0, upstreamRequests: 0 };
+  }
+
+  // Resolves to the coin's fields in the currency, or null when the
+  // provider has no price for it
+  load(coinId, currency) {
+    this.counters.lookups++;
+    return new Promise((resolve, reject) => {
+      this.pending.push({ coinId, currency, resolve, reject });
+      if (!this.timer) {
+        this.timer = setTimeout(() => this.flush(), this.windowMs);
+      }
+    });
+  }
+
+  async flush() {
+    const lookups = this.pending;
+    this.pending = [];
+    this.timer = null;
+    this.counters.batches++;
+
+    const coinIds = [...new Set(lookups.map(lookup => lookup.coinId))];
+    const currencies = [...new Set(lookups.map(lookup => lookup.currency))];
+
+    const chunks = [];
+    for (let i = 0; i < coinIds.length; i += MAX_IDS_PER_REQUEST) {
+      chunks.push(coinIds.slice(i, i + MAX_IDS_PER_REQUEST));
+    }
+
+    await Promise.all(chunks.map(async (chunk) => {
+      const inChunk = lookups.filter(lookup => chunk.includes(lookup.coinId));
+      this.counters.upstreamRequests++;
+      try {
+        const prices = await this.fetchPrices(chunk, currencies);
+        inChunk.forEach(lookup => lookup.resolve(pickCurrency(prices[lookup.coinId], lookup.currency)));
+      } catch (error) {
+        inChunk.forEach(lookup => lookup.reject(error));
+      }
+    }));
+  }
+
+  stats() {
+    return {
+      windowMs: this.windowMs,
+      pending: this.pending.length,
+      ...this.counters
+    };
+  }
+}
+
+module.exports = PriceBatcher;
\ No newline at end of file
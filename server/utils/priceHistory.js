@@ -0,0 +1,46 @@
+// Daily price series for valuing portfolios on past days: daily closes from
+// the local candle store, which fetches whatever it is missing.
+const { getDailyCloses } = require('./ohlcHistory');
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Load daily prices for several coins from `from` to today.
+// Returns a map of coinId -> Map(day timestamp -> price), sorted by day. A
+// coin whose prices cannot be had gets an empty series.
+const loadDailyPrices = async (coinIds, currency, from) => {
+  const start = startOfDay(from);
+  const series = new Map();
+
+  for (const coinId of coinIds) {
+    try {
+      series.set(coinId, await getDailyCloses(coinId, currency, start));
+    } catch (error) {
+      console.error(`Failed to load price history for ${coinId}:`, error.message);
+      series.set(coinId, new Map());
+    }
+  }
+
+  return series;
+};
+
+// Price of a coin on a day, carrying the last known price forward over gaps
+const priceOnDay = (prices, date) => {
+  const time = startOfDay(date).getTime();
+  if (prices.has(time)) return prices.get(time);
+
+  let price = null;
+  for (const [day, value] of prices) {
+    if (day > time) break;
+    price = value;
+  }
+  return price;
+};
+
+module.exports = {
+  loadDailyPrices,
+  priceOnDay
+};
\ No newline at end of file
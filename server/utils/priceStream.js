@@ -0,0 +1,129 @@
+// Live prices pushed to clients over Server-Sent Events. Each client
+// subscribes to a set of coins in one currency; a single polling loop
+// fetches the union of subscribed coins per currency and sends every client
+// the coins whose prices changed since its last tick.
+const marketDataService = require('./marketDataService');
+
+const MAX_COINS_PER_SUBSCRIPTION = 100;
+
+const toTick = (prices, currency) => ({
+  price: prices[currency],
+  change24h: prices[`${currency}_24h_change`] ?? null,
+  marketCap: prices[`${currency}_market_cap`] ?? null,
+  volume24h: prices[`${currency}_24h_vol`] ?? null,
+  lastUpdatedAt: prices.last_updated_at ? new Date(prices.last_updated_at * 1000) : null
+});
+
+class PriceStream {
+  constructor() {
+    this.intervalMs = parseInt(process.env.PRICE_STREAM_INTERVAL_MS) || 30000;
+    // Every open stream widens what is polled against the shared upstream
+    // rate limit, so connections are capped overall and per client address
+    this.maxSubscribers = parseInt(process.env.PRICE_STREAM_MAX_CLIENTS) || 500;
+    this.maxPerAddress = parseInt(process.env.PRICE_STREAM_MAX_PER_IP) || 10;
+    this.subscribers = new Set();
+    this.timer = null;
+    this.polling = false;
+  }
+
+  send(subscriber, event, data) {
+    subscriber.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  // Send a subscriber the coins whose price moved since its last tick
+  deliver(subscriber, prices, timestamp) {
+    const changed = {};
+    subscriber.coinIds.forEach(coinId => {
+      const coin = prices[coinId];
+      if (!coin || coin[subscriber.currency] === undefined) return;
+
+      const tick = toTick(coin, subscriber.currency);
+      if (subscriber.lastPrices.get(coinId) === tick.price) return;
+      subscriber.lastPrices.set(coinId, tick.price);
+      changed[coinId] = tick;
+    });
+
+    if (Object.keys(changed).length > 0) {
+      this.send(subscriber, 'prices', { currency: subscriber.currency, timestamp, prices: changed });
+    } else {
+      // A comment keeps proxies from closing an idle connection
+      subscriber.res.write(': keep-alive\n\n');
+    }
+  }
+
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      const byCurrency = new Map();
+      this.subscribers.forEach(subscriber => {
+        if (!byCurrency.has(subscriber.currency)) byCurrency.set(subscriber.currency, new Set());
+        subscriber.coinIds.forEach(coinId => byCurrency.get(subscriber.currency).add(coinId));
+      });
+
+      for (const [currency, coinIds] of byCurrency) {
+        try {
+          const prices = await marketDataService.getSimplePrices([...coinIds], [currency]);
+          const timestamp = new Date();
+          this.subscribers.forEach(subscriber => {
+            if (subscriber.currency === currency) this.deliver(subscriber, prices, timestamp);
+          });
+        } catch (error) {
+          // Clients keep their last prices until the next poll succeeds
+          console.error(`Price stream poll failed for ${currency}:`, error.message);
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Why a new stream from this address cannot be opened, or null if it can
+  refusal(address) {
+    if (this.subscribers.size >= this.maxSubscribers) {
+      return 'Too many live price streams are open; try again later';
+    }
+    const fromAddress = [...this.subscribers].filter(subscriber => subscriber.address === address).length;
+    if (fromAddress >= this.maxPerAddress) {
+      return `At most ${this.maxPerAddress} live price streams can be open at once`;
+    }
+    return null;
+  }
+
+  // Register an SSE response; returns a function that unsubscribes it.
+  // The first tick, with every known price, is sent straight away.
+  subscribe(res, coinIds, currency, address) {
+    const subscriber = {
+      res,
+      address,
+      coinIds: [...new Set(coinIds)].slice(0, MAX_COINS_PER_SUBSCRIPTION),
+      currency,
+      lastPrices: new Map()
+    };
+    this.subscribers.add(subscriber);
+
+    marketDataService.getSimplePrices(subscriber.coinIds, [currency])
+      .then(prices => {
+        if (this.subscribers.has(subscriber)) this.deliver(subscriber, prices, new Date());
+      })
+      .catch(error => console.error('Price stream snapshot failed:', error.message));
+
+    if (!this.timer) {
+      this.timer = setInterval(() => this.poll(), this.intervalMs);
+    }
+
+    return () => {
+      this.subscribers.delete(subscriber);
+      if (this.subscribers.size === 0 && this.timer) {
+        clearInterval(this.timer);
+        this.timer = null;
+      }
+    };
+  }
+}
+
+// Create and export a singleton instance
+const priceStream = new PriceStream();
+
+module.exports = priceStream;
\ No newline at end of file
@@ -0,0 +1,271 @@
+const axios = require('axios');
+const { providerError, unsupported, notFound } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// CoinCap names a few coins differently from CoinGecko, whose ids the app stores
+const GECKO_TO_CAP = {
+  binancecoin: 'binance-coin',
+  ripple: 'xrp',
+  'avalanche-2': 'avalanche',
+  'matic-network': 'polygon',
+  'the-open-network': 'toncoin',
+  'crypto-com-chain': 'crypto-com-coin',
+  'staked-ether': 'steth',
+  'elrond-erd-2': 'multiversx-egld'
+};
+const CAP_TO_GECKO = Object.fromEntries(Object.entries(GECKO_TO_CAP).map(([gecko, cap]) => [cap, gecko]));
+
+const toCapId = (coinId) => GECKO_TO_CAP[coinId] || coinId;
+const toGeckoId = (assetId) => CAP_TO_GECKO[assetId] || assetId;
+
+// CoinCap quotes everything in USD; other currencies go through its rates
+const RATE_IDS = { eur: 'euro', btc: 'bitcoin', eth: 'ethereum' };
+
+const number = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+// CoinCap's v3 API (rest.coincap.io), translated to CoinGecko's response
+// shapes. Every request needs an API key (COINCAP_API_KEY). It has no trending
+// list, and price changes only cover 24 hours.
+class CoinCapProvider {
+  constructor() {
+    this.name = 'coincap';
+    this.baseURL = process.env.COINCAP_API_URL || 'https://rest.coincap.io/v3';
+
+    const headers = {
+      'Accept': 'application/json',
+      'User-Agent': 'CryptoTrack/1.0'
+    };
+    if (process.env.COINCAP_API_KEY) {
+      headers.Authorization = `Bearer ${process.env.COINCAP_API_KEY}`;
+    } else {
+      console.warn('COINCAP_API_KEY is not set; CoinCap requests will be rejected');
+    }
+
+    this.api = axios.create({
+      baseURL: this.baseURL,
+      timeout: 10000,
+      headers
+    });
+  }
+
+  async get(path, params, message) {
+    try {
+      const response = await this.api.get(path, { params });
+      return response.data.data;
+    } catch (error) {
+      console.error('CoinCap API Error:', error.response?.data || error.message);
+      throw providerError(message, error);
+    }
+  }
+
+  // USD value of one unit of a currency
+  async getRate(currency) {
+    if (currency === 'usd') return 1;
+    if (!RATE_IDS[currency]) throw unsupported(this.name, `prices in ${currency}`);
+
+    const rate = await this.get(`/rates/${RATE_IDS[currency]}`, {}, `Failed to fetch ${currency} rate`);
+    return parseFloat(rate.rateUsd);
+  }
+
+  toMarket(asset, rate) {
+    const price = number(asset.priceUsd) / rate;
+    const change = number(asset.changePercent24Hr);
+    const supply = number(asset.supply);
+
+    return {
+      id: toGeckoId(asset.id),
+      symbol: asset.symbol.toLowerCase(),
+      name: asset.name,
+      image: `https://assets.coincap.io/assets/icons/${asset.symbol.toLowerCase()}@2x.png`,
+      current_price: price,
+      market_cap: number(asset.marketCapUsd) / rate,
+      market_cap_rank: parseInt(asset.rank),
+      total_volume: number(asset.volumeUsd24Hr) / rate,
+      price_change_24h: change === null ? null : price - price / (1 + change / 100),
+      price_change_percentage_24h: change,
+      price_change_percentage_24h_in_currency: change,
+      price_change_percentage_7d_in_currency: null,
+      price_change_percentage_30d_in_currency: null,
+      circulating_supply: supply,
+      total_supply: supply,
+      max_supply: number(asset.maxSupply),
+      last_updated: new Date().toISOString()
+    };
+  }
+
+  async getCoins() {
+    const assets = await this.get('/assets', { limit: 2000 }, 'Failed to fetch coins list');
+    return assets.map(asset => ({ id: toGeckoId(asset.id), symbol: asset.symbol.toLowerCase(), name: asset.name }));
+  }
+
+  // Ordering other than by market cap is not available
+  async getCoinMarkets(options = {}) {
+    const { vs_currency = 'usd', per_page = 100, page = 1 } = options;
+    const [assets, rate] = await Promise.all([
+      this.get('/assets', { limit: per_page, offset: (page - 1) * per_page }, 'Failed to fetch coin market data'),
+      this.getRate(vs_currency)
+    ]);
+    return assets.map(asset => this.toMarket(asset, rate));
+  }
+
+  async getCoin(coinId) {
+    let asset;
+    try {
+      asset = await this.get(`/assets/${toCapId(coinId)}`, {}, `Failed to fetch data for coin: ${coinId}`);
+    } catch (error) {
+      // CoinCap answers unknown ids with 404 or an empty body
+      if (error.status === 404) throw notFound(`Coin not found: ${coinId}`);
+      throw error;
+    }
+    if (!asset) throw notFound(`Coin not found: ${coinId}`);
+
+    const currencies = ['usd', ...Object.keys(RATE_IDS)];
+    const rates = await Promise.all(currencies.map(currency => this.getRate(currency)));
+    const perCurrency = (value) => Object.fromEntries(currencies.map((currency, i) => [currency, number(value) / rates[i]]));
+    const market = this.toMarket(asset, 1);
+
+    return {
+      id: market.id,
+      symbol: market.symbol,
+      name: market.name,
+      image: { thumb: market.image, small: market.image, large: market.image },
+      market_cap_rank: market.market_cap_rank,
+      market_data: {
+        current_price: perCurrency(asset.priceUsd),
+        market_cap: perCurrency(asset.marketCapUsd),
+        total_volume: perCurrency(asset.volumeUsd24Hr),
+        price_change_percentage_24h: market.price_change_percentage_24h,
+        circulating_supply: market.circulating_supply,
+        total_supply: market.total_supply,
+        max_supply: market.max_supply
+      }
+    };
+  }
+
+  async getCoinsByIds(coinIds, vs_currency = 'usd') {
+    const [assets, rate] = await Promise.all([
+      this.get('/assets', { ids: coinIds.map(toCapId).join(',') }, 'Failed to fetch coins data'),
+      this.getRate(vs_currency)
+    ]);
+    return assets.map(asset => this.toMarket(asset, rate));
+  }
+
+  async getSimplePrices(coinIds, vs_currencies = ['usd']) {
+    const [assets, rates] = await Promise.all([
+      this.get('/assets', { ids: coinIds.map(toCapId).join(',') }, 'Failed to fetch simple prices'),
+      Promise.all(vs_currencies.map(currency => this.getRate(currency)))
+    ]);
+    const updatedAt = Math.floor(Date.now() / 1000);
+
+    return Object.fromEntries(assets.map(asset => {
+      const prices = { last_updated_at: updatedAt };
+      vs_currencies.forEach((currency, i) => {
+        prices[currency] = number(asset.priceUsd) / rates[i];
+        prices[`${currency}_market_cap`] = number(asset.marketCapUsd) / rates[i];
+        prices[`${currency}_24h_vol`] = number(asset.volumeUsd24Hr) / rates[i];
+        prices[`${currency}_24h_change`] = number(asset.changePercent24Hr);
+      });
+      return [toGeckoId(asset.id), prices];
+    }));
+  }
+
+  // USD price points for an asset between two times, as [timestamp, price]
+  async getUsdSeries(coinId, start, end, interval) {
+    const points = await this.get(
+      `/assets/${toCapId(coinId)}/history`,
+      { interval, start, end },
+      `Failed to fetch price history for ${coinId}`
+    );
+    return points.map(point => [point.time, parseFloat(point.priceUsd)]);
+  }
+
+  // Convert a USD series: crypto quotes use their own history for each point,
+  // fiat uses today's rate since CoinCap keeps no exchange-rate history
+  async convertSeries(series, currency, start, end, interval) {
+    if (currency === 'usd') return series;
+
+    if (currency === 'btc' || currency === 'eth') {
+      const quote = await this.getUsdSeries(RATE_IDS[currency], start, end, interval);
+      const quoteAt = new Map(quote);
+      return series
+        .filter(([time]) => quoteAt.get(time))
+        .map(([time, price]) => [time, price / quoteAt.get(time)]);
+    }
+
+    const rate = await this.getRate(currency);
+    return series.map(([time, price]) => [time, price / rate]);
+  }
+
+  async getCoinHistory(coinId, vs_currency = 'usd', days = 7, interval = days <= 1 ? 'hourly' : 'daily') {
+    const end = Date.now();
+    const start = end - days * DAY_MS;
+    const capInterval = interval === 'hourly' ? 'h1' : 'd1';
+
+    const usd = await this.getUsdSeries(coinId, start, end, capInterval);
+    const prices = await this.convertSeries(usd, vs_currency, start, end, capInterval);
+    return { prices, market_caps: [], total_volumes: [] };
+  }
+
+  async getPriceAtDate(coinId, date, vs_currency = 'usd') {
+    const day = new Date(date);
+    const start = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate());
+    const end = start + DAY_MS - HOUR_MS;
+
+    const usd = await this.getUsdSeries(coinId, start, end, 'd1');
+    const [point] = await this.convertSeries(usd, vs_currency, start, end, 'd1');
+    if (!point) {
+      throw notFound(`No ${coinId} price for ${day.toISOString().split('T')[0]}`);
+    }
+    return point[1];
+  }
+
+  async searchCoins(query) {
+    const assets = await this.get('/assets', { search: query, limit: 20 }, 'Failed to search coins');
+    return assets.map(asset => {
+      const market = this.toMarket(asset, 1);
+      return {
+        id: market.id,
+        name: market.name,
+        api_symbol: market.id,
+        symbol: asset.symbol,
+        market_cap_rank: market.market_cap_rank,
+        thumb: market.image,
+        large: market.image
+      };
+    });
+  }
+
+  async getTrendingCoins() {
+    throw unsupported(this.name, 'trending coins');
+  }
+
+  // Totals over the assets CoinCap lists, which cover nearly all market value
+  async getGlobalData() {
+    const currencies = ['usd', ...Object.keys(RATE_IDS)];
+    const [assets, rates] = await Promise.all([
+      this.get('/assets', { limit: 2000 }, 'Failed to fetch global market data'),
+      Promise.all(currencies.map(currency => this.getRate(currency)))
+    ]);
+    const totalCap = assets.reduce((sum, asset) => sum + (number(asset.marketCapUsd) || 0), 0);
+    const totalVolume = assets.reduce((sum, asset) => sum + (number(asset.volumeUsd24Hr) || 0), 0);
+    const perCurrency = (value) => Object.fromEntries(currencies.map((currency, i) => [currency, value / rates[i]]));
+
+    return {
+      data: {
+        active_cryptocurrencies: assets.length,
+        total_market_cap: perCurrency(totalCap),
+        total_volume: perCurrency(totalVolume),
+        market_cap_percentage: Object.fromEntries(assets.slice(0, 10).map(asset => [
+          asset.symbol.toLowerCase(),
+          totalCap > 0 ? (number(asset.marketCapUsd) / totalCap) * 100 : 0
+        ])),
+        market_cap_change_percentage_24h_usd: null,
+        updated_at: Math.floor(Date.now() / 1000)
+      }
+    };
+  }
+}
+
+module.exports = CoinCapProvider;
\ No newline at end of file
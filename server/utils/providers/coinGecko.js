@@ -1,10 +1,13 @@
 const axios = require('axios');
+const { providerError, notFound } = require('./errors');
+const TokenBucket = require('./tokenBucket');
 
-class CoinGeckoService {
+// CoinGecko's public API. Its response shapes are the ones the rest of the
+// app works with, so other providers translate their data to match.
+class CoinGeckoProvider {
   constructor() {
+    this.name = 'coingecko';
     this.baseURL = process.env.COINGECKO_API_URL || 'https://api.coingecko.com/api/v3';
-    this.cache = new Map();
-    this.cacheTimeout = 60000; // 1 minute cache
     
     // Create axios instance with default config
     this.api = axios.create({
@@ -16,45 +19,36 @@ class CoinGeckoService {
       }
     });
     
+    // Stay inside the API quota (COINGECKO_RATE_LIMIT requests per minute)
+    this.limiter = new TokenBucket({
+      perMinute: parseInt(process.env.COINGECKO_RATE_LIMIT) || 30,
+      maxWaitMs: parseInt(process.env.COINGECKO_MAX_WAIT_MS) || 10000
+    });
+    this.api.interceptors.request.use(async (config) => {
+      await this.limiter.take();
+      return config;
+    });
+    
     // Add response interceptor for error handling
     this.api.interceptors.response.use(
       (response) => response,
       (error) => {
+        if (error.response?.status === 429) {
+          this.limiter.backOff(error.response.headers?.['retry-after']);
+        }
         console.error('CoinGecko API Error:', error.response?.data || error.message);
         throw error;
       }
     );
   }
   
-  // Helper method to check cache
-  getCachedData(key) {
-    const cached = this.cache.get(key);
-    if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-      return cached.data;
-    }
-    return null;
-  }
-  
-  // Helper method to set cache
-  setCachedData(key, data) {
-    this.cache.set(key, {
-      data,
-      timestamp: Date.now()
-    });
-  }
-  
   // Get list of all coins
   async getCoins() {
-    const cacheKey = 'coins_list';
-    const cached = this.getCachedData(cacheKey);
-    if (cached) return cached;
-    
     try {
       const response = await this.api.get('/coins/list');
-      this.setCachedData(cacheKey, response.data);
       return response.data;
     } catch (error) {
-      throw new Error('Failed to fetch coins list');
+      throw providerError('Failed to fetch coins list', error);
     }
   }
   
@@ -69,10 +63,6 @@ class CoinGeckoService {
       price_change_percentage = '24h'
     } = options;
     
-    const cacheKey = `markets_${vs_currency}_${page}_${per_page}`;
-    const cached = this.getCachedData(cacheKey);
-    if (cached) return cached;
-    
     try {
       const response = await this.api.get('/coins/markets', {
         params: {
@@ -85,19 +75,14 @@ class CoinGeckoService {
         }
       });
       
-      this.setCachedData(cacheKey, response.data);
       return response.data;
     } catch (error) {
-      throw new Error('Failed to fetch coin market data');
+      throw providerError('Failed to fetch coin market data', error);
     }
   }
   
   // Get specific coin data
   async getCoin(coinId) {
-    const cacheKey = `coin_${coinId}`;
-    const cached = this.getCachedData(cacheKey);
-    if (cached) return cached;
-    
     try {
       const response = await this.api.get(`/coins/${coinId}`, {
         params: {
@@ -110,21 +95,14 @@ class CoinGeckoService {
         }
       });
       
-      this.setCachedData(cacheKey, response.data);
       return response.data;
     } catch (error) {
-      throw new Error(`Failed to fetch data for coin: ${coinId}`);
+      throw providerError(`Failed to fetch data for coin: ${coinId}`, error);
     }
   }
   
   // Get multiple coins data by IDs
   async getCoinsByIds(coinIds, vs_currency = 'usd') {
-    if (!coinIds || coinIds.length === 0) return [];
-    
-    const cacheKey = `coins_${coinIds.join(',')}_${vs_currency}`;
-    const cached = this.getCachedData(cacheKey);
-    if (cached) return cached;
-    
     try {
       const response = await this.api.get('/coins/markets', {
         params: {
@@ -138,21 +116,14 @@ class CoinGeckoService {
         }
       });
       
-      this.setCachedData(cacheKey, response.data);
       return response.data;
     } catch (error) {
-      throw new Error('Failed to fetch coins data');
+      throw providerError('Failed to fetch coins data', error);
     }
   }
   
   // Get simple price for multiple coins
   async getSimplePrices(coinIds, vs_currencies = ['usd']) {
-    if (!coinIds || coinIds.length === 0) return {};
-    
-    const cacheKey = `prices_${coinIds.join(',')}_${vs_currencies.join(',')}`;
-    const cached = this.getCachedData(cacheKey);
-    if (cached) return cached;
-    
     try {
       const response = await this.api.get('/simple/price', {
         params: {
@@ -165,102 +136,88 @@ class CoinGeckoService {
         }
       });
       
-      this.setCachedData(cacheKey, response.data);
       return response.data;
     } catch (error) {
-      throw new Error('Failed to fetch simple prices');
+      throw providerError('Failed to fetch simple prices', error);
     }
   }
   
-  // Get coin price history
-  async getCoinHistory(coinId, vs_currency = 'usd', days = 7) {
-    const cacheKey = `history_${coinId}_${vs_currency}_${days}`;
-    const cached = this.getCachedData(cacheKey);
-    if (cached) return cached;
-    
+  // Get coin price history, with daily or hourly points
+  async getCoinHistory(coinId, vs_currency = 'usd', days = 7, interval = days <= 1 ? 'hourly' : 'daily') {
     try {
+      // Without an interval CoinGecko returns hourly points for up to 90 days
       const response = await this.api.get(`/coins/${coinId}/market_chart`, {
         params: {
           vs_currency,
           days,
-          interval: days <= 1 ? 'hourly' : 'daily'
+          ...(interval === 'daily' ? { interval } : {})
         }
       });
       
-      this.setCachedData(cacheKey, response.data);
       return response.data;
     } catch (error) {
-      throw new Error(`Failed to fetch price history for ${coinId}`);
+      throw providerError(`Failed to fetch price history for ${coinId}`, error);
     }
   }
   
-  // Search coins
-  async searchCoins(query) {
-    if (!query || query.trim().length < 2) return [];
+  // Get a coin's price on a specific (UTC) day
+  async getPriceAtDate(coinId, date, vs_currency = 'usd') {
+    const day = new Date(date);
+    const dd = String(day.getUTCDate()).padStart(2, '0');
+    const mm = String(day.getUTCMonth() + 1).padStart(2, '0');
+    const dateParam = `${dd}-${mm}-${day.getUTCFullYear()}`;
     
-    const cacheKey = `search_${query.toLowerCase()}`;
-    const cached = this.getCachedData(cacheKey);
-    if (cached) return cached;
+    let response;
+    try {
+      response = await this.api.get(`/coins/${coinId}/history`, {
+        params: {
+          date: dateParam,
+          localization: false
+        }
+      });
+    } catch (error) {
+      throw providerError(`Failed to fetch ${coinId} price for ${dateParam}`, error);
+    }
     
+    const price = response.data.market_data?.current_price?.[vs_currency];
+    if (price === undefined) {
+      throw notFound(`No ${coinId} price for ${dateParam}`);
+    }
+    return price;
+  }
+  
+  // Search coins
+  async searchCoins(query) {
     try {
       const response = await this.api.get('/search', {
         params: { query }
       });
       
-      const results = response.data.coins || [];
-      this.setCachedData(cacheKey, results);
-      return results;
+      return response.data.coins || [];
     } catch (error) {
-      throw new Error('Failed to search coins');
+      throw providerError('Failed to search coins', error);
     }
   }
   
   // Get trending coins
   async getTrendingCoins() {
-    const cacheKey = 'trending_coins';
-    const cached = this.getCachedData(cacheKey);
-    if (cached) return cached;
-    
     try {
       const response = await this.api.get('/search/trending');
-      const trending = response.data.coins || [];
-      this.setCachedData(cacheKey, trending);
-      return trending;
+      return response.data.coins || [];
     } catch (error) {
-      throw new Error('Failed to fetch trending coins');
+      throw providerError('Failed to fetch trending coins', error);
     }
   }
   
   // Get global market data
   async getGlobalData() {
-    const cacheKey = 'global_data';
-    const cached = this.getCachedData(cacheKey);
-    if (cached) return cached;
-    
     try {
       const response = await this.api.get('/global');
-      this.setCachedData(cacheKey, response.data);
       return response.data;
     } catch (error) {
-      throw new Error('Failed to fetch global market data');
+      throw providerError('Failed to fetch global market data', error);
     }
   }
-  
-  // Clear cache (useful for testing or force refresh)
-  clearCache() {
-    this.cache.clear();
-  }
-  
-  // Get cache stats
-  getCacheStats() {
-    return {
-      size: this.cache.size,
-      keys: Array.from(this.cache.keys())
-    };
-  }
 }
 
-// Create and export a singleton instance
-const coinGeckoService = new CoinGeckoService();
-
-module.exports = coinGeckoService;
\ No newline at end of file
+module.exports = CoinGeckoProvider;
\ No newline at end of file
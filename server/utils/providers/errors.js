@@ -0,0 +1,30 @@
+// Errors thrown by market-data providers. The market data service reads
+// status to tell a missing coin (404) from an outage, and unsupported to skip
+// a provider that has no source for the data asked for.
+
+// Wrap a failed HTTP request, keeping the status and Retry-After so callers
+// can back off on 429
+const providerError = (message, error) => {
+  const wrapped = new Error(message);
+  wrapped.status = error?.response?.status || error?.status;
+  wrapped.retryAfter = error?.response?.headers?.['retry-after'] || error?.retryAfter;
+  return wrapped;
+};
+
+const unsupported = (provider, method) => {
+  const error = new Error(`${provider} does not provide ${method}`);
+  error.unsupported = true;
+  return error;
+};
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.status = 404;
+  return error;
+};
+
+module.exports = {
+  providerError,
+  unsupported,
+  notFound
+};
\ No newline at end of file
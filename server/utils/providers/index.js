@@ -0,0 +1,31 @@
+const CoinGeckoProvider = require('./coinGecko');
+const CoinCapProvider = require('./coinCap');
+const OfflineProvider = require('./offline');
+
+// Market-data providers by the name used in MARKET_DATA_PROVIDERS
+const PROVIDERS = {
+  coingecko: CoinGeckoProvider,
+  coincap: CoinCapProvider,
+  offline: OfflineProvider
+};
+
+// Instantiate providers in the given order, ignoring unknown names
+const createProviders = (names) => {
+  const providers = [];
+  names.forEach(name => {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+      console.warn(`Unknown market data provider "${name}" ignored`);
+      return;
+    }
+    if (!providers.some(provider => provider.name === name)) {
+      providers.push(new Provider());
+    }
+  });
+  return providers;
+};
+
+module.exports = {
+  PROVIDERS,
+  createProviders
+};
\ No newline at end of file
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const { notFound, unsupported } = require('./errors');
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures', 'marketData.json');
+
+// Market data from a fixture file, for development and demos without network
+// access or as a last resort. Prices are fixed at the fixture's values, which
+// hold only for the fixture's asOf day, so it never answers for other dates:
+// made-up past prices would end up stored on transactions and candles.
+class OfflineProvider {
+  constructor(fixturePath = process.env.MARKET_DATA_FIXTURE || DEFAULT_FIXTURE) {
+    this.name = 'offline';
+    this.fixturePath = fixturePath;
+    this.fixture = null;
+  }
+
+  // Read lazily so a missing fixture only matters if the provider is used
+  load() {
+    if (!this.fixture) {
+      const fixture = JSON.parse(fs.readFileSync(this.fixturePath, 'utf8'));
+      this.fixture = { ...fixture, byId: new Map(fixture.coins.map(coin => [coin.id, coin])) };
+    }
+    return this.fixture;
+  }
+
+  // USD value of one unit of a currency; crypto currencies use fixture coins
+  rate(currency) {
+    const { rates, byId } = this.load();
+    if (rates[currency]) return rates[currency];
+    if (currency === 'btc') return byId.get('bitcoin').price;
+    if (currency === 'eth') return byId.get('ethereum').price;
+    throw new Error(`No offline rate for ${currency}`);
+  }
+
+  findCoin(coinId) {
+    const coin = this.load().byId.get(coinId);
+    if (!coin) throw notFound(`Coin not found: ${coinId}`);
+    return coin;
+  }
+
+  toMarket(coin, currency, rank) {
+    const rate = this.rate(currency);
+    const price = coin.price / rate;
+
+    return {
+      id: coin.id,
+      symbol: coin.symbol,
+      name: coin.name,
+      image: coin.image,
+      current_price: price,
+      market_cap: coin.marketCap / rate,
+      market_cap_rank: rank,
+      total_volume: coin.volume / rate,
+      price_change_24h: price - price / (1 + coin.change24h / 100),
+      price_change_percentage_24h: coin.change24h,
+      price_change_percentage_24h_in_currency: coin.change24h,
+      price_change_percentage_7d_in_currency: coin.change7d,
+      price_change_percentage_30d_in_currency: coin.change30d,
+      circulating_supply: coin.supply,
+      total_supply: coin.supply,
+      max_supply: coin.maxSupply,
+      last_updated: this.load().asOf
+    };
+  }
+
+  ranked() {
+    return [...this.load().coins].sort((a, b) => b.marketCap - a.marketCap);
+  }
+
+  async getCoins() {
+    return this.load().coins.map(coin => ({ id: coin.id, symbol: coin.symbol, name: coin.name }));
+  }
+
+  async getCoinMarkets(options = {}) {
+    const { vs_currency = 'usd', per_page = 100, page = 1 } = options;
+    return this.ranked()
+      .map((coin, index) => this.toMarket(coin, vs_currency, index + 1))
+      .slice((page - 1) * per_page, page * per_page);
+  }
+
+  async getCoin(coinId) {
+    const coin = this.findCoin(coinId);
+    const market = this.toMarket(coin, 'usd', this.ranked().indexOf(coin) + 1);
+    const currencies = ['usd', 'eur', 'btc', 'eth'];
+    const perCurrency = (value) => Object.fromEntries(currencies.map(currency => [currency, value / this.rate(currency)]));
+
+    return {
+      id: coin.id,
+      symbol: coin.symbol,
+      name: coin.name,
+      image: { thumb: coin.image, small: coin.image, large: coin.image },
+      market_cap_rank: market.market_cap_rank,
+      market_data: {
+        current_price: perCurrency(coin.price),
+        market_cap: perCurrency(coin.marketCap),
+        total_volume: perCurrency(coin.volume),
+        price_change_percentage_24h: coin.change24h,
+        price_change_percentage_7d: coin.change7d,
+        price_change_percentage_30d: coin.change30d,
+        circulating_supply: coin.supply,
+        total_supply: coin.supply,
+        max_supply: coin.maxSupply
+      }
+    };
+  }
+
+  async getCoinsByIds(coinIds, vs_currency = 'usd') {
+    const ranked = this.ranked();
+    return ranked
+      .filter(coin => coinIds.includes(coin.id))
+      .map(coin => this.toMarket(coin, vs_currency, ranked.indexOf(coin) + 1));
+  }
+
+  async getSimplePrices(coinIds, vs_currencies = ['usd']) {
+    const updatedAt = Math.floor(new Date(this.load().asOf).getTime() / 1000);
+
+    return Object.fromEntries(this.load().coins
+      .filter(coin => coinIds.includes(coin.id))
+      .map(coin => {
+        const prices = { last_updated_at: updatedAt };
+        vs_currencies.forEach(currency => {
+          const rate = this.rate(currency);
+          prices[currency] = coin.price / rate;
+          prices[`${currency}_market_cap`] = coin.marketCap / rate;
+          prices[`${currency}_24h_vol`] = coin.volume / rate;
+          prices[`${currency}_24h_change`] = coin.change24h;
+        });
+        return [coin.id, prices];
+      }));
+  }
+
+  // The fixture only knows prices as of one moment, so it has no history
+  async getCoinHistory() {
+    throw unsupported(this.name, 'price history');
+  }
+
+  async getPriceAtDate(coinId, date, vs_currency = 'usd') {
+    const day = (value) => new Date(value).toISOString().split('T')[0];
+    if (day(date) !== day(this.load().asOf)) {
+      throw unsupported(this.name, `prices for ${day(date)}`);
+    }
+    return this.findCoin(coinId).price / this.rate(vs_currency);
+  }
+
+  async searchCoins(query) {
+    const text = query.trim().toLowerCase();
+    const ranked = this.ranked();
+    return ranked
+      .filter(coin => coin.id.includes(text) || coin.name.toLowerCase().includes(text) || coin.symbol === text)
+      .map(coin => ({
+        id: coin.id,
+        name: coin.name,
+        api_symbol: coin.id,
+        symbol: coin.symbol.toUpperCase(),
+        market_cap_rank: ranked.indexOf(coin) + 1,
+        thumb: coin.image,
+        large: coin.image
+      }));
+  }
+
+  async getTrendingCoins() {
+    const ranked = this.ranked();
+    return this.load().trending.map((coinId, index) => {
+      const coin = this.findCoin(coinId);
+      return {
+        item: {
+          id: coin.id,
+          name: coin.name,
+          symbol: coin.symbol.toUpperCase(),
+          market_cap_rank: ranked.indexOf(coin) + 1,
+          thumb: coin.image,
+          small: coin.image,
+          large: coin.image,
+          price_btc: coin.price / this.rate('btc'),
+          score: index
+        }
+      };
+    });
+  }
+
+  async getGlobalData() {
+    const coins = this.load().coins;
+    const totalCap = coins.reduce((sum, coin) => sum + coin.marketCap, 0);
+    const totalVolume = coins.reduce((sum, coin) => sum + coin.volume, 0);
+    const currencies = ['usd', 'eur', 'btc', 'eth'];
+    const perCurrency = (value) => Object.fromEntries(currencies.map(currency => [currency, value / this.rate(currency)]));
+
+    return {
+      data: {
+        active_cryptocurrencies: coins.length,
+        total_market_cap: perCurrency(totalCap),
+        total_volume: perCurrency(totalVolume),
+        market_cap_percentage: Object.fromEntries(coins.map(coin => [coin.symbol, (coin.marketCap / totalCap) * 100])),
+        market_cap_change_percentage_24h_usd: 0,
+        updated_at: Math.floor(new Date(this.load().asOf).getTime() / 1000)
+      }
+    };
+  }
+}
+
+module.exports = OfflineProvider;
\ No newline at end of file
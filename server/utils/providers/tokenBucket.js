@@ -0,0 +1,79 @@
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Seconds to wait from a Retry-After header, which may be seconds or an HTTP date
+const parseRetryAfter = (value) => {
+  if (value === undefined || value === null) return null;
+  const seconds = parseInt(value);
+  if (!isNaN(seconds)) return seconds;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+};
+
+// Keeps requests to an upstream API inside its quota. Tokens refill at
+// perMinute up to capacity and each request takes one, waiting its turn when
+// none is left. After a 429 every request waits until the upstream's
+// Retry-After has passed. A request that would have to wait longer than
+// maxWaitMs fails at once with a 429 instead, so callers can fall back.
+class TokenBucket {
+  constructor({ perMinute, capacity = perMinute, maxWaitMs = 10000 }) {
+    this.perMinute = perMinute;
+    this.capacity = capacity;
+    this.maxWaitMs = maxWaitMs;
+    this.tokens = capacity;
+    this.refilledAt = Date.now();
+    this.pausedUntil = 0;
+    this.counters = { granted: 0, delayed: 0, rejected: 0, rateLimited: 0 };
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.refilledAt) * this.perMinute) / 60000);
+    this.refilledAt = now;
+  }
+
+  // Wait for a token. Tokens may go negative: each waiting request has
+  // reserved one, which keeps them in arrival order.
+  async take() {
+    this.refill();
+
+    const pauseWait = Math.max(0, this.pausedUntil - Date.now());
+    const tokenWait = this.tokens >= 1 ? 0 : ((1 - this.tokens) * 60000) / this.perMinute;
+    const wait = Math.max(pauseWait, tokenWait);
+
+    if (wait > this.maxWaitMs) {
+      this.counters.rejected++;
+      const error = new Error('Upstream rate limit reached');
+      error.status = 429;
+      error.retryAfter = Math.ceil(wait / 1000);
+      throw error;
+    }
+
+    this.tokens -= 1;
+    this.counters.granted++;
+    if (wait > 0) {
+      this.counters.delayed++;
+      await sleep(wait);
+    }
+  }
+
+  // Stop sending requests after a 429 until the upstream says to try again
+  backOff(retryAfter, defaultSeconds = 60) {
+    const seconds = parseRetryAfter(retryAfter) ?? defaultSeconds;
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + seconds * 1000);
+    this.tokens = Math.min(this.tokens, 0);
+    this.counters.rateLimited++;
+  }
+
+  status() {
+    this.refill();
+    return {
+      perMinute: this.perMinute,
+      capacity: this.capacity,
+      tokens: Math.max(0, Math.floor(this.tokens)),
+      pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil) : null,
+      ...this.counters
+    };
+  }
+}
+
+module.exports = TokenBucket;
\ No newline at end of file
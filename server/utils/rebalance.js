@@ -0,0 +1,137 @@
+// Rebalancing plan: compare current allocation with a portfolio's target
+// weights and work out the trades that bring drifted targets back in line.
+// Targets are groups of coins (one coin, or a category) sharing a weight.
+
+const EPSILON = 0.01;
+
+// Split a group's trade value across its coins in proportion to what is held,
+// or evenly when nothing in the group is held yet
+const splitGroupTrade = (group, tradeValue) => {
+  const held = group.coins.filter(c => c.value > 0);
+  const pool = tradeValue > 0 && held.length === 0 ? group.coins : held;
+  const poolValue = pool.reduce((sum, c) => sum + c.value, 0);
+
+  return pool.map(coin => ({
+    coin,
+    value: poolValue > 0 ? tradeValue * (coin.value / poolValue) : tradeValue / pool.length
+  }));
+};
+
+// Spread `cash` over groups in proportion to `room`, never exceeding a group's
+// room. direction is 1 to buy with the cash, -1 to sell to raise it.
+// Returns the cash that could not be placed.
+const absorb = (groups, room, cash, direction) => {
+  const candidates = groups.filter(g => room(g) > EPSILON);
+  const totalRoom = candidates.reduce((sum, g) => sum + room(g), 0);
+  if (totalRoom <= 0) return cash;
+
+  const share = Math.min(1, cash / totalRoom);
+  const rooms = candidates.map(room);
+  candidates.forEach((group, i) => {
+    group.tradeValue += direction * rooms[i] * share;
+  });
+  return cash - totalRoom * share;
+};
+
+// Build the plan.
+// - allocation: allocationByValue rows ({ coinId, coinName, symbol, value, percentage })
+// - holdings: current holdings (for amounts and prices)
+// - targets: [{ name, coinIds, weight }] with weights in percent
+// - tolerance: allowed drift in percentage points
+// - markets: { coinId: { name, symbol, price } } for target coins that are not held
+const buildRebalancePlan = ({ allocation, holdings, targets, tolerance, markets = {} }) => {
+  const totalValue = allocation.reduce((sum, a) => sum + a.value, 0);
+  const holdingById = new Map(holdings.map(h => [h.coinId, h]));
+  const allocationById = new Map(allocation.map(a => [a.coinId, a]));
+
+  const coinInfo = (coinId) => {
+    const holding = holdingById.get(coinId);
+    const market = markets[coinId];
+    return {
+      coinId,
+      coinName: holding?.coinName || market?.name || coinId,
+      symbol: (holding?.symbol || market?.symbol || coinId).toUpperCase(),
+      amount: holding?.amount || 0,
+      price: holding?.currentPrice || market?.price || 0,
+      value: allocationById.get(coinId)?.value || 0
+    };
+  };
+
+  const targeted = new Set(targets.flatMap(t => t.coinIds));
+  const groups = targets.map(target => ({
+    name: target.name,
+    coinIds: target.coinIds,
+    targetWeight: target.weight,
+    coins: target.coinIds.map(coinInfo)
+  }));
+
+  // Anything held without a target is meant to be sold down to zero
+  allocation
+    .filter(a => !targeted.has(a.coinId))
+    .forEach(a => groups.push({
+      name: a.symbol,
+      coinIds: [a.coinId],
+      targetWeight: 0,
+      untargeted: true,
+      coins: [coinInfo(a.coinId)]
+    }));
+
+  groups.forEach(group => {
+    group.currentValue = group.coins.reduce((sum, c) => sum + c.value, 0);
+    group.currentWeight = totalValue > 0 ? (group.currentValue / totalValue) * 100 : 0;
+    group.targetValue = totalValue * (group.targetWeight / 100);
+    group.drift = group.currentWeight - group.targetWeight;
+    group.outOfBand = Math.abs(group.drift) > tolerance;
+    // Out-of-band groups go all the way back to target
+    group.tradeValue = group.outOfBand ? group.targetValue - group.currentValue : 0;
+  });
+
+  // Keep the plan self-funding: surplus cash from sales buys in-band groups
+  // that sit below target, a shortfall is raised from in-band groups above it
+  const inBand = groups.filter(g => !g.outOfBand);
+  const net = groups.reduce((sum, g) => sum + g.tradeValue, 0);
+  if (net < -EPSILON) {
+    const left = absorb(inBand, g => g.targetValue - g.currentValue - g.tradeValue, -net, 1);
+    if (left > EPSILON) absorb(groups, g => g.targetValue, left, 1);
+  } else if (net > EPSILON) {
+    const left = absorb(inBand, g => g.currentValue + g.tradeValue - g.targetValue, net, -1);
+    if (left > EPSILON) absorb(inBand, g => g.currentValue + g.tradeValue, left, -1);
+  }
+
+  const trades = [];
+  groups.forEach(group => {
+    if (Math.abs(group.tradeValue) < EPSILON) return;
+
+    splitGroupTrade(group, group.tradeValue).forEach(({ coin, value }) => {
+      if (Math.abs(value) < EPSILON || coin.price <= 0) return;
+
+      const amount = Math.abs(value) / coin.price;
+      trades.push({
+        coinId: coin.coinId,
+        coinName: coin.coinName,
+        symbol: coin.symbol,
+        type: value > 0 ? 'buy' : 'sell',
+        // Never sell more than is held
+        amount: value > 0 ? amount : Math.min(amount, coin.amount),
+        price: coin.price,
+        value: Math.abs(value)
+      });
+    });
+  });
+
+  return {
+    totalValue,
+    tolerance,
+    needsRebalance: groups.some(g => g.outOfBand),
+    groups: groups.map(({ coins, ...group }) => ({
+      ...group,
+      afterWeight: totalValue > 0 ? ((group.currentValue + group.tradeValue) / totalValue) * 100 : 0
+    })),
+    // Sells first so they fund the buys
+    trades: trades.sort((a, b) => (a.type === b.type ? b.value - a.value : a.type === 'sell' ? -1 : 1))
+  };
+};
+
+module.exports = {
+  buildRebalancePlan
+};
\ No newline at end of file
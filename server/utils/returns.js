@@ -0,0 +1,248 @@
+// Return measures that account for when money went in and out of a portfolio:
+// time-weighted return (TWR) and money-weighted return (XIRR).
+// Cash flows are seen from the portfolio's side: positive means money in.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_YEAR = 365;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Money moved into (+) or out of (-) the portfolio by a transaction. Trades
+// move cash at the trade price including fees; transfers move coins at market value.
+const externalFlow = (tx, marketPrice) => {
+  const fee = tx.feeValue || 0;
+  const tradeValue = tx.amount * (tx.price || 0);
+
+  switch (tx.type) {
+    case 'buy':
+      return tradeValue + fee;
+    case 'sell':
+      return -(tradeValue - fee);
+    case 'transfer_in':
+      return tx.amount * (marketPrice || tx.price || 0);
+    case 'transfer_out':
+      return -tx.amount * (marketPrice || 0);
+    // Income is earned by the holdings, so it counts towards the return
+    case 'income':
+    default:
+      return 0;
+  }
+};
+
+// Cumulative growth of 1 at each valuation, chain-linking Modified Dietz
+// returns between consecutive points. Each flow is weighted by how much of
+// its period it was invested for.
+const growthIndex = (points, flows) => {
+  if (points.length === 0) return [];
+
+  let growth = 1;
+  const index = [growth];
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const start = points[i];
+    const end = points[i + 1];
+    const length = end.date - start.date;
+    if (length <= 0) {
+      index.push(growth);
+      continue;
+    }
+
+    let netFlow = 0;
+    let weightedFlow = 0;
+    flows.forEach(flow => {
+      if (flow.date >= start.date && flow.date < end.date) {
+        netFlow += flow.amount;
+        weightedFlow += flow.amount * ((end.date - flow.date) / length);
+      }
+    });
+
+    // Nothing invested during the period, so there is no return to link
+    const base = start.value + weightedFlow;
+    if (base > 0) {
+      growth *= 1 + (end.value - start.value - netFlow) / base;
+    }
+    index.push(growth);
+  }
+
+  return index;
+};
+
+// Time-weighted return over a series of valuations
+const timeWeightedReturn = (points, flows) => {
+  if (points.length < 2) return 0;
+  return growthIndex(points, flows)[points.length - 1] - 1;
+};
+
+// Annualized internal rate of return for irregular cash flows given from the
+// investor's side (negative = invested). Newton's method with a bisection fallback.
+const xirr = (cashFlows) => {
+  const flows = cashFlows.filter(f => f.amount !== 0);
+  if (!flows.some(f => f.amount > 0) || !flows.some(f => f.amount < 0)) return null;
+
+  const first = Math.min(...flows.map(f => f.date.getTime()));
+  const years = flows.map(f => (f.date.getTime() - first) / (DAY_MS * DAYS_PER_YEAR));
+
+  const npv = (rate) => flows.reduce((sum, f, i) => sum + f.amount / Math.pow(1 + rate, years[i]), 0);
+  const derivative = (rate) => flows.reduce(
+    (sum, f, i) => sum - years[i] * f.amount / Math.pow(1 + rate, years[i] + 1),
+    0
+  );
+
+  let rate = 0.1;
+  for (let i = 0; i < 50; i++) {
+    const value = npv(rate);
+    const slope = derivative(rate);
+    if (!Number.isFinite(value) || !Number.isFinite(slope) || slope === 0) break;
+
+    const next = rate - value / slope;
+    if (next <= -1 || !Number.isFinite(next)) break;
+    if (Math.abs(next - rate) < 1e-10) return next;
+    rate = next;
+  }
+
+  // Newton did not converge; bracket the root and bisect
+  let low = -0.9999;
+  let high = 1;
+  while (npv(low) * npv(high) > 0 && high < 1e6) high *= 10;
+  if (npv(low) * npv(high) > 0) return null;
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    if (npv(low) * npv(mid) <= 0) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+    if (high - low < 1e-10) break;
+  }
+
+  return (low + high) / 2;
+};
+
+// Compound a return over `days` to a yearly rate. Periods under a year are
+// not annualized because the result would be dominated by short-term noise.
+const annualize = (totalReturn, days) => {
+  if (totalReturn === null || days < DAYS_PER_YEAR) return null;
+  return Math.pow(1 + totalReturn, DAYS_PER_YEAR / days) - 1;
+};
+
+// Market price of a coin on a day, from the latest snapshot that held it
+const snapshotPrice = (series, coinId, date) => {
+  for (let i = series.length - 1; i >= 0; i--) {
+    const point = series[i];
+    if (point.date > date) continue;
+    const holding = point.holdings.find(h => h.coinId === coinId);
+    if (holding && holding.amount > 0) return holding.value / holding.amount;
+  }
+  return null;
+};
+
+// External cash flows made by transactions in [from, to), valuing transfers
+// at the snapshot price of the day
+const cashFlows = (transactions, series, from, to) => {
+  return transactions
+    .map(tx => ({ date: new Date(tx.date), tx }))
+    .filter(({ date }) => date >= from && date < to)
+    .map(({ date, tx }) => ({ date, amount: externalFlow(tx, snapshotPrice(series, tx.coinId, date)) }))
+    .filter(flow => flow.amount !== 0);
+};
+
+// XIRR of a valuation period: the starting value counts as invested, the
+// ending value as withdrawn, and portfolio flows are flipped to the investor's side
+const periodXirr = (start, end, flows) => {
+  return xirr([
+    { date: start.date, amount: -start.value },
+    ...flows.map(flow => ({ date: flow.date, amount: -flow.amount })),
+    { date: end.date, amount: end.value }
+  ]);
+};
+
+// Compute TWR and XIRR over a date range.
+// - transactions: the (scoped) ledger in chronological order
+// - series: daily value snapshots ({ date, totalValue, holdings }) covering the range
+// - currentValue: live value, used when the range runs to today
+// - from / to: optional range bounds (default: first transaction to now)
+const calculateReturns = ({ transactions, series, currentValue, from, to }) => {
+  const now = new Date();
+  const firstDay = transactions.length > 0 ? startOfDay(transactions[0].date) : startOfDay(now);
+
+  let rangeStart = from ? startOfDay(from) : firstDay;
+  if (rangeStart < firstDay) rangeStart = firstDay;
+
+  // A range ends at the close of its last day, i.e. the next day's snapshot
+  const rangeEnd = to ? new Date(startOfDay(to).getTime() + DAY_MS) : now;
+  const isCurrent = rangeEnd >= now;
+  const endDate = isCurrent ? now : rangeEnd;
+
+  // Starting value: nothing before the first transaction, otherwise the
+  // snapshot for the first day (or the first one available after it)
+  let start;
+  if (rangeStart.getTime() === firstDay.getTime()) {
+    start = { date: rangeStart, value: 0 };
+  } else {
+    const point = series.find(p => p.date >= rangeStart && p.date < endDate);
+    if (point) start = { date: point.date, value: point.totalValue };
+  }
+
+  let end;
+  if (isCurrent) {
+    end = { date: now, value: currentValue };
+  } else {
+    const point = [...series].reverse().find(p => p.date <= rangeEnd);
+    if (point) end = { date: point.date, value: point.totalValue };
+  }
+
+  if (!start || !end || end.date <= start.date) {
+    return {
+      from: rangeStart,
+      to: endDate,
+      startValue: null,
+      endValue: null,
+      netFlows: 0,
+      twr: null,
+      twrAnnualized: null,
+      xirr: null,
+      approximate: true
+    };
+  }
+
+  const flows = cashFlows(transactions, series, start.date, end.date);
+
+  const intermediate = series
+    .filter(p => p.date > start.date && p.date < end.date)
+    .map(p => ({ date: p.date, value: p.totalValue }));
+  const points = [start, ...intermediate, end];
+
+  const twr = timeWeightedReturn(points, flows);
+  const days = (end.date - start.date) / DAY_MS;
+
+  return {
+    from: start.date,
+    to: end.date,
+    startValue: start.value,
+    endValue: end.value,
+    netFlows: flows.reduce((sum, flow) => sum + flow.amount, 0),
+    twr,
+    twrAnnualized: annualize(twr, days),
+    xirr: periodXirr(start, end, flows),
+    // Without daily snapshots TWR falls back to a single Dietz period
+    approximate: intermediate.length === 0 && days > 1
+  };
+};
+
+module.exports = {
+  DAY_MS,
+  externalFlow,
+  growthIndex,
+  timeWeightedReturn,
+  xirr,
+  annualize,
+  snapshotPrice,
+  cashFlows,
+  periodXirr,
+  calculateReturns
+};
\ No newline at end of file
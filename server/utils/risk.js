@@ -0,0 +1,230 @@
+// Risk statistics from daily returns: volatility, drawdown, Sharpe/Sortino
+// and beta/correlation to a reference coin (BTC by default).
+const { PortfolioSnapshot, Transaction } = require('../models');
+const { getValueSeries } = require('./snapshots');
+const { DAY_MS, growthIndex, cashFlows } = require('./returns');
+const { loadDailyPrices } = require('./priceHistory');
+
+// Crypto trades every day, so a year has 365 daily returns
+const PERIODS_PER_YEAR = 365;
+const DEFAULT_WINDOW_DAYS = 365;
+const REFERENCE_COIN = 'bitcoin';
+
+// Look-back windows for the correlation matrix, in days
+const CORRELATION_WINDOWS = {
+  '30d': 30,
+  '90d': 90,
+  '1y': 365
+};
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// Sample standard deviation
+const stdev = (values) => {
+  if (values.length < 2) return null;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1));
+};
+
+// Largest peak-to-trough fall of a value series ([{ date, value }]), with
+// the peak, trough and recovery dates (recovery is null if not yet regained)
+const maxDrawdown = (levels) => {
+  let peak = levels[0];
+  let worst = { value: 0, peakDate: null, troughDate: null, recoveryDate: null };
+  let candidate = null;
+
+  levels.forEach(level => {
+    if (level.value >= peak.value) {
+      if (candidate && !candidate.recoveryDate) candidate.recoveryDate = level.date;
+      peak = level;
+      return;
+    }
+
+    const drawdown = level.value / peak.value - 1;
+    if (drawdown < worst.value) {
+      candidate = { value: drawdown, peakDate: peak.date, troughDate: level.date, recoveryDate: null };
+      worst = candidate;
+    }
+  });
+
+  return worst;
+};
+
+// Beta and correlation of returns against reference returns on the same days
+const relativeTo = (returns, reference) => {
+  const referenceByDay = new Map(reference.map(r => [r.date.getTime(), r.value]));
+  const pairs = returns
+    .filter(r => referenceByDay.has(r.date.getTime()))
+    .map(r => [r.value, referenceByDay.get(r.date.getTime())]);
+  if (pairs.length < 2) return { beta: null, correlation: null };
+
+  const meanX = mean(pairs.map(p => p[0]));
+  const meanY = mean(pairs.map(p => p[1]));
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  pairs.forEach(([x, y]) => {
+    covariance += (x - meanX) * (y - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (y - meanY) ** 2;
+  });
+
+  return {
+    beta: varianceY > 0 ? covariance / varianceY : null,
+    correlation: varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : null
+  };
+};
+
+// Risk figures for one series of daily returns ([{ date, value }]) and the
+// levels they came from. riskFreeRate is an annual fraction.
+const riskMetrics = (returns, levels, reference = [], riskFreeRate = 0) => {
+  if (returns.length < 2) return null;
+
+  const values = returns.map(r => r.value);
+  const dailyRiskFree = Math.pow(1 + riskFreeRate, 1 / PERIODS_PER_YEAR) - 1;
+  const annualReturn = mean(values) * PERIODS_PER_YEAR;
+  const dailyVolatility = stdev(values);
+  const volatility = dailyVolatility * Math.sqrt(PERIODS_PER_YEAR);
+
+  // Downside deviation only counts returns below the risk-free rate
+  const downside = Math.sqrt(
+    values.reduce((sum, v) => sum + Math.min(0, v - dailyRiskFree) ** 2, 0) / values.length
+  ) * Math.sqrt(PERIODS_PER_YEAR);
+
+  return {
+    observations: values.length,
+    annualReturn,
+    volatility,
+    maxDrawdown: maxDrawdown(levels),
+    sharpe: volatility > 0 ? (annualReturn - riskFreeRate) / volatility : null,
+    sortino: downside > 0 ? (annualReturn - riskFreeRate) / downside : null,
+    ...relativeTo(returns, reference)
+  };
+};
+
+// Daily returns and levels from a Map(day timestamp -> price)
+const priceReturns = (prices) => {
+  const levels = Array.from(prices, ([time, value]) => ({ date: new Date(time), value }))
+    .filter(level => level.value > 0);
+  const returns = [];
+  for (let i = 1; i < levels.length; i++) {
+    returns.push({ date: levels[i].date, value: levels[i].value / levels[i - 1].value - 1 });
+  }
+  return { levels, returns };
+};
+
+// Flow-adjusted daily returns of the portfolio from its snapshots. Days that
+// start with nothing invested are skipped rather than counted as flat.
+const portfolioReturns = (transactions, series) => {
+  const points = series.map(p => ({ date: p.date, value: p.totalValue }));
+  if (points.length < 2) return { levels: [], returns: [] };
+
+  const flows = cashFlows(transactions, series, points[0].date, points[points.length - 1].date);
+  const index = growthIndex(points, flows);
+  const levels = points.map((point, i) => ({ date: point.date, value: index[i] }));
+
+  const returns = [];
+  for (let i = 1; i < points.length; i++) {
+    if (points[i - 1].value <= 0) continue;
+    returns.push({ date: points[i].date, value: index[i] / index[i - 1] - 1 });
+  }
+  return { levels, returns };
+};
+
+// Risk statistics for a (scoped) portfolio and each of its holdings over
+// [from, to], defaulting to the last year
+const calculateRisk = async ({ userId, filter, holdings, currency, from, to, riskFreeRate = 0 }) => {
+  const end = to ? PortfolioSnapshot.startOfDay(to) : PortfolioSnapshot.startOfDay();
+  const start = from
+    ? PortfolioSnapshot.startOfDay(from)
+    : new Date(end.getTime() - DEFAULT_WINDOW_DAYS * DAY_MS);
+
+  const [transactions, series] = await Promise.all([
+    Transaction.getLedger(userId, filter),
+    getValueSeries(userId, filter, { from: start, to: end })
+  ]);
+
+  const coinIds = [...new Set([REFERENCE_COIN, ...holdings.map(h => h.coinId)])];
+  const prices = await loadDailyPrices(coinIds, currency, start);
+
+  // Keep prices inside the window
+  const inWindow = (coinId) => new Map(
+    Array.from(prices.get(coinId)).filter(([time]) => time <= end.getTime())
+  );
+
+  const reference = priceReturns(inWindow(REFERENCE_COIN)).returns;
+  const portfolio = portfolioReturns(transactions, series);
+
+  return {
+    from: start,
+    to: end,
+    riskFreeRate,
+    reference: REFERENCE_COIN,
+    portfolio: riskMetrics(portfolio.returns, portfolio.levels, reference, riskFreeRate),
+    holdings: holdings.map(h => {
+      const coin = priceReturns(inWindow(h.coinId));
+      return {
+        coinId: h.coinId,
+        coinName: h.coinName,
+        symbol: h.symbol,
+        ...riskMetrics(coin.returns, coin.levels, reference, riskFreeRate)
+      };
+    })
+  };
+};
+
+// Pairwise correlations of daily returns ({ coinId: [{ date, value }] }).
+// Cells without enough overlapping days are null; the diagonal is 1.
+const correlationMatrix = (coinIds, returnsByCoin) => {
+  return coinIds.map((a, i) => coinIds.map((b, j) => {
+    if (i === j) return returnsByCoin[a].length >= 2 ? 1 : null;
+    return relativeTo(returnsByCoin[a], returnsByCoin[b]).correlation;
+  }));
+};
+
+// Herfindahl index of value weights (1 = a single asset) and the number of
+// equally weighted assets that would give the same concentration
+const concentration = (values) => {
+  const total = values.reduce((sum, v) => sum + v, 0);
+  if (total <= 0) return { herfindahl: null, effectiveAssets: null };
+
+  const herfindahl = values.reduce((sum, v) => sum + (v / total) ** 2, 0);
+  return { herfindahl, effectiveAssets: 1 / herfindahl };
+};
+
+// Correlation matrix and concentration for the held coins over a window
+const calculateDiversification = async ({ holdings, currency, window = '90d' }) => {
+  const held = holdings.filter(h => h.currentValue > 0).sort((a, b) => b.currentValue - a.currentValue);
+  const end = PortfolioSnapshot.startOfDay();
+  const start = new Date(end.getTime() - CORRELATION_WINDOWS[window] * DAY_MS);
+
+  const coinIds = held.map(h => h.coinId);
+  const prices = coinIds.length > 0 ? await loadDailyPrices(coinIds, currency, start) : new Map();
+
+  const returnsByCoin = {};
+  coinIds.forEach(coinId => {
+    returnsByCoin[coinId] = priceReturns(prices.get(coinId)).returns;
+  });
+
+  return {
+    window,
+    from: start,
+    to: end,
+    coins: held.map(h => ({ coinId: h.coinId, coinName: h.coinName, symbol: h.symbol })),
+    matrix: correlationMatrix(coinIds, returnsByCoin),
+    ...concentration(held.map(h => h.currentValue))
+  };
+};
+
+module.exports = {
+  PERIODS_PER_YEAR,
+  CORRELATION_WINDOWS,
+  maxDrawdown,
+  relativeTo,
+  riskMetrics,
+  priceReturns,
+  correlationMatrix,
+  concentration,
+  calculateRisk,
+  calculateDiversification
+};
\ No newline at end of file
@@ -0,0 +1,109 @@
+// What-if projections: hypothetical price moves applied to current holdings.
+// Moves are percentages (-30 = the price falls 30%). A coin's own move wins
+// over a market-wide shock, which can be scaled by the coin's beta to BTC.
+const { PortfolioSnapshot } = require('../models');
+const { DAY_MS } = require('./returns');
+const { loadDailyPrices } = require('./priceHistory');
+const { priceReturns, relativeTo } = require('./risk');
+
+const MARKET_COIN = 'bitcoin';
+const BETA_WINDOW_DAYS = 90;
+
+// Beta of each coin's daily returns to BTC over the last 90 days, or null
+// when there is not enough overlapping history
+const marketBetas = async (coinIds, currency) => {
+  const start = new Date(PortfolioSnapshot.startOfDay().getTime() - BETA_WINDOW_DAYS * DAY_MS);
+  const prices = await loadDailyPrices([...new Set([MARKET_COIN, ...coinIds])], currency, start);
+  const market = priceReturns(prices.get(MARKET_COIN)).returns;
+
+  const betas = {};
+  coinIds.forEach(coinId => {
+    betas[coinId] = coinId === MARKET_COIN
+      ? 1
+      : relativeTo(priceReturns(prices.get(coinId)).returns, market).beta;
+  });
+  return betas;
+};
+
+// Project a calculated portfolio under a scenario.
+// - shocks: { coinId: change } per-coin moves
+// - marketChange: move applied to every other coin
+// - betas: { coinId: beta } to scale the market move by; coins without a
+//   beta (or no betas at all) move one-for-one with the market
+const projectScenario = ({ portfolio, shocks = {}, marketChange = 0, betas = null }) => {
+  const holdings = portfolio.holdings.map(h => {
+    let change = 0;
+    let source = 'none';
+    let beta = null;
+
+    if (shocks[h.coinId] !== undefined) {
+      change = shocks[h.coinId];
+      source = 'coin';
+    } else if (marketChange) {
+      beta = betas ? betas[h.coinId] ?? null : null;
+      change = marketChange * (beta ?? 1);
+      source = 'market';
+    }
+
+    // A price can fall to zero but no further
+    change = Math.max(change, -100);
+    const projectedPrice = h.currentPrice * (1 + change / 100);
+    const projectedValue = h.amount * projectedPrice;
+    const profitLoss = projectedValue - h.investment;
+
+    return {
+      coinId: h.coinId,
+      coinName: h.coinName,
+      symbol: h.symbol,
+      amount: h.amount,
+      change,
+      source,
+      beta,
+      currentPrice: h.currentPrice,
+      projectedPrice,
+      investment: h.investment,
+      currentValue: h.currentValue,
+      projectedValue,
+      valueChange: projectedValue - h.currentValue,
+      profitLoss,
+      profitLossPercentage: h.investment > 0 ? (profitLoss / h.investment) * 100 : 0
+    };
+  });
+
+  const totalValue = holdings.reduce((sum, h) => sum + h.projectedValue, 0);
+  const valueChange = totalValue - portfolio.totalCurrentValue;
+  const unrealizedProfitLoss = totalValue - portfolio.totalInvestment;
+
+  holdings.forEach(h => {
+    h.currentAllocation = portfolio.totalCurrentValue > 0 ? (h.currentValue / portfolio.totalCurrentValue) * 100 : 0;
+    h.projectedAllocation = totalValue > 0 ? (h.projectedValue / totalValue) * 100 : 0;
+  });
+  holdings.sort((a, b) => b.projectedValue - a.projectedValue);
+
+  return {
+    current: {
+      totalValue: portfolio.totalCurrentValue,
+      unrealizedProfitLoss: portfolio.totalUnrealizedProfitLoss,
+      totalProfitLoss: portfolio.totalUnrealizedProfitLoss + portfolio.totalRealizedProfitLoss
+    },
+    projected: {
+      totalValue,
+      valueChange,
+      valueChangePercentage: portfolio.totalCurrentValue > 0 ? (valueChange / portfolio.totalCurrentValue) * 100 : 0,
+      unrealizedProfitLoss,
+      unrealizedProfitLossPercentage: portfolio.totalInvestment > 0
+        ? (unrealizedProfitLoss / portfolio.totalInvestment) * 100
+        : 0,
+      // Realized gains are already banked and do not move with prices
+      totalProfitLoss: unrealizedProfitLoss + portfolio.totalRealizedProfitLoss
+    },
+    holdings
+  };
+};
+
+module.exports = {
+  MARKET_COIN,
+  BETA_WINDOW_DAYS,
+  marketBetas,
+  projectScenario
+};
\ No newline at end of file
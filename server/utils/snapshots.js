@@ -0,0 +1,188 @@
+// Daily portfolio value snapshots: writing them for each user and reading
+// them back as a history series for one portfolio or all of them combined.
+const { User, Portfolio, PortfolioSnapshot, Transaction } = require('../models');
+const { buildPositions } = require('./ledger');
+const marketDataService = require('./marketDataService');
+
+// Supported history ranges in days (null = everything)
+const HISTORY_RANGES = {
+  '7d': 7,
+  '30d': 30,
+  '1y': 365,
+  all: null
+};
+
+// Pause between users so a full run stays inside the CoinGecko rate limit
+const USER_DELAY_MS = 1500;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Derive the open positions of each portfolio from a user's full ledger.
+// Returns a map of portfolioId -> open positions.
+const positionsByPortfolio = (transactions, method) => {
+  const byPortfolio = new Map();
+
+  transactions.forEach(tx => {
+    const key = String(tx.portfolioId);
+    if (!byPortfolio.has(key)) byPortfolio.set(key, []);
+    byPortfolio.get(key).push(tx);
+  });
+
+  const positions = new Map();
+  byPortfolio.forEach((ledger, portfolioId) => {
+    positions.set(portfolioId, buildPositions(ledger, method).positions.filter(p => p.amount > 0));
+  });
+
+  return positions;
+};
+
+// Value each portfolio's open positions at the given prices.
+// `getPrice(coinId)` returns the price to use for a coin.
+// Returns a map of portfolioId -> { totalValue, totalInvestment, holdings }.
+const valuePositions = (positions, getPrice) => {
+  const values = new Map();
+
+  positions.forEach((open, portfolioId) => {
+    const holdings = open.map(p => {
+      const price = getPrice(p.coinId) || 0;
+      return {
+        coinId: p.coinId,
+        symbol: p.symbol,
+        amount: p.amount,
+        price,
+        value: p.amount * price,
+        investment: p.totalInvestment
+      };
+    });
+
+    values.set(portfolioId, {
+      totalValue: holdings.reduce((sum, h) => sum + h.value, 0),
+      totalInvestment: holdings.reduce((sum, h) => sum + h.investment, 0),
+      holdings
+    });
+  });
+
+  return values;
+};
+
+// Write today's snapshot for every portfolio a user owns
+const takeUserSnapshot = async (user, date = new Date()) => {
+  const portfolios = await Portfolio.find({ userId: user._id });
+  if (portfolios.length === 0) return 0;
+
+  const currency = user.preferences?.currency || 'usd';
+  const method = user.preferences?.costBasisMethod || 'fifo';
+  const transactions = await Transaction.getLedger(user._id);
+
+  const { positions } = buildPositions(transactions, method);
+  const coinIds = positions.filter(p => p.amount > 0).map(p => p.coinId);
+  const prices = coinIds.length > 0 ? await marketDataService.getSimplePrices(coinIds, [currency]) : {};
+
+  const values = valuePositions(
+    positionsByPortfolio(transactions, method),
+    coinId => prices[coinId]?.[currency]
+  );
+
+  for (const portfolio of portfolios) {
+    const value = values.get(String(portfolio._id)) || { totalValue: 0, totalInvestment: 0, holdings: [] };
+    await PortfolioSnapshot.record({
+      userId: user._id,
+      portfolioId: portfolio._id,
+      date,
+      currency,
+      source: 'daily',
+      ...value
+    });
+  }
+
+  return portfolios.length;
+};
+
+// Snapshot every user. Failures are logged per user so one bad account
+// (or a price fetch error) does not stop the run.
+const takeDailySnapshots = async (date = new Date()) => {
+  const users = await User.find().select('_id preferences');
+  let snapshots = 0;
+  let failures = 0;
+
+  for (const user of users) {
+    try {
+      snapshots += await takeUserSnapshot(user, date);
+    } catch (error) {
+      failures += 1;
+      console.error(`Snapshot failed for user ${user._id}:`, error.message);
+    }
+    await sleep(USER_DELAY_MS);
+  }
+
+  return { users: users.length, snapshots, failures };
+};
+
+// Build the value series for a user between two dates (either may be omitted),
+// optionally narrowed to one portfolio. Snapshots for the same day are summed
+// so the combined view covers every portfolio.
+const getValueSeries = async (userId, filter = {}, { from, to } = {}) => {
+  const query = { userId, ...filter };
+
+  if (from || to) {
+    query.date = {};
+    if (from) query.date.$gte = PortfolioSnapshot.startOfDay(from);
+    if (to) query.date.$lte = new Date(to);
+  }
+
+  const snapshots = await PortfolioSnapshot.find(query).sort({ date: 1 }).lean();
+  const byDate = new Map();
+
+  snapshots.forEach(snapshot => {
+    const key = snapshot.date.toISOString();
+    if (!byDate.has(key)) {
+      byDate.set(key, {
+        date: snapshot.date,
+        currency: snapshot.currency,
+        totalValue: 0,
+        totalInvestment: 0,
+        holdings: {}
+      });
+    }
+
+    const point = byDate.get(key);
+    point.totalValue += snapshot.totalValue;
+    point.totalInvestment += snapshot.totalInvestment;
+
+    snapshot.holdings.forEach(h => {
+      if (!point.holdings[h.coinId]) {
+        point.holdings[h.coinId] = { coinId: h.coinId, symbol: h.symbol, amount: 0, value: 0, investment: 0 };
+      }
+      const holding = point.holdings[h.coinId];
+      holding.amount += h.amount;
+      holding.value += h.value;
+      holding.investment += h.investment;
+    });
+  });
+
+  return Array.from(byDate.values()).map(point => ({
+    ...point,
+    profitLoss: point.totalValue - point.totalInvestment,
+    holdings: Object.values(point.holdings).sort((a, b) => b.value - a.value)
+  }));
+};
+
+// Value series for one of the named history ranges
+const getHistory = async (userId, filter = {}, range = '30d') => {
+  const days = HISTORY_RANGES[range];
+  if (!days) return getValueSeries(userId, filter);
+
+  const since = PortfolioSnapshot.startOfDay();
+  since.setUTCDate(since.getUTCDate() - days);
+  return getValueSeries(userId, filter, { from: since });
+};
+
+module.exports = {
+  HISTORY_RANGES,
+  positionsByPortfolio,
+  valuePositions,
+  takeUserSnapshot,
+  takeDailySnapshots,
+  getValueSeries,
+  getHistory
+};
\ No newline at end of file
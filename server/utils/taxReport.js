@@ -0,0 +1,68 @@
+// Builds a capital-gains report from the disposals produced by ledger.matchLots
+
+// Disposals held for more than one year are long-term
+const isLongTerm = (acquisitionDate, disposalDate) => {
+  const oneYearLater = new Date(acquisitionDate);
+  oneYearLater.setUTCFullYear(oneYearLater.getUTCFullYear() + 1);
+  return new Date(disposalDate) > oneYearLater;
+};
+
+const emptyTotals = () => ({
+  count: 0,
+  proceeds: 0,
+  costBasis: 0,
+  gain: 0
+});
+
+const addToTotals = (totals, row) => {
+  totals.count += 1;
+  totals.proceeds += row.proceeds;
+  totals.costBasis += row.costBasis;
+  totals.gain += row.gain;
+};
+
+const buildTaxReport = (disposals, year) => {
+  const start = new Date(Date.UTC(year, 0, 1));
+  const end = new Date(Date.UTC(year + 1, 0, 1));
+
+  const rows = disposals
+    .filter(d => d.disposalDate >= start && d.disposalDate < end)
+    .map(d => {
+      const acquisitionDate = new Date(d.acquisitionDate);
+      const disposalDate = new Date(d.disposalDate);
+
+      return {
+        coinId: d.coinId,
+        coinName: d.coinName,
+        symbol: d.symbol,
+        amount: d.amount,
+        acquisitionDate,
+        disposalDate,
+        holdingPeriodDays: Math.floor((disposalDate - acquisitionDate) / (24 * 60 * 60 * 1000)),
+        proceeds: d.proceeds,
+        costBasis: d.costBasis,
+        gain: d.gain,
+        term: isLongTerm(acquisitionDate, disposalDate) ? 'long' : 'short',
+        transactionId: d.transactionId
+      };
+    })
+    .sort((a, b) => a.disposalDate - b.disposalDate || a.acquisitionDate - b.acquisitionDate);
+
+  const summary = {
+    shortTerm: emptyTotals(),
+    longTerm: emptyTotals(),
+    total: emptyTotals()
+  };
+
+  rows.forEach(row => {
+    addToTotals(row.term === 'long' ? summary.longTerm : summary.shortTerm, row);
+    addToTotals(summary.total, row);
+  });
+
+  return { year, disposals: rows, summary };
+};
+
+module.exports = {
+  isLongTerm,
+  buildTaxReport
+};
\ No newline at end of file
@@ -0,0 +1,75 @@
+// Valuation of a user's ledger at live prices, shared by the portfolio and goal routes
+const { Transaction } = require('../models');
+const { buildPositions } = require('./ledger');
+const marketDataService = require('./marketDataService');
+
+// Fetch current prices without failing the request
+const getCurrentPrices = async (coinIds, currency) => {
+  if (coinIds.length === 0) return {};
+
+  try {
+    return await marketDataService.getSimplePrices(coinIds, [currency]);
+  } catch (error) {
+    console.error('Failed to fetch current prices:', error);
+    return {};
+  }
+};
+
+// Value the user's open positions at current prices.
+// The filter narrows the ledger to one portfolio; an empty filter combines all.
+const calculatePortfolio = async (userId, currency, method = 'fifo', filter = {}) => {
+  const transactions = await Transaction.getLedger(userId, filter);
+  const { positions, disposals } = buildPositions(transactions, method);
+  const openPositions = positions.filter(p => p.amount > 0);
+  const currentPrices = await getCurrentPrices(openPositions.map(p => p.coinId), currency);
+
+  let totalInvestment = 0;
+  let totalCurrentValue = 0;
+
+  const holdings = openPositions.map(({ lots, ...position }) => {
+    const currentPrice = currentPrices[position.coinId]?.[currency] || 0;
+    const investment = position.totalInvestment;
+    const currentValue = position.amount * currentPrice;
+    const profitLoss = currentValue - investment;
+    const profitLossPercentage = investment > 0 ? (profitLoss / investment) * 100 : 0;
+
+    totalInvestment += investment;
+    totalCurrentValue += currentValue;
+
+    return {
+      ...position,
+      openLots: lots.length,
+      currentPrice,
+      investment,
+      currentValue,
+      profitLoss,
+      unrealizedProfitLoss: profitLoss,
+      profitLossPercentage
+    };
+  }).sort((a, b) => b.currentValue - a.currentValue);
+
+  const totalProfitLoss = totalCurrentValue - totalInvestment;
+  const totalProfitLossPercentage = totalInvestment > 0 ? (totalProfitLoss / totalInvestment) * 100 : 0;
+  const totalRealizedProfitLoss = disposals.reduce((sum, d) => sum + d.gain, 0);
+  const totalFees = transactions.reduce((sum, tx) => sum + (tx.feeValue || 0), 0);
+
+  return {
+    totalHoldings: holdings.length,
+    totalTransactions: transactions.length,
+    totalInvestment,
+    totalCurrentValue,
+    totalProfitLoss,
+    totalProfitLossPercentage,
+    totalRealizedProfitLoss,
+    totalUnrealizedProfitLoss: totalProfitLoss,
+    totalFees,
+    costBasisMethod: method,
+    holdings,
+    disposals
+  };
+};
+
+module.exports = {
+  getCurrentPrices,
+  calculatePortfolio
+};
\ No newline at end of file